@@ -0,0 +1,149 @@
+// --- Activity Library (IndexedDB) ---
+// Imported activity files are kept in the browser with a summary (date, distance, gain,
+// bounds) and a thinned copy of their coordinates for the heatmap (js/heatmap.js). The
+// original file is stored too, so activities can be opened in the viewer again later.
+// Uses the IndexedDB helpers of js/tileCache.js.
+//
+// Record: {
+//   id, name, fileName, format, signature (for duplicate detection),
+//   startTime (ms or null), distance (m), ascent (m or null), pointCount,
+//   bounds: { minLat, maxLat, minLon, maxLon },
+//   lines: Float32Array per segment with lat, lon pairs,
+//   file: Blob, addedAt (ms)
+// }
+
+const LIBRARY_DB_NAME = 'gpx3d-activity-library';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'activities';
+const LIBRARY_LINE_SPACING_M = 5; // Points closer than this to the previous kept one are dropped from the heatmap lines
+
+let libraryDbPromise = null;
+
+function openLibraryDB() {
+    if (libraryDbPromise) return libraryDbPromise;
+    libraryDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('signature', 'signature');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    libraryDbPromise.catch(() => { libraryDbPromise = null; }); // Allow a retry, e.g. after a blocked upgrade
+    return libraryDbPromise;
+}
+
+// Thinned lat/lon pairs of one segment
+function libraryLine(points) {
+    const coordinates = [];
+    let last = null;
+    points.forEach((pt, i) => {
+        if (last && i < points.length - 1 && haversineDistance(last.lat, last.lon, pt.lat, pt.lon) < LIBRARY_LINE_SPACING_M) return;
+        coordinates.push(pt.lat, pt.lon);
+        last = pt;
+    });
+    return Float32Array.from(coordinates);
+}
+
+// Library record for an imported document (everything but id)
+function summarizeActivity(gpxDoc, file) {
+    const segments = [
+        ...gpxDoc.tracks.flatMap(track => track.segments.map(segment => segment.points)),
+        ...gpxDoc.routes.map(route => route.points),
+    ].filter(segment => segment.length > 0);
+    const stats = computeTrackStatistics(segments, null);
+    const firstTimed = segments.flat().find(pt => pt.time);
+    const startTime = firstTimed ? firstTimed.time.getTime() : (gpxDoc.metadata.time ? gpxDoc.metadata.time.getTime() : null);
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    segments.forEach(segment => segment.forEach(pt => {
+        bounds.minLat = Math.min(bounds.minLat, pt.lat); bounds.maxLat = Math.max(bounds.maxLat, pt.lat);
+        bounds.minLon = Math.min(bounds.minLon, pt.lon); bounds.maxLon = Math.max(bounds.maxLon, pt.lon);
+    }));
+    return {
+        name: gpxDoc.metadata.name || file.name.replace(/\.[^.]+$/, ''),
+        fileName: file.name,
+        format: gpxDoc.format,
+        // Same start and length means the same activity, even when exported twice or in another format
+        signature: `${startTime !== null ? startTime : file.name}|${Math.round(stats.distance / 10)}`,
+        startTime,
+        distance: stats.distance,
+        ascent: stats.elevation.gpx ? stats.elevation.gpx.ascent : null,
+        pointCount: stats.pointCount,
+        bounds,
+        lines: segments.map(libraryLine),
+        file,
+        addedAt: Date.now(),
+    };
+}
+
+// Import files into the library, skipping activities that are already in it.
+// onProgress(done, total) is called after each file. Returns { added, duplicates, failed: [{ fileName, message }] }.
+async function libraryAddFiles(files, onProgress = () => {}) {
+    const db = await openLibraryDB();
+    const result = { added: 0, duplicates: 0, failed: [] };
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        try {
+            const gpxDoc = await importActivityFile(file);
+            const record = summarizeActivity(gpxDoc, file);
+            if (record.pointCount === 0) throw new ActivityImportError('No track or route points.');
+
+            const tx = db.transaction(LIBRARY_STORE, 'readwrite');
+            const store = tx.objectStore(LIBRARY_STORE);
+            const existing = await idbPromise(store.index('signature').count(record.signature));
+            if (existing > 0) {
+                result.duplicates++;
+            } else {
+                store.add(record);
+                result.added++;
+            }
+            await idbPromise(tx);
+        } catch (error) {
+            result.failed.push({ fileName: file.name, message: error.message });
+        }
+        onProgress(i + 1, files.length);
+    }
+    return result;
+}
+
+// All records, newest first
+async function libraryListActivities() {
+    const db = await openLibraryDB();
+    const records = await idbPromise(db.transaction(LIBRARY_STORE, 'readonly').objectStore(LIBRARY_STORE).getAll());
+    return records.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+}
+
+async function libraryDeleteActivities(ids) {
+    const db = await openLibraryDB();
+    const tx = db.transaction(LIBRARY_STORE, 'readwrite');
+    const store = tx.objectStore(LIBRARY_STORE);
+    ids.forEach(id => store.delete(id));
+    await idbPromise(tx);
+}
+
+// The stored original as a File, ready for importActivityFile
+function libraryActivityFile(record) {
+    return new File([record.file], record.fileName, { type: record.file.type });
+}
+
+// filter: { text, from (ms or null), to (ms or null, inclusive), bounds (or null: any area) }.
+// Activities without a date only pass when no date range is set; bounds keeps activities crossing the box.
+function filterLibraryActivities(records, filter) {
+    const text = (filter.text || '').trim().toLowerCase();
+    return records.filter(record => {
+        if (text && !`${record.name} ${record.fileName}`.toLowerCase().includes(text)) return false;
+        if ((filter.from !== null || filter.to !== null) && record.startTime === null) return false;
+        if (filter.from !== null && record.startTime < filter.from) return false;
+        if (filter.to !== null && record.startTime > filter.to) return false;
+        if (filter.bounds) {
+            const b = record.bounds, area = filter.bounds;
+            if (b.maxLat < area.minLat || b.minLat > area.maxLat || b.maxLon < area.minLon || b.minLon > area.maxLon) return false;
+        }
+        return true;
+    });
+}
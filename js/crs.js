@@ -0,0 +1,348 @@
+// --- Coordinate Reference Systems ---
+// Local DEM files (js/localDem.js) come in the grid of the agency that made them: geographic
+// degrees, UTM, a national transverse Mercator or Lambert grid, or the Swiss LV95. This file
+// converts between WGS84 latitude/longitude and the x/y of such a grid, so the DEM can be
+// sampled wherever the scene needs a height.
+//
+// A CRS is a plain object:
+//   { name, type, ellipsoid: { a, f }, towgs84, unitToMeters, ...parameters of the type }
+// type is one of
+//   'geographic'              x = longitude, y = latitude (degrees)
+//   'webMercator'             spherical Web Mercator meters (EPSG:3857)
+//   'transverseMercator'      lat0, lon0, k0, falseEasting, falseNorthing
+//   'lambertConformalConic'   lat0, lon0, lat1, lat2 (two standard parallels) or k0 (one), falseEasting, falseNorthing
+//   'swiss'                   variant 'LV95' or 'LV03' (swisstopo's approximate formulas, about 1 m)
+// towgs84 ([dx, dy, dz (m), rx, ry, rz (arc seconds), ds (ppm)], position vector convention) shifts
+// the datum to WGS84. Without it the datum is taken as WGS84, which is within about a meter for
+// ETRS89, NAD83, GDA and the other modern datums.
+//
+// CRSs are created from an EPSG code (crsFromEpsg), from the GeoKeys of a GeoTIFF
+// (crsFromGeoKeys) or from the WKT of a .prj file (crsFromWkt).
+
+const CRS_ELLIPSOIDS = {
+    WGS84: { a: 6378137, f: 1 / 298.257223563 },
+    GRS80: { a: 6378137, f: 1 / 298.257222101 },
+    Airy1830: { a: 6377563.396, f: 1 / 299.3249646 },
+    Bessel1841: { a: 6377397.155, f: 1 / 299.1528128 },
+    Clarke1866: { a: 6378206.4, f: 1 / 294.9786982 },
+    International1924: { a: 6378388, f: 1 / 297 },
+};
+
+// EPSG ellipsoid codes as used in GeoTIFF GeoKeys
+const CRS_EPSG_ELLIPSOIDS = { 7030: 'WGS84', 7019: 'GRS80', 7001: 'Airy1830', 7004: 'Bessel1841', 7008: 'Clarke1866', 7022: 'International1924' };
+
+// EPSG linear unit codes -> meters
+const CRS_EPSG_UNITS = { 9001: 1, 9002: 0.3048, 9003: 1200 / 3937 };
+
+const CRS_TOWGS84_OSGB36 = [446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489];
+const CRS_TOWGS84_MGI = [577.326, 90.129, 463.919, 5.137, 1.474, 5.297, 2.4232];
+
+// Geographic codes whose datum is within about a meter of WGS84
+const CRS_GEOGRAPHIC_CODES = [4326, 4258, 4269, 4283, 7844, 4167, 4617, 4619, 4670];
+
+// Projected systems that are not one of the UTM series (see crsFromEpsg)
+const CRS_EPSG_PROJECTED = {
+    2056: { name: 'CH1903+ / LV95', type: 'swiss', variant: 'LV95' },
+    21781: { name: 'CH1903 / LV03', type: 'swiss', variant: 'LV03' },
+    27700: { name: 'OSGB36 / British National Grid', type: 'transverseMercator', ellipsoid: 'Airy1830', towgs84: CRS_TOWGS84_OSGB36, lat0: 49, lon0: -2, k0: 0.9996012717, falseEasting: 400000, falseNorthing: -100000 },
+    2154: { name: 'RGF93 / Lambert-93', type: 'lambertConformalConic', ellipsoid: 'GRS80', lat0: 46.5, lon0: 3, lat1: 49, lat2: 44, falseEasting: 700000, falseNorthing: 6600000 },
+    31287: { name: 'MGI / Austria Lambert', type: 'lambertConformalConic', ellipsoid: 'Bessel1841', towgs84: CRS_TOWGS84_MGI, lat0: 47.5, lon0: 13 + 1 / 3, lat1: 49, lat2: 46, falseEasting: 400000, falseNorthing: 400000 },
+    3416: { name: 'ETRS89 / Austria Lambert', type: 'lambertConformalConic', ellipsoid: 'GRS80', lat0: 47.5, lon0: 13 + 1 / 3, lat1: 49, lat2: 46, falseEasting: 400000, falseNorthing: 400000 },
+    2193: { name: 'NZGD2000 / New Zealand Transverse Mercator', type: 'transverseMercator', ellipsoid: 'GRS80', lat0: 0, lon0: 173, k0: 0.9996, falseEasting: 1600000, falseNorthing: 10000000 },
+    3006: { name: 'SWEREF99 TM', type: 'transverseMercator', ellipsoid: 'GRS80', lat0: 0, lon0: 15, k0: 0.9996, falseEasting: 500000, falseNorthing: 0 },
+    3067: { name: 'ETRS89 / TM35FIN', type: 'transverseMercator', ellipsoid: 'GRS80', lat0: 0, lon0: 27, k0: 0.9996, falseEasting: 500000, falseNorthing: 0 },
+    2180: { name: 'ETRS89 / Poland CS92', type: 'transverseMercator', ellipsoid: 'GRS80', lat0: 0, lon0: 19, k0: 0.9993, falseEasting: 500000, falseNorthing: -5300000 },
+    3794: { name: 'Slovenia 1996 / Slovene National Grid', type: 'transverseMercator', ellipsoid: 'GRS80', lat0: 0, lon0: 15, k0: 0.9999, falseEasting: 500000, falseNorthing: -5000000 },
+};
+
+class CrsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CrsError';
+    }
+}
+
+function createCrs(definition) {
+    const ellipsoid = typeof definition.ellipsoid === 'string' ? CRS_ELLIPSOIDS[definition.ellipsoid] : definition.ellipsoid;
+    return { unitToMeters: 1, towgs84: null, ...definition, ellipsoid: ellipsoid || CRS_ELLIPSOIDS.WGS84 };
+}
+
+function utmCrs(name, zone, south, ellipsoid) {
+    return createCrs({ name, type: 'transverseMercator', ellipsoid, lat0: 0, lon0: zone * 6 - 183, k0: 0.9996, falseEasting: 500000, falseNorthing: south ? 10000000 : 0 });
+}
+
+function crsFromEpsg(code) {
+    code = Number(code);
+    if (CRS_GEOGRAPHIC_CODES.includes(code)) return createCrs({ name: `EPSG:${code} (geographic)`, type: 'geographic' });
+    if (code === 3857 || code === 900913 || code === 102100) return createCrs({ name: 'WGS 84 / Pseudo-Mercator', type: 'webMercator' });
+    if (code >= 32601 && code <= 32660) return utmCrs(`WGS 84 / UTM zone ${code - 32600}N`, code - 32600, false, 'WGS84');
+    if (code >= 32701 && code <= 32760) return utmCrs(`WGS 84 / UTM zone ${code - 32700}S`, code - 32700, true, 'WGS84');
+    if (code >= 25828 && code <= 25838) return utmCrs(`ETRS89 / UTM zone ${code - 25800}N`, code - 25800, false, 'GRS80');
+    if (code >= 26901 && code <= 26923) return utmCrs(`NAD83 / UTM zone ${code - 26900}N`, code - 26900, false, 'GRS80');
+    if (code >= 28348 && code <= 28358) return utmCrs(`GDA94 / MGA zone ${code - 28300}`, code - 28300, true, 'GRS80');
+    if (code >= 7846 && code <= 7859) return utmCrs(`GDA2020 / MGA zone ${code - 7800}`, code - 7800, true, 'GRS80');
+    if (CRS_EPSG_PROJECTED[code]) return createCrs(CRS_EPSG_PROJECTED[code]);
+    throw new CrsError(`EPSG:${code} is not a supported coordinate system. Reproject the file to WGS84, UTM or Web Mercator.`);
+}
+
+// --- GeoTIFF GeoKeys ---
+const GEOKEY = {
+    GTModelType: 1024, GTRasterType: 1025, GeographicType: 2048, GeogEllipsoid: 2056, GeogSemiMajorAxis: 2057,
+    GeogInvFlattening: 2059, ProjectedCSType: 3072, ProjCoordTrans: 3075, ProjLinearUnits: 3076,
+    ProjStdParallel1: 3078, ProjStdParallel2: 3079, ProjNatOriginLong: 3080, ProjNatOriginLat: 3081,
+    ProjFalseEasting: 3082, ProjFalseNorthing: 3083, ProjFalseOriginLong: 3084, ProjFalseOriginLat: 3085,
+    ProjFalseOriginEasting: 3086, ProjFalseOriginNorthing: 3087, ProjCenterLong: 3088, ProjCenterLat: 3089,
+    ProjScaleAtNatOrigin: 3092,
+};
+const GEOKEY_USER_DEFINED = 32767;
+
+// keys: Map of GeoKey id -> value, as read by js/geoTiff.js
+function crsFromGeoKeys(keys) {
+    const projected = keys.get(GEOKEY.ProjectedCSType);
+    if (projected && projected !== GEOKEY_USER_DEFINED) return crsFromEpsg(projected);
+    const modelType = keys.get(GEOKEY.GTModelType);
+    if (modelType === 2 || (modelType !== 1 && !projected && !keys.has(GEOKEY.ProjCoordTrans))) {
+        const geographic = keys.get(GEOKEY.GeographicType);
+        if (geographic && geographic !== GEOKEY_USER_DEFINED && !CRS_GEOGRAPHIC_CODES.includes(geographic)) {
+            throw new CrsError(`Geographic system EPSG:${geographic} is not supported. Reproject the file to WGS84.`);
+        }
+        return createCrs({ name: geographic ? `EPSG:${geographic} (geographic)` : 'Geographic', type: 'geographic' });
+    }
+
+    // User-defined projection, described by its parameters
+    let ellipsoid = CRS_ELLIPSOIDS[CRS_EPSG_ELLIPSOIDS[keys.get(GEOKEY.GeogEllipsoid)]] || CRS_ELLIPSOIDS.WGS84;
+    if (keys.has(GEOKEY.GeogSemiMajorAxis) && keys.has(GEOKEY.GeogInvFlattening)) {
+        ellipsoid = { a: keys.get(GEOKEY.GeogSemiMajorAxis), f: 1 / keys.get(GEOKEY.GeogInvFlattening) };
+    }
+    const unitToMeters = CRS_EPSG_UNITS[keys.get(GEOKEY.ProjLinearUnits)] || 1;
+    const key = (...ids) => { const id = ids.find(i => keys.has(i)); return id ? keys.get(id) : 0; };
+    const falseEasting = key(GEOKEY.ProjFalseEasting, GEOKEY.ProjFalseOriginEasting);
+    const falseNorthing = key(GEOKEY.ProjFalseNorthing, GEOKEY.ProjFalseOriginNorthing);
+    const lon0 = key(GEOKEY.ProjNatOriginLong, GEOKEY.ProjFalseOriginLong, GEOKEY.ProjCenterLong);
+    const lat0 = key(GEOKEY.ProjNatOriginLat, GEOKEY.ProjFalseOriginLat, GEOKEY.ProjCenterLat);
+    const k0 = keys.has(GEOKEY.ProjScaleAtNatOrigin) ? keys.get(GEOKEY.ProjScaleAtNatOrigin) : 1;
+    const common = { name: 'User-defined', ellipsoid, unitToMeters, lat0, lon0, falseEasting, falseNorthing };
+    switch (keys.get(GEOKEY.ProjCoordTrans)) {
+        case 1: return createCrs({ ...common, type: 'transverseMercator', k0 });
+        case 8: return createCrs({ ...common, type: 'lambertConformalConic', lat1: key(GEOKEY.ProjStdParallel1), lat2: key(GEOKEY.ProjStdParallel2) });
+        case 9: return createCrs({ ...common, type: 'lambertConformalConic', k0 });
+        default: throw new CrsError(`The projection of the file (GeoTIFF method ${keys.get(GEOKEY.ProjCoordTrans)}) is not supported. Reproject it to WGS84, UTM or Web Mercator.`);
+    }
+}
+
+// --- WKT (.prj files) ---
+function crsFromWkt(wkt) {
+    const text = wkt.trim();
+    const rootAuthority = text.match(/AUTHORITY\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]\s*$/i);
+    if (rootAuthority) {
+        try {
+            return crsFromEpsg(parseInt(rootAuthority[1]));
+        } catch (error) {
+            // Not in the table: fall back to the parameters below
+        }
+    }
+    const name = (text.match(/^\w+\[\s*"([^"]*)"/) || [])[1] || 'WKT';
+    const towgs84Match = text.match(/TOWGS84\[([^\]]*)\]/i);
+    const towgs84 = towgs84Match ? towgs84Match[1].split(',').map(Number).concat([0, 0, 0, 0, 0, 0, 0]).slice(0, 7) : null;
+    const spheroid = text.match(/(?:SPHEROID|ELLIPSOID)\[\s*"[^"]*"\s*,\s*([\d.eE+-]+)\s*,\s*([\d.eE+-]+)/i);
+    const ellipsoid = spheroid && parseFloat(spheroid[2]) > 0 ? { a: parseFloat(spheroid[1]), f: 1 / parseFloat(spheroid[2]) } : CRS_ELLIPSOIDS.WGS84;
+    if (/^GEOG(CS|CRS)\[/i.test(text)) return createCrs({ name, type: 'geographic', ellipsoid, towgs84 });
+    if (!/^PROJ(CS|CRS)\[/i.test(text)) throw new CrsError('The .prj file does not describe a coordinate system.');
+
+    const parameters = {};
+    for (const match of text.matchAll(/PARAMETER\[\s*"([^"]+)"\s*,\s*([\d.eE+-]+)/gi)) parameters[match[1].toLowerCase()] = parseFloat(match[2]);
+    const parameter = (...names) => { const found = names.find(n => n in parameters); return found ? parameters[found] : 0; };
+    const units = Array.from(text.matchAll(/UNIT\[\s*"[^"]*"\s*,\s*([\d.eE+-]+)/gi));
+    const unitToMeters = units.length > 0 ? parseFloat(units[units.length - 1][1]) : 1; // The projected unit comes after the angular one
+    const method = ((text.match(/PROJECTION\[\s*"([^"]+)"/i) || [])[1] || '').toLowerCase();
+    const common = {
+        name, ellipsoid, towgs84, unitToMeters,
+        lat0: parameter('latitude_of_origin', 'latitude_of_center', 'latitude_of_false_origin'),
+        lon0: parameter('central_meridian', 'longitude_of_origin', 'longitude_of_center', 'longitude_of_false_origin'),
+        falseEasting: parameter('false_easting', 'easting_at_false_origin'),
+        falseNorthing: parameter('false_northing', 'northing_at_false_origin'),
+    };
+    const k0 = 'scale_factor' in parameters ? parameters.scale_factor : 1;
+
+    if (/pseudo_mercator|mercator_auxiliary_sphere|popular_visualisation/.test(method)) return createCrs({ name, type: 'webMercator' });
+    if (method.includes('transverse_mercator')) return createCrs({ ...common, type: 'transverseMercator', k0 });
+    if (method.includes('lambert_conformal_conic')) {
+        const lat1 = parameter('standard_parallel_1'), lat2 = 'standard_parallel_2' in parameters ? parameters.standard_parallel_2 : lat1;
+        if (method.includes('1sp') || lat1 === lat2) return createCrs({ ...common, type: 'lambertConformalConic', lat0: lat1 || common.lat0, k0 });
+        return createCrs({ ...common, type: 'lambertConformalConic', lat1, lat2 });
+    }
+    if (/lv95|ch1903\+/i.test(name)) return createCrs({ name, type: 'swiss', variant: 'LV95' });
+    if (/lv03|ch1903/i.test(name)) return createCrs({ name, type: 'swiss', variant: 'LV03' });
+    throw new CrsError(`The projection "${method || name}" is not supported. Reproject the file to WGS84, UTM or Web Mercator.`);
+}
+
+// --- Datum Shift ---
+function geodeticToCartesian(ellipsoid, lat, lon) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const phi = lat * Math.PI / 180, lambda = lon * Math.PI / 180;
+    const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    return [n * Math.cos(phi) * Math.cos(lambda), n * Math.cos(phi) * Math.sin(lambda), n * (1 - e2) * Math.sin(phi)];
+}
+
+function cartesianToGeodetic(ellipsoid, [x, y, z]) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const p = Math.hypot(x, y);
+    let phi = Math.atan2(z, p * (1 - e2));
+    for (let i = 0; i < 5; i++) {
+        const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        phi = Math.atan2(z + e2 * n * Math.sin(phi), p);
+    }
+    return { lat: phi * 180 / Math.PI, lon: Math.atan2(y, x) * 180 / Math.PI };
+}
+
+// Seven-parameter Helmert transformation; sign -1 for the (approximate) inverse
+function helmertTransform([x, y, z], params, sign) {
+    const arcSecond = Math.PI / (180 * 3600);
+    const [dx, dy, dz] = params.slice(0, 3).map(v => v * sign);
+    const [rx, ry, rz] = params.slice(3, 6).map(v => v * arcSecond * sign);
+    const scale = 1 + params[6] * 1e-6 * sign;
+    return [
+        dx + scale * (x - rz * y + ry * z),
+        dy + scale * (rz * x + y - rx * z),
+        dz + scale * (-ry * x + rx * y + z),
+    ];
+}
+
+function wgs84ToCrsDatum(crs, lat, lon) {
+    if (!crs.towgs84) return { lat, lon };
+    return cartesianToGeodetic(crs.ellipsoid, helmertTransform(geodeticToCartesian(CRS_ELLIPSOIDS.WGS84, lat, lon), crs.towgs84, -1));
+}
+
+function crsDatumToWgs84(crs, lat, lon) {
+    if (!crs.towgs84) return { lat, lon };
+    return cartesianToGeodetic(CRS_ELLIPSOIDS.WGS84, helmertTransform(geodeticToCartesian(crs.ellipsoid, lat, lon), crs.towgs84, 1));
+}
+
+// --- Transverse Mercator (Snyder, "Map Projections: A Working Manual", 1987) ---
+function meridianArc(ellipsoid, phi) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f), e4 = e2 * e2, e6 = e4 * e2;
+    return ellipsoid.a * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+        - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+        + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+        - (35 * e6 / 3072) * Math.sin(6 * phi));
+}
+
+function transverseMercatorForward(crs, lat, lon) {
+    const { ellipsoid, k0 } = crs;
+    const e2 = ellipsoid.f * (2 - ellipsoid.f), ep2 = e2 / (1 - e2);
+    const phi = lat * Math.PI / 180;
+    const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const t = Math.tan(phi) ** 2, c = ep2 * Math.cos(phi) ** 2;
+    const a = ((lon - crs.lon0 + 540) % 360 - 180) * Math.PI / 180 * Math.cos(phi);
+    const m = meridianArc(ellipsoid, phi), m0 = meridianArc(ellipsoid, crs.lat0 * Math.PI / 180);
+    return {
+        x: crs.falseEasting + k0 * n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120),
+        y: crs.falseNorthing + k0 * (m - m0 + n * Math.tan(phi) * (a * a / 2 + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24
+            + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720)),
+    };
+}
+
+function transverseMercatorInverse(crs, x, y) {
+    const { ellipsoid, k0 } = crs;
+    const e2 = ellipsoid.f * (2 - ellipsoid.f), ep2 = e2 / (1 - e2);
+    const m = meridianArc(ellipsoid, crs.lat0 * Math.PI / 180) + (y - crs.falseNorthing) / k0;
+    const mu = m / (ellipsoid.a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) + (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+        + (151 * e1 ** 3 / 96) * Math.sin(6 * mu) + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+    const c1 = ep2 * Math.cos(phi1) ** 2, t1 = Math.tan(phi1) ** 2;
+    const n1 = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi1) ** 2);
+    const r1 = ellipsoid.a * (1 - e2) / Math.pow(1 - e2 * Math.sin(phi1) ** 2, 1.5);
+    const d = (x - crs.falseEasting) / (n1 * k0);
+    const phi = phi1 - (n1 * Math.tan(phi1) / r1) * (d * d / 2 - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24
+        + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720);
+    const lambda = (d - (1 + 2 * t1 + c1) * d ** 3 / 6 + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120) / Math.cos(phi1);
+    return { lat: phi * 180 / Math.PI, lon: crs.lon0 + lambda * 180 / Math.PI };
+}
+
+// --- Lambert Conformal Conic ---
+function lambertConstants(crs) {
+    if (crs.lambert) return crs.lambert;
+    const e = Math.sqrt(crs.ellipsoid.f * (2 - crs.ellipsoid.f));
+    const rad = Math.PI / 180;
+    const m = phi => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+    const t = phi => Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+    let n, f;
+    if (crs.lat1 !== undefined && crs.lat2 !== undefined && crs.lat1 !== crs.lat2) {
+        const phi1 = crs.lat1 * rad, phi2 = crs.lat2 * rad;
+        n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+        f = m(phi1) / (n * Math.pow(t(phi1), n));
+    } else {
+        const phi0 = (crs.lat1 !== undefined ? crs.lat1 : crs.lat0) * rad;
+        n = Math.sin(phi0);
+        f = m(phi0) / (n * Math.pow(t(phi0), n)) * (crs.k0 || 1);
+    }
+    const rho0 = crs.ellipsoid.a * f * Math.pow(t(crs.lat0 * rad), n);
+    crs.lambert = { e, n, f, rho0, t }; // Computed once per CRS
+    return crs.lambert;
+}
+
+function lambertForward(crs, lat, lon) {
+    const { n, f, rho0, t } = lambertConstants(crs);
+    const rho = crs.ellipsoid.a * f * Math.pow(t(lat * Math.PI / 180), n);
+    const theta = n * ((lon - crs.lon0 + 540) % 360 - 180) * Math.PI / 180;
+    return { x: crs.falseEasting + rho * Math.sin(theta), y: crs.falseNorthing + rho0 - rho * Math.cos(theta) };
+}
+
+function lambertInverse(crs, x, y) {
+    const { e, n, f, rho0 } = lambertConstants(crs);
+    const dx = x - crs.falseEasting, dy = rho0 - (y - crs.falseNorthing);
+    const sign = Math.sign(n);
+    const rho = sign * Math.hypot(dx, dy);
+    const theta = Math.atan2(sign * dx, sign * dy);
+    const t = Math.pow(rho / (crs.ellipsoid.a * f), 1 / n);
+    let phi = Math.PI / 2 - 2 * Math.atan(t);
+    for (let i = 0; i < 8; i++) {
+        phi = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2));
+    }
+    return { lat: phi * 180 / Math.PI, lon: crs.lon0 + theta / n * 180 / Math.PI };
+}
+
+// --- Swiss Grid (swisstopo approximate formulas, from and to WGS84) ---
+function swissForward(crs, lat, lon) {
+    const phi = (lat * 3600 - 169028.66) / 10000, lambda = (lon * 3600 - 26782.5) / 10000;
+    const x = 2600072.37 + 211455.93 * lambda - 10938.51 * lambda * phi - 0.36 * lambda * phi * phi - 44.54 * lambda ** 3;
+    const y = 1200147.07 + 308807.95 * phi + 3745.25 * lambda * lambda + 76.63 * phi * phi - 194.56 * lambda * lambda * phi + 119.79 * phi ** 3;
+    return crs.variant === 'LV03' ? { x: x - 2000000, y: y - 1000000 } : { x, y };
+}
+
+function swissInverse(crs, x, y) {
+    const offset = crs.variant === 'LV03' ? [2000000, 1000000] : [0, 0];
+    const ey = (x + offset[0] - 2600000) / 1000000, nx = (y + offset[1] - 1200000) / 1000000;
+    const lambda = 2.6779094 + 4.728982 * ey + 0.791484 * ey * nx + 0.1306 * ey * nx * nx - 0.0436 * ey ** 3;
+    const phi = 16.9023892 + 3.238272 * nx - 0.270978 * ey * ey - 0.002528 * nx * nx - 0.0447 * ey * ey * nx - 0.0140 * nx ** 3;
+    return { lat: phi * 100 / 36, lon: lambda * 100 / 36 };
+}
+
+// --- Conversions ---
+const WEB_MERCATOR_RADIUS = 6378137;
+
+// WGS84 latitude/longitude -> { x, y } in the units of the CRS
+function crsFromWGS84(crs, lat, lon) {
+    if (crs.type === 'swiss') return swissForward(crs, lat, lon);
+    if (crs.type === 'webMercator') {
+        return { x: WEB_MERCATOR_RADIUS * lon * Math.PI / 180, y: WEB_MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) };
+    }
+    const local = wgs84ToCrsDatum(crs, lat, lon);
+    if (crs.type === 'geographic') return { x: local.lon, y: local.lat };
+    const meters = crs.type === 'transverseMercator' ? transverseMercatorForward(crs, local.lat, local.lon) : lambertForward(crs, local.lat, local.lon);
+    return { x: meters.x / crs.unitToMeters, y: meters.y / crs.unitToMeters };
+}
+
+// { x, y } in the units of the CRS -> WGS84 { lat, lon }
+function crsToWGS84(crs, x, y) {
+    if (crs.type === 'swiss') return swissInverse(crs, x, y);
+    if (crs.type === 'webMercator') {
+        return { lat: (2 * Math.atan(Math.exp(y / WEB_MERCATOR_RADIUS)) - Math.PI / 2) * 180 / Math.PI, lon: x / WEB_MERCATOR_RADIUS * 180 / Math.PI };
+    }
+    let local;
+    if (crs.type === 'geographic') local = { lat: y, lon: x };
+    else if (crs.type === 'transverseMercator') local = transverseMercatorInverse(crs, x * crs.unitToMeters, y * crs.unitToMeters);
+    else local = lambertInverse(crs, x * crs.unitToMeters, y * crs.unitToMeters);
+    return crsDatumToWgs84(crs, local.lat, local.lon);
+}
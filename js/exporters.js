@@ -0,0 +1,242 @@
+// --- 3D Model Export ---
+// glTF/GLB of the scene as displayed (terrain chunks with their map textures, plus the track)
+// for Blender and other 3D tools, and watertight printable solids (STL and 3MF) built from the
+// heightfields: terrain surface, vertical side walls and a flat base, with the track raised
+// above or engraved into the surface. Print meshes are in millimeters, z up, x east, y north.
+
+const PRINT_MIN_THICKNESS_MM = 0.4; // Engraving never cuts thinner than this
+
+// --- glTF ---
+function exportSceneGLB() {
+    if (!terrainMesh) return Promise.reject(new Error('Visualize a track before exporting.'));
+    if (!THREE.GLTFExporter) return Promise.reject(new Error('GLTFExporter failed to load.'));
+    // Styled ribbons, tubes and curtains export as meshes; pixel-width lines have no glTF equivalent,
+    // so the plain centerlines stand in for them
+    const objects = [terrainMesh];
+    const centerlines = [];
+    placedTrackLayers().forEach(layer => {
+        const styleMeshes = layer.styled.children.filter(object => !object.isLineSegments2);
+        objects.push(...styleMeshes);
+        if (styleMeshes.length < layer.styled.children.length) centerlines.push(layer.centerline);
+    });
+    objects.push(...centerlines);
+    centerlines.forEach(centerline => { centerline.visible = true; }); // Hidden in the scene when a style is drawn
+    return new Promise((resolve, reject) => {
+        try {
+            new THREE.GLTFExporter().parse(objects, result => {
+                resolve(new Blob([result], { type: 'model/gltf-binary' }));
+            }, { binary: true, onlyVisible: true, maxTextureSize: 4096 });
+        } catch (error) {
+            reject(error);
+        }
+    }).finally(() => {
+        centerlines.forEach(centerline => { centerline.visible = false; });
+    });
+}
+
+// --- Printable Solid ---
+
+// Distance from point p to segment ab, all in the world xz plane
+function distanceToSegment2D(px, pz, ax, az, bx, bz) {
+    const dx = bx - ax, dz = bz - az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.min(Math.max(((px - ax) * dx + (pz - az) * dz) / lengthSq, 0), 1) : 0;
+    return Math.hypot(px - (ax + t * dx), pz - (az + t * dz));
+}
+
+// Groove depth factor (0..1) for every grid vertex: 1 within the track half-width,
+// easing to 0 over a further 30% so the walls of the groove are not vertical cliffs.
+// Covers every visible track layer.
+function rasterizeTrackGroove(grid, halfWidth) {
+    const weights = new Float32Array(grid.nx * grid.nz);
+    const falloff = halfWidth * 0.3;
+    const reach = halfWidth + falloff;
+    placedTrackLayers().forEach(layer => rasterizeProfileGroove(grid, layer.profile.points, halfWidth, falloff, reach, weights));
+    return weights;
+}
+
+function rasterizeProfileGroove(grid, points, halfWidth, falloff, reach, weights) {
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].segment !== points[i - 1].segment) continue;
+        const a = points[i - 1].position, b = points[i].position;
+        // Only visit the grid cells around this piece of track
+        const minI = Math.max(0, Math.floor((Math.min(a.x, b.x) - reach - grid.minX) / grid.stepX));
+        const maxI = Math.min(grid.nx - 1, Math.ceil((Math.max(a.x, b.x) + reach - grid.minX) / grid.stepX));
+        const minJ = Math.max(0, Math.floor((Math.min(a.z, b.z) - reach - grid.minZ) / grid.stepZ));
+        const maxJ = Math.min(grid.nz - 1, Math.ceil((Math.max(a.z, b.z) + reach - grid.minZ) / grid.stepZ));
+        for (let j = minJ; j <= maxJ; j++) {
+            for (let gi = minI; gi <= maxI; gi++) {
+                const d = distanceToSegment2D(grid.minX + gi * grid.stepX, grid.minZ + j * grid.stepZ, a.x, a.z, b.x, b.z);
+                const weight = d <= halfWidth ? 1 : Math.max(0, 1 - (d - halfWidth) / falloff);
+                const k = j * grid.nx + gi;
+                if (weight > weights[k]) weights[k] = weight;
+            }
+        }
+    }
+}
+
+// options: { footprintMm (longer side), baseMm, resolution (cells along the longer side),
+//            trackStyle: 'raised' | 'engraved' | 'none', trackWidthMm, trackDepthMm }
+// Returns { positions: Float32Array (mm), indices: Uint32Array, size: { x, y, z } (mm) }
+function buildPrintMesh(options) {
+    const tree = terrainChunkTree;
+    if (!tree) throw new Error('Visualize a track before exporting.');
+    const projection = tree.projection;
+    if (options.trackStyle === 'engraved' && options.trackDepthMm > options.baseMm - PRINT_MIN_THICKNESS_MM) {
+        throw new Error(`Base thickness must exceed the engraving depth by at least ${PRINT_MIN_THICKNESS_MM} mm.`);
+    }
+
+    // Regular grid over the terrain rectangle; world units are scaled so the longer side is the footprint
+    const longSide = Math.max(projection.worldWidth, projection.worldDepth);
+    const nx = Math.max(2, Math.round(projection.worldWidth / longSide * options.resolution) + 1);
+    const nz = Math.max(2, Math.round(projection.worldDepth / longSide * options.resolution) + 1);
+    const grid = {
+        minX: -projection.worldWidth / 2,
+        minZ: -projection.worldDepth / 2,
+        nx,
+        nz,
+        stepX: projection.worldWidth / (nx - 1), // Nearly square cells that land exactly on the edges
+        stepZ: projection.worldDepth / (nz - 1),
+    };
+    const mmPerWorld = options.footprintMm / longSide;
+
+    // Surface heights in world units, with the same vertical exaggeration as the scene (zScale)
+    const heights = new Float32Array(grid.nx * grid.nz);
+    let minY = Infinity;
+    for (let j = 0; j < grid.nz; j++) {
+        for (let i = 0; i < grid.nx; i++) {
+            const { lat, lon } = unprojectFromWorld(projection, grid.minX + i * grid.stepX, grid.minZ + j * grid.stepZ);
+            const y = tree.elevationToY(sampleTerrainElevation(lat, lon));
+            heights[j * grid.nx + i] = y;
+            minY = Math.min(minY, y);
+        }
+    }
+
+    const groove = options.trackStyle === 'none' ? null : rasterizeTrackGroove(grid, options.trackWidthMm / 2 / mmPerWorld);
+    const grooveSign = options.trackStyle === 'engraved' ? -1 : 1;
+
+    // Vertices: top grid, then the bottom perimeter ring, then the bottom center
+    const topCount = grid.nx * grid.nz;
+    const perimeter = [];
+    for (let i = 0; i < grid.nx - 1; i++) perimeter.push(i);                                   // North edge, west -> east
+    for (let j = 0; j < grid.nz - 1; j++) perimeter.push(j * grid.nx + grid.nx - 1);           // East edge, north -> south
+    for (let i = grid.nx - 1; i > 0; i--) perimeter.push((grid.nz - 1) * grid.nx + i);         // South edge, east -> west
+    for (let j = grid.nz - 1; j > 0; j--) perimeter.push(j * grid.nx);                         // West edge, south -> north
+    const positions = new Float32Array((topCount + perimeter.length + 1) * 3);
+
+    let maxZ = 0;
+    for (let j = 0; j < grid.nz; j++) {
+        for (let i = 0; i < grid.nx; i++) {
+            const k = j * grid.nx + i;
+            let z = options.baseMm + (heights[k] - minY) * mmPerWorld;
+            if (groove) z = Math.max(z + grooveSign * groove[k] * options.trackDepthMm, PRINT_MIN_THICKNESS_MM);
+            maxZ = Math.max(maxZ, z);
+            // World x east / z south -> print x east / y north, origin at the south-west corner
+            positions.set([i * grid.stepX * mmPerWorld, (grid.nz - 1 - j) * grid.stepZ * mmPerWorld, z], k * 3);
+        }
+    }
+    perimeter.forEach((topIndex, p) => {
+        positions.set([positions[topIndex * 3], positions[topIndex * 3 + 1], 0], (topCount + p) * 3);
+    });
+    const center = topCount + perimeter.length;
+    positions.set([projection.worldWidth * mmPerWorld / 2, projection.worldDepth * mmPerWorld / 2, 0], center * 3);
+
+    // Triangles wound counter-clockwise seen from outside the solid
+    const indices = [];
+    for (let j = 0; j < grid.nz - 1; j++) {
+        for (let i = 0; i < grid.nx - 1; i++) {
+            const a = j * grid.nx + i, b = a + 1, c = a + grid.nx, d = c + 1; // a/b north row, c/d south row
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+    perimeter.forEach((topIndex, p) => {
+        const nextTop = perimeter[(p + 1) % perimeter.length];
+        const bottom = topCount + p, nextBottom = topCount + (p + 1) % perimeter.length;
+        indices.push(topIndex, nextTop, nextBottom, topIndex, nextBottom, bottom); // Side wall
+        indices.push(bottom, nextBottom, center);                                   // Base
+    });
+
+    return {
+        positions,
+        indices: Uint32Array.from(indices),
+        size: { x: projection.worldWidth * mmPerWorld, y: projection.worldDepth * mmPerWorld, z: maxZ },
+    };
+}
+
+// --- File Formats ---
+function printMeshToSTL(mesh) {
+    const triangleCount = mesh.indices.length / 3;
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+    const header = 'GPX 3D Visualizer terrain print, units: mm';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, triangleCount, true);
+
+    const p = mesh.positions;
+    let offset = 84;
+    for (let t = 0; t < triangleCount; t++) {
+        const [a, b, c] = [mesh.indices[t * 3] * 3, mesh.indices[t * 3 + 1] * 3, mesh.indices[t * 3 + 2] * 3];
+        const ux = p[b] - p[a], uy = p[b + 1] - p[a + 1], uz = p[b + 2] - p[a + 2];
+        const vx = p[c] - p[a], vy = p[c + 1] - p[a + 1], vz = p[c + 2] - p[a + 2];
+        const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+        const length = Math.hypot(nx, ny, nz) || 1;
+        [nx / length, ny / length, nz / length].forEach(value => { view.setFloat32(offset, value, true); offset += 4; });
+        [a, b, c].forEach(v => {
+            view.setFloat32(offset, p[v], true);
+            view.setFloat32(offset + 4, p[v + 1], true);
+            view.setFloat32(offset + 8, p[v + 2], true);
+            offset += 12;
+        });
+        offset += 2; // Attribute byte count
+    }
+    return new Blob([buffer], { type: 'model/stl' });
+}
+
+function printMeshTo3MF(mesh) {
+    const p = mesh.positions;
+    const vertices = [];
+    for (let v = 0; v < p.length; v += 3) {
+        vertices.push(`<vertex x="${p[v].toFixed(4)}" y="${p[v + 1].toFixed(4)}" z="${p[v + 2].toFixed(4)}"/>`);
+    }
+    const triangles = [];
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        triangles.push(`<triangle v1="${mesh.indices[t]}" v2="${mesh.indices[t + 1]}" v3="${mesh.indices[t + 2]}"/>`);
+    }
+    const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+<metadata name="Application">GPX 3D Visualizer</metadata>
+<resources>
+<object id="1" type="model">
+<mesh>
+<vertices>
+${vertices.join('\n')}
+</vertices>
+<triangles>
+${triangles.join('\n')}
+</triangles>
+</mesh>
+</object>
+</resources>
+<build>
+<item objectid="1"/>
+</build>
+</model>
+`;
+    const contentTypes = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+    const relationships = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+    const encoder = new TextEncoder();
+    return createZipArchive([
+        { name: '[Content_Types].xml', data: encoder.encode(contentTypes) },
+        { name: '_rels/.rels', data: encoder.encode(relationships) },
+        { name: '3D/3dmodel.model', data: encoder.encode(model) },
+    ], 'model/3mf');
+}
@@ -0,0 +1,216 @@
+// --- FIT Decoder ---
+// Decodes the binary Garmin FIT activity format. Only the messages needed to rebuild a track
+// are interpreted (file_id, session, event and record); everything else is skipped using
+// the definition messages, so unknown and developer fields never break decoding.
+
+const FIT_EPOCH_OFFSET = 631065600; // Seconds between 1970-01-01 and the FIT epoch 1989-12-31
+const FIT_SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+
+// Base type id -> { size, read(view, offset, littleEndian), invalid }
+const FIT_BASE_TYPES = {
+    0x00: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },           // enum
+    0x01: { size: 1, read: (v, o) => v.getInt8(o), invalid: 0x7F },            // sint8
+    0x02: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },           // uint8
+    0x83: { size: 2, read: (v, o, le) => v.getInt16(o, le), invalid: 0x7FFF }, // sint16
+    0x84: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0xFFFF },
+    0x85: { size: 4, read: (v, o, le) => v.getInt32(o, le), invalid: 0x7FFFFFFF },
+    0x86: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0xFFFFFFFF },
+    0x07: { size: 1, read: null, invalid: null },                              // string, handled separately
+    0x88: { size: 4, read: (v, o, le) => v.getFloat32(o, le), invalid: null },
+    0x89: { size: 8, read: (v, o, le) => v.getFloat64(o, le), invalid: null },
+    0x0A: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0 },              // uint8z
+    0x8B: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0 },
+    0x8C: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0 },
+    0x0D: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },           // byte
+    0x8E: { size: 8, read: (v, o, le) => Number(v.getBigInt64(o, le)), invalid: null },
+    0x8F: { size: 8, read: (v, o, le) => Number(v.getBigUint64(o, le)), invalid: null },
+    0x90: { size: 8, read: (v, o, le) => Number(v.getBigUint64(o, le)), invalid: null },
+};
+
+const FIT_MESG = { FILE_ID: 0, SESSION: 18, LAP: 19, RECORD: 20, EVENT: 21 };
+
+// FIT sport enum values we care to name
+const FIT_SPORTS = {
+    0: 'generic', 1: 'running', 2: 'cycling', 4: 'fitness_equipment', 5: 'swimming',
+    10: 'training', 11: 'walking', 12: 'cross_country_skiing', 13: 'alpine_skiing',
+    14: 'snowboarding', 15: 'rowing', 16: 'mountaineering', 17: 'hiking', 37: 'stand_up_paddleboarding',
+};
+
+const FIT_CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+function fitCrc(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ FIT_CRC_TABLE[byte & 0xF];
+        tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+// Read one field value; arrays return their first valid element, invalid values return null
+function readFitField(view, offset, size, baseTypeId, littleEndian) {
+    const baseType = FIT_BASE_TYPES[baseTypeId];
+    if (!baseType) return null;
+    if (baseTypeId === 0x07) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+        const end = bytes.indexOf(0);
+        return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes) || null;
+    }
+    if (size < baseType.size) return null;
+    const value = baseType.read(view, offset, littleEndian);
+    if (value === baseType.invalid || (typeof value === 'number' && isNaN(value))) return null;
+    return value;
+}
+
+// Decodes a FIT file into a GPX-shaped document (see js/gpxParser.js)
+function decodeFIT(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    const diagnostics = [];
+
+    if (arrayBuffer.byteLength < 12) throw new ActivityImportError('FIT file is too short to contain a header.');
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+    if (signature !== '.FIT') throw new ActivityImportError('Missing ".FIT" signature; this is not a FIT file.');
+
+    let end = headerSize + dataSize;
+    if (end + 2 > arrayBuffer.byteLength) {
+        diagnostics.push({ level: 'warning', message: 'FIT file is truncated; decoding the records that are present.' });
+        end = arrayBuffer.byteLength;
+    } else if (fitCrc(bytes, 0, end) !== view.getUint16(end, true)) {
+        diagnostics.push({ level: 'warning', message: 'FIT file checksum mismatch; the data may be corrupt.' });
+    }
+
+    const definitions = []; // Indexed by local message type (0-15)
+    let offset = headerSize;
+    let lastTimestamp = 0;
+
+    const segments = [];
+    let currentSegment = [];
+    let timerStopped = false;
+    let skippedWithoutPosition = 0;
+    const metadata = { name: null, desc: null, author: null, time: null, creator: null, version: null };
+    let sport = null;
+
+    while (offset < end) {
+        const recordHeader = bytes[offset++];
+        let localType;
+        let compressedTimestamp = null;
+
+        if (recordHeader & 0x80) {
+            // Compressed timestamp header: data message with a 5-bit time offset
+            localType = (recordHeader >> 5) & 0x03;
+            const timeOffset = recordHeader & 0x1F;
+            compressedTimestamp = (lastTimestamp & ~0x1F) + timeOffset;
+            if (timeOffset < (lastTimestamp & 0x1F)) compressedTimestamp += 0x20;
+        } else if (recordHeader & 0x40) {
+            // Definition message
+            localType = recordHeader & 0x0F;
+            const hasDeveloperData = (recordHeader & 0x20) !== 0;
+            const littleEndian = bytes[offset + 1] === 0;
+            const globalMessage = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = bytes[offset + 4];
+            offset += 5;
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                fields.push({ num: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+                offset += 3;
+            }
+            let developerBytes = 0;
+            if (hasDeveloperData) {
+                const developerCount = bytes[offset++];
+                for (let i = 0; i < developerCount; i++) {
+                    developerBytes += bytes[offset + 1];
+                    offset += 3;
+                }
+            }
+            definitions[localType] = { globalMessage, littleEndian, fields, developerBytes };
+            continue;
+        } else {
+            localType = recordHeader & 0x0F;
+        }
+
+        const definition = definitions[localType];
+        if (!definition) {
+            throw new ActivityImportError(`FIT data message at byte ${offset - 1} uses undefined local type ${localType}.`);
+        }
+
+        const values = {};
+        const has = num => values[num] !== undefined && values[num] !== null;
+        for (const field of definition.fields) {
+            values[field.num] = readFitField(view, offset, field.size, field.baseType, definition.littleEndian);
+            offset += field.size;
+        }
+        offset += definition.developerBytes;
+
+        if (has(253)) lastTimestamp = values[253];
+        else if (compressedTimestamp !== null) { lastTimestamp = compressedTimestamp; values[253] = compressedTimestamp; }
+        const time = has(253) ? new Date((values[253] + FIT_EPOCH_OFFSET) * 1000) : null;
+
+        switch (definition.globalMessage) {
+            case FIT_MESG.FILE_ID:
+                if (has(4)) metadata.time = new Date((values[4] + FIT_EPOCH_OFFSET) * 1000);
+                if (has(1)) metadata.creator = `FIT manufacturer ${values[1]}`;
+                break;
+            case FIT_MESG.SESSION:
+                if (has(5)) sport = FIT_SPORTS[values[5]] || `sport ${values[5]}`;
+                break;
+            case FIT_MESG.EVENT:
+                // Timer event: a stop ends the current segment, the next start opens a new one
+                if (values[0] === 0) {
+                    if (values[1] === 1 || values[1] === 4) timerStopped = true;
+                    else if (values[1] === 0 && timerStopped) {
+                        if (currentSegment.length > 0) segments.push(currentSegment);
+                        currentSegment = [];
+                        timerStopped = false;
+                    }
+                }
+                break;
+            case FIT_MESG.RECORD: {
+                if (!has(0) || !has(1)) {
+                    skippedWithoutPosition++;
+                    break;
+                }
+                // Enhanced (32-bit) altitude and speed take precedence over the 16-bit fields
+                const altitude = has(78) ? values[78] : has(2) ? values[2] : null;
+                const speed = has(73) ? values[73] : has(6) ? values[6] : null;
+                const point = {
+                    lat: values[0] * FIT_SEMICIRCLES_TO_DEGREES,
+                    lon: values[1] * FIT_SEMICIRCLES_TO_DEGREES,
+                    ele: altitude !== null ? altitude / 5 - 500 : null,
+                    time,
+                };
+                if (has(3)) point.hr = values[3];
+                if (has(4)) point.cad = values[4];
+                if (has(7)) point.power = values[7];
+                if (has(13)) point.temp = values[13];
+                if (speed !== null) point.speed = speed / 1000;
+                if (has(5)) point.extra = { distance: { namespace: null, value: values[5] / 100 } };
+                currentSegment.push(point);
+                break;
+            }
+        }
+    }
+    if (currentSegment.length > 0) segments.push(currentSegment);
+
+    if (skippedWithoutPosition > 0) {
+        diagnostics.push({ level: 'warning', message: `${skippedWithoutPosition} FIT records without GPS position were skipped.` });
+    }
+
+    return {
+        metadata,
+        tracks: segments.length > 0 ? [{ name: null, desc: null, type: sport, segments: segments.map(points => ({ points })) }] : [],
+        routes: [],
+        waypoints: [],
+        diagnostics,
+    };
+}
@@ -0,0 +1,285 @@
+// --- Minimal GeoTIFF Decoder ---
+// Enough of TIFF and GeoTIFF to read single-band elevation rasters as published by mapping
+// agencies and written by GDAL, without an extra library: classic and BigTIFF, strips or tiles,
+// uncompressed, LZW, Deflate (through the browser's DecompressionStream) and PackBits, with the
+// horizontal and floating point predictors, integer and float samples. Only the first image
+// (full resolution) is read; overviews are ignored. Of several samples per pixel the first is used.
+
+const TIFF_TAG = {
+    ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259, StripOffsets: 273,
+    SamplesPerPixel: 277, RowsPerStrip: 278, StripByteCounts: 279, PlanarConfiguration: 284,
+    Predictor: 317, TileWidth: 322, TileLength: 323, TileOffsets: 324, TileByteCounts: 325,
+    SampleFormat: 339, ModelPixelScale: 33550, ModelTiepoint: 33922, ModelTransformation: 34264,
+    GeoKeyDirectory: 34735, GeoDoubleParams: 34736, GeoAsciiParams: 34737, GdalNoData: 42113,
+};
+
+// Field type -> [byte size, DataView getter]
+const TIFF_FIELD_TYPES = {
+    1: [1, 'getUint8'], 2: [1, 'getUint8'], 3: [2, 'getUint16'], 4: [4, 'getUint32'], 5: [8, null],
+    6: [1, 'getInt8'], 7: [1, 'getUint8'], 8: [2, 'getInt16'], 9: [4, 'getInt32'], 10: [8, null],
+    11: [4, 'getFloat32'], 12: [8, 'getFloat64'], 16: [8, 'getBigUint64'], 17: [8, 'getBigInt64'], 18: [8, 'getBigUint64'],
+};
+
+class GeoTiffError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GeoTiffError';
+    }
+}
+
+// Tags of the first image: Map of tag -> array of values (a string for ASCII tags)
+function readTiffDirectory(view) {
+    const byteOrder = view.getUint16(0);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) throw new GeoTiffError('Not a TIFF file.');
+    const little = byteOrder === 0x4949;
+    const version = view.getUint16(2, little);
+    if (version !== 42 && version !== 43) throw new GeoTiffError('Not a TIFF file.');
+    const big = version === 43;
+    const offsetAt = position => big ? Number(view.getBigUint64(position, little)) : view.getUint32(position, little);
+
+    let position = offsetAt(big ? 8 : 4);
+    const entryCount = big ? Number(view.getBigUint64(position, little)) : view.getUint16(position, little);
+    position += big ? 8 : 2;
+    const tags = new Map();
+    for (let i = 0; i < entryCount; i++, position += big ? 20 : 12) {
+        const tag = view.getUint16(position, little);
+        const type = view.getUint16(position + 2, little);
+        const count = big ? Number(view.getBigUint64(position + 4, little)) : view.getUint32(position + 4, little);
+        const fieldType = TIFF_FIELD_TYPES[type];
+        if (!fieldType) continue;
+        const [size, getter] = fieldType;
+        const inline = size * count <= (big ? 8 : 4);
+        const valueOffset = inline ? position + (big ? 12 : 8) : offsetAt(position + (big ? 12 : 8));
+        if (type === 2) {
+            tags.set(tag, new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + valueOffset, count)).replace(/\0+$/, ''));
+            continue;
+        }
+        const values = [];
+        for (let k = 0; k < count; k++) {
+            const at = valueOffset + k * size;
+            if (type === 5 || type === 10) {
+                const read = type === 5 ? 'getUint32' : 'getInt32';
+                values.push(view[read](at, little) / view[read](at + 4, little));
+            } else {
+                values.push(Number(view[getter](at, little)));
+            }
+        }
+        tags.set(tag, values);
+    }
+    return { tags, little };
+}
+
+// GeoKeyDirectory -> Map of GeoKey id -> number or string
+function readGeoKeys(tags) {
+    const directory = tags.get(TIFF_TAG.GeoKeyDirectory);
+    const keys = new Map();
+    if (!directory) return keys;
+    const doubles = tags.get(TIFF_TAG.GeoDoubleParams) || [];
+    const ascii = tags.get(TIFF_TAG.GeoAsciiParams) || '';
+    for (let i = 4; i + 3 < directory.length && keys.size < directory[3]; i += 4) {
+        const [id, location, count, offset] = directory.slice(i, i + 4);
+        if (location === 0) keys.set(id, offset);
+        else if (location === TIFF_TAG.GeoDoubleParams) keys.set(id, doubles[offset]);
+        else if (location === TIFF_TAG.GeoAsciiParams) keys.set(id, ascii.substr(offset, count).replace(/\|$/, ''));
+    }
+    return keys;
+}
+
+// --- Decompression ---
+function decodeTiffLzw(input, expectedSize) {
+    const output = new Uint8Array(expectedSize);
+    const prefix = new Int32Array(4096), suffix = new Uint8Array(4096), first = new Uint8Array(4096), length = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) { prefix[i] = -1; suffix[i] = i; first[i] = i; length[i] = 1; }
+    let written = 0, bitPosition = 0, width = 9, next = 258, previous = -1;
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < width; i++, bitPosition++) {
+            const byte = input[bitPosition >> 3];
+            if (byte === undefined) return 257;
+            code = (code << 1) | ((byte >> (7 - (bitPosition & 7))) & 1);
+        }
+        return code;
+    };
+    const writeEntry = code => {
+        const end = written + length[code];
+        for (let c = code, p = end - 1; c !== -1; c = prefix[c], p--) {
+            if (p < expectedSize) output[p] = suffix[c];
+        }
+        written = Math.min(end, expectedSize);
+    };
+    for (;;) {
+        const code = readCode();
+        if (code === 257 || written >= expectedSize) break; // End of information
+        if (code === 256) { // Clear
+            width = 9;
+            next = 258;
+            previous = -1;
+            continue;
+        }
+        if (previous === -1) {
+            writeEntry(code);
+        } else if (next < 4096) {
+            const known = code < next;
+            prefix[next] = previous;
+            suffix[next] = known ? first[code] : first[previous];
+            first[next] = first[previous];
+            length[next] = length[previous] + 1;
+            next++;
+            writeEntry(known ? code : next - 1);
+        } else {
+            writeEntry(code);
+        }
+        previous = code;
+        if (next + 1 >= (1 << width) && width < 12) width++; // TIFF switches one code early
+    }
+    return output;
+}
+
+function decodePackBits(input, expectedSize) {
+    const output = new Uint8Array(expectedSize);
+    let i = 0, written = 0;
+    while (i < input.length && written < expectedSize) {
+        const header = (input[i++] << 24) >> 24; // Signed byte
+        if (header >= 0) {
+            output.set(input.subarray(i, i + header + 1).subarray(0, expectedSize - written), written);
+            written += header + 1;
+            i += header + 1;
+        } else if (header !== -128) {
+            output.fill(input[i++], written, Math.min(written + 1 - header, expectedSize));
+            written += 1 - header;
+        }
+    }
+    return output;
+}
+
+async function decompressTiffBlock(bytes, compression, expectedSize) {
+    switch (compression) {
+        case 1: return bytes;
+        case 5: return decodeTiffLzw(bytes, expectedSize);
+        case 8:
+        case 32946: {
+            if (typeof DecompressionStream === 'undefined') throw new GeoTiffError('This browser cannot decompress Deflate GeoTIFFs.');
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        case 32773: return decodePackBits(bytes, expectedSize);
+        default: throw new GeoTiffError(`GeoTIFF compression ${compression} is not supported. Convert the file with e.g. "gdal_translate -co COMPRESS=DEFLATE".`);
+    }
+}
+
+// --- Samples ---
+function tiffSampleReader(format, bits) {
+    const key = `${format}/${bits}`;
+    const getters = { '1/8': 'getUint8', '1/16': 'getUint16', '1/32': 'getUint32', '2/8': 'getInt8', '2/16': 'getInt16', '2/32': 'getInt32', '3/32': 'getFloat32', '3/64': 'getFloat64' };
+    if (!getters[key]) throw new GeoTiffError(`GeoTIFF samples of ${bits} bits (format ${format}) are not supported.`);
+    return getters[key];
+}
+
+// Undo the horizontal predictor on integer samples, in place, for one block of rows
+function undoHorizontalPredictor(view, getter, setter, bytes, rowCount, rowSamples, stride, little) {
+    for (let row = 0; row < rowCount; row++) {
+        const rowStart = row * rowSamples * bytes;
+        for (let i = stride; i < rowSamples; i++) {
+            const at = rowStart + i * bytes, before = rowStart + (i - stride) * bytes;
+            view[setter](at, view[getter](at, little) + view[getter](before, little), little);
+        }
+    }
+}
+
+// Undo the floating point predictor: byte differences, then byte planes back into big-endian values
+function undoFloatPredictor(block, bytes, rowCount, rowSamples) {
+    const rowBytes = rowSamples * bytes;
+    const result = new Uint8Array(block.length);
+    for (let row = 0; row < rowCount; row++) {
+        const data = block.subarray(row * rowBytes, (row + 1) * rowBytes);
+        for (let i = 1; i < rowBytes; i++) data[i] = (data[i] + data[i - 1]) & 0xff;
+        for (let k = 0; k < rowSamples; k++) {
+            for (let b = 0; b < bytes; b++) result[row * rowBytes + k * bytes + b] = data[b * rowSamples + k];
+        }
+    }
+    return result;
+}
+
+// Decode the first band of a GeoTIFF into { width, height, data: Float32Array (NaN = no data),
+// geoKeys, noData, transform: { originX, originY, pixelWidth, pixelHeight } } where origin is the
+// outer corner of the first pixel in the units of the file's coordinate system. transform is null
+// for a plain TIFF, which needs a world file (.tfw) instead.
+async function decodeGeoTIFF(arrayBuffer, maxPixels = Infinity) {
+    const view = new DataView(arrayBuffer);
+    const { tags, little } = readTiffDirectory(view);
+    const value = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+
+    const width = value(TIFF_TAG.ImageWidth), height = value(TIFF_TAG.ImageLength);
+    if (!width || !height) throw new GeoTiffError('The GeoTIFF has no image size.');
+    if (width * height > maxPixels) throw new GeoTiffError(`The raster has ${width} x ${height} pixels, more than the ${Math.round(maxPixels / 1e6)} million that can be loaded. Crop or resample it first.`);
+    const bits = value(TIFF_TAG.BitsPerSample, 1);
+    const format = value(TIFF_TAG.SampleFormat, 1);
+    const samplesPerPixel = value(TIFF_TAG.SamplesPerPixel, 1);
+    const planar = value(TIFF_TAG.PlanarConfiguration, 1);
+    const compression = value(TIFF_TAG.Compression, 1);
+    const predictor = value(TIFF_TAG.Predictor, 1);
+    const getter = tiffSampleReader(format, bits);
+    const bytes = bits / 8;
+    const pixelSamples = planar === 1 ? samplesPerPixel : 1; // Samples interleaved in a block
+
+    const tiled = tags.has(TIFF_TAG.TileOffsets);
+    const blockWidth = tiled ? value(TIFF_TAG.TileWidth) : width;
+    const blockHeight = tiled ? value(TIFF_TAG.TileLength) : Math.min(value(TIFF_TAG.RowsPerStrip, height), height);
+    const offsets = tags.get(tiled ? TIFF_TAG.TileOffsets : TIFF_TAG.StripOffsets);
+    const byteCounts = tags.get(tiled ? TIFF_TAG.TileByteCounts : TIFF_TAG.StripByteCounts);
+    if (!offsets || !byteCounts) throw new GeoTiffError('The GeoTIFF has no image data.');
+    const blocksAcross = Math.ceil(width / blockWidth);
+    const blocksDown = Math.ceil(height / blockHeight);
+
+    const noDataText = tags.get(TIFF_TAG.GdalNoData);
+    const noData = noDataText !== undefined ? parseFloat(noDataText) : null;
+    const data = new Float32Array(width * height);
+    const rowSamples = blockWidth * pixelSamples;
+    const blockSize = rowSamples * blockHeight * bytes;
+
+    for (let index = 0; index < blocksAcross * blocksDown; index++) { // Band 1 only: the first plane when planar
+        const raw = new Uint8Array(arrayBuffer, offsets[index], byteCounts[index]);
+        let block = await decompressTiffBlock(raw, compression, blockSize);
+        if (block === raw) block = raw.slice(); // The predictors below work in place
+        const rowCount = Math.floor(block.length / (rowSamples * bytes));
+        if (predictor === 3) block = undoFloatPredictor(block, bytes, rowCount, rowSamples);
+        const blockView = new DataView(block.buffer, block.byteOffset, block.length);
+        const blockLittle = predictor === 3 ? false : little; // The float predictor leaves big-endian values
+        if (predictor === 2 && format !== 3) {
+            undoHorizontalPredictor(blockView, getter, getter.replace('get', 'set'), bytes, rowCount, rowSamples, pixelSamples, little);
+        }
+
+        const startX = (index % blocksAcross) * blockWidth, startY = Math.floor(index / blocksAcross) * blockHeight;
+        for (let y = 0; y < blockHeight && startY + y < height && y < rowCount; y++) {
+            for (let x = 0; x < blockWidth && startX + x < width; x++) {
+                const sample = blockView[getter]((y * rowSamples + x * pixelSamples) * bytes, blockLittle);
+                data[(startY + y) * width + startX + x] = sample === noData ? NaN : sample;
+            }
+        }
+    }
+
+    const geoKeys = readGeoKeys(tags);
+    return { width, height, data, geoKeys, noData, transform: geoTiffTransform(tags, geoKeys) };
+}
+
+// Pixel grid of the raster from ModelTransformation, or from a tie point and the pixel scale
+// (null when there is neither)
+function geoTiffTransform(tags, geoKeys) {
+    let transform;
+    const matrix = tags.get(TIFF_TAG.ModelTransformation);
+    if (matrix) {
+        if (matrix[1] !== 0 || matrix[4] !== 0) throw new GeoTiffError('Rotated GeoTIFF rasters are not supported. Warp the file to a north-up grid first.');
+        transform = { originX: matrix[3], originY: matrix[7], pixelWidth: matrix[0], pixelHeight: matrix[5] };
+    } else {
+        const tiepoint = tags.get(TIFF_TAG.ModelTiepoint);
+        const scale = tags.get(TIFF_TAG.ModelPixelScale);
+        if (!tiepoint || !scale) return null;
+        const [i, j, , x, y] = tiepoint;
+        transform = { originX: x - i * scale[0], originY: y + j * scale[1], pixelWidth: scale[0], pixelHeight: -scale[1] };
+    }
+    if (geoKeys.get(GEOKEY.GTRasterType) === 2) { // PixelIsPoint: coordinates refer to pixel centers
+        transform.originX -= transform.pixelWidth / 2;
+        transform.originY -= transform.pixelHeight / 2;
+    }
+    return transform;
+}
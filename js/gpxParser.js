@@ -0,0 +1,181 @@
+// --- GPX Parser ---
+// Parses GPX 1.0/1.1 into a structured document instead of a flat point list:
+//
+// {
+//   metadata:  { name, desc, author, time, creator, version },
+//   tracks:    [{ name, desc, type, segments: [{ points: [Point] }] }],
+//   routes:    [{ name, desc, type, points: [Point] }],
+//   waypoints: [Point & { name, desc, cmt, sym, type }],
+//   diagnostics: [{ level: 'warning', message }]
+// }
+//
+// Point: { lat, lon, ele (meters or null), time (Date or null),
+//          hr, cad, temp, power, speed (only when present),
+//          extra: { otherExtensionName: { namespace (URI or null), value } } }
+//
+// Namespaces are matched by local name, so Garmin TrackPointExtension v1/v2, Strava
+// and other vendor prefixes are all read the same way.
+
+class GPXParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GPXParseError';
+    }
+}
+
+// Extension element local names mapped to the point field they fill
+const GPX_SENSOR_FIELDS = {
+    hr: 'hr', heartrate: 'hr',
+    cad: 'cad', cadence: 'cad',
+    atemp: 'temp', temp: 'temp', temperature: 'temp',
+    power: 'power', PowerInWatts: 'power', watts: 'power',
+    speed: 'speed',
+};
+
+// Direct child element by local name (ignores nested matches, e.g. inside <extensions>)
+function gpxChild(element, localName) {
+    for (const child of element.children) {
+        if (child.localName === localName) return child;
+    }
+    return null;
+}
+
+function gpxChildren(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+function gpxChildText(element, localName) {
+    const child = gpxChild(element, localName);
+    return child ? child.textContent.trim() : null;
+}
+
+function parseGPXTime(text, diagnostics, context) {
+    if (!text) return null;
+    const time = new Date(text);
+    if (isNaN(time.getTime())) {
+        diagnostics.push({ level: 'warning', message: `${context}: unreadable <time> "${text}", ignored.` });
+        return null;
+    }
+    return time;
+}
+
+// Collect leaf values from <extensions>, however deeply vendors nest them
+function parseGPXExtensions(extensionsEl, point) {
+    const leaves = Array.from(extensionsEl.getElementsByTagName('*')).filter(el => el.children.length === 0);
+    for (const leaf of leaves) {
+        const text = leaf.textContent.trim();
+        if (text === '') continue;
+        const value = isNaN(Number(text)) ? text : Number(text);
+        const field = GPX_SENSOR_FIELDS[leaf.localName];
+        if (field) {
+            point[field] = value;
+        } else {
+            if (!point.extra) point.extra = {};
+            point.extra[leaf.localName] = { namespace: leaf.namespaceURI, value };
+        }
+    }
+}
+
+// Parse a <trkpt>, <rtept> or <wpt>. Returns null (with a diagnostic) when lat/lon are unusable.
+function parseGPXPoint(element, diagnostics, context) {
+    const lat = parseFloat(element.getAttribute('lat'));
+    const lon = parseFloat(element.getAttribute('lon'));
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        diagnostics.push({
+            level: 'warning',
+            message: `${context}: invalid coordinates lat="${element.getAttribute('lat')}" lon="${element.getAttribute('lon')}", point skipped.`,
+        });
+        return null;
+    }
+
+    const eleText = gpxChildText(element, 'ele');
+    let ele = eleText !== null ? parseFloat(eleText) : null;
+    if (ele !== null && !isFinite(ele)) {
+        diagnostics.push({ level: 'warning', message: `${context}: unreadable <ele> "${eleText}", ignored.` });
+        ele = null;
+    }
+
+    const point = { lat, lon, ele, time: parseGPXTime(gpxChildText(element, 'time'), diagnostics, context) };
+    const extensionsEl = gpxChild(element, 'extensions');
+    if (extensionsEl) parseGPXExtensions(extensionsEl, point);
+    return point;
+}
+
+function parseGPXPointList(elements, diagnostics, context) {
+    const points = [];
+    elements.forEach((el, i) => {
+        const point = parseGPXPoint(el, diagnostics, `${context}, point ${i + 1}`);
+        if (point) points.push(point);
+    });
+    return points;
+}
+
+function parseGPXDocument(gpxString) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(gpxString, "text/xml");
+
+    // DOMParser never throws; malformed XML yields a <parsererror> document instead
+    const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        const detail = parserError.textContent.replace(/\s+/g, ' ').trim();
+        throw new GPXParseError(`The file is not well-formed XML: ${detail}`);
+    }
+    const root = xmlDoc.documentElement;
+    if (!root || root.localName !== 'gpx') {
+        throw new GPXParseError(`Expected a <gpx> root element but found <${root ? root.localName : 'nothing'}>.`);
+    }
+
+    const diagnostics = [];
+    const metadataEl = gpxChild(root, 'metadata') || root; // GPX 1.0 keeps name/desc/time on the root
+    const authorEl = gpxChild(metadataEl, 'author');
+    const metadata = {
+        name: gpxChildText(metadataEl, 'name'),
+        desc: gpxChildText(metadataEl, 'desc'),
+        author: authorEl ? (gpxChildText(authorEl, 'name') || authorEl.textContent.trim()) : null,
+        time: parseGPXTime(gpxChildText(metadataEl, 'time'), diagnostics, 'metadata'),
+        creator: root.getAttribute('creator'),
+        version: root.getAttribute('version'),
+    };
+
+    const tracks = gpxChildren(root, 'trk').map((trkEl, t) => {
+        const name = gpxChildText(trkEl, 'name');
+        const label = `Track ${t + 1}${name ? ` "${name}"` : ''}`;
+        const segments = gpxChildren(trkEl, 'trkseg').map((segEl, s) => ({
+            points: parseGPXPointList(gpxChildren(segEl, 'trkpt'), diagnostics, `${label}, segment ${s + 1}`),
+        })).filter(segment => segment.points.length > 0);
+        return { name, desc: gpxChildText(trkEl, 'desc'), type: gpxChildText(trkEl, 'type'), segments };
+    });
+
+    const routes = gpxChildren(root, 'rte').map((rteEl, r) => {
+        const name = gpxChildText(rteEl, 'name');
+        return {
+            name,
+            desc: gpxChildText(rteEl, 'desc'),
+            type: gpxChildText(rteEl, 'type'),
+            points: parseGPXPointList(gpxChildren(rteEl, 'rtept'), diagnostics, `Route ${r + 1}${name ? ` "${name}"` : ''}`),
+        };
+    }).filter(route => route.points.length > 0);
+
+    const waypoints = [];
+    gpxChildren(root, 'wpt').forEach((wptEl, i) => {
+        const point = parseGPXPoint(wptEl, diagnostics, `Waypoint ${i + 1}`);
+        if (!point) return;
+        ['name', 'desc', 'cmt', 'sym', 'type'].forEach(field => { point[field] = gpxChildText(wptEl, field); });
+        waypoints.push(point);
+    });
+
+    if (tracks.length === 0 && routes.length === 0 && waypoints.length === 0) {
+        diagnostics.push({ level: 'warning', message: 'The GPX file contains no tracks, routes or waypoints.' });
+    }
+
+    return { metadata, tracks, routes, waypoints, diagnostics };
+}
+
+// The polylines to draw: every track segment, then every route. Segments stay separate
+// so gaps (e.g. paused recordings) are not bridged with straight lines.
+function getDocumentSegments(gpxDoc) {
+    const segments = [];
+    gpxDoc.tracks.forEach(track => track.segments.forEach(segment => segments.push(segment.points)));
+    gpxDoc.routes.forEach(route => segments.push(route.points));
+    return segments;
+}
@@ -0,0 +1,102 @@
+// --- GPX Writer ---
+// Serializes a document in the shape returned by parseGPXDocument (and by every importer in
+// js/importers.js) back to GPX 1.1. GPX 1.1 only allows elements of other namespaces inside
+// <extensions>, so nothing is written there unprefixed: heart rate, cadence and temperature go in
+// Garmin TrackPointExtension v1 (which most apps read), speed in TrackPointExtension v2, power as
+// Garmin PowerExtension PowerInWatts, and other vendor values (point.extra) in the namespace they
+// were read from, or in this app's own namespace when they came without one (FIT, TCX).
+// Points inserted for draping (interpolated: true) are not part of the document and are never written.
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GPX_TPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v1';
+const GPX_TPX2_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+const GPX_POWER_NAMESPACE = 'http://www.garmin.com/xmlschemas/PowerExtension/v1';
+const GPX_VISUALIZER_NAMESPACE = 'urn:gpx-3d-visualizer:extensions:1';
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function gpxTextElements(item, fields, indent) {
+    return fields
+        .filter(field => item[field] !== null && item[field] !== undefined && item[field] !== '')
+        .map(field => `${indent}<${field}>${escapeXML(item[field])}</${field}>\n`)
+        .join('');
+}
+
+// Namespace an extra value is written in; values from the GPX namespace itself or from none need another one
+function gpxExtraNamespace(extra) {
+    return extra.namespace && extra.namespace !== GPX_NAMESPACE ? extra.namespace : GPX_VISUALIZER_NAMESPACE;
+}
+
+// extraPrefixes: namespace URI -> prefix declared on the <gpx> element
+function serializeGPXPoint(point, tag, indent, extraPrefixes) {
+    let xml = `${indent}<${tag} lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}">\n`;
+    const inner = indent + '  ';
+    if (point.ele !== null && point.ele !== undefined) xml += `${inner}<ele>${point.ele.toFixed(2)}</ele>\n`;
+    if (point.time) xml += `${inner}<time>${point.time.toISOString()}</time>\n`;
+    if (tag === 'wpt') xml += gpxTextElements(point, ['name', 'cmt', 'desc', 'sym', 'type'], inner);
+
+    // In the order of the TrackPointExtension v1 schema; hr and cad are whole numbers there
+    const sensors = [['temp', 'atemp', 1], ['hr', 'hr', 0], ['cad', 'cad', 0]]
+        .filter(([field]) => typeof point[field] === 'number')
+        .map(([field, element, decimals]) => `<gpxtpx:${element}>${Number(point[field].toFixed(decimals))}</gpxtpx:${element}>`);
+    const extensions = [];
+    if (sensors.length) extensions.push(`<gpxtpx:TrackPointExtension>${sensors.join('')}</gpxtpx:TrackPointExtension>`);
+    if (typeof point.speed === 'number') extensions.push(`<gpxtpx2:TrackPointExtension><gpxtpx2:speed>${point.speed}</gpxtpx2:speed></gpxtpx2:TrackPointExtension>`);
+    if (typeof point.power === 'number') extensions.push(`<pwr:PowerInWatts>${Math.round(point.power)}</pwr:PowerInWatts>`);
+    Object.entries(point.extra || {}).forEach(([name, extra]) => {
+        const element = `${extraPrefixes.get(gpxExtraNamespace(extra))}:${name}`;
+        extensions.push(`<${element}>${escapeXML(extra.value)}</${element}>`);
+    });
+    if (extensions.length) {
+        xml += `${inner}<extensions>\n`;
+        extensions.forEach(extension => { xml += `${inner}  ${extension}\n`; });
+        xml += `${inner}</extensions>\n`;
+    }
+    return xml + `${indent}</${tag}>\n`;
+}
+
+function gpxDocumentPoints(gpxDoc) {
+    return [
+        ...(gpxDoc.waypoints || []),
+        ...(gpxDoc.routes || []).flatMap(route => route.points),
+        ...(gpxDoc.tracks || []).flatMap(track => track.segments.flatMap(segment => segment.points)),
+    ];
+}
+
+// gpxDoc: { metadata, tracks, routes, waypoints }. Returns the GPX file as a string.
+function serializeGPX(gpxDoc) {
+    const metadata = gpxDoc.metadata || {};
+    const extraPrefixes = new Map(); // Vendor namespaces of point.extra values, declared once on <gpx>
+    gpxDocumentPoints(gpxDoc).forEach(point => Object.values(point.extra || {}).forEach(extra => {
+        const namespace = gpxExtraNamespace(extra);
+        if (!extraPrefixes.has(namespace)) extraPrefixes.set(namespace, `ext${extraPrefixes.size + 1}`);
+    }));
+    const extraDeclarations = Array.from(extraPrefixes, ([namespace, prefix]) => ` xmlns:${prefix}="${escapeXML(namespace)}"`).join('');
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<gpx version="1.1" creator="GPX 3D Visualizer" xmlns="${GPX_NAMESPACE}" xmlns:gpxtpx="${GPX_TPX_NAMESPACE}"` +
+        ` xmlns:gpxtpx2="${GPX_TPX2_NAMESPACE}" xmlns:pwr="${GPX_POWER_NAMESPACE}"${extraDeclarations}>\n`;
+
+    const metadataXML = gpxTextElements(metadata, ['name', 'desc'], '    ') +
+        (metadata.author ? `    <author><name>${escapeXML(metadata.author)}</name></author>\n` : '') +
+        (metadata.time ? `    <time>${metadata.time.toISOString()}</time>\n` : '');
+    if (metadataXML) xml += `  <metadata>\n${metadataXML}  </metadata>\n`;
+
+    (gpxDoc.waypoints || []).forEach(point => { xml += serializeGPXPoint(point, 'wpt', '  ', extraPrefixes); });
+    (gpxDoc.routes || []).forEach(route => {
+        xml += '  <rte>\n' + gpxTextElements(route, ['name', 'desc', 'type'], '    ');
+        route.points.forEach(point => { xml += serializeGPXPoint(point, 'rtept', '    ', extraPrefixes); });
+        xml += '  </rte>\n';
+    });
+    (gpxDoc.tracks || []).forEach(track => {
+        xml += '  <trk>\n' + gpxTextElements(track, ['name', 'desc', 'type'], '    ');
+        track.segments.forEach(segment => {
+            xml += '    <trkseg>\n';
+            segment.points.forEach(point => { xml += serializeGPXPoint(point, 'trkpt', '      ', extraPrefixes); });
+            xml += '    </trkseg>\n';
+        });
+        xml += '  </trk>\n';
+    });
+    return xml + '</gpx>\n';
+}
@@ -0,0 +1,115 @@
+// --- Activity Heatmap ---
+// Density of the selected library activities (js/activityLibrary.js), drawn into the terrain
+// textures over the map tiles. Each activity is stroked once into a density canvas with additive
+// blending, so a pixel counts how many activities pass it (an activity crossing itself counts
+// once). Counts are colored on a log scale up to the number of activities shown, which keeps
+// chunks of every zoom level on the same scale.
+
+const HEATMAP_LINE_WIDTH_PX = 3;  // Per 256 texture pixels
+const HEATMAP_PALETTE = 'heat';   // From TRACK_COLOR_PALETTES (js/trackRenderer.js)
+const HEATMAP_MAX_COUNT = 255;    // One density step per activity in an 8-bit channel
+
+let heatmap = null; // { activities: [{ bounds, lines (Float64Array of Web Mercator x, y in 0..1) }], opacity, colors }
+
+// Web Mercator position of a point, with the world spanning 0..1
+function heatmapMercator(lat, lon) {
+    const latRad = lat * Math.PI / 180;
+    return {
+        x: (lon + 180) / 360,
+        y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2,
+    };
+}
+
+// RGBA per density count, transparent for 0
+function buildHeatmapColors(activityCount) {
+    const colors = new Uint8ClampedArray((HEATMAP_MAX_COUNT + 1) * 4);
+    const top = Math.log(1 + Math.max(Math.min(activityCount, HEATMAP_MAX_COUNT), 2));
+    const color = new THREE.Color();
+    for (let count = 1; count <= HEATMAP_MAX_COUNT; count++) {
+        const t = Math.min(Math.log(1 + count) / top, 1);
+        paletteColor(HEATMAP_PALETTE, t, color);
+        colors.set([color.r * 255, color.g * 255, color.b * 255, (0.55 + 0.45 * t) * 255], count * 4);
+    }
+    return colors;
+}
+
+// Show the heatmap of some library records (null or [] removes it) and redraw the terrain textures
+function setHeatmapActivities(records, opacity = 1) {
+    heatmap = records && records.length ? {
+        activities: records.map(record => ({
+            bounds: record.bounds,
+            lines: record.lines.map(line => {
+                const mercator = new Float64Array(line.length);
+                for (let i = 0; i < line.length; i += 2) {
+                    const { x, y } = heatmapMercator(line[i], line[i + 1]);
+                    mercator[i] = x;
+                    mercator[i + 1] = y;
+                }
+                return mercator;
+            }),
+        })),
+        opacity,
+        colors: buildHeatmapColors(records.length),
+    } : null;
+    refreshTerrainTextures();
+}
+
+function setHeatmapOpacity(opacity) {
+    if (!heatmap) return;
+    heatmap.opacity = opacity;
+    refreshTerrainTextures();
+}
+
+// Terrain texture overlay, see addTerrainTextureOverlay in js/terrainChunks.js
+function drawHeatmapOverlay(ctx, area) {
+    if (!heatmap) return;
+    const n = Math.pow(2, area.zoom);
+    const lineWidth = HEATMAP_LINE_WIDTH_PX * area.tileWidth / 256;
+    // Area covered by the canvas, padded by the line width so strokes crossing the edge are drawn
+    const padX = lineWidth / area.tileWidth, padY = lineWidth / area.tileHeight;
+    const west = (area.minTileX - padX) / n * 360 - 180;
+    const east = (area.minTileX + area.width / area.tileWidth + padX) / n * 360 - 180;
+    const north = tileYToLat(area.minTileY - padY, area.zoom);
+    const south = tileYToLat(area.minTileY + area.height / area.tileHeight + padY, area.zoom);
+    const visible = heatmap.activities.filter(({ bounds }) =>
+        bounds.maxLon >= west && bounds.minLon <= east && bounds.maxLat >= south && bounds.minLat <= north);
+    if (visible.length === 0) return;
+
+    const density = document.createElement('canvas');
+    density.width = area.width;
+    density.height = area.height;
+    const densityCtx = density.getContext('2d');
+    densityCtx.globalCompositeOperation = 'lighter'; // Adds one step per activity
+    densityCtx.strokeStyle = 'rgb(1, 1, 1)';
+    densityCtx.lineWidth = lineWidth;
+    densityCtx.lineCap = 'round';
+    densityCtx.lineJoin = 'round';
+    visible.forEach(activity => {
+        densityCtx.beginPath();
+        activity.lines.forEach(line => {
+            for (let i = 0; i < line.length; i += 2) {
+                const x = (line[i] * n - area.minTileX) * area.tileWidth;
+                const y = (line[i + 1] * n - area.minTileY) * area.tileHeight;
+                if (i === 0) densityCtx.moveTo(x, y);
+                else densityCtx.lineTo(x, y);
+            }
+        });
+        densityCtx.stroke(); // One stroke per activity, so its own overlaps are not counted twice
+    });
+
+    const image = densityCtx.getImageData(0, 0, density.width, density.height);
+    const pixels = image.data;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const k = (pixels[i + 3] === 0 ? 0 : pixels[i]) * 4;
+        pixels[i] = heatmap.colors[k];
+        pixels[i + 1] = heatmap.colors[k + 1];
+        pixels[i + 2] = heatmap.colors[k + 2];
+        pixels[i + 3] = heatmap.colors[k + 3];
+    }
+    densityCtx.putImageData(image, 0, 0); // Replaces the pixels, whatever the composite operation
+
+    ctx.globalAlpha = heatmap.opacity;
+    ctx.drawImage(density, 0, 0);
+}
+
+addTerrainTextureOverlay(drawHeatmapOverlay);
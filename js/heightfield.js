@@ -0,0 +1,189 @@
+// --- Heightfield ---
+// Terrain tiles are decoded once into Float32Array height grids (meters) and indexed by
+// tile x/y, so elevation lookups are O(1) instead of drawing a tile to a canvas per sample.
+// This file is also loaded by js/terrainWorker.js, so everything except decodeTerrainTile
+// and runTerrainJob must stay free of DOM access.
+
+function createHeightfield(zoom, tileSize) {
+    return { zoom, tileSize, tiles: new Map() }; // tiles: "x_y" -> Float32Array(tileSize * tileSize)
+}
+
+function heightfieldAddTile(heightfield, tileX, tileY, heights) {
+    heightfield.tiles.set(`${tileX}_${tileY}`, heights);
+}
+
+// Decode every pixel of a terrain tile with the provider's decoder (main thread only)
+function decodeTerrainTile(imageBitmap, decode) {
+    const width = imageBitmap.width;
+    const height = imageBitmap.height;
+    const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(imageBitmap, 0, 0);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    const heights = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < heights.length; i++, p += 4) {
+        heights[i] = decode(pixels[p], pixels[p + 1], pixels[p + 2]);
+    }
+    return heights;
+}
+
+// Height grid of a descendant tile `levels` zoom levels below a tile, cut from the tile's own grid
+// and bilinearly resized to the full tile size. offsetX/offsetY: position of the descendant among
+// the 2^levels x 2^levels tiles covering the parent. Used to fill tiles that could not be downloaded.
+function upsampleTileHeights(heights, tileSize, levels, offsetX, offsetY) {
+    const scale = 1 / Math.pow(2, levels);
+    const clamp = value => Math.min(Math.max(value, 0), tileSize - 1);
+    const pixel = (x, y) => heights[clamp(y) * tileSize + clamp(x)];
+    const result = new Float32Array(tileSize * tileSize);
+    for (let j = 0; j < tileSize; j++) {
+        // Pixel centers of the descendant in the parent's pixel space
+        const py = (offsetY * tileSize + j + 0.5) * scale - 0.5;
+        const y0 = Math.floor(py), fy = py - y0;
+        for (let i = 0; i < tileSize; i++) {
+            const px = (offsetX * tileSize + i + 0.5) * scale - 0.5;
+            const x0 = Math.floor(px), fx = px - x0;
+            result[j * tileSize + i] =
+                (pixel(x0, y0) * (1 - fx) + pixel(x0 + 1, y0) * fx) * (1 - fy) +
+                (pixel(x0, y0 + 1) * (1 - fx) + pixel(x0 + 1, y0 + 1) * fx) * fy;
+        }
+    }
+    return result;
+}
+
+// Height of one global pixel (in the zoom level's pixel space), or null if its tile is missing
+function heightfieldPixel(heightfield, globalX, globalY) {
+    const size = heightfield.tileSize;
+    const tileX = Math.floor(globalX / size);
+    const tileY = Math.floor(globalY / size);
+    const heights = heightfield.tiles.get(`${tileX}_${tileY}`);
+    if (!heights) return null;
+    return heights[(globalY - tileY * size) * size + (globalX - tileX * size)];
+}
+
+// Bilinear-interpolated elevation in meters, or null when no loaded tile covers the location
+function sampleElevation(heightfield, lat, lon) {
+    const worldPixels = Math.pow(2, heightfield.zoom) * heightfield.tileSize;
+    const latRad = lat * Math.PI / 180;
+    // Web Mercator pixel coordinates, shifted so integer values are pixel centers
+    const px = (lon + 180) / 360 * worldPixels - 0.5;
+    const py = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * worldPixels - 0.5;
+
+    const x0 = Math.floor(px), y0 = Math.floor(py);
+    const fx = px - x0, fy = py - y0;
+    const clampY = y => Math.min(Math.max(y, 0), worldPixels - 1);
+    const wrapX = x => ((x % worldPixels) + worldPixels) % worldPixels;
+
+    const corners = [
+        { h: heightfieldPixel(heightfield, wrapX(x0), clampY(y0)), w: (1 - fx) * (1 - fy) },
+        { h: heightfieldPixel(heightfield, wrapX(x0 + 1), clampY(y0)), w: fx * (1 - fy) },
+        { h: heightfieldPixel(heightfield, wrapX(x0), clampY(y0 + 1)), w: (1 - fx) * fy },
+        { h: heightfieldPixel(heightfield, wrapX(x0 + 1), clampY(y0 + 1)), w: fx * fy },
+    ];
+    // At the edge of the loaded area some neighbors are missing: renormalize over the rest
+    let sum = 0, weight = 0;
+    for (const corner of corners) {
+        if (corner.h === null) continue;
+        sum += corner.h * corner.w;
+        weight += corner.w;
+    }
+    if (weight > 0) return sum / weight;
+    const nearest = corners.find(corner => corner.h !== null);
+    return nearest ? nearest.h : null;
+}
+
+// --- Mesh and Track Sampling (shared by the worker and the main-thread fallback) ---
+// World <-> lat/lon conversions come from js/projection.js
+
+const TERRAIN_JOB_PROGRESS_STEP = 2048; // Report progress every N samples
+
+// job: { zoom, tileSize, tiles: [{ x, y, heights }], projection (createLocalProjection), zScale,
+//        trackOffset (world units), vertexPositions: Float32Array (x,y,z per vertex), trackSegments: [Float64Array(lat, lon, ...)] }
+// Returns { vertexHeights: Float32Array, trackPositions: [Float32Array(x, y, z, ...)],
+//           trackElevations: [Float32Array(meters per point, NaN where no tile covers it)] }
+function computeTerrainJob(job, onProgress) {
+    const heightfield = createHeightfield(job.zoom, job.tileSize);
+    job.tiles.forEach(tile => heightfieldAddTile(heightfield, tile.x, tile.y, tile.heights));
+
+    const vertexCount = job.vertexPositions.length / 3;
+    const trackPointCount = job.trackSegments.reduce((sum, segment) => sum + segment.length / 2, 0);
+    const total = vertexCount + trackPointCount;
+    let done = 0;
+    const tick = phase => {
+        done++;
+        if (done % TERRAIN_JOB_PROGRESS_STEP === 0 && onProgress) onProgress({ phase, done, total });
+    };
+
+    const vertexHeights = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        const { lat, lon } = unprojectFromWorld(job.projection, job.vertexPositions[i * 3], job.vertexPositions[i * 3 + 2]);
+        const elevation = sampleElevation(heightfield, lat, lon);
+        vertexHeights[i] = elevationToWorldY(job.projection, elevation !== null ? elevation : 0, job.zScale);
+        tick('mesh');
+    }
+
+    // Track points sit at the DEM elevation, or at the recorded one where trackFileElevations has it
+    const trackElevations = [];
+    const trackPositions = job.trackSegments.map((segment, segmentIndex) => {
+        const fileElevations = job.trackFileElevations ? job.trackFileElevations[segmentIndex] : null;
+        const positions = new Float32Array(segment.length / 2 * 3);
+        const elevations = new Float32Array(segment.length / 2);
+        trackElevations.push(elevations);
+        for (let i = 0; i < segment.length / 2; i++) {
+            const lat = segment[i * 2], lon = segment[i * 2 + 1];
+            const { x, z } = projectToWorld(job.projection, lat, lon);
+            const elevation = sampleElevation(heightfield, lat, lon);
+            elevations[i] = elevation !== null ? elevation : NaN;
+            const placed = fileElevations && !Number.isNaN(fileElevations[i]) ? fileElevations[i] : (elevation !== null ? elevation : 0);
+            positions[i * 3] = x;
+            positions[i * 3 + 1] = elevationToWorldY(job.projection, placed, job.zScale) + job.trackOffset;
+            positions[i * 3 + 2] = z;
+            tick('track');
+        }
+        return positions;
+    });
+
+    if (onProgress) onProgress({ phase: 'done', done: total, total });
+    return { vertexHeights, trackPositions, trackElevations };
+}
+
+// Run computeTerrainJob in a Web Worker so the UI stays responsive. Browsers refuse workers
+// for pages opened from file://, in which case the job runs on the main thread instead.
+function runTerrainJob(job, onProgress) {
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker('js/terrainWorker.js');
+        } catch (error) {
+            console.warn("Terrain worker unavailable, computing on the main thread:", error);
+            resolve(computeTerrainJob(job, onProgress));
+            return;
+        }
+        worker.onmessage = event => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === 'result') {
+                worker.terminate();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = event => {
+            // Script load failures (e.g. file://) surface here before any message arrives
+            event.preventDefault();
+            worker.terminate();
+            console.warn("Terrain worker failed, computing on the main thread:", event.message);
+            try {
+                resolve(computeTerrainJob(job, onProgress));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        worker.postMessage(job);
+    });
+}
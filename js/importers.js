@@ -0,0 +1,286 @@
+// --- Activity Importers ---
+// Detects the activity file format and normalizes GPX, TCX, FIT, KML/KMZ and GeoJSON
+// into the document shape produced by parseGPXDocument (js/gpxParser.js), so everything
+// downstream only deals with one structure.
+
+class ActivityImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ActivityImportError';
+    }
+}
+
+const ACTIVITY_FILE_EXTENSIONS = ['.gpx', '.tcx', '.fit', '.kml', '.kmz', '.geojson', '.json'];
+
+function emptyActivityDocument() {
+    return {
+        metadata: { name: null, desc: null, author: null, time: null, creator: null, version: null },
+        tracks: [],
+        routes: [],
+        waypoints: [],
+        diagnostics: [],
+    };
+}
+
+// Sniff the content first and fall back to the file extension
+function detectActivityFormat(fileName, bytes) {
+    if (bytes.length >= 12 && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT') return 'fit';
+    if (bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) return 'kmz';
+
+    const head = new TextDecoder().decode(bytes.subarray(0, 2048)).replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('{')) return 'geojson';
+    if (head.startsWith('<')) {
+        if (/<gpx[\s>]/.test(head)) return 'gpx';
+        if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+        if (/<kml[\s>]/.test(head)) return 'kml';
+    }
+
+    const extension = fileName.toLowerCase().slice(fileName.lastIndexOf('.'));
+    return { '.gpx': 'gpx', '.tcx': 'tcx', '.fit': 'fit', '.kml': 'kml', '.kmz': 'kmz', '.geojson': 'geojson', '.json': 'geojson' }[extension] || null;
+}
+
+function parseXMLDocument(text, formatName) {
+    const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+    const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        throw new ActivityImportError(`The ${formatName} file is not well-formed XML: ${parserError.textContent.replace(/\s+/g, ' ').trim()}`);
+    }
+    return xmlDoc;
+}
+
+// Namespace-agnostic descendant lookup
+function xmlDescendants(element, localName) {
+    return Array.from(element.getElementsByTagNameNS('*', localName));
+}
+
+function numberOrNull(text) {
+    if (text === null || text === undefined || text === '') return null;
+    const value = parseFloat(text);
+    return isFinite(value) ? value : null;
+}
+
+function dateOrNull(text) {
+    if (!text) return null;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// --- TCX (Garmin Training Center) ---
+function parseTCXTrackpoint(tpEl) {
+    const positionEl = gpxChild(tpEl, 'Position');
+    if (!positionEl) return null; // Indoor/paused trackpoints carry no position
+    const lat = numberOrNull(gpxChildText(positionEl, 'LatitudeDegrees'));
+    const lon = numberOrNull(gpxChildText(positionEl, 'LongitudeDegrees'));
+    if (lat === null || lon === null) return null;
+
+    const point = {
+        lat,
+        lon,
+        ele: numberOrNull(gpxChildText(tpEl, 'AltitudeMeters')),
+        time: dateOrNull(gpxChildText(tpEl, 'Time')),
+    };
+    const hrEl = gpxChild(tpEl, 'HeartRateBpm');
+    if (hrEl && numberOrNull(gpxChildText(hrEl, 'Value')) !== null) point.hr = numberOrNull(gpxChildText(hrEl, 'Value'));
+    if (numberOrNull(gpxChildText(tpEl, 'Cadence')) !== null) point.cad = numberOrNull(gpxChildText(tpEl, 'Cadence'));
+    const distance = numberOrNull(gpxChildText(tpEl, 'DistanceMeters'));
+    if (distance !== null) point.extra = { distance: { namespace: null, value: distance } };
+
+    // Activity Extension v2: <TPX><Speed/><Watts/><RunCadence/></TPX>
+    const tpxEl = xmlDescendants(tpEl, 'TPX')[0];
+    if (tpxEl) {
+        const speed = numberOrNull(gpxChildText(tpxEl, 'Speed'));
+        const watts = numberOrNull(gpxChildText(tpxEl, 'Watts'));
+        const runCadence = numberOrNull(gpxChildText(tpxEl, 'RunCadence'));
+        if (speed !== null) point.speed = speed;
+        if (watts !== null) point.power = watts;
+        if (runCadence !== null && point.cad === undefined) point.cad = runCadence;
+    }
+    return point;
+}
+
+function parseTCX(text) {
+    const xmlDoc = parseXMLDocument(text, 'TCX');
+    const doc = emptyActivityDocument();
+    let skipped = 0;
+
+    const toSegments = trackEls => trackEls.map(trackEl => {
+        const points = [];
+        gpxChildren(trackEl, 'Trackpoint').forEach(tpEl => {
+            const point = parseTCXTrackpoint(tpEl);
+            if (point) points.push(point); else skipped++;
+        });
+        return { points };
+    }).filter(segment => segment.points.length > 0);
+
+    // Activities: one track per activity, one segment per <Track> inside its laps
+    xmlDescendants(xmlDoc, 'Activity').forEach(activityEl => {
+        const trackEls = [];
+        gpxChildren(activityEl, 'Lap').forEach(lapEl => trackEls.push(...gpxChildren(lapEl, 'Track')));
+        const segments = toSegments(trackEls);
+        if (segments.length > 0) {
+            doc.tracks.push({ name: gpxChildText(activityEl, 'Id'), desc: gpxChildText(activityEl, 'Notes'), type: activityEl.getAttribute('Sport'), segments });
+        }
+    });
+
+    // Courses: planned routes with course points
+    xmlDescendants(xmlDoc, 'Course').forEach(courseEl => {
+        const segments = toSegments(gpxChildren(courseEl, 'Track'));
+        if (segments.length > 0) {
+            doc.tracks.push({ name: gpxChildText(courseEl, 'Name'), desc: gpxChildText(courseEl, 'Notes'), type: 'course', segments });
+        }
+        gpxChildren(courseEl, 'CoursePoint').forEach(cpEl => {
+            const positionEl = gpxChild(cpEl, 'Position');
+            const lat = positionEl ? numberOrNull(gpxChildText(positionEl, 'LatitudeDegrees')) : null;
+            const lon = positionEl ? numberOrNull(gpxChildText(positionEl, 'LongitudeDegrees')) : null;
+            if (lat === null || lon === null) return;
+            doc.waypoints.push({
+                lat,
+                lon,
+                ele: numberOrNull(gpxChildText(cpEl, 'AltitudeMeters')),
+                time: dateOrNull(gpxChildText(cpEl, 'Time')),
+                name: gpxChildText(cpEl, 'Name'),
+                desc: gpxChildText(cpEl, 'Notes'),
+                cmt: null,
+                sym: null,
+                type: gpxChildText(cpEl, 'PointType'),
+            });
+        });
+    });
+
+    if (skipped > 0) doc.diagnostics.push({ level: 'warning', message: `${skipped} TCX trackpoints without a position were skipped.` });
+    const creatorEl = xmlDescendants(xmlDoc, 'Creator')[0];
+    if (creatorEl) doc.metadata.creator = gpxChildText(creatorEl, 'Name');
+    return doc;
+}
+
+// --- KML / KMZ ---
+// "lon,lat[,alt] lon,lat[,alt] ..." as used by <coordinates>
+function parseKMLCoordinates(text) {
+    return text.trim().split(/\s+/).map(tuple => {
+        const [lon, lat, ele] = tuple.split(',').map(Number);
+        return { lat, lon, ele: isFinite(ele) ? ele : null, time: null };
+    }).filter(point => isFinite(point.lat) && isFinite(point.lon));
+}
+
+// <gx:Track> pairs <when> timestamps with "lon lat alt" <gx:coord> entries
+function parseKMLGxTrack(trackEl) {
+    const whens = gpxChildren(trackEl, 'when').map(el => dateOrNull(el.textContent.trim()));
+    return gpxChildren(trackEl, 'coord').map((coordEl, i) => {
+        const [lon, lat, ele] = coordEl.textContent.trim().split(/\s+/).map(Number);
+        return { lat, lon, ele: isFinite(ele) ? ele : null, time: whens[i] || null };
+    }).filter(point => isFinite(point.lat) && isFinite(point.lon));
+}
+
+function parseKML(text) {
+    const xmlDoc = parseXMLDocument(text, 'KML');
+    const doc = emptyActivityDocument();
+    const documentEl = xmlDescendants(xmlDoc, 'Document')[0];
+    if (documentEl) doc.metadata.name = gpxChildText(documentEl, 'name');
+
+    xmlDescendants(xmlDoc, 'Placemark').forEach(placemarkEl => {
+        const name = gpxChildText(placemarkEl, 'name');
+        const desc = gpxChildText(placemarkEl, 'description');
+        const segments = [];
+        xmlDescendants(placemarkEl, 'LineString').forEach(lineEl => {
+            const coordinatesEl = gpxChild(lineEl, 'coordinates');
+            if (coordinatesEl) segments.push({ points: parseKMLCoordinates(coordinatesEl.textContent) });
+        });
+        xmlDescendants(placemarkEl, 'Track').forEach(trackEl => segments.push({ points: parseKMLGxTrack(trackEl) }));
+        const nonEmpty = segments.filter(segment => segment.points.length > 0);
+        if (nonEmpty.length > 0) doc.tracks.push({ name, desc, type: null, segments: nonEmpty });
+
+        xmlDescendants(placemarkEl, 'Point').forEach(pointEl => {
+            const coordinatesEl = gpxChild(pointEl, 'coordinates');
+            const [point] = coordinatesEl ? parseKMLCoordinates(coordinatesEl.textContent) : [];
+            if (point) doc.waypoints.push({ ...point, name, desc, cmt: null, sym: null, type: null });
+        });
+    });
+    return doc;
+}
+
+async function parseKMZ(arrayBuffer) {
+    const entries = readZipDirectory(arrayBuffer);
+    // The main document is doc.kml by convention, otherwise the first .kml in the archive
+    const kmlEntry = entries.find(e => e.name.toLowerCase() === 'doc.kml') || entries.find(e => e.name.toLowerCase().endsWith('.kml'));
+    if (!kmlEntry) throw new ActivityImportError('The KMZ archive does not contain a .kml document.');
+    return parseKML(new TextDecoder().decode(await readZipEntry(arrayBuffer, kmlEntry)));
+}
+
+// --- GeoJSON ---
+function parseGeoJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new ActivityImportError(`The GeoJSON file is not valid JSON: ${error.message}`);
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new ActivityImportError('The GeoJSON file does not contain a GeoJSON object (FeatureCollection, Feature or geometry).');
+    }
+    const doc = emptyActivityDocument();
+    const features = json.type === 'FeatureCollection' ? (Array.isArray(json.features) ? json.features : [])
+        : json.type === 'Feature' ? [json]
+        : [{ type: 'Feature', properties: {}, geometry: json }];
+
+    // Per-vertex timestamps as written by togeojson and many exporters; positions without numeric lon/lat are skipped
+    const lineFromCoordinates = (coordinates, times) => coordinates.map((c, i) => Array.isArray(c) ? {
+        lat: c[1], lon: c[0], ele: Number.isFinite(c[2]) ? c[2] : null, time: Array.isArray(times) ? dateOrNull(times[i]) : null,
+    } : null).filter(point => point && Number.isFinite(point.lat) && Number.isFinite(point.lon));
+
+    features.forEach((feature, f) => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        if (!geometry) return;
+        const name = properties.name || properties.title || null;
+        const desc = properties.description || properties.desc || null;
+        const coordTimes = properties.coordTimes || properties.times || null;
+        if (['LineString', 'MultiLineString', 'Point'].includes(geometry.type) && !Array.isArray(geometry.coordinates)) {
+            throw new ActivityImportError(`GeoJSON feature ${f + 1}: the ${geometry.type} geometry has no coordinates array.`);
+        }
+
+        switch (geometry.type) {
+            case 'LineString':
+                doc.tracks.push({ name, desc, type: properties.type || null, segments: [{ points: lineFromCoordinates(geometry.coordinates, coordTimes) }] });
+                break;
+            case 'MultiLineString':
+                doc.tracks.push({
+                    name, desc, type: properties.type || null,
+                    segments: geometry.coordinates.filter(Array.isArray).map((line, i) => ({ points: lineFromCoordinates(line, coordTimes && coordTimes[i]) })),
+                });
+                break;
+            case 'Point': {
+                const [point] = lineFromCoordinates([geometry.coordinates], null);
+                if (point) doc.waypoints.push({ ...point, time: dateOrNull(properties.time), name, desc, cmt: null, sym: properties.sym || properties['marker-symbol'] || null, type: properties.type || null });
+                break;
+            }
+            default:
+                doc.diagnostics.push({ level: 'warning', message: `GeoJSON feature ${f + 1}: geometry type ${geometry.type} is not supported, ignored.` });
+        }
+    });
+    doc.tracks.forEach(track => { track.segments = track.segments.filter(segment => segment.points.length > 0); });
+    doc.tracks = doc.tracks.filter(track => track.segments.length > 0);
+    return doc;
+}
+
+// --- Entry point ---
+// Reads a File and returns { format, ...document }. Throws ActivityImportError/GPXParseError on bad input.
+async function importActivityFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const bytes = new Uint8Array(arrayBuffer);
+    const format = detectActivityFormat(file.name, bytes);
+    const text = () => new TextDecoder().decode(bytes);
+
+    let doc;
+    switch (format) {
+        case 'gpx': doc = parseGPXDocument(text()); break;
+        case 'tcx': doc = parseTCX(text()); break;
+        case 'fit': doc = decodeFIT(arrayBuffer); break;
+        case 'kml': doc = parseKML(text()); break;
+        case 'kmz': doc = await parseKMZ(arrayBuffer); break;
+        case 'geojson': doc = parseGeoJSON(text()); break;
+        default:
+            throw new ActivityImportError(`Unrecognized activity file "${file.name}". Supported formats: ${ACTIVITY_FILE_EXTENSIONS.join(', ')}.`);
+    }
+    if (!doc.metadata.name) doc.metadata.name = file.name.replace(/\.[^.]+$/, '');
+    return { format, ...doc };
+}
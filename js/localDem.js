@@ -0,0 +1,287 @@
+// --- Local Elevation Models ---
+// Elevation rasters loaded from disk instead of downloaded as tiles: GeoTIFF (js/geoTiff.js,
+// georeferenced by its GeoKeys, a .prj file or a .tfw world file), ESRI ASCII grids (.asc, with
+// their .prj) and SRTM .hgt files, also inside .zip archives. Each file keeps its own grid and
+// coordinate system (js/crs.js); heights are looked up by projecting the wanted latitude and
+// longitude into that grid and interpolating bilinearly, so nothing is warped in advance.
+//
+// The terrain code asks for tiles, not rasters: localDemTileHeights resamples the DEMs onto the
+// pixel grid of a terrain tile, and fetchTerrainTileHeights in script.js fills the pixels they do
+// not cover from the elevation provider. Everything that reads the heightfields (terrain chunks,
+// track placement, POIs, pins, measurements, exports) thereby uses the local data where it exists.
+//
+// DEM: { name, format, crs, width, height, data: Float32Array (NaN = no data),
+//        transform: { originX, originY, pixelWidth, pixelHeight }, bounds (WGS84), resolutionMeters }
+
+const LOCAL_DEM_FILE_EXTENSIONS = ['.tif', '.tiff', '.tfw', '.asc', '.prj', '.hgt', '.zip'];
+const LOCAL_DEM_MAX_PIXELS = 64e6;          // About 256 MB of heights per file
+const LOCAL_DEM_MAX_TERRAIN_ZOOM = 17;      // Terrain Detail allowed while local DEMs are loaded
+const LOCAL_DEM_MIN_ELEVATION = -12000;     // Values outside this range are void markers
+const LOCAL_DEM_MAX_ELEVATION = 9000;
+const LOCAL_DEM_HGT_VOID = -32768;
+
+class DemError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DemError';
+    }
+}
+
+const localDems = []; // Loaded DEMs, finest resolution first
+
+function demFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot < 0 ? '' : name.slice(dot).toLowerCase();
+}
+
+function demFileStem(name) {
+    return name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+function createLocalDem({ name, format, crs, width, height, data, transform }) {
+    for (let i = 0; i < data.length; i++) {
+        if (!(data[i] >= LOCAL_DEM_MIN_ELEVATION && data[i] <= LOCAL_DEM_MAX_ELEVATION)) data[i] = NaN;
+    }
+    // Bounds from points along the edges, which are curved in WGS84 for a projected grid
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    const steps = 16;
+    for (let k = 0; k <= steps; k++) {
+        const edgePoints = [[k / steps, 0], [k / steps, 1], [0, k / steps], [1, k / steps]];
+        edgePoints.forEach(([u, v]) => {
+            const { lat, lon } = crsToWGS84(crs, transform.originX + u * width * transform.pixelWidth, transform.originY + v * height * transform.pixelHeight);
+            bounds.minLat = Math.min(bounds.minLat, lat);
+            bounds.maxLat = Math.max(bounds.maxLat, lat);
+            bounds.minLon = Math.min(bounds.minLon, lon);
+            bounds.maxLon = Math.max(bounds.maxLon, lon);
+        });
+    }
+    if (![bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon].every(isFinite) || bounds.minLat < -90 || bounds.maxLat > 90) {
+        throw new DemError('Its georeferencing does not give a valid area. Check the coordinate system (.prj).');
+    }
+    const midLat = (bounds.minLat + bounds.maxLat) / 2;
+    let resolutionMeters = Math.abs(transform.pixelWidth) * crs.unitToMeters;
+    if (crs.type === 'geographic') resolutionMeters = Math.abs(transform.pixelHeight) * 111320;
+    if (crs.type === 'webMercator') resolutionMeters *= Math.cos(midLat * Math.PI / 180);
+    return { name, format, crs, width, height, data, transform, bounds, resolutionMeters };
+}
+
+// --- Readers ---
+// SRTM tile: big-endian 16-bit heights on a 1" (3601) or 3" (1201) grid; the file name gives its corner
+function parseHGT(arrayBuffer, fileName) {
+    const match = fileName.match(/([NS])(\d{1,2})([EW])(\d{1,3})/i);
+    if (!match) throw new DemError('The file name must give the tile corner, like N46E007.hgt.');
+    const size = Math.sqrt(arrayBuffer.byteLength / 2);
+    if (!Number.isInteger(size) || size < 2) throw new DemError('Not an SRTM tile (expected 1201 x 1201 or 3601 x 3601 heights).');
+    const lat = parseInt(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const lon = parseInt(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+    const view = new DataView(arrayBuffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        const value = view.getInt16(i * 2); // Big-endian
+        data[i] = value === LOCAL_DEM_HGT_VOID ? NaN : value;
+    }
+    const step = 1 / (size - 1); // Samples lie on the full degree lines, so the edge pixels straddle them
+    return createLocalDem({
+        name: fileName, format: 'HGT', crs: crsFromEpsg(4326), width: size, height: size, data,
+        transform: { originX: lon - step / 2, originY: lat + 1 + step / 2, pixelWidth: step, pixelHeight: -step },
+    });
+}
+
+// ESRI ASCII grid: a header (ncols, nrows, xllcorner or xllcenter, ...) and rows from north to south
+function parseAsciiGrid(text, prjText, fileName) {
+    const header = {};
+    let position = 0;
+    for (;;) {
+        const lineEnd = text.indexOf('\n', position);
+        const line = text.slice(position, lineEnd < 0 ? text.length : lineEnd).trim();
+        const match = line.match(/^([a-zA-Z_]+)\s+(\S+)$/);
+        if (!match) break;
+        header[match[1].toLowerCase()] = parseFloat(match[2]);
+        position = lineEnd < 0 ? text.length : lineEnd + 1;
+    }
+    const width = header.ncols, height = header.nrows;
+    const cellWidth = header.cellsize || header.dx, cellHeight = header.cellsize || header.dy;
+    if (!(width > 0) || !(height > 0) || !(cellWidth > 0) || !(cellHeight > 0)) throw new DemError('Not an ASCII grid (missing ncols, nrows or cellsize).');
+    if (width * height > LOCAL_DEM_MAX_PIXELS) throw new DemError(`The grid has ${width} x ${height} cells, too many to load. Crop or resample it first.`);
+    const centered = 'xllcenter' in header;
+    const originX = centered ? header.xllcenter - cellWidth / 2 : header.xllcorner;
+    const originY = (centered ? header.yllcenter - cellHeight / 2 : header.yllcorner) + height * cellHeight;
+    if (!isFinite(originX) || !isFinite(originY)) throw new DemError('The grid header has no lower left corner (xllcorner/yllcorner).');
+
+    let crs;
+    if (prjText) {
+        crs = crsFromWkt(prjText);
+    } else if (Math.abs(originX) <= 180 && Math.abs(originY) <= 90 && cellWidth < 0.1) {
+        crs = crsFromEpsg(4326); // Degree-sized coordinates and cells: a geographic grid
+    } else {
+        throw new DemError('The grid is projected but has no .prj file. Select the .prj together with the .asc file.');
+    }
+
+    const data = new Float32Array(width * height);
+    const noData = 'nodata_value' in header ? header.nodata_value : null;
+    const isSpace = code => code === 32 || code === 9 || code === 10 || code === 13;
+    for (let i = 0; i < data.length; i++) {
+        while (position < text.length && isSpace(text.charCodeAt(position))) position++;
+        const start = position;
+        while (position < text.length && !isSpace(text.charCodeAt(position))) position++;
+        if (start === position) throw new DemError(`The grid ends after ${i} of ${data.length} values.`);
+        const value = parseFloat(text.slice(start, position));
+        data[i] = value === noData ? NaN : value;
+    }
+    return createLocalDem({
+        name: fileName, format: 'ASCII grid', crs, width, height, data,
+        transform: { originX, originY, pixelWidth: cellWidth, pixelHeight: -cellHeight },
+    });
+}
+
+// World file: x size, two rotation terms, y size, then the center of the upper left pixel
+function parseWorldFile(text) {
+    const [a, d, b, e, c, f] = text.trim().split(/\s+/).map(parseFloat);
+    if (![a, d, b, e, c, f].every(isFinite)) throw new DemError('The world file (.tfw) is not valid.');
+    if (d !== 0 || b !== 0) throw new DemError('Rotated rasters are not supported. Warp the file to a north-up grid first.');
+    return { originX: c - a / 2, originY: f - e / 2, pixelWidth: a, pixelHeight: e };
+}
+
+async function parseGeoTiffDem(arrayBuffer, fileName, prjText, worldFileText) {
+    const raster = await decodeGeoTIFF(arrayBuffer, LOCAL_DEM_MAX_PIXELS);
+    const transform = worldFileText ? parseWorldFile(worldFileText) : raster.transform;
+    if (!transform) throw new DemError('The TIFF file has no georeferencing. Select its .tfw world file together with it.');
+    let crs;
+    if (prjText) crs = crsFromWkt(prjText);
+    else if (raster.geoKeys.size > 0) crs = crsFromGeoKeys(raster.geoKeys);
+    else throw new DemError('The TIFF file has no coordinate system. Select its .prj file together with it.');
+    return createLocalDem({ name: fileName, format: 'GeoTIFF', crs, width: raster.width, height: raster.height, data: raster.data, transform });
+}
+
+// Files, with the members of ZIP archives taken out: [{ name, buffer }]
+async function localDemSources(files) {
+    const sources = [];
+    for (const file of files) {
+        const buffer = await file.arrayBuffer();
+        if (demFileExtension(file.name) !== '.zip') {
+            sources.push({ name: file.name, buffer });
+            continue;
+        }
+        for (const entry of readZipDirectory(buffer)) {
+            const extension = demFileExtension(entry.name);
+            if (extension === '.zip' || !LOCAL_DEM_FILE_EXTENSIONS.includes(extension)) continue;
+            const bytes = await readZipEntry(buffer, entry);
+            sources.push({ name: entry.name.replace(/^.*\//, ''), buffer: bytes.buffer });
+        }
+    }
+    return sources;
+}
+
+// Read DEM files; the .prj and .tfw files belong to the raster with the same name.
+// Returns { dems, errors: ["name: message"] }.
+async function readLocalDemFiles(files) {
+    const sources = await localDemSources(files);
+    const sidecars = new Map();
+    sources.filter(source => ['.prj', '.tfw'].includes(demFileExtension(source.name))).forEach(source => {
+        sidecars.set(demFileStem(source.name) + demFileExtension(source.name), new TextDecoder().decode(source.buffer));
+    });
+    const sidecar = (name, extension) => sidecars.get(demFileStem(name) + extension);
+
+    const dems = [], errors = [];
+    for (const source of sources) {
+        try {
+            switch (demFileExtension(source.name)) {
+                case '.hgt':
+                    dems.push(parseHGT(source.buffer, source.name));
+                    break;
+                case '.asc':
+                    dems.push(parseAsciiGrid(new TextDecoder().decode(source.buffer), sidecar(source.name, '.prj'), source.name));
+                    break;
+                case '.tif':
+                case '.tiff':
+                    dems.push(await parseGeoTiffDem(source.buffer, source.name, sidecar(source.name, '.prj'), sidecar(source.name, '.tfw')));
+                    break;
+                case '.prj':
+                case '.tfw':
+                    break; // Read with their raster
+                default:
+                    errors.push(`${source.name}: not a DEM file (GeoTIFF, ASCII grid or HGT).`);
+            }
+        } catch (error) {
+            errors.push(`${source.name}: ${error.message}`);
+        }
+    }
+    return { dems, errors };
+}
+
+function addLocalDems(dems) {
+    dems.forEach(dem => {
+        const index = localDems.findIndex(loaded => loaded.name === dem.name);
+        if (index >= 0) localDems.splice(index, 1); // Loading a file again replaces it
+        localDems.push(dem);
+    });
+    localDems.sort((a, b) => a.resolutionMeters - b.resolutionMeters); // Finest data wins where DEMs overlap
+}
+
+function removeLocalDem(dem) {
+    const index = localDems.indexOf(dem);
+    if (index >= 0) localDems.splice(index, 1);
+}
+
+function clearLocalDems() {
+    localDems.length = 0;
+}
+
+function boundsOverlap(a, b) {
+    return a.minLat < b.maxLat && a.maxLat > b.minLat && a.minLon < b.maxLon && a.maxLon > b.minLon;
+}
+
+function localDemsInBounds(geoBounds) {
+    return localDems.filter(dem => boundsOverlap(dem.bounds, geoBounds));
+}
+
+// --- Sampling ---
+// Bilinear elevation of a DEM in meters, or null outside it or where it has no data
+function sampleLocalDem(dem, lat, lon) {
+    const { bounds, transform, width, height, data } = dem;
+    if (lat < bounds.minLat || lat > bounds.maxLat || lon < bounds.minLon || lon > bounds.maxLon) return null;
+    const { x, y } = crsFromWGS84(dem.crs, lat, lon);
+    // Pixel coordinates with integer values at pixel centers
+    const col = (x - transform.originX) / transform.pixelWidth - 0.5;
+    const row = (y - transform.originY) / transform.pixelHeight - 0.5;
+    if (col < -0.5 || row < -0.5 || col > width - 0.5 || row > height - 0.5) return null;
+
+    const x0 = Math.floor(col), y0 = Math.floor(row);
+    const fx = col - x0, fy = row - y0;
+    const pixel = (px, py) => data[Math.min(Math.max(py, 0), height - 1) * width + Math.min(Math.max(px, 0), width - 1)];
+    const corners = [[pixel(x0, y0), (1 - fx) * (1 - fy)], [pixel(x0 + 1, y0), fx * (1 - fy)], [pixel(x0, y0 + 1), (1 - fx) * fy], [pixel(x0 + 1, y0 + 1), fx * fy]];
+    // Next to voids interpolate over the valid neighbors only
+    let sum = 0, weight = 0;
+    corners.forEach(([h, w]) => {
+        if (Number.isNaN(h)) return;
+        sum += h * w;
+        weight += w;
+    });
+    if (weight > 0) return sum / weight;
+    const valid = corners.find(([h]) => !Number.isNaN(h));
+    return valid ? valid[0] : null;
+}
+
+// Height grid of a terrain tile resampled from the local DEMs: { heights (NaN where none has
+// data), missing (count of those pixels) }, or null when the DEMs have nothing for the tile
+function localDemTileHeights(tileX, tileY, zoom, tileSize) {
+    if (localDems.length === 0) return null;
+    const bbox = tileToBoundingBox(tileX, tileY, zoom);
+    const dems = localDemsInBounds({ minLat: bbox.south, maxLat: bbox.north, minLon: bbox.west, maxLon: bbox.east });
+    if (dems.length === 0) return null;
+
+    const heights = new Float32Array(tileSize * tileSize);
+    let missing = 0;
+    for (let j = 0; j < tileSize; j++) {
+        const lat = tileYToLat(tileY + (j + 0.5) / tileSize, zoom); // Pixel centers, as in sampleElevation
+        for (let i = 0; i < tileSize; i++) {
+            const lon = bbox.west + (i + 0.5) / tileSize * (bbox.east - bbox.west);
+            let elevation = null;
+            for (let d = 0; d < dems.length && elevation === null; d++) elevation = sampleLocalDem(dems[d], lat, lon);
+            if (elevation === null) missing++;
+            heights[j * tileSize + i] = elevation === null ? NaN : elevation;
+        }
+    }
+    return missing === heights.length ? null : { heights, missing };
+}
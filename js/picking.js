@@ -0,0 +1,248 @@
+// --- Scene Picking, Measurement and Pins ---
+// Raycasting against the terrain chunks (terrainMesh) and the track centerlines. Terrain hits
+// are converted back to lat/lon with unprojectFromWorld, the inverse of the projection
+// createTerrain builds the scene with, and get their elevation from the heightfields.
+//
+// Measurement: clicked terrain points form a path; every leg reports the straight-line
+// (3D) distance, the distance along the terrain surface (sampled about once per terrain
+// pixel), the elevation difference and the slope.
+//
+// Pins: named points kept in sessionStorage, so they last as long as the browser tab and are
+// redrawn on every new terrain that contains them.
+
+const MEASURE_MAX_SURFACE_SAMPLES = 2000; // Per leg
+const PIN_STORAGE_KEY = 'gpx3dPins';
+const PIN_COLOR = 0x00bcd4;
+
+const pickRaycaster = new THREE.Raycaster();
+const measurement = { points: [], group: null }; // points: [{ lat, lon, elevation }] in click order
+let pins = loadPins();                           // [{ id, name, lat, lon, elevation }]
+let pinGroup = null;
+
+// Normalized device coordinates of a mouse event over the renderer
+function viewerPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    return new THREE.Vector2(
+        (event.clientX - rect.left) / rect.width * 2 - 1,
+        -(event.clientY - rect.top) / rect.height * 2 + 1
+    );
+}
+
+// Terrain under the pointer: { point (scene), lat, lon, elevation (m) }, or null
+function pickTerrain(pointer) {
+    if (!terrainMesh || !terrainScene) return null;
+    pickRaycaster.setFromCamera(pointer, camera);
+    const hit = pickRaycaster.intersectObjects(terrainMesh.children, false)[0];
+    if (!hit) return null;
+    const { lat, lon } = unprojectFromWorld(terrainScene.projection, hit.point.x, hit.point.z);
+    return { point: hit.point, lat, lon, elevation: sampleTerrainElevation(lat, lon) };
+}
+
+// Track point under the pointer among some layers: { layer, index (profile point) }, or null
+function pickTrackPoint(pointer, layers) {
+    if (layers.length === 0) return null;
+    pickRaycaster.setFromCamera(pointer, camera);
+    // Pick tolerance grows with the viewing distance so the line stays easy to hit
+    pickRaycaster.params.Line.threshold = camera.position.distanceTo(controls.target) / 150;
+    const hit = pickRaycaster.intersectObjects(layers.map(layer => layer.centerline), true)[0];
+    if (!hit) return null;
+    const layer = layers.find(candidate => candidate.centerline === hit.object.parent);
+    // hit.index is the first vertex of the hit line piece; take whichever end is closer
+    const positions = hit.object.geometry.attributes.position;
+    const next = Math.min(hit.index + 1, positions.count - 1);
+    const a = new THREE.Vector3().fromBufferAttribute(positions, hit.index);
+    const b = new THREE.Vector3().fromBufferAttribute(positions, next);
+    const vertex = hit.point.distanceTo(a) <= hit.point.distanceTo(b) ? hit.index : next;
+    const index = profileIndexForTrackPoint(layer.profile, hit.object.userData.segmentIndex, vertex);
+    return index !== null ? { layer, index } : null;
+}
+
+// Label/value rows describing a profile point of a layer, for the click readout
+function describeTrackPoint(layer, index) {
+    const points = layer.profile.points;
+    const point = points[index];
+    const rows = [['Track', layer.name]];
+    if (point.time !== null) {
+        const start = points.find(p => p.time !== null).time;
+        rows.push(['Time', `${new Date(point.time * 1000).toLocaleString()} (+${formatDuration(point.time - start)})`]);
+    }
+    rows.push(['Distance', `${(point.distance / 1000).toFixed(2)} km from the start`]);
+    const elevations = [
+        point.gpxEle !== null ? `${Math.round(point.gpxEle)} m recorded` : null,
+        point.demEle !== null ? `${Math.round(point.demEle)} m terrain` : null,
+    ].filter(Boolean);
+    if (elevations.length) rows.push(['Elevation', elevations.join(', ')]);
+    const speed = TRACK_COLOR_ATTRIBUTES.speed.value(points, index);
+    if (speed !== null && isFinite(speed)) rows.push(['Speed', `${speed.toFixed(1)} km/h`]);
+    const grade = TRACK_COLOR_ATTRIBUTES.grade.value(points, index);
+    if (grade !== null && isFinite(grade)) rows.push(['Grade', `${grade.toFixed(1)} %`]);
+    [['hr', 'Heart rate', 'bpm'], ['cad', 'Cadence', 'rpm'], ['power', 'Power', 'W'], ['temp', 'Temperature', '°C']].forEach(([key, label, unit]) => {
+        if (point[key] !== null) rows.push([label, `${Math.round(point[key] * 10) / 10} ${unit}`]);
+    });
+    rows.push(['Position', formatLatLon(point.lat, point.lon) + (point.interpolated ? ' (between recorded points)' : '')]);
+    return rows;
+}
+
+function formatLatLon(lat, lon) {
+    return `${Math.abs(lat).toFixed(5)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(5)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+// --- Measurement ---
+// One leg between two measurement points, with the terrain profile along it
+function measureLeg(a, b) {
+    const horizontal = haversineDistance(a.lat, a.lon, b.lat, b.lon);
+    const rise = b.elevation - a.elevation;
+    const spacing = drapeSpacingMeters(terrainScene.terrainZoom, (a.lat + b.lat) / 2);
+    const steps = Math.min(Math.max(Math.ceil(horizontal / spacing), 1), MEASURE_MAX_SURFACE_SAMPLES);
+    const path = [a];
+    let surface = 0;
+    for (let k = 1; k <= steps; k++) {
+        const t = k / steps;
+        const lat = a.lat + (b.lat - a.lat) * t, lon = a.lon + (b.lon - a.lon) * t;
+        const sample = k === steps ? b : { lat, lon, elevation: sampleTerrainElevation(lat, lon) };
+        surface += Math.hypot(horizontal / steps, sample.elevation - path[path.length - 1].elevation);
+        path.push(sample);
+    }
+    return {
+        horizontal,
+        straight: Math.hypot(horizontal, rise),
+        surface,
+        rise,
+        slope: horizontal > 0 ? rise / horizontal * 100 : null, // Percent
+        path,
+    };
+}
+
+// Legs between consecutive measurement points, and their totals
+function measurementResult() {
+    const legs = [];
+    for (let i = 1; i < measurement.points.length; i++) legs.push(measureLeg(measurement.points[i - 1], measurement.points[i]));
+    const sum = key => legs.reduce((total, leg) => total + leg[key], 0);
+    return {
+        legs,
+        straight: sum('straight'),
+        surface: sum('surface'),
+        ascent: legs.reduce((total, leg) => total + Math.max(leg.rise, 0), 0),
+        descent: legs.reduce((total, leg) => total + Math.max(-leg.rise, 0), 0),
+    };
+}
+
+function addMeasurementPoint(pick) {
+    measurement.points.push({ lat: pick.lat, lon: pick.lon, elevation: pick.elevation });
+    drawMeasurement();
+}
+
+function clearMeasurement() {
+    measurement.points = [];
+    drawMeasurement();
+}
+
+// Markers at the clicked points and lines along the surface, drawn over the terrain
+function drawMeasurement() {
+    if (measurement.group) {
+        scene.remove(measurement.group);
+        disposeObjectTree(measurement.group);
+        measurement.group = null;
+    }
+    if (!scene || !terrainChunkTree || measurement.points.length === 0) return;
+    const { projection, elevationToY } = terrainChunkTree;
+    const lift = metersToWorld(projection, 2); // Keeps the line from flickering into the surface
+    const toScene = p => {
+        const { x, z } = projectToWorld(projection, p.lat, p.lon);
+        return new THREE.Vector3(x, elevationToY(p.elevation) + lift, z);
+    };
+    measurement.group = new THREE.Group();
+    measurement.group.renderOrder = 2;
+    const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
+    const markerGeometry = new THREE.SphereGeometry(TERRAIN_SIZE / 300, 12, 8);
+    measurement.points.forEach(p => {
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.copy(toScene(p));
+        marker.renderOrder = 2;
+        measurement.group.add(marker);
+    });
+    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false });
+    measurementResult().legs.forEach(leg => {
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(leg.path.map(toScene)), lineMaterial);
+        line.renderOrder = 2;
+        measurement.group.add(line);
+    });
+    scene.add(measurement.group);
+}
+
+// --- Pins ---
+function loadPins() {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(PIN_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn("Ignoring unreadable stored pins:", error);
+        return [];
+    }
+}
+
+function savePins() {
+    sessionStorage.setItem(PIN_STORAGE_KEY, JSON.stringify(pins));
+}
+
+function addPin(name, lat, lon, elevation) {
+    const pin = { id: pins.reduce((max, p) => Math.max(max, p.id), 0) + 1, name, lat, lon, elevation };
+    pins.push(pin);
+    savePins();
+    renderPinMarkers();
+    return pin;
+}
+
+function removePin(pin) {
+    pins = pins.filter(p => p !== pin);
+    savePins();
+    renderPinMarkers();
+}
+
+function renamePin(pin, name) {
+    pin.name = name;
+    savePins();
+    renderPinMarkers();
+}
+
+// Replace all pins, e.g. with the ones of an opened session
+function setPins(list) {
+    pins = list.map((pin, i) => ({ id: i + 1, name: pin.name, lat: pin.lat, lon: pin.lon, elevation: pin.elevation }));
+    savePins();
+    renderPinMarkers();
+}
+
+function pinInTerrain(pin) {
+    return !!terrainScene && geoBoundsContain(terrainScene.geoBounds, { minLat: pin.lat, maxLat: pin.lat, minLon: pin.lon, maxLon: pin.lon });
+}
+
+// Scene position of the foot of a pin on the current terrain
+function pinScenePosition(pin) {
+    const { x, z } = projectToWorld(terrainScene.projection, pin.lat, pin.lon);
+    return new THREE.Vector3(x, elevationToWorldY(terrainScene.projection, sampleTerrainElevation(pin.lat, pin.lon), terrainScene.zScale), z);
+}
+
+// Cone and label for every pin inside the current terrain, like the city markers
+function renderPinMarkers() {
+    if (pinGroup) {
+        scene.remove(pinGroup);
+        disposeObjectTree(pinGroup);
+        pinGroup = null;
+    }
+    if (!scene || !terrainScene) return;
+    pinGroup = new THREE.Group();
+    pinGroup.name = 'pins';
+    const markerHeight = TERRAIN_SIZE / 100;
+    const geometry = new THREE.ConeGeometry(TERRAIN_SIZE / 500, markerHeight, 8);
+    geometry.rotateX(Math.PI); // Tip down, on the spot
+    const material = new THREE.MeshBasicMaterial({ color: PIN_COLOR });
+    pins.filter(pinInTerrain).forEach(pin => {
+        const base = pinScenePosition(pin);
+        const marker = new THREE.Mesh(geometry, material);
+        marker.position.set(base.x, base.y + markerHeight / 2, base.z);
+        const label = makeTextSprite(pin.name, { fontsize: 24, borderColor: { r: 0, g: 0, b: 0, a: 1 }, backgroundColor: { r: 255, g: 255, b: 255, a: 0.8 } });
+        label.position.set(base.x, base.y + markerHeight * 2.5, base.z);
+        pinGroup.add(marker, label);
+    });
+    scene.add(pinGroup);
+}
@@ -0,0 +1,229 @@
+// --- Track Playback ---
+// Animates a marker along the track, driven by the recorded timestamps or, when the file has
+// none, by a constant virtual speed. updatePlayback runs every frame (see onFrame in script.js)
+// and also moves the camera for the follow, orbit and flyover presets. Built on the profile
+// points (js/profileChart.js), which already carry world positions and distances.
+
+const PLAYBACK_CONSTANT_SPEED_MS = 5;    // Virtual speed for files without timestamps
+const PLAYBACK_SPEED_WINDOW_S = 10;      // Displayed speed is averaged over this window
+const PLAYBACK_HEADING_DISTANCE_M = 150; // Heading looks this far ahead and behind
+const PLAYBACK_CAMERA_SMOOTHING = 2.5;   // Higher follows the target more tightly (1/s)
+const PLAYBACK_ORBIT_SPEED = 0.25;       // Radians per second
+const PLAYBACK_FLYOVER_CONTROL_POINTS = 16;
+const PLAYBACK_FLYOVER_LAG = 0.04;       // Flyover camera trails the marker by this share of the track
+const PLAYBACK_TERRAIN_CLEARANCE = 0.01; // Share of TERRAIN_SIZE kept between camera and ground
+
+const PLAYBACK_CAMERA_MODES = ['free', 'follow', 'orbit', 'flyover'];
+
+const playback = {
+    timeline: null,
+    time: 0,          // Seconds since the start of the track
+    playing: false,
+    speed: 60,        // Playback seconds per real second
+    cameraMode: 'free',
+    marker: null,
+    orbitAngle: 0,
+    flyoverCurve: null,
+    lookTarget: new THREE.Vector3(),
+    onUpdate: null,   // (sample) => void, called after every change of time
+};
+
+// times[i]: seconds from the start at profile point i (non-decreasing)
+function buildPlaybackTimeline(profile) {
+    const points = profile.points;
+    const timed = points.length > 1 && points.every(p => p.time !== null);
+    const times = new Float64Array(points.length);
+    points.forEach((p, i) => {
+        const t = timed ? p.time - points[0].time : p.distance / PLAYBACK_CONSTANT_SPEED_MS;
+        times[i] = i > 0 ? Math.max(t, times[i - 1]) : 0; // Devices occasionally step backwards
+    });
+    return {
+        points,
+        times,
+        timed,
+        duration: points.length ? times[points.length - 1] : 0,
+        startTime: timed ? points[0].time : null,
+    };
+}
+
+// Last point index whose time is <= t
+function playbackIndexAtTime(timeline, t) {
+    let lo = 0, hi = timeline.times.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (timeline.times[mid] <= t) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+}
+
+// Interpolated state of the track at playback time t
+function samplePlayback(timeline, t) {
+    const { points, times } = timeline;
+    const index = playbackIndexAtTime(timeline, t);
+    const next = Math.min(index + 1, points.length - 1);
+    const span = times[next] - times[index];
+    const fraction = span > 0 ? Math.min(Math.max((t - times[index]) / span, 0), 1) : 0;
+    const a = points[index], b = points[next];
+    const lerp = (x, y) => (x === null || y === null ? (x !== null ? x : y) : x + (y - x) * fraction);
+
+    const before = playbackIndexAtTime(timeline, t - PLAYBACK_SPEED_WINDOW_S / 2);
+    const after = Math.min(playbackIndexAtTime(timeline, t + PLAYBACK_SPEED_WINDOW_S / 2) + 1, points.length - 1);
+    const windowSeconds = times[after] - times[before];
+    return {
+        index: fraction < 0.5 ? index : next,
+        time: t,
+        clockTime: timeline.startTime !== null ? new Date((timeline.startTime + t) * 1000) : null,
+        position: a.position.clone().lerp(b.position, fraction),
+        distance: lerp(a.distance, b.distance),
+        elevation: lerp(a.ele, b.ele),
+        speed: windowSeconds > 0 ? (points[after].distance - points[before].distance) / windowSeconds : 0,
+    };
+}
+
+// Horizontal direction of travel at a distance along the track
+function playbackHeading(distance) {
+    const points = playback.timeline.points;
+    const behind = points[profileIndexAtDistance(distance - PLAYBACK_HEADING_DISTANCE_M)].position;
+    const ahead = points[profileIndexAtDistance(distance + PLAYBACK_HEADING_DISTANCE_M)].position;
+    const heading = new THREE.Vector3(ahead.x - behind.x, 0, ahead.z - behind.z);
+    return heading.lengthSq() > 0 ? heading.normalize() : new THREE.Vector3(0, 0, -1);
+}
+
+// Raise the camera until neither it nor its line of sight to the target passes through terrain
+function keepAboveTerrain(position, target) {
+    const clearance = TERRAIN_SIZE * PLAYBACK_TERRAIN_CLEARANCE;
+    let lift = Math.max(terrainHeightAtWorld(position.x, position.z) + clearance - position.y, 0);
+    const steps = 12;
+    for (let k = 1; k < steps; k++) {
+        const t = k / steps * 0.85; // The last stretch is the target itself, which sits on the ground
+        const x = position.x + (target.x - position.x) * t;
+        const z = position.z + (target.z - position.z) * t;
+        const lineY = position.y + (target.y - position.y) * t;
+        const needed = terrainHeightAtWorld(x, z) + clearance - lineY;
+        if (needed > 0) lift = Math.max(lift, needed / (1 - t)); // Lifting the camera raises this point by (1 - t)
+    }
+    position.y += lift;
+    return position;
+}
+
+// Smooth path above the track: downsampled by distance, lifted and passed through a Catmull-Rom spline
+function buildFlyoverCurve(timeline) {
+    const points = timeline.points;
+    const total = points[points.length - 1].distance;
+    const height = TERRAIN_SIZE * 0.08;
+    const controlPoints = [];
+    for (let k = 0; k <= PLAYBACK_FLYOVER_CONTROL_POINTS; k++) {
+        const position = points[profileIndexAtDistance(total * k / PLAYBACK_FLYOVER_CONTROL_POINTS)].position;
+        controlPoints.push(new THREE.Vector3(position.x, position.y + height, position.z));
+    }
+    return new THREE.CatmullRomCurve3(controlPoints, false, 'centripetal');
+}
+
+function playbackCameraPosition(sample, delta) {
+    const marker = sample.position;
+    const span = TERRAIN_SIZE * 0.05;
+    if (playback.cameraMode === 'follow') {
+        const heading = playbackHeading(sample.distance);
+        return marker.clone().addScaledVector(heading, -span).add(new THREE.Vector3(0, span * 0.5, 0));
+    }
+    if (playback.cameraMode === 'orbit') {
+        playback.orbitAngle += delta * PLAYBACK_ORBIT_SPEED;
+        return marker.clone().add(new THREE.Vector3(Math.cos(playback.orbitAngle) * span, span * 0.6, Math.sin(playback.orbitAngle) * span));
+    }
+    // Flyover: trail the marker along the spline, offset to the side for a three-quarter view
+    const points = playback.timeline.points;
+    const total = points[points.length - 1].distance;
+    const progress = total > 0 ? sample.distance / total : 0; // The spline is spaced by distance, not time
+    const u = Math.min(Math.max(progress - PLAYBACK_FLYOVER_LAG, 0), 1);
+    const tangent = playback.flyoverCurve.getTangentAt(u);
+    const side = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+    return playback.flyoverCurve.getPointAt(u).addScaledVector(side, span);
+}
+
+function updatePlaybackCamera(sample, delta, immediate) {
+    if (playback.cameraMode === 'free') return;
+    const desired = keepAboveTerrain(playbackCameraPosition(sample, delta), sample.position);
+    const blend = immediate ? 1 : 1 - Math.exp(-delta * PLAYBACK_CAMERA_SMOOTHING);
+    camera.position.lerp(desired, blend);
+    keepAboveTerrain(camera.position, sample.position); // Smoothing may cut a corner through a ridge
+    playback.lookTarget.lerp(sample.position, immediate ? 1 : Math.min(blend * 2, 1));
+    controls.target.copy(playback.lookTarget);
+    camera.lookAt(playback.lookTarget);
+}
+
+function refreshPlayback(delta = 0, immediate = false) {
+    const sample = samplePlayback(playback.timeline, playback.time);
+    playback.marker.position.copy(sample.position);
+    updatePlaybackCamera(sample, delta, immediate);
+    setProfileHover(sample.index, false); // Keep the profile cursor on the marker
+    if (playback.onUpdate) playback.onUpdate(sample);
+    return sample;
+}
+
+// Frame callback: advance the time while playing and keep the camera on the marker
+function updatePlayback(delta) {
+    if (!playback.timeline) return;
+    if (playback.playing) {
+        playback.time = Math.min(playback.time + delta * playback.speed, playback.timeline.duration);
+        if (playback.time >= playback.timeline.duration) playback.playing = false;
+    } else if (playback.cameraMode === 'free') {
+        return; // Nothing moves while paused; the other presets keep settling or orbiting
+    }
+    refreshPlayback(delta);
+}
+
+function loadPlayback(profile) {
+    unloadPlayback();
+    if (profile.points.length < 2) return;
+    playback.timeline = buildPlaybackTimeline(profile);
+    playback.flyoverCurve = buildFlyoverCurve(playback.timeline);
+    playback.time = 0;
+    playback.marker = new THREE.Mesh(
+        new THREE.ConeGeometry(TERRAIN_SIZE / 250, TERRAIN_SIZE / 80, 12),
+        new THREE.MeshBasicMaterial({ color: 0x00e5ff })
+    );
+    playback.marker.geometry.translate(0, TERRAIN_SIZE / 160, 0); // Tip up, base on the track
+    scene.add(playback.marker);
+    refreshPlayback(0, true);
+}
+
+function unloadPlayback() {
+    if (playback.marker) {
+        scene.remove(playback.marker);
+        playback.marker.geometry.dispose();
+        playback.marker.material.dispose();
+    }
+    playback.marker = null;
+    playback.timeline = null;
+    playback.flyoverCurve = null;
+    playback.playing = false;
+}
+
+// After the track points moved (js/sceneManager.js): rebuild the flyover path and put the marker back on the track
+function refreshPlaybackPath() {
+    if (!playback.timeline) return;
+    playback.flyoverCurve = buildFlyoverCurve(playback.timeline);
+    refreshPlayback(0, true);
+}
+
+function setPlaybackPlaying(playing) {
+    if (!playback.timeline) return;
+    if (playing && playback.time >= playback.timeline.duration) playback.time = 0; // Play again from the start
+    playback.playing = playing;
+}
+
+function seekPlayback(time) {
+    if (!playback.timeline) return;
+    playback.time = Math.min(Math.max(time, 0), playback.timeline.duration);
+    refreshPlayback();
+}
+
+function setPlaybackCameraMode(mode) {
+    if (!PLAYBACK_CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode: ${mode}`);
+    playback.cameraMode = mode;
+    controls.enabled = mode === 'free';
+    if (playback.timeline && mode !== 'free') {
+        playback.lookTarget.copy(controls.target);
+        refreshPlayback();
+    }
+}
@@ -0,0 +1,371 @@
+// --- Points of Interest ---
+// POI layers: the waypoints (<wpt>) of the loaded tracks, plus point layers imported from
+// GeoJSON, CSV, GPX, KML or KMZ files (huts, passes, water sources...). Every POI gets a
+// category from its tags, which sets the marker color and symbol. Markers are sprites of a
+// constant screen size standing on the terrain; their labels are HTML elements laid out every
+// frame so they never overlap (nearer POIs win) and fade out with the distance from the camera.
+//
+// POI: { name, lat, lon, ele (meters or null), category (key of POI_CATEGORIES), properties: [[label, value]] }
+// Layer: { id, name, visible, pois }
+
+const POI_MARKER_SCALE = 0.045;   // Sprite height as a fraction of the viewport height
+const POI_MAX_LABELS = 80;        // Labels shown at once, nearest first
+const POI_LABEL_GAP_PX = 4;       // Minimum space between two labels
+const POI_FADE_START = 0.6;       // Markers start fading at this fraction of the fade distance
+
+// Matched in order (the first match wins) against the category, type and symbol of a POI and its "key=value" tags
+const POI_CATEGORIES = [
+    { key: 'water', label: 'Water', color: '#1e88e5', glyph: '≈', pattern: /water|spring|fountain|well\b|brunnen/i },
+    { key: 'pass', label: 'Passes', color: '#8e24aa', glyph: '⋈', pattern: /pass\b|mountain_pass|saddle|\bcol\b|joch|sattel/i },
+    { key: 'peak', label: 'Peaks', color: '#6d4c41', glyph: '▲', pattern: /peak|summit|volcano|gipfel/i },
+    { key: 'hut', label: 'Huts and shelters', color: '#e65100', glyph: '⌂', pattern: /hut|shelter|cabin|refuge|bivouac|bivacco|hütte|lodg|hostel|hotel/i },
+    { key: 'camp', label: 'Camping', color: '#2e7d32', glyph: 'Λ', pattern: /camp/i },
+    { key: 'food', label: 'Food and drink', color: '#c62828', glyph: '¶', pattern: /restaurant|cafe|café|food|\bbar\b|\bpub\b|bakery/i },
+    { key: 'viewpoint', label: 'Viewpoints', color: '#f9a825', glyph: '◎', pattern: /viewpoint|scenic|\bview\b|lookout/i },
+    { key: 'parking', label: 'Parking', color: '#1565c0', glyph: 'P', pattern: /parking/i },
+    { key: 'other', label: 'Other', color: '#546e7a', glyph: '•', pattern: null },
+];
+
+class POIImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'POIImportError';
+    }
+}
+
+const poiLayers = [];                 // Imported layers, in import order
+const trackWaypointLayer = { id: 'waypoints', name: 'Track waypoints', visible: true, pois: [] }; // Filled from the track layers
+const poiSettings = { fadeDistance: 20000, hiddenCategories: new Set() }; // fadeDistance in meters
+let nextPOILayerId = 1;
+let poiGroup = null;
+let poiMarkers = [];                  // [{ poi, layer, sprite, label (div), labelSize }]
+let poiLabelContainer = null;
+let poiLabelViewKey = '';             // Camera pose the labels were laid out for
+const poiIconTextures = new Map();    // Category key -> CanvasTexture, shared by the markers
+
+function poiCategory(key) {
+    return POI_CATEGORIES.find(category => category.key === key) || POI_CATEGORIES[POI_CATEGORIES.length - 1];
+}
+
+// Tags holding free text or metadata, which would give false matches
+const POI_TEXT_KEYS = ['name', 'title', 'label', 'description', 'desc', 'note', 'comment', 'cmt', 'source', 'website', 'url', 'operator'];
+
+// Category from the explicit fields first, then from the other tags, and from the name as a last resort
+function classifyPOI(fields, tags, name) {
+    const texts = [
+        fields.filter(Boolean).join(' '),
+        tags.filter(([key]) => !POI_TEXT_KEYS.includes(key.toLowerCase())).map(([key, value]) => `${key}=${value}`).join(' '),
+        name || '',
+    ];
+    for (const text of texts) {
+        const match = POI_CATEGORIES.find(category => category.pattern && category.pattern.test(text));
+        if (match) return match.key;
+    }
+    return 'other';
+}
+
+function poiFromWaypoint(point) {
+    const properties = [['Symbol', point.sym], ['Type', point.type], ['Description', point.desc], ['Comment', point.cmt],
+        ['Time', point.time ? point.time.toLocaleString() : null]].filter(([, value]) => value);
+    return {
+        name: point.name || 'Waypoint',
+        lat: point.lat,
+        lon: point.lon,
+        ele: point.ele !== undefined ? point.ele : null,
+        category: classifyPOI([point.type, point.sym], [], point.name),
+        properties,
+    };
+}
+
+// --- Import ---
+const POI_NAME_KEYS = ['name', 'title', 'label'];
+const POI_CATEGORY_KEYS = ['category', 'type', 'class', 'kind', 'sym', 'symbol', 'marker-symbol', 'amenity', 'tourism', 'natural'];
+const POI_ELEVATION_KEYS = ['ele', 'elevation', 'altitude', 'alt', 'height'];
+
+// Case-insensitive lookup of the first of some keys in a property object
+function poiProperty(properties, keys) {
+    const lowerKeys = new Map(Object.keys(properties).map(key => [key.toLowerCase(), key]));
+    for (const key of keys) {
+        const actual = lowerKeys.get(key);
+        if (actual !== undefined && properties[actual] !== null && properties[actual] !== '') return properties[actual];
+    }
+    return null;
+}
+
+function poiFromProperties(lat, lon, ele, properties) {
+    const tags = Object.entries(properties).filter(([, value]) => value !== null && value !== '' && typeof value !== 'object');
+    const elevation = ele !== null ? ele : parseFloat(poiProperty(properties, POI_ELEVATION_KEYS));
+    const name = String(poiProperty(properties, POI_NAME_KEYS) || 'Unnamed');
+    return {
+        name,
+        lat,
+        lon,
+        ele: Number.isFinite(elevation) ? elevation : null,
+        category: classifyPOI([poiProperty(properties, POI_CATEGORY_KEYS)], tags, name),
+        properties: tags.filter(([key]) => !POI_NAME_KEYS.includes(key.toLowerCase())).map(([key, value]) => [key, String(value)]),
+    };
+}
+
+// Point and MultiPoint features, with all their properties
+function parsePOIGeoJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new POIImportError(`The GeoJSON file is not valid JSON: ${error.message}`);
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new POIImportError('The GeoJSON file does not contain a GeoJSON object (FeatureCollection or Feature).');
+    }
+    const features = json.type === 'FeatureCollection' ? (Array.isArray(json.features) ? json.features : []) : json.type === 'Feature' ? [json] : [];
+    const pois = [];
+    features.forEach((feature, f) => {
+        const geometry = feature && feature.geometry;
+        if (!geometry) return;
+        if ((geometry.type === 'Point' || geometry.type === 'MultiPoint') && !Array.isArray(geometry.coordinates)) {
+            throw new POIImportError(`GeoJSON feature ${f + 1}: the ${geometry.type} geometry has no coordinates array.`);
+        }
+        const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.type === 'MultiPoint' ? geometry.coordinates.filter(Array.isArray) : [];
+        positions.forEach(([lon, lat, ele]) => {
+            if (Number.isFinite(lat) && Number.isFinite(lon)) pois.push(poiFromProperties(lat, lon, Number.isFinite(ele) ? ele : null, feature.properties || {}));
+        });
+    });
+    return pois;
+}
+
+// Rows of a CSV file (comma, semicolon or tab separated, with optional double quotes)
+function parseCSVRows(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field); field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// A header row naming the latitude and longitude columns, then one POI per row
+function parsePOICSV(text) {
+    const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (!header) throw new POIImportError('The CSV file is empty.');
+    const names = header.map(name => name.trim());
+    const column = pattern => names.findIndex(name => pattern.test(name));
+    const latColumn = column(/^(lat|latitude|y)$/i), lonColumn = column(/^(lon|lng|long|longitude|x)$/i);
+    if (latColumn < 0 || lonColumn < 0) throw new POIImportError('The CSV file needs a header row with "lat" and "lon" (or "latitude" and "longitude") columns.');
+    const pois = [];
+    rows.forEach(values => {
+        const lat = parseFloat(values[latColumn]), lon = parseFloat(values[lonColumn]);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+        const properties = {};
+        names.forEach((name, k) => {
+            if (k !== latColumn && k !== lonColumn && values[k] !== undefined && values[k].trim() !== '') properties[name] = values[k].trim();
+        });
+        pois.push(poiFromProperties(lat, lon, null, properties));
+    });
+    return pois;
+}
+
+function createPOILayer(name, pois, visible = true) {
+    return { id: nextPOILayerId++, name, visible, pois };
+}
+
+// Reads a File into a new (not yet added) layer. GPX, KML and KMZ files give their waypoints.
+async function importPOIFile(file) {
+    const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+    let pois;
+    if (extension === '.csv') {
+        pois = parsePOICSV(await file.text());
+    } else if (extension === '.geojson' || extension === '.json') {
+        pois = parsePOIGeoJSON(await file.text());
+    } else {
+        const doc = await importActivityFile(file);
+        pois = doc.waypoints.map(poiFromWaypoint);
+    }
+    if (pois.length === 0) throw new POIImportError('The file contains no points.');
+    return createPOILayer(file.name.replace(/\.[^.]+$/, ''), pois);
+}
+
+function allPOILayers() {
+    return [trackWaypointLayer, ...poiLayers];
+}
+
+// --- Markers ---
+function poiIconTexture(categoryKey) {
+    if (!poiIconTextures.has(categoryKey)) {
+        const category = poiCategory(categoryKey);
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        // A round badge on a short stem, whose foot is the bottom center of the sprite
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(size / 2 - 2, size * 0.6, 4, size * 0.4);
+        ctx.beginPath();
+        ctx.arc(size / 2, size * 0.34, size * 0.3, 0, Math.PI * 2);
+        ctx.fillStyle = category.color;
+        ctx.fill();
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${size * 0.34}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(category.glyph, size / 2, size * 0.35);
+        poiIconTextures.set(categoryKey, new THREE.CanvasTexture(canvas));
+    }
+    return poiIconTextures.get(categoryKey);
+}
+
+function poiInTerrain(poi) {
+    return !!terrainScene && geoBoundsContain(terrainScene.geoBounds, { minLat: poi.lat, maxLat: poi.lat, minLon: poi.lon, maxLon: poi.lon });
+}
+
+function clearPOIMarkers() {
+    if (poiGroup) {
+        scene.remove(poiGroup);
+        poiGroup.children.forEach(sprite => sprite.material.dispose()); // The icon textures are shared and kept
+        poiGroup = null;
+    }
+    poiMarkers.forEach(marker => marker.label.remove());
+    poiMarkers = [];
+    poiLabelViewKey = '';
+}
+
+// Rebuild the markers of all visible layers and categories inside the terrain
+function renderPOIMarkers() {
+    clearPOIMarkers();
+    trackWaypointLayer.pois = trackLayers.flatMap(layer => layer.document.waypoints || []).map(poiFromWaypoint);
+    if (!scene || !terrainScene) return;
+    const { projection, zScale } = terrainScene;
+    poiGroup = new THREE.Group();
+    poiGroup.name = 'pois';
+    const container = ensurePOILabelContainer();
+    allPOILayers().filter(layer => layer.visible).forEach(layer => layer.pois.forEach(poi => {
+        if (poiSettings.hiddenCategories.has(poi.category) || !poiInTerrain(poi)) return;
+        const { x, z } = projectToWorld(projection, poi.lat, poi.lon);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: poiIconTexture(poi.category), sizeAttenuation: false, transparent: true }));
+        sprite.center.set(0.5, 0);
+        sprite.scale.set(POI_MARKER_SCALE, POI_MARKER_SCALE, 1);
+        sprite.position.set(x, elevationToWorldY(projection, sampleTerrainElevation(poi.lat, poi.lon), zScale), z);
+        sprite.renderOrder = 3;
+        poiGroup.add(sprite);
+
+        const label = document.createElement('div');
+        label.className = 'poiLabel';
+        label.textContent = poi.name;
+        label.style.borderColor = poiCategory(poi.category).color;
+        label.hidden = true;
+        container.appendChild(label);
+        const marker = { poi, layer, sprite, label, labelSize: null };
+        label.addEventListener('click', () => showPickDetails(describePOI(marker)));
+        sprite.userData.poiMarker = marker;
+        poiMarkers.push(marker);
+    }));
+    scene.add(poiGroup);
+}
+
+// POI marker under the pointer, or null
+function pickPOI(pointer) {
+    if (!poiGroup) return null;
+    pickRaycaster.setFromCamera(pointer, camera);
+    const hit = pickRaycaster.intersectObjects(poiGroup.children.filter(sprite => sprite.visible), false)[0];
+    return hit ? hit.object.userData.poiMarker : null;
+}
+
+// Label/value rows for the click readout, like describeTrackPoint
+function describePOI(marker) {
+    const { poi, layer } = marker;
+    const elevation = poi.ele !== null ? poi.ele : sampleTerrainElevation(poi.lat, poi.lon);
+    return [
+        ['Name', poi.name],
+        ['Category', poiCategory(poi.category).label],
+        ['Layer', layer.name],
+        ['Elevation', `${Math.round(elevation)} m${poi.ele !== null ? '' : ' (terrain)'}`],
+        ['Position', formatLatLon(poi.lat, poi.lon)],
+        ...poi.properties,
+    ];
+}
+
+// --- Labels ---
+function ensurePOILabelContainer() {
+    if (!poiLabelContainer) {
+        poiLabelContainer = document.createElement('div');
+        poiLabelContainer.id = 'poiLabels';
+    }
+    if (poiLabelContainer.parentElement !== viewerDiv) viewerDiv.appendChild(poiLabelContainer); // initThreeJS clears the viewer
+    return poiLabelContainer;
+}
+
+// Fade markers with the distance from the camera and place labels greedily, nearest first,
+// skipping any that would overlap one already placed. Only runs when the camera moved.
+function updatePOILabels() {
+    if (poiMarkers.length === 0 || !terrainScene) return;
+    const viewKey = camera.position.toArray().concat(camera.quaternion.toArray(), [renderer.domElement.clientWidth, renderer.domElement.clientHeight]).join(',');
+    if (viewKey === poiLabelViewKey) return;
+    poiLabelViewKey = viewKey;
+
+    const width = renderer.domElement.clientWidth, height = renderer.domElement.clientHeight;
+    const fadeEnd = poiSettings.fadeDistance * terrainScene.projection.worldUnitsPerMeter;
+    const fadeStart = fadeEnd * POI_FADE_START;
+    const markerPixels = POI_MARKER_SCALE * height;
+    const screen = new THREE.Vector3();
+    const candidates = [];
+    poiMarkers.forEach(marker => {
+        const distance = camera.position.distanceTo(marker.sprite.position);
+        const opacity = Math.min(Math.max((fadeEnd - distance) / (fadeEnd - fadeStart), 0), 1);
+        marker.sprite.visible = opacity > 0;
+        marker.sprite.material.opacity = opacity;
+        marker.label.hidden = true;
+        if (opacity === 0) return;
+        screen.copy(marker.sprite.position).project(camera);
+        if (screen.z > 1 || Math.abs(screen.x) > 1 || Math.abs(screen.y) > 1) return; // Behind the camera or off screen
+        candidates.push({ marker, distance, opacity, x: (screen.x + 1) / 2 * width, y: (1 - screen.y) / 2 * height });
+    });
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    const placed = [];
+    for (const candidate of candidates) {
+        if (placed.length >= POI_MAX_LABELS) break;
+        const { marker } = candidate;
+        if (!marker.labelSize) { // Measured once, the first time the label is shown
+            marker.label.hidden = false;
+            marker.labelSize = { width: marker.label.offsetWidth, height: marker.label.offsetHeight };
+            marker.label.hidden = true;
+        }
+        const rect = {
+            left: candidate.x - marker.labelSize.width / 2,
+            top: candidate.y - markerPixels - marker.labelSize.height,
+            right: candidate.x + marker.labelSize.width / 2,
+            bottom: candidate.y - markerPixels,
+        };
+        const overlaps = placed.some(other => rect.left < other.right + POI_LABEL_GAP_PX && rect.right > other.left - POI_LABEL_GAP_PX &&
+            rect.top < other.bottom + POI_LABEL_GAP_PX && rect.bottom > other.top - POI_LABEL_GAP_PX);
+        if (overlaps) continue;
+        placed.push(rect);
+        marker.label.hidden = false;
+        marker.label.style.transform = `translate(${Math.round(rect.left)}px, ${Math.round(rect.top)}px)`;
+        marker.label.style.opacity = candidate.opacity;
+    }
+}
@@ -0,0 +1,316 @@
+// --- Elevation Profile Chart ---
+// Plots elevation against cumulative distance below the 3D view, overlaying the elevations
+// recorded in the activity file with the ones sampled from the terrain tiles (DEM).
+// Hovering the chart reports the point under the cursor, dragging selects a range; the
+// callbacks passed to initProfileChart link both to the 3D scene (see script.js).
+
+const PROFILE_PADDING = { left: 50, right: 15, top: 12, bottom: 22 };
+const PROFILE_GPX_COLOR = '#007bff';
+const PROFILE_DEM_COLOR = '#e67e22';
+const PROFILE_MIN_DRAG_PX = 4; // Shorter drags count as a click, which clears the selection
+
+let trackProfile = null; // Built by buildTrackProfile for the visualized track
+const profileChartState = {
+    canvas: null,
+    info: null,
+    hoverIndex: null,
+    selection: null, // { start, end } profile point indices, start < end
+    dragStartX: null,
+    dragCurrentX: null,
+    onHover: null,   // (point | null) => void
+    onSelect: null,  // ({ start, end } | null) => void
+};
+
+// One profile point per track point; segments follow each other along the distance axis.
+// trackPositions/trackElevations are the per-segment results of computeTerrainJob.
+function buildTrackProfile(trackSegments, trackPositions, trackElevations) {
+    const points = [];
+    const segmentStarts = []; // Profile index of the first point of every segment
+    let distance = 0;
+    let previous = null;
+    trackSegments.forEach((segment, segmentIndex) => {
+        segmentStarts.push(points.length);
+        segment.forEach((pt, index) => {
+            if (previous) distance += haversineDistance(previous.lat, previous.lon, pt.lat, pt.lon);
+            const demEle = trackElevations[segmentIndex][index];
+            const positions = trackPositions[segmentIndex];
+            points.push({
+                segment: segmentIndex,
+                index,
+                distance,
+                lat: pt.lat,
+                lon: pt.lon,
+                time: pt.time ? pt.time.getTime() / 1000 : null, // Unix seconds
+                gpxEle: pt.ele !== null && pt.ele !== undefined ? pt.ele : null,
+                demEle: Number.isNaN(demEle) ? null : demEle,
+                hr: pt.hr !== undefined ? pt.hr : null,       // Sensor values, used to color the track
+                cad: pt.cad !== undefined ? pt.cad : null,
+                power: pt.power !== undefined ? pt.power : null,
+                temp: pt.temp !== undefined ? pt.temp : null,
+                interpolated: !!pt.interpolated, // Inserted for draping, not recorded
+                position: new THREE.Vector3(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]),
+            });
+            previous = pt;
+        });
+    });
+
+    // Gain and grade come from the file elevations when every point has one, otherwise from the DEM
+    const hasGpxEle = points.length > 0 && points.every(p => p.gpxEle !== null);
+    points.forEach(p => { p.ele = hasGpxEle ? p.gpxEle : p.demEle; });
+
+    let minEle = Infinity, maxEle = -Infinity; // Looped rather than spread, tracks can have 100k+ points
+    points.forEach(p => [p.gpxEle, p.demEle].forEach(ele => {
+        if (ele === null) return;
+        minEle = Math.min(minEle, ele);
+        maxEle = Math.max(maxEle, ele);
+    }));
+    return {
+        points,
+        segmentStarts,
+        totalDistance: distance,
+        hasGpxEle,
+        minEle: minEle === Infinity ? 0 : minEle,
+        maxEle: maxEle === -Infinity ? 0 : maxEle,
+    };
+}
+
+// Index of the profile point for a track vertex, as hit in the 3D view
+function profileIndexForTrackPoint(profile, segment, index) {
+    if (!profile || segment >= profile.segmentStarts.length) return null;
+    return profile.segmentStarts[segment] + index;
+}
+
+// Closest profile point at a distance (binary search, distances are ascending)
+function profileIndexAtDistance(distance) {
+    const points = trackProfile.points;
+    let lo = 0, hi = points.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (points[mid].distance < distance) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0 && distance - points[lo - 1].distance < points[lo].distance - distance) lo--;
+    return lo;
+}
+
+// Distance, total gain and average grade between two profile points. Gain and loss ignore
+// wiggles below the threshold of the statistics panel (elevationChange, js/stats.js), so both agree.
+function profileRangeSummary(start, end) {
+    const points = trackProfile.points;
+    const { ascent: gain, descent: loss } = elevationChange(points.map(p => p.ele), start, end);
+    const distance = points[end].distance - points[start].distance;
+    const startEle = points[start].ele, endEle = points[end].ele;
+    const grade = distance > 0 && startEle !== null && endEle !== null ? (endEle - startEle) / distance * 100 : 0;
+    return { distance, gain, loss, grade };
+}
+
+// --- Drawing ---
+function profileChartArea(canvas) {
+    const width = canvas.clientWidth, height = canvas.clientHeight;
+    return {
+        width, height,
+        left: PROFILE_PADDING.left,
+        right: width - PROFILE_PADDING.right,
+        top: PROFILE_PADDING.top,
+        bottom: height - PROFILE_PADDING.bottom,
+    };
+}
+
+function profileDistanceToX(area, distance) {
+    const total = trackProfile.totalDistance || 1;
+    return area.left + distance / total * (area.right - area.left);
+}
+
+function profileXToDistance(area, x) {
+    const ratio = Math.min(Math.max((x - area.left) / (area.right - area.left), 0), 1);
+    return ratio * trackProfile.totalDistance;
+}
+
+// A round axis step giving roughly the requested number of ticks
+function niceProfileStep(range, ticks) {
+    const raw = range / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+    const normalized = raw / magnitude;
+    return (normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10) * magnitude;
+}
+
+function drawProfileSeries(ctx, area, eleToY, key, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let penDown = false, lastSegment = null;
+    trackProfile.points.forEach(p => {
+        const ele = p[key];
+        if (ele === null || p.segment !== lastSegment) penDown = false; // Gaps between segments and missing values
+        lastSegment = p.segment;
+        if (ele === null) return;
+        const x = profileDistanceToX(area, p.distance), y = eleToY(ele);
+        if (penDown) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+        penDown = true;
+    });
+    ctx.stroke();
+}
+
+function drawProfileChart() {
+    const canvas = profileChartState.canvas;
+    if (!canvas || !trackProfile) return;
+    const ratio = window.devicePixelRatio || 1;
+    const area = profileChartArea(canvas);
+    canvas.width = area.width * ratio;
+    canvas.height = area.height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, area.width, area.height);
+
+    const eleRange = Math.max(trackProfile.maxEle - trackProfile.minEle, 10);
+    const eleStep = niceProfileStep(eleRange, 4);
+    const minEle = Math.floor(trackProfile.minEle / eleStep) * eleStep;
+    const maxEle = Math.ceil((trackProfile.minEle + eleRange) / eleStep) * eleStep;
+    const eleToY = ele => area.bottom - (ele - minEle) / (maxEle - minEle) * (area.bottom - area.top);
+
+    // Grid and axis labels
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let ele = minEle; ele <= maxEle + 1e-6; ele += eleStep) {
+        const y = Math.round(eleToY(ele)) + 0.5;
+        ctx.beginPath(); ctx.moveTo(area.left, y); ctx.lineTo(area.right, y); ctx.stroke();
+        ctx.fillText(`${Math.round(ele)} m`, area.left - 5, y);
+    }
+    const totalKm = trackProfile.totalDistance / 1000;
+    const kmStep = niceProfileStep(totalKm, 8);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let km = 0; km <= totalKm + 1e-6; km += kmStep) {
+        const x = Math.round(profileDistanceToX(area, km * 1000)) + 0.5;
+        ctx.beginPath(); ctx.moveTo(x, area.top); ctx.lineTo(x, area.bottom); ctx.stroke();
+        ctx.fillText(`${parseFloat(km.toFixed(2))} km`, x, area.bottom + 5);
+    }
+
+    // Selected range
+    const selection = profileChartState.dragStartX !== null && profileChartState.dragCurrentX !== null
+        ? { x1: profileChartState.dragStartX, x2: profileChartState.dragCurrentX }
+        : profileChartState.selection
+            ? {
+                x1: profileDistanceToX(area, trackProfile.points[profileChartState.selection.start].distance),
+                x2: profileDistanceToX(area, trackProfile.points[profileChartState.selection.end].distance),
+            }
+            : null;
+    if (selection) {
+        ctx.fillStyle = 'rgba(255, 200, 0, 0.3)';
+        ctx.fillRect(Math.min(selection.x1, selection.x2), area.top, Math.abs(selection.x2 - selection.x1), area.bottom - area.top);
+    }
+
+    drawProfileSeries(ctx, area, eleToY, 'demEle', PROFILE_DEM_COLOR);
+    drawProfileSeries(ctx, area, eleToY, 'gpxEle', PROFILE_GPX_COLOR);
+
+    // Legend
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    let legendX = area.left + 8;
+    [['File elevation', PROFILE_GPX_COLOR, trackProfile.points.some(p => p.gpxEle !== null)], ['Terrain (DEM)', PROFILE_DEM_COLOR, true]]
+        .filter(([, , shown]) => shown)
+        .forEach(([label, color]) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(legendX, area.top + 4, 12, 3);
+            ctx.fillStyle = '#333';
+            ctx.fillText(label, legendX + 16, area.top);
+            legendX += ctx.measureText(label).width + 32;
+        });
+
+    // Hover cursor
+    if (profileChartState.hoverIndex !== null) {
+        const point = trackProfile.points[profileChartState.hoverIndex];
+        const x = Math.round(profileDistanceToX(area, point.distance)) + 0.5;
+        ctx.strokeStyle = '#333';
+        ctx.beginPath(); ctx.moveTo(x, area.top); ctx.lineTo(x, area.bottom); ctx.stroke();
+        if (point.ele !== null) {
+            ctx.fillStyle = '#333';
+            ctx.beginPath(); ctx.arc(x, eleToY(point.ele), 3.5, 0, Math.PI * 2); ctx.fill();
+        }
+        const label = `${(point.distance / 1000).toFixed(2)} km` + (point.ele !== null ? ` · ${Math.round(point.ele)} m` : '');
+        ctx.textAlign = x > area.right - 100 ? 'right' : 'left';
+        ctx.fillText(label, x + (ctx.textAlign === 'right' ? -6 : 6), area.top + 16);
+    }
+}
+
+function updateProfileInfo() {
+    const info = profileChartState.info;
+    if (!info || !trackProfile) return;
+    const source = trackProfile.hasGpxEle ? 'file elevations' : 'terrain elevations';
+    if (profileChartState.selection) {
+        const { start, end } = profileChartState.selection;
+        const summary = profileRangeSummary(start, end);
+        info.textContent = `Selection: ${(summary.distance / 1000).toFixed(2)} km, +${Math.round(summary.gain)} m / -${Math.round(summary.loss)} m, ` +
+            `average grade ${summary.grade.toFixed(1)}% (${source})`;
+    } else {
+        const summary = profileRangeSummary(0, trackProfile.points.length - 1);
+        info.textContent = `Total: ${(trackProfile.totalDistance / 1000).toFixed(2)} km, +${Math.round(summary.gain)} m / -${Math.round(summary.loss)} m (${source}). ` +
+            `Drag on the chart to measure a section.`;
+    }
+}
+
+// --- Interaction ---
+function setProfileHover(index, notify = true) {
+    if (index === profileChartState.hoverIndex) return;
+    profileChartState.hoverIndex = index;
+    drawProfileChart();
+    if (notify && profileChartState.onHover) profileChartState.onHover(index !== null ? trackProfile.points[index] : null);
+}
+
+function setProfileSelection(selection) {
+    profileChartState.selection = selection;
+    drawProfileChart();
+    updateProfileInfo();
+    if (profileChartState.onSelect) profileChartState.onSelect(selection);
+}
+
+function initProfileChart(canvas, info, { onHover, onSelect }) {
+    Object.assign(profileChartState, { canvas, info, onHover, onSelect });
+    const localX = event => event.clientX - canvas.getBoundingClientRect().left;
+
+    canvas.addEventListener('mousemove', event => {
+        if (!trackProfile) return;
+        const x = localX(event);
+        const index = profileIndexAtDistance(profileXToDistance(profileChartArea(canvas), x));
+        if (profileChartState.dragStartX !== null) {
+            profileChartState.dragCurrentX = x;
+            if (index === profileChartState.hoverIndex) drawProfileChart(); // Redraw the drag rectangle anyway
+        }
+        setProfileHover(index);
+    });
+    canvas.addEventListener('mouseleave', () => {
+        if (trackProfile && profileChartState.dragStartX === null) setProfileHover(null);
+    });
+    canvas.addEventListener('mousedown', event => {
+        if (!trackProfile) return;
+        profileChartState.dragStartX = localX(event);
+        profileChartState.dragCurrentX = null;
+        event.preventDefault();
+    });
+    // Listen on window so a drag released outside the chart still ends
+    window.addEventListener('mouseup', event => {
+        if (profileChartState.dragStartX === null) return;
+        const area = profileChartArea(canvas);
+        const startX = profileChartState.dragStartX, endX = localX(event);
+        profileChartState.dragStartX = null;
+        profileChartState.dragCurrentX = null;
+        if (Math.abs(endX - startX) < PROFILE_MIN_DRAG_PX) {
+            setProfileSelection(null);
+            return;
+        }
+        const a = profileIndexAtDistance(profileXToDistance(area, startX));
+        const b = profileIndexAtDistance(profileXToDistance(area, endX));
+        setProfileSelection(a === b ? null : { start: Math.min(a, b), end: Math.max(a, b) });
+    });
+}
+
+function showTrackProfile(profile) {
+    trackProfile = profile;
+    profileChartState.hoverIndex = null;
+    profileChartState.selection = null;
+    drawProfileChart();
+    updateProfileInfo();
+}
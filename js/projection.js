@@ -0,0 +1,87 @@
+// --- Local Metric Projection ---
+// Maps lat/lon to scene coordinates in true ground proportions. Points are projected to Web
+// Mercator meters and scaled by cos(latitude) at the center of the area, which gives local
+// east/north meters (exact at the center, conformal everywhere, so shapes are not squashed).
+// The scene is scaled so the longer side of the area spans terrainSize world units; the same
+// factor applies to elevations, so a vertical scale of 1.0 is true 1:1 relief.
+//
+// The projection is a plain object so it can be posted to js/terrainWorker.js; this file is
+// loaded there too and must stay free of DOM access.
+//
+// Scene axes: x points east, z points south, y is up; (0, 0) is the center of the bounds.
+
+const EARTH_RADIUS_METERS = 6378137; // WGS84 semi-major axis, as used by Web Mercator
+const EARTH_MEAN_RADIUS_METERS = 6371008.8; // For great-circle distances
+
+function mercatorX(lon) {
+    return EARTH_RADIUS_METERS * lon * Math.PI / 180;
+}
+
+function mercatorY(lat) {
+    const latRad = lat * Math.PI / 180;
+    return EARTH_RADIUS_METERS * Math.log(Math.tan(Math.PI / 4 + latRad / 2));
+}
+
+// geoBounds: { minLat, maxLat, minLon, maxLon }
+function createLocalProjection(geoBounds, terrainSize) {
+    const centerLat = (geoBounds.minLat + geoBounds.maxLat) / 2;
+    const metersPerMercatorMeter = Math.cos(centerLat * Math.PI / 180);
+    const originX = (mercatorX(geoBounds.minLon) + mercatorX(geoBounds.maxLon)) / 2;
+    const originY = (mercatorY(geoBounds.minLat) + mercatorY(geoBounds.maxLat)) / 2;
+
+    const widthMeters = (mercatorX(geoBounds.maxLon) - mercatorX(geoBounds.minLon)) * metersPerMercatorMeter;
+    const heightMeters = (mercatorY(geoBounds.maxLat) - mercatorY(geoBounds.minLat)) * metersPerMercatorMeter;
+    const worldUnitsPerMeter = terrainSize / (Math.max(widthMeters, heightMeters) || 1);
+
+    return {
+        originX,
+        originY,
+        metersPerMercatorMeter,
+        worldUnitsPerMeter,
+        widthMeters,
+        heightMeters,
+        worldWidth: widthMeters * worldUnitsPerMeter,  // Extent along x (east)
+        worldDepth: heightMeters * worldUnitsPerMeter, // Extent along z (south)
+    };
+}
+
+function projectToWorld(projection, lat, lon) {
+    const scale = projection.metersPerMercatorMeter * projection.worldUnitsPerMeter;
+    return {
+        x: (mercatorX(lon) - projection.originX) * scale,
+        z: -(mercatorY(lat) - projection.originY) * scale,
+    };
+}
+
+function unprojectFromWorld(projection, worldX, worldZ) {
+    const scale = projection.metersPerMercatorMeter * projection.worldUnitsPerMeter;
+    const mx = worldX / scale + projection.originX;
+    const my = -worldZ / scale + projection.originY;
+    return {
+        lat: (2 * Math.atan(Math.exp(my / EARTH_RADIUS_METERS)) - Math.PI / 2) * 180 / Math.PI,
+        lon: mx / EARTH_RADIUS_METERS * 180 / Math.PI,
+    };
+}
+
+// Elevation in meters -> scene y, exaggerated by zScale (1.0 = true relief)
+function elevationToWorldY(projection, elevation, zScale) {
+    return elevation * projection.worldUnitsPerMeter * zScale;
+}
+
+// Scene y -> elevation in meters, the inverse of elevationToWorldY
+function worldYToElevation(projection, worldY, zScale) {
+    return worldY / (projection.worldUnitsPerMeter * zScale);
+}
+
+function metersToWorld(projection, meters) {
+    return meters * projection.worldUnitsPerMeter;
+}
+
+// Great-circle distance in meters between two lat/lon points
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_MEAN_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
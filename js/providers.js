@@ -0,0 +1,149 @@
+// --- Tile Provider Registry ---
+// Every elevation and imagery source is described by a provider entry instead of
+// hard-coded URLs, so new servers can be added without touching the terrain code.
+//
+// Provider fields:
+//   id            - unique key, also used as the tile cache namespace
+//   name          - label shown in the UI
+//   url           - XYZ template; supports {z} {x} {y} {s} (subdomain) and {token}
+//   subdomains    - optional list substituted for {s}
+//   tileSize      - pixel size of one tile (256 or 512)
+//   minZoom/maxZoom
+//   requiresToken - whether an access token must be supplied
+//   decode(r,g,b) - elevation providers only: pixel -> meters
+//   attribution   - credit line shown in the status area
+
+// Known pixel encodings for elevation tiles
+const TERRAIN_ENCODINGS = {
+    // Mapbox Terrain-RGB: height = -10000 + ((R * 256 * 256 + G * 256 + B) * 0.1)
+    mapbox: (r, g, b) => -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1),
+    // Mapzen/AWS Terrarium: height = (R * 256 + G + B / 256) - 32768
+    terrarium: (r, g, b) => (r * 256 + g + b / 256) - 32768,
+};
+
+const tileProviders = {
+    elevation: new Map(),
+    imagery: new Map(),
+};
+
+function registerTileProvider(kind, provider) {
+    if (!tileProviders[kind]) throw new Error(`Unknown tile provider kind: ${kind}`);
+    if (kind === 'elevation' && typeof provider.decode !== 'function') {
+        throw new Error(`Elevation provider ${provider.id} must declare a pixel decoder.`);
+    }
+    tileProviders[kind].set(provider.id, {
+        tileSize: 256,
+        minZoom: 0,
+        maxZoom: 18,
+        requiresToken: false,
+        attribution: '',
+        ...provider,
+    });
+}
+
+function getTileProvider(kind, id) {
+    const provider = tileProviders[kind] && tileProviders[kind].get(id);
+    if (!provider) throw new Error(`No ${kind} provider registered with id "${id}".`);
+    return provider;
+}
+
+function listTileProviders(kind) {
+    return Array.from(tileProviders[kind].values());
+}
+
+// Fill in a provider URL template for one tile
+function buildTileUrl(provider, tileX, tileY, zoom, token) {
+    const subdomains = provider.subdomains || [];
+    const subdomain = subdomains.length > 0 ? subdomains[Math.abs(tileX + tileY) % subdomains.length] : '';
+    return provider.url
+        .replace('{z}', zoom)
+        .replace('{x}', tileX)
+        .replace('{y}', tileY)
+        .replace('{s}', subdomain)
+        .replace('{token}', encodeURIComponent(token || ''));
+}
+
+// --- Built-in Elevation Providers ---
+registerTileProvider('elevation', {
+    id: 'mapbox-terrain-rgb',
+    name: 'Mapbox Terrain-RGB',
+    url: 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token={token}',
+    maxZoom: 15,
+    requiresToken: true,
+    decode: TERRAIN_ENCODINGS.mapbox,
+    attribution: '© Mapbox',
+});
+
+registerTileProvider('elevation', {
+    id: 'aws-terrarium',
+    name: 'AWS Terrain Tiles (Terrarium)',
+    url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+    maxZoom: 15,
+    decode: TERRAIN_ENCODINGS.terrarium,
+    attribution: 'Terrain Tiles: Mapzen, AWS Open Data',
+});
+
+// --- Built-in Imagery Providers ---
+registerTileProvider('imagery', {
+    id: 'mapbox-streets',
+    name: 'Mapbox Streets',
+    url: 'https://api.mapbox.com/styles/v1/mapbox/streets-v11/tiles/256/{z}/{x}/{y}?access_token={token}',
+    maxZoom: 22,
+    requiresToken: true,
+    attribution: '© Mapbox © OpenStreetMap',
+});
+
+registerTileProvider('imagery', {
+    id: 'mapbox-satellite',
+    name: 'Mapbox Satellite',
+    url: 'https://api.mapbox.com/styles/v1/mapbox/satellite-v9/tiles/256/{z}/{x}/{y}?access_token={token}',
+    maxZoom: 22,
+    requiresToken: true,
+    attribution: '© Mapbox © Maxar',
+});
+
+registerTileProvider('imagery', {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    maxZoom: 19,
+    attribution: '© OpenStreetMap contributors',
+});
+
+registerTileProvider('imagery', {
+    id: 'opentopomap',
+    name: 'OpenTopoMap',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    subdomains: ['a', 'b', 'c'],
+    maxZoom: 17,
+    attribution: '© OpenTopoMap (CC-BY-SA) © OpenStreetMap contributors',
+});
+
+// --- Custom (user supplied) Providers ---
+// Custom templates are re-registered from the UI fields before each run, so a
+// self-hosted XYZ server only needs its URL pasted into the controls.
+function registerCustomProviders({ elevationUrl, elevationEncoding, elevationMaxZoom, imageryUrl, imageryMaxZoom }) {
+    if (elevationUrl) {
+        registerTileProvider('elevation', {
+            id: 'custom-elevation',
+            name: 'Custom XYZ elevation',
+            url: elevationUrl,
+            maxZoom: elevationMaxZoom || 15,
+            requiresToken: elevationUrl.includes('{token}'),
+            decode: TERRAIN_ENCODINGS[elevationEncoding] || TERRAIN_ENCODINGS.mapbox,
+        });
+    } else {
+        tileProviders.elevation.delete('custom-elevation');
+    }
+    if (imageryUrl) {
+        registerTileProvider('imagery', {
+            id: 'custom-imagery',
+            name: 'Custom XYZ imagery',
+            url: imageryUrl,
+            maxZoom: imageryMaxZoom || 22,
+            requiresToken: imageryUrl.includes('{token}'),
+        });
+    } else {
+        tileProviders.imagery.delete('custom-imagery');
+    }
+}
@@ -0,0 +1,199 @@
+// --- Clip Recorder ---
+// Records track playback (with the selected camera preset) straight from the renderer, at a
+// resolution and frame rate independent of the window. Two outputs:
+//   webm - MediaRecorder on a canvas stream, rendered in real time
+//   png  - a fixed-timestep frame sequence, every frame waiting for its terrain to load,
+//          packed into a ZIP for offline encoding (e.g. ffmpeg -i frame_%05d.png)
+// While recording, animate() skips its own frames (see recorderState.active).
+
+const RECORDER_TITLE_SECONDS = 3;     // Title card is shown this long, fading out in the last second
+const RECORDER_WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const RECORDER_BITS_PER_PIXEL = 0.15; // WebM bitrate = width * height * fps * this
+
+const recorderState = {
+    active: false,
+    cancelled: false,
+};
+
+class RecordingCancelledError extends Error {
+    constructor() {
+        super('Recording cancelled.');
+        this.name = 'RecordingCancelledError';
+    }
+}
+
+function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode frame as ${type}.`))), type);
+    });
+}
+
+// --- Overlays ---
+function drawTitleCard(ctx, width, height, options, time) {
+    const alpha = Math.min(Math.max(RECORDER_TITLE_SECONDS - time, 0), 1);
+    if (alpha <= 0) return;
+    const scale = height / 720;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, height * 0.38, width, height * 0.24);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${Math.round(44 * scale)}px sans-serif`;
+    ctx.fillText(options.title, width / 2, height * 0.47, width * 0.9);
+    if (options.subtitle) {
+        ctx.font = `${Math.round(24 * scale)}px sans-serif`;
+        ctx.fillText(options.subtitle, width / 2, height * 0.555, width * 0.9);
+    }
+    ctx.restore();
+}
+
+function drawStatsOverlay(ctx, width, height, sample) {
+    const timeline = playback.timeline;
+    const total = timeline.points[timeline.points.length - 1].distance;
+    const lines = [
+        sample.clockTime ? `${sample.clockTime.toLocaleTimeString()}  (+${formatDuration(sample.time)})` : formatDuration(sample.time),
+        `${(sample.distance / 1000).toFixed(1)} / ${(total / 1000).toFixed(1)} km`,
+        sample.elevation !== null ? `${Math.round(sample.elevation)} m` : null,
+        timeline.timed ? formatSpeed(sample.speed) : null, // Without timestamps the speed is made up
+    ].filter(Boolean);
+
+    const scale = height / 720;
+    const fontSize = Math.round(20 * scale);
+    const lineHeight = fontSize * 1.35;
+    const padding = 12 * scale;
+    ctx.save();
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const boxHeight = lines.length * lineHeight + padding * 2;
+    const x = padding * 2, y = height - boxHeight - padding * 2;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => ctx.fillText(line, x + padding, y + padding + i * lineHeight));
+    ctx.restore();
+}
+
+// Render the scene for the current playback time and compose it with the overlays
+function composeRecordingFrame(ctx, options, frameTime) {
+    renderer.render(scene, camera);
+    ctx.drawImage(renderer.domElement, 0, 0, options.width, options.height);
+    const sample = samplePlayback(playback.timeline, playback.time);
+    if (options.statsOverlay) drawStatsOverlay(ctx, options.width, options.height, sample);
+    if (options.titleCard && options.title) drawTitleCard(ctx, options.width, options.height, options, frameTime);
+}
+
+// options: { format: 'webm' | 'png', width, height, fps, duration (seconds of video),
+//            title, subtitle, titleCard, statsOverlay, onProgress(fraction) }
+// The whole track is played within the clip duration. Resolves with a Blob (WebM or ZIP).
+async function recordPlayback(options) {
+    if (!playback.timeline) throw new Error('Visualize a track before recording.');
+    if (recorderState.active) throw new Error('A recording is already running.');
+    let mimeType = null;
+    if (options.format === 'webm') {
+        if (typeof MediaRecorder === 'undefined') throw new Error('This browser cannot record video; use the PNG sequence instead.');
+        mimeType = RECORDER_WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) throw new Error('This browser cannot record WebM; use the PNG sequence instead.');
+    }
+
+    const saved = {
+        size: renderer.getSize(new THREE.Vector2()),
+        pixelRatio: renderer.getPixelRatio(),
+        aspect: camera.aspect,
+        time: playback.time,
+        speed: playback.speed,
+        playing: playback.playing,
+    };
+    recorderState.active = true;
+    recorderState.cancelled = false;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+    const ctx = canvas.getContext('2d');
+    const frameCount = Math.max(1, Math.round(options.duration * options.fps));
+    const dt = 1 / options.fps;
+
+    try {
+        renderer.setPixelRatio(1);
+        renderer.setSize(options.width, options.height, false); // Keep the on-page CSS size
+        camera.aspect = options.width / options.height;
+        camera.updateProjectionMatrix();
+        // Pixel-width track lines keep the thickness they have on screen, relative to the frame height
+        const lineScale = saved.size.y * saved.pixelRatio / options.height;
+        setTrackLineResolution(options.width * lineScale, options.height * lineScale);
+
+        playback.speed = playback.timeline.duration / options.duration;
+        playback.time = 0;
+        playback.playing = false;
+        refreshPlayback(0, true);
+
+        if (options.format === 'png') {
+            const files = [];
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (recorderState.cancelled) throw new RecordingCancelledError();
+                playback.time = Math.min(frame * dt * playback.speed, playback.timeline.duration);
+                refreshPlayback(dt, frame === 0);
+                controls.update();
+                await settleTerrainChunks(camera.position);
+                composeRecordingFrame(ctx, options, frame * dt);
+                const blob = await canvasToBlob(canvas, 'image/png');
+                files.push({ name: `frame_${String(frame).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+                if (options.onProgress) options.onProgress((frame + 1) / frameCount);
+            }
+            return createZipArchive(files);
+        }
+
+        // WebM: frames are pushed to the stream as they are drawn, paced to wall-clock time
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const chunks = [];
+        const mediaRecorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(options.width * options.height * options.fps * RECORDER_BITS_PER_PIXEL),
+        });
+        mediaRecorder.ondataavailable = event => { if (event.data.size > 0) chunks.push(event.data); };
+        const stopped = new Promise(resolve => { mediaRecorder.onstop = resolve; });
+
+        await settleTerrainChunks(camera.position); // Start from fully loaded terrain
+        mediaRecorder.start();
+        const start = performance.now();
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (recorderState.cancelled) throw new RecordingCancelledError();
+                const due = start + frame * dt * 1000;
+                const wait = due - performance.now();
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+                playback.time = Math.min(frame * dt * playback.speed, playback.timeline.duration);
+                refreshPlayback(dt, frame === 0);
+                controls.update();
+                updateTerrainChunks(camera.position);
+                composeRecordingFrame(ctx, options, frame * dt);
+                track.requestFrame();
+                if (options.onProgress) options.onProgress((frame + 1) / frameCount);
+            }
+        } finally {
+            mediaRecorder.stop();
+            await stopped;
+            track.stop();
+        }
+        return new Blob(chunks, { type: 'video/webm' });
+    } finally {
+        renderer.setPixelRatio(saved.pixelRatio);
+        renderer.setSize(saved.size.x, saved.size.y, false);
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+        setTrackLineResolution(renderer.domElement.width, renderer.domElement.height);
+        playback.speed = saved.speed;
+        playback.time = saved.time;
+        playback.playing = saved.playing;
+        refreshPlayback(0, true);
+        recorderState.active = false;
+    }
+}
+
+function cancelRecording() {
+    if (recorderState.active) recorderState.cancelled = true;
+}
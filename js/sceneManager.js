@@ -0,0 +1,132 @@
+// --- Scene Manager ---
+// Applies changes of the vertical scale and the track height to the scene in place. The decoded
+// heights (terrainHeightfields), the DEM samples of the tracks (placement.demElevations) and the
+// projection are kept, so new positions are computed without fetching or decoding any tile and
+// without placing the tracks again. Changes are collected and applied at most once per frame
+// (applySceneUpdates, registered with onFrame in script.js), so dragging a slider does not
+// rebuild the track meshes for every input event.
+//
+// It is also where memory is freed: disposeObjectTree for the GPU resources of everything taken
+// out of the scene, releaseTerrainMemory for the decoded tiles of a cleared scene, and
+// rendererMemoryStats to watch the totals over a long session.
+
+const pendingSceneUpdates = { zScale: null, trackHeight: null }; // null = unchanged
+
+// Dispose the geometries, materials and textures of an object and its descendants. Shared
+// geometries and materials are disposed once; the object is not removed from its parent.
+function disposeObjectTree(object) {
+    const disposed = new Set();
+    const dispose = resource => {
+        if (!resource || disposed.has(resource)) return;
+        disposed.add(resource);
+        resource.dispose();
+    };
+    object.traverse(child => {
+        dispose(child.geometry);
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.filter(Boolean).forEach(material => {
+            Object.values(material).forEach(value => { if (value && value.isTexture) dispose(value); }); // Label sprites, canvas textures
+            dispose(material);
+        });
+    });
+}
+
+// Free the CPU-side terrain data of a cleared scene: the heightfields and the session tile caches
+// (their bitmaps are closed). The tiles stored in IndexedDB stay, so showing the area again does
+// not download anything.
+function releaseTerrainMemory() {
+    clearTerrainHeightfields();
+    [terrainTileCache, mapImageTileCache, terrainHeightCache].forEach(cache => cache.clear());
+}
+
+function requestSceneUpdate(changes) {
+    Object.assign(pendingSceneUpdates, changes);
+}
+
+// Scene y of every placed point of a layer from its DEM samples, or from its recorded elevations
+// when it follows them, plus the track offset
+function updateTrackLayerHeights(layer) {
+    const placement = layer.placement;
+    layer.segments.forEach((segment, segmentIndex) => {
+        const positions = placement.positions[segmentIndex];
+        segment.forEach((pt, index) => {
+            const demEle = placement.demElevations[segmentIndex][index];
+            const ele = placement.mode === 'recorded' ? recordedElevationOrNaN(pt) : NaN;
+            const placed = !Number.isNaN(ele) ? ele : (Number.isNaN(demEle) ? 0 : demEle); // As in computeTerrainJob
+            positions[index * 3 + 1] = placement.elevationToY(placed) + placement.trackOffset;
+        });
+    });
+    layer.centerline.children.forEach(line => { // The centerline geometries share the position arrays
+        line.geometry.attributes.position.needsUpdate = true;
+        line.geometry.computeBoundingBox();
+        line.geometry.computeBoundingSphere();
+    });
+    if (layer.profile) layer.profile.points.forEach(p => { p.position.y = placement.positions[p.segment][p.index * 3 + 1]; });
+}
+
+// New vertical scale for the terrain chunks, tracks, camera and everything standing on the terrain
+function setSceneVerticalScale(zScale) {
+    const { projection } = terrainScene;
+    const ratio = zScale / terrainScene.zScale;
+    const elevationToY = elevation => elevationToWorldY(projection, elevation, zScale);
+    terrainScene.zScale = zScale;
+    setTerrainElevationToY(elevationToY);
+    trackLayers.forEach(layer => {
+        if (!layer.placement) return;
+        layer.placement.elevationToY = elevationToY;
+        layer.placement.trackOffset *= ratio; // The same meters above ground, exaggerated like the relief
+    });
+    // Scene y is proportional to the vertical scale, so this keeps the camera at the same elevation
+    camera.position.y *= ratio;
+    controls.target.y *= ratio;
+    controls.update();
+
+    drawMeasurement();
+    renderPinMarkers();
+    renderPOIMarkers();
+    applyLighting(); // Fits the shadow camera to the new relief
+    if (lighting.hillshade) refreshTerrainTextures(); // Shaded from the exaggerated slopes
+}
+
+function setSceneTrackHeight(meters) {
+    const { projection, zScale } = terrainScene;
+    trackLayers.forEach(layer => {
+        if (layer.placement) layer.placement.trackOffset = elevationToWorldY(projection, meters, zScale);
+    });
+}
+
+// Frame callback: apply the requested changes, then move the tracks and redraw their styles
+function applySceneUpdates() {
+    const { zScale, trackHeight } = pendingSceneUpdates;
+    if (zScale === null && trackHeight === null) return;
+    if (!terrainScene || !terrainChunkTree) return; // Kept until a terrain is shown
+    pendingSceneUpdates.zScale = null;
+    pendingSceneUpdates.trackHeight = null;
+
+    if (zScale !== null && zScale !== terrainScene.zScale) setSceneVerticalScale(zScale);
+    if (trackHeight !== null) setSceneTrackHeight(trackHeight);
+    trackLayers.filter(layer => layer.placement).forEach(updateTrackLayerHeights);
+    renderTrackStyle(readTrackStyleSettings());
+    showTrackHoverMarker(null);
+    if (trackHighlight) highlightTrackRange(trackHighlight.userData.selection);
+    refreshPlaybackPath();
+}
+
+// Totals of the renderer (WebGLRenderer.info, as of the last frame) and of the terrain data
+function rendererMemoryStats() {
+    if (!renderer) return null;
+    const { memory, render, programs } = renderer.info;
+    let heightfieldTiles = 0;
+    terrainHeightfields.forEach(heightfield => { heightfieldTiles += heightfield.tiles.size; });
+    return {
+        geometries: memory.geometries,
+        textures: memory.textures,
+        programs: programs ? programs.length : 0,
+        drawCalls: render.calls,
+        triangles: render.triangles,
+        terrainChunks: terrainChunkTree ? terrainChunkTree.loadedCount : 0,
+        heightfieldTiles,
+        tileBitmaps: terrainTileCache.size + mapImageTileCache.size + droppedTileBitmaps.size,
+        heightGrids: terrainHeightCache.size,
+    };
+}
@@ -0,0 +1,216 @@
+// --- Sessions ---
+// A session holds what is needed to show a scene again: the settings of the control panel, the
+// tracks (as GPX text, so edits and elevation corrections are kept), the styling of their
+// layers, the imported POI layers, the pins and the camera. It is saved as a JSON project file.
+// A shorter form with only the view parameters goes into the URL hash, so a link shows the same
+// framing of a route once the route is loaded.
+//
+// The camera is stored as latitude, longitude and elevation, so it does not depend on the
+// projection of the terrain it was saved on. The Mapbox token and the custom server templates,
+// which can carry API keys of their own, are never written, neither to the file nor to the hash.
+//
+// Session: {
+//   format: SESSION_FORMAT, version, savedAt (ISO date),
+//   settings:  { inputId: value (string, or boolean for checkboxes) },
+//   view:      { camera: { lat, lon, elevation }, target: { lat, lon, elevation } } or null,
+//   tracks:    [{ name, color, visible, opacity, active, gpx }],
+//   trackWaypointsVisible,
+//   poiLayers: [{ name, visible, pois }],
+//   hiddenPOICategories: [category keys],
+//   pins:      [{ name, lat, lon, elevation }],
+// }
+
+const SESSION_FORMAT = 'gpx3d-session';
+const SESSION_VERSION = 1;
+const SESSION_TOKEN_INPUT_ID = 'mapboxToken';
+const SESSION_PRIVATE_INPUT_IDS = [SESSION_TOKEN_INPUT_ID, 'customElevationUrl', 'customImageryUrl'];
+// Panels whose inputs belong to this browser or to the loaded points, not to a session
+const SESSION_SKIPPED_PANELS = ['editPanel', 'libraryPanel', 'cachePanel', 'sessionPanel'];
+
+// Short URL hash keys of the settings that make up the view
+const SESSION_HASH_SETTINGS = {
+    e: 'elevationProvider', i: 'imageryProvider', z: 'zScale', tz: 'terrainZoom',
+    al: 'ambientLight', dl: 'directionalLight', lm: 'lightingMode', sd: 'sunDate', st: 'sunTime',
+    sh: 'shadows', hs: 'hillshade', th: 'trackHeight', tp: 'trackPlacement',
+};
+
+class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+    }
+}
+
+// Inputs of the control panel that a session restores, in page order
+function sessionSettingInputs() {
+    return Array.from(document.querySelectorAll('#controls input[id], #controls select[id]')).filter(input =>
+        !SESSION_PRIVATE_INPUT_IDS.includes(input.id) && input.type !== 'file' && !SESSION_SKIPPED_PANELS.some(id => input.closest(`#${id}`)));
+}
+
+function readSessionSettings() {
+    const token = document.getElementById(SESSION_TOKEN_INPUT_ID).value.trim();
+    const settings = {};
+    sessionSettingInputs().forEach(input => {
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        if (token && typeof value === 'string' && value.includes(token)) return; // E.g. a custom URL template with the token in it
+        settings[input.id] = value;
+    });
+    return settings;
+}
+
+// Set the inputs that differ from the settings and fire their events, so every panel reacts as
+// if the user had changed them. Page order matters: the track style resets the width, the
+// color attribute resets the scale range.
+function applySessionSettings(settings) {
+    sessionSettingInputs().forEach(input => {
+        if (!(input.id in settings)) return;
+        const value = settings[input.id];
+        if (input.type === 'checkbox') {
+            const checked = value === true || value === 'true' || value === '1';
+            if (input.checked === checked) return;
+            input.checked = checked;
+        } else {
+            if (input.value === String(value)) return;
+            if (input.tagName === 'SELECT' && !Array.from(input.options).some(option => option.value === String(value))) {
+                console.warn(`Session setting ${input.id}: no option "${value}", keeping "${input.value}".`);
+                return;
+            }
+            input.value = value;
+        }
+        input.dispatchEvent(new Event('input'));
+        input.dispatchEvent(new Event('change'));
+    });
+}
+
+// Scene position -> { lat, lon, elevation } on the current terrain
+function sessionViewPoint(position) {
+    const { projection, zScale } = terrainScene;
+    const { lat, lon } = unprojectFromWorld(projection, position.x, position.z);
+    return { lat, lon, elevation: worldYToElevation(projection, position.y, zScale) };
+}
+
+function sessionScenePosition(point) {
+    const { projection, zScale } = terrainScene;
+    const { x, z } = projectToWorld(projection, point.lat, point.lon);
+    return new THREE.Vector3(x, elevationToWorldY(projection, point.elevation, zScale), z);
+}
+
+function readSessionView() {
+    if (!terrainScene || !camera) return null;
+    return { camera: sessionViewPoint(camera.position), target: sessionViewPoint(controls.target) };
+}
+
+// Move the camera to a saved view; false when there is no terrain or the view is not over it
+function applySessionView(view) {
+    if (!view || !terrainScene || !camera) return false;
+    const { lat, lon } = view.target;
+    if (!geoBoundsContain(terrainScene.geoBounds, { minLat: lat, maxLat: lat, minLon: lon, maxLon: lon })) return false;
+    camera.position.copy(sessionScenePosition(view.camera));
+    controls.target.copy(sessionScenePosition(view.target));
+    camera.lookAt(controls.target);
+    controls.update();
+    return true;
+}
+
+function createSession() {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        settings: readSessionSettings(),
+        view: readSessionView(),
+        tracks: trackLayers.map(layer => ({
+            name: layer.name,
+            color: layer.color,
+            visible: layer.visible,
+            opacity: layer.opacity,
+            active: layer === activeTrackLayer,
+            gpx: serializeGPX(layer.document),
+        })),
+        trackWaypointsVisible: trackWaypointLayer.visible,
+        poiLayers: poiLayers.map(layer => ({ name: layer.name, visible: layer.visible, pois: layer.pois })),
+        hiddenPOICategories: Array.from(poiSettings.hiddenCategories),
+        pins: pins.map(pin => ({ name: pin.name, lat: pin.lat, lon: pin.lon, elevation: pin.elevation })),
+    };
+}
+
+// A saved pin or POI as the app builds them, or null when its position is not numeric.
+// Number.isFinite, unlike isFinite, lets neither null (0) nor numeric strings through.
+function parseSessionPin(pin) {
+    if (!pin || !Number.isFinite(pin.lat) || !Number.isFinite(pin.lon) || !Number.isFinite(pin.elevation)) return null;
+    return { name: String(pin.name || ''), lat: pin.lat, lon: pin.lon, elevation: pin.elevation };
+}
+
+function parseSessionPOI(poi) {
+    if (!poi || !Number.isFinite(poi.lat) || !Number.isFinite(poi.lon)) return null;
+    return {
+        name: String(poi.name || 'Unnamed'),
+        lat: poi.lat,
+        lon: poi.lon,
+        ele: Number.isFinite(poi.ele) ? poi.ele : null,
+        category: typeof poi.category === 'string' ? poi.category : 'other',
+        properties: Array.isArray(poi.properties) ? poi.properties.filter(Array.isArray).map(([key, value]) => [String(key), String(value)]) : [],
+    };
+}
+
+// Parse a session file, filling in what older or hand-written files leave out
+function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new SessionError(`The file is not valid JSON: ${error.message}`);
+    }
+    if (!session || session.format !== SESSION_FORMAT) throw new SessionError('The file is not a saved session.');
+    if (session.version > SESSION_VERSION) throw new SessionError(`The session was saved by a newer version (${session.version}) of the visualizer.`);
+    return {
+        settings: session.settings || {},
+        view: session.view || null,
+        tracks: (session.tracks || []).filter(track => typeof track.gpx === 'string'),
+        trackWaypointsVisible: session.trackWaypointsVisible !== false,
+        poiLayers: (session.poiLayers || []).filter(layer => layer && Array.isArray(layer.pois))
+            .map(layer => ({ ...layer, pois: layer.pois.map(parseSessionPOI).filter(poi => poi) })),
+        hiddenPOICategories: session.hiddenPOICategories || [],
+        pins: (session.pins || []).map(parseSessionPin).filter(pin => pin),
+    };
+}
+
+// --- URL Hash ---
+function formatHashPoint(point) {
+    return `${point.lat.toFixed(6)},${point.lon.toFixed(6)},${Math.round(point.elevation)}`;
+}
+
+function parseHashPoint(text) {
+    const [lat, lon, elevation] = (text || '').split(',').map(parseFloat);
+    return [lat, lon, elevation].every(isFinite) ? { lat, lon, elevation } : null;
+}
+
+// "#e=...&z=1.5&cam=lat,lon,ele&tgt=lat,lon,ele"; the sun date only when the sun lights the terrain
+function sessionToHash(session) {
+    const params = new URLSearchParams();
+    Object.entries(SESSION_HASH_SETTINGS).forEach(([key, id]) => {
+        if (!(id in session.settings)) return;
+        if ((id === 'sunDate' || id === 'sunTime') && session.settings.lightingMode !== 'sun') return;
+        const value = session.settings[id];
+        params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+    });
+    if (session.view) {
+        params.set('cam', formatHashPoint(session.view.camera));
+        params.set('tgt', formatHashPoint(session.view.target));
+    }
+    return `#${params.toString().replace(/%2C/g, ',')}`; // Commas are fine in a hash and keep it readable
+}
+
+// { settings, view } from a URL hash, or null when it holds no view parameters
+function sessionFromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const settings = {};
+    Object.entries(SESSION_HASH_SETTINGS).forEach(([key, id]) => {
+        if (params.has(key)) settings[id] = params.get(key);
+    });
+    const cameraPoint = parseHashPoint(params.get('cam'));
+    const targetPoint = parseHashPoint(params.get('tgt'));
+    const view = cameraPoint && targetPoint ? { camera: cameraPoint, target: targetPoint } : null;
+    if (!view && Object.keys(settings).length === 0) return null;
+    return { settings, view };
+}
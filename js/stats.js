@@ -0,0 +1,270 @@
+// --- Track Statistics ---
+// Distance, elevation, grade, time and speed figures for a track, plus per-kilometer splits
+// and detected climbs. Elevation-based figures are computed twice: from the elevations stored
+// in the activity file ("gpx") and from the terrain tiles ("dem"), since recorded elevations
+// are often noisy or missing. Pure computation; the summary panel lives in script.js.
+
+const STATS_ELEVATION_THRESHOLD_M = 5;   // Ascent/descent ignore wiggles smaller than this
+const STATS_GRADE_WINDOW_M = 100;        // Max grade is measured over at least this distance
+const STATS_STOP_SPEED_MS = 0.5;         // Slower than this (1.8 km/h) counts as stopped
+const STATS_MAX_MOVING_GAP_S = 300;      // Longer recording gaps count as paused
+const STATS_SPEED_WINDOW_S = 10;         // Max speed is measured over at least this long
+const STATS_SPLIT_DISTANCE_M = 1000;
+const CLIMB_MIN_LENGTH_M = 500;
+const CLIMB_MIN_GRADE = 3;               // Percent
+const CLIMB_START_GAIN_M = 10;           // Rise needed above the last low point to start a climb
+const CLIMB_MAX_DROP_M = 20;             // A climb ends once it drops this far below its top...
+const CLIMB_MAX_DROP_RATIO = 0.1;        // ...or this fraction of its gain, whichever is larger
+
+// Climb categories by score = length (m) x average grade (%), highest first
+const CLIMB_CATEGORIES = [
+    { name: 'HC', minScore: 80000 },
+    { name: 'Cat 1', minScore: 64000 },
+    { name: 'Cat 2', minScore: 32000 },
+    { name: 'Cat 3', minScore: 16000 },
+    { name: 'Cat 4', minScore: 8000 },
+];
+
+let trackStatistics = null; // Result of computeTrackStatistics for the visualized track
+
+// Flatten the segments into parallel arrays along the track
+function buildStatsSeries(trackSegments, demElevations) {
+    const series = { distance: [], time: [], gpxEle: [], demEle: [], segment: [] };
+    let distance = 0, previous = null;
+    trackSegments.forEach((segment, segmentIndex) => {
+        segment.forEach((pt, index) => {
+            if (previous) distance += haversineDistance(previous.lat, previous.lon, pt.lat, pt.lon);
+            const demEle = demElevations ? demElevations[segmentIndex][index] : NaN;
+            series.distance.push(distance);
+            series.time.push(pt.time ? pt.time.getTime() / 1000 : null);
+            series.gpxEle.push(pt.ele !== null && pt.ele !== undefined ? pt.ele : null);
+            series.demEle.push(Number.isNaN(demEle) ? null : demEle);
+            series.segment.push(segmentIndex);
+            previous = pt;
+        });
+    });
+    return series;
+}
+
+// Ascent and descent between two indices, counting only moves larger than the threshold
+function elevationChange(elevations, start, end) {
+    let ascent = 0, descent = 0, reference = null;
+    for (let i = start; i <= end; i++) {
+        const ele = elevations[i];
+        if (ele === null) continue;
+        if (reference === null) {
+            reference = ele;
+        } else if (ele - reference >= STATS_ELEVATION_THRESHOLD_M) {
+            ascent += ele - reference;
+            reference = ele;
+        } else if (reference - ele >= STATS_ELEVATION_THRESHOLD_M) {
+            descent += reference - ele;
+            reference = ele;
+        }
+    }
+    return { ascent, descent };
+}
+
+// Steepest climb and descent over windows of at least STATS_GRADE_WINDOW_M (percent)
+function gradeExtremes(distances, elevations) {
+    const valid = [];
+    elevations.forEach((ele, i) => { if (ele !== null) valid.push(i); });
+    let maxGrade = null, minGrade = null;
+    for (let a = 0, b = 0; a < valid.length; a++) {
+        while (b < valid.length && distances[valid[b]] - distances[valid[a]] < STATS_GRADE_WINDOW_M) b++;
+        if (b >= valid.length) break;
+        const i = valid[a], j = valid[b];
+        const grade = (elevations[j] - elevations[i]) / (distances[j] - distances[i]) * 100;
+        maxGrade = maxGrade === null ? grade : Math.max(maxGrade, grade);
+        minGrade = minGrade === null ? grade : Math.min(minGrade, grade);
+    }
+    return { maxGrade, minGrade };
+}
+
+// Seconds between two points, or null when either has no time or they are in different segments
+function intervalSeconds(series, i, j) {
+    if (series.time[i] === null || series.time[j] === null || series.segment[i] !== series.segment[j]) return null;
+    return series.time[j] - series.time[i];
+}
+
+function movingTimeBetween(series, start, end) {
+    let moving = 0;
+    for (let i = start + 1; i <= end; i++) {
+        const dt = intervalSeconds(series, i - 1, i);
+        if (dt === null || dt <= 0 || dt > STATS_MAX_MOVING_GAP_S) continue;
+        if ((series.distance[i] - series.distance[i - 1]) / dt >= STATS_STOP_SPEED_MS) moving += dt;
+    }
+    return moving;
+}
+
+function computeTimeStatistics(series) {
+    const timed = series.time.map((t, i) => (t !== null ? i : -1)).filter(i => i >= 0);
+    if (timed.length < 2) return null;
+    const first = timed[0], last = timed[timed.length - 1];
+
+    let movingTime = 0, movingDistance = 0, maxSpeed = 0;
+    for (let i = 1; i < series.time.length; i++) {
+        const dt = intervalSeconds(series, i - 1, i);
+        if (dt === null || dt <= 0 || dt > STATS_MAX_MOVING_GAP_S) continue;
+        const dd = series.distance[i] - series.distance[i - 1];
+        if (dd / dt < STATS_STOP_SPEED_MS) continue; // Stopped
+        movingTime += dt;
+        movingDistance += dd;
+    }
+    // Max speed over a sliding window, so single GPS jumps do not produce absurd peaks
+    for (let a = 0, b = 0; a < series.time.length; a++) {
+        if (b < a) b = a;
+        while (b < series.time.length && intervalSeconds(series, a, b) !== null && intervalSeconds(series, a, b) < STATS_SPEED_WINDOW_S) b++;
+        const dt = b < series.time.length ? intervalSeconds(series, a, b) : null;
+        if (dt === null || dt <= 0 || dt > STATS_MAX_MOVING_GAP_S) continue;
+        maxSpeed = Math.max(maxSpeed, (series.distance[b] - series.distance[a]) / dt);
+    }
+
+    return {
+        startTime: new Date(series.time[first] * 1000),
+        endTime: new Date(series.time[last] * 1000),
+        elapsedTime: series.time[last] - series.time[first], // Seconds
+        movingTime,
+        averageSpeed: movingTime > 0 ? movingDistance / movingTime : null, // m/s
+        maxSpeed: maxSpeed > 0 ? maxSpeed : null,
+    };
+}
+
+function climbCategory(score) {
+    const category = CLIMB_CATEGORIES.find(c => score >= c.minScore);
+    return category ? category.name : null;
+}
+
+// Climbs run from a low point to the following top, ending once the track drops well below the top.
+// Only categorized climbs are returned.
+function detectClimbs(series, elevations, hasTime) {
+    const climbs = [];
+    let low = null, start = null, top = null;
+    const close = () => {
+        const gain = elevations[top] - elevations[start];
+        const length = series.distance[top] - series.distance[start];
+        const grade = length > 0 ? gain / length * 100 : 0;
+        const category = climbCategory(length * grade);
+        if (length >= CLIMB_MIN_LENGTH_M && grade >= CLIMB_MIN_GRADE && category) {
+            const duration = hasTime ? movingTimeBetween(series, start, top) : null;
+            climbs.push({
+                startIndex: start,
+                endIndex: top,
+                startDistance: series.distance[start],
+                length,
+                gain,
+                grade,
+                category,
+                duration,
+                vam: duration ? gain / (duration / 3600) : null, // Vertical meters per hour
+            });
+        }
+    };
+
+    elevations.forEach((ele, i) => {
+        if (ele === null) return;
+        if (start === null) {
+            if (low === null || ele < elevations[low]) low = i;
+            if (ele - elevations[low] >= CLIMB_START_GAIN_M) { start = low; top = i; }
+            return;
+        }
+        if (ele >= elevations[top]) {
+            top = i;
+        } else if (elevations[top] - ele > Math.max(CLIMB_MAX_DROP_M, (elevations[top] - elevations[start]) * CLIMB_MAX_DROP_RATIO)) {
+            close();
+            start = null;
+            low = i;
+        }
+    });
+    if (start !== null) close();
+    return climbs;
+}
+
+function computeSplits(series, elevations, hasTime) {
+    const splits = [];
+    const total = series.distance[series.distance.length - 1];
+    let start = 0;
+    for (let i = 1; i < series.distance.length; i++) {
+        const boundary = (splits.length + 1) * STATS_SPLIT_DISTANCE_M;
+        const isLast = i === series.distance.length - 1;
+        if (series.distance[i] < boundary && !isLast) continue;
+        const length = series.distance[i] - series.distance[start];
+        const { ascent, descent } = elevationChange(elevations, start, i);
+        const startEle = elevations[start], endEle = elevations[i];
+        const duration = hasTime ? movingTimeBetween(series, start, i) : null;
+        splits.push({
+            number: splits.length + 1,
+            startDistance: series.distance[start],
+            length,
+            ascent,
+            descent,
+            grade: length > 0 && startEle !== null && endEle !== null ? (endEle - startEle) / length * 100 : null,
+            duration,
+            speed: duration ? length / duration : null,
+        });
+        start = i;
+        if (series.distance[i] >= total) break;
+    }
+    return splits;
+}
+
+function computeElevationStatistics(series, elevations, time) {
+    const valid = elevations.filter(ele => ele !== null);
+    if (valid.length < 2) return null;
+    const distance = series.distance[series.distance.length - 1];
+    const { ascent, descent } = elevationChange(elevations, 0, elevations.length - 1);
+    const { maxGrade, minGrade } = gradeExtremes(series.distance, elevations);
+    const first = elevations.find(ele => ele !== null);
+    const last = valid[valid.length - 1];
+    const climbs = detectClimbs(series, elevations, time !== null);
+    const climbGain = climbs.reduce((sum, c) => sum + c.gain, 0);
+    const climbTime = climbs.reduce((sum, c) => sum + (c.duration || 0), 0);
+
+    let minElevation = Infinity, maxElevation = -Infinity;
+    valid.forEach(ele => {
+        minElevation = Math.min(minElevation, ele);
+        maxElevation = Math.max(maxElevation, ele);
+    });
+    return {
+        ascent,
+        descent,
+        minElevation,
+        maxElevation,
+        averageGrade: distance > 0 ? (last - first) / distance * 100 : 0, // Net, start to finish
+        maxGrade,
+        minGrade, // Steepest descent, negative
+        vam: climbTime > 0 ? climbGain / (climbTime / 3600) : null, // Over the detected climbs
+        splits: computeSplits(series, elevations, time !== null),
+        climbs,
+    };
+}
+
+// trackSegments: arrays of parsed points ({ lat, lon, ele, time }); demElevations: the per-segment
+// trackElevations returned by computeTerrainJob (optional).
+// Returns { distance, pointCount, time, elevation: { gpx, dem } }; entries are null when the
+// data they need is missing.
+function computeTrackStatistics(trackSegments, demElevations) {
+    const series = buildStatsSeries(trackSegments, demElevations);
+    const time = computeTimeStatistics(series);
+    return {
+        distance: series.distance.length ? series.distance[series.distance.length - 1] : 0, // Meters
+        pointCount: series.distance.length,
+        time,
+        elevation: {
+            gpx: computeElevationStatistics(series, series.gpxEle, time),
+            dem: computeElevationStatistics(series, series.demEle, time),
+        },
+    };
+}
+
+// --- Formatting ---
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '–';
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600), m = Math.floor(total % 3600 / 60), s = total % 60;
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}` : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function formatSpeed(metersPerSecond) {
+    return metersPerSecond === null || metersPerSecond === undefined ? '–' : `${(metersPerSecond * 3.6).toFixed(1)} km/h`;
+}
@@ -0,0 +1,152 @@
+// --- Sun Lighting, Shadows and Hillshade ---
+// The directional light either shines from a fixed direction (south-east, as before) or from
+// the real sun position over the terrain center at a date and time. Sun azimuth and altitude
+// follow the low-precision formulas also used by SunCalc (good to a fraction of a degree).
+// Shadow maps let the terrain shade itself and the track, and an optional hillshade, lit from
+// the same direction, is baked into the terrain textures as an overlay (see
+// addTerrainTextureOverlay in js/terrainChunks.js).
+//
+// Scene axes: x east, y up, z south, so a direction (x, y, z) has azimuth atan2(x, -z).
+
+const SUN_FULL_LIGHT_ALTITUDE = 10; // Degrees; the direct light fades out below this
+const SHADOW_MAP_SIZE = 2048;
+const HILLSHADE_SAMPLES = 64;       // Shading samples along a chunk edge, smoothed up to the texture size
+const FIXED_LIGHT_DIRECTION = new THREE.Vector3(1, 1, 1).normalize();
+
+// mode: 'fixed' | 'sun'; date: Date for the sun; intensity: directional light at full sun
+const lighting = {
+    mode: 'fixed',
+    date: null,
+    intensity: 0.5,
+    shadows: false,
+    hillshade: false,
+    hillshadeStrength: 0.5,
+};
+
+// Sun position for a time and place: { azimuth (degrees clockwise from north), altitude (degrees) }
+function sunPosition(date, lat, lon) {
+    const rad = Math.PI / 180;
+    const days = date.getTime() / 86400000 - 10957.5; // Days since J2000.0
+    const meanAnomaly = rad * (357.5291 + 0.98560028 * days);
+    const center = rad * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLongitude = meanAnomaly + center + rad * 102.9372 + Math.PI;
+    const obliquity = rad * 23.4397;
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+    const rightAscension = Math.atan2(Math.sin(eclipticLongitude) * Math.cos(obliquity), Math.cos(eclipticLongitude));
+    const hourAngle = rad * (280.16 + 360.9856235 * days) + rad * lon - rightAscension;
+    const phi = rad * lat;
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+    const azimuthFromSouth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi));
+    return {
+        azimuth: ((azimuthFromSouth / rad + 180) % 360 + 360) % 360,
+        altitude: altitude / rad,
+    };
+}
+
+// Unit vector towards a light at an azimuth and altitude, in scene axes
+function lightDirectionFromAngles({ azimuth, altitude }) {
+    const rad = Math.PI / 180;
+    return new THREE.Vector3(
+        Math.sin(azimuth * rad) * Math.cos(altitude * rad),
+        Math.sin(altitude * rad),
+        -Math.cos(azimuth * rad) * Math.cos(altitude * rad)
+    );
+}
+
+function lightAnglesFromDirection(direction) {
+    const deg = 180 / Math.PI;
+    return {
+        azimuth: (Math.atan2(direction.x, -direction.z) * deg + 360) % 360,
+        altitude: Math.asin(Math.min(Math.max(direction.y, -1), 1)) * deg,
+    };
+}
+
+// Sun angles over the current terrain, or null when the light is fixed or there is no date/terrain
+function currentSunPosition() {
+    if (lighting.mode !== 'sun' || !lighting.date || !terrainScene) return null;
+    const { minLat, maxLat, minLon, maxLon } = terrainScene.geoBounds;
+    return sunPosition(lighting.date, (minLat + maxLat) / 2, (minLon + maxLon) / 2);
+}
+
+function currentLightDirection() {
+    const sun = currentSunPosition();
+    return sun ? lightDirectionFromAngles(sun) : FIXED_LIGHT_DIRECTION.clone();
+}
+
+// Place the directional light and fit its shadow camera around the terrain
+function applyLighting() {
+    if (!directionalLight) return;
+    const sun = currentSunPosition();
+    const direction = currentLightDirection();
+    const projection = terrainScene ? terrainScene.projection : null;
+    const halfWidth = projection ? Math.hypot(projection.worldWidth, projection.worldDepth) / 2 : TERRAIN_SIZE * 0.75;
+    let minY = 0, maxY = 0;
+    if (terrainChunkTree) {
+        minY = Math.min(...terrainChunkTree.roots.map(root => root.minY));
+        maxY = Math.max(...terrainChunkTree.roots.map(root => root.maxY));
+    }
+    const distance = halfWidth * 2 + (maxY - minY);
+
+    directionalLight.target.position.set(0, (minY + maxY) / 2, 0);
+    directionalLight.target.updateMatrixWorld();
+    directionalLight.position.copy(directionalLight.target.position).addScaledVector(direction, distance);
+    // Below the horizon only the ambient light is left
+    const sunFactor = sun ? Math.min(Math.max(sun.altitude / SUN_FULL_LIGHT_ALTITUDE, 0), 1) : 1;
+    directionalLight.intensity = lighting.intensity * sunFactor;
+
+    const shadowCamera = directionalLight.shadow.camera;
+    shadowCamera.left = -halfWidth; shadowCamera.right = halfWidth;
+    shadowCamera.bottom = -halfWidth; shadowCamera.top = halfWidth;
+    shadowCamera.near = distance - halfWidth - (maxY - minY);
+    shadowCamera.far = distance + halfWidth + (maxY - minY);
+    shadowCamera.updateProjectionMatrix();
+    directionalLight.shadow.normalBias = 2 * halfWidth / SHADOW_MAP_SIZE; // About one shadow texel
+}
+
+function setShadowsEnabled(enabled) {
+    lighting.shadows = enabled;
+    if (!renderer) return;
+    renderer.shadowMap.enabled = enabled;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    directionalLight.castShadow = enabled;
+    directionalLight.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+    directionalLight.shadow.bias = -0.0005;
+    scene.traverse(object => { if (object.material) object.material.needsUpdate = true; }); // Compile with or without shadow code
+}
+
+// --- Hillshade ---
+// Lambertian shading of the terrain (exaggerated like the scene) for the current light,
+// multiplied into the chunk texture
+function drawHillshadeOverlay(ctx, area) {
+    if (!lighting.hillshade || !terrainScene) return;
+    const n = HILLSHADE_SAMPLES;
+    const { at, spacingX, spacingY } = sampleOverlayElevations(area, n);
+    const zScale = terrainScene.zScale;
+
+    const light = currentLightDirection();
+    if (currentSunPosition() && light.y <= 0) light.set(0, 0, 0); // Night: everything in shade
+    const canvas = document.createElement('canvas');
+    canvas.width = n;
+    canvas.height = n;
+    const shadeCtx = canvas.getContext('2d');
+    const image = shadeCtx.createImageData(n, n);
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const slopeEast = (at(i + 1, j) - at(i - 1, j)) * zScale / (2 * spacingX);
+            const slopeSouth = (at(i, j + 1) - at(i, j - 1)) * zScale / (2 * spacingY);
+            // Surface normal (-dy/dx, 1, -dy/dz), normalized
+            const shade = Math.max((-slopeEast * light.x + light.y - slopeSouth * light.z) / Math.hypot(slopeEast, 1, slopeSouth), 0);
+            const k = (j * n + i) * 4;
+            image.data[k] = image.data[k + 1] = image.data[k + 2] = shade * 255;
+            image.data[k + 3] = 255;
+        }
+    }
+    shadeCtx.putImageData(image, 0, 0);
+
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.globalAlpha = lighting.hillshadeStrength;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(canvas, 0, 0, area.width, area.height);
+}
+
+addTerrainTextureOverlay(drawHillshadeOverlay); // Before the heatmap, which stays unshaded on top
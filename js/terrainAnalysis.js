@@ -0,0 +1,230 @@
+// --- Terrain Analysis Overlays ---
+// Layers computed from the decoded terrain heights (see sampleOverlayElevations in
+// js/terrainChunks.js) and drawn into the chunk textures: a hypsometric tint by elevation,
+// aspect (the direction a slope faces), slope-angle classes for avalanche assessment and
+// contour lines with labeled index lines. Each layer has its own opacity, and the map imagery
+// can be faded out underneath so the layers show over or instead of it.
+//
+// Slopes are true angles, independent of the vertical exaggeration of the scene.
+
+const ANALYSIS_SAMPLES = 128;              // Elevation samples along a chunk edge
+const ANALYSIS_PAPER_COLOR = '#f4f1e8';    // Shows where the map imagery is faded out
+const ASPECT_FULL_SLOPE = 15;              // Degrees; flatter ground gets a fainter aspect color
+const SLOPE_CLASS_COLORS = ['#ffe600', '#ff9900', '#f03c1e', '#a028c8']; // From the lowest class up; later classes reuse the last
+const CONTOUR_COLOR = '#8c5a2b';
+const CONTOUR_LABEL_SPACING_PX = 160;      // Minimum distance between labels, per 256 texture pixels
+
+// Opacities are 0..1; slopeThresholds are ascending degrees, each starting a class
+const terrainAnalysis = {
+    imageryOpacity: 1,
+    hypsometric: { enabled: false, opacity: 0.6, palette: 'terrain' },
+    aspect: { enabled: false, opacity: 0.5 },
+    slope: { enabled: false, opacity: 0.6, thresholds: [30, 35, 40, 45] },
+    contours: { enabled: false, opacity: 0.9, interval: 50, indexEvery: 5 },
+    elevationRange: null, // { tree, min, max } in meters, for the hypsometric tint
+};
+
+function terrainAnalysisActive() {
+    const { imageryOpacity, hypsometric, aspect, slope, contours } = terrainAnalysis;
+    return imageryOpacity < 1 || hypsometric.enabled || aspect.enabled || slope.enabled || contours.enabled;
+}
+
+// Elevation range of the root chunks of the current terrain, so the tint is the same on every level
+function updateTerrainElevationRange() {
+    const tree = terrainChunkTree;
+    if (!tree || tree.roots.length === 0) return;
+    const heightfield = terrainHeightfields.get(tree.roots[0].z);
+    let min = Infinity, max = -Infinity;
+    tree.roots.forEach(root => {
+        const heights = heightfield ? heightfield.tiles.get(`${root.x}_${root.y}`) : null;
+        if (!heights) return;
+        for (let i = 0; i < heights.length; i++) {
+            if (heights[i] < min) min = heights[i];
+            if (heights[i] > max) max = heights[i];
+        }
+    });
+    terrainAnalysis.elevationRange = min <= max ? { tree, min, max: Math.max(max, min + 1) } : null;
+    if (terrainAnalysis.hypsometric.enabled) refreshTerrainTextures();
+}
+
+// Slope angle (degrees) and aspect (degrees clockwise from north, the downhill direction) at a grid sample
+function gridSlopeAspect(grid, i, j) {
+    const slopeEast = (grid.at(i + 1, j) - grid.at(i - 1, j)) / (2 * grid.spacingX);
+    const slopeSouth = (grid.at(i, j + 1) - grid.at(i, j - 1)) / (2 * grid.spacingY);
+    return {
+        slope: Math.atan(Math.hypot(slopeEast, slopeSouth)) * 180 / Math.PI,
+        aspect: (Math.atan2(-slopeEast, slopeSouth) * 180 / Math.PI + 360) % 360,
+    };
+}
+
+// Index of the slope class of an angle, or -1 below the first threshold
+function slopeClassIndex(slope, thresholds) {
+    let index = -1;
+    while (index + 1 < thresholds.length && slope >= thresholds[index + 1]) index++;
+    return index;
+}
+
+function slopeClassColor(index) {
+    return SLOPE_CLASS_COLORS[Math.min(index, SLOPE_CLASS_COLORS.length - 1)];
+}
+
+// Color one pixel per grid sample, then stretch the image over the texture
+function drawGridLayer(ctx, area, grid, opacity, colorAt) {
+    const n = grid.n;
+    const canvas = document.createElement('canvas');
+    canvas.width = n;
+    canvas.height = n;
+    const layerCtx = canvas.getContext('2d');
+    const image = layerCtx.createImageData(n, n);
+    const rgba = [0, 0, 0, 0];
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            rgba[3] = 0;
+            colorAt(i, j, rgba);
+            image.data.set(rgba, (j * n + i) * 4);
+        }
+    }
+    layerCtx.putImageData(image, 0, 0);
+    ctx.globalAlpha = opacity;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(canvas, 0, 0, area.width, area.height);
+}
+
+function drawHypsometricTint(ctx, area, grid) {
+    const range = terrainAnalysis.elevationRange;
+    if (!range || range.tree !== terrainChunkTree) return; // Drawn once the root chunks are in
+    const lookup = [];
+    const color = new THREE.Color();
+    for (let k = 0; k < 256; k++) {
+        paletteColor(terrainAnalysis.hypsometric.palette, k / 255, color);
+        lookup.push([color.r * 255, color.g * 255, color.b * 255]);
+    }
+    drawGridLayer(ctx, area, grid, terrainAnalysis.hypsometric.opacity, (i, j, rgba) => {
+        const t = (grid.at(i, j) - range.min) / (range.max - range.min);
+        const [r, g, b] = lookup[Math.round(Math.min(Math.max(t, 0), 1) * 255)];
+        rgba[0] = r; rgba[1] = g; rgba[2] = b; rgba[3] = 255;
+    });
+}
+
+function drawAspectShading(ctx, area, grid) {
+    const color = new THREE.Color();
+    drawGridLayer(ctx, area, grid, terrainAnalysis.aspect.opacity, (i, j, rgba) => {
+        const { slope, aspect } = gridSlopeAspect(grid, i, j);
+        color.setHSL(aspect / 360, 0.8, 0.5); // North red, east yellow-green, south cyan, west purple
+        rgba[0] = color.r * 255; rgba[1] = color.g * 255; rgba[2] = color.b * 255;
+        rgba[3] = Math.min(slope / ASPECT_FULL_SLOPE, 1) * 255;
+    });
+}
+
+function drawSlopeClasses(ctx, area, grid) {
+    const thresholds = terrainAnalysis.slope.thresholds;
+    const colors = thresholds.map((threshold, index) => new THREE.Color(slopeClassColor(index)));
+    drawGridLayer(ctx, area, grid, terrainAnalysis.slope.opacity, (i, j, rgba) => {
+        const index = slopeClassIndex(gridSlopeAspect(grid, i, j).slope, thresholds);
+        if (index < 0) return;
+        rgba[0] = colors[index].r * 255; rgba[1] = colors[index].g * 255; rgba[2] = colors[index].b * 255; rgba[3] = 255;
+    });
+}
+
+// Contour pieces by marching squares over the grid cells, including the border cells so lines
+// run to the texture edges: [{ level, index, x1, y1, x2, y2 }] in canvas pixels
+function traceContours(area, grid, interval, indexEvery) {
+    const n = grid.n;
+    const toX = i => (i + 0.5) / n * area.width, toY = j => (j + 0.5) / n * area.height;
+    const pieces = [];
+    for (let j = -1; j < n; j++) {
+        for (let i = -1; i < n; i++) {
+            // Corners clockwise from the top left
+            const a = grid.at(i, j), b = grid.at(i + 1, j), c = grid.at(i + 1, j + 1), d = grid.at(i, j + 1);
+            const low = Math.min(a, b, c, d), high = Math.max(a, b, c, d);
+            for (let step = Math.ceil(low / interval); step * interval < high; step++) {
+                const level = step * interval;
+                const cross = (h1, h2, x1, y1, x2, y2) => {
+                    if ((h1 >= level) === (h2 >= level)) return null;
+                    const t = (level - h1) / (h2 - h1);
+                    return { x: toX(x1 + (x2 - x1) * t), y: toY(y1 + (y2 - y1) * t) };
+                };
+                const top = cross(a, b, i, j, i + 1, j);
+                const right = cross(b, c, i + 1, j, i + 1, j + 1);
+                const bottom = cross(d, c, i, j + 1, i + 1, j + 1);
+                const left = cross(a, d, i, j, i, j + 1);
+                let pairs;
+                if (top && right && bottom && left) {
+                    // Saddle: the cell center decides which corners are connected
+                    const centerAbove = (a + b + c + d) / 4 >= level;
+                    pairs = centerAbove === (a >= level) ? [[top, right], [bottom, left]] : [[top, left], [right, bottom]];
+                } else {
+                    const ends = [top, right, bottom, left].filter(Boolean);
+                    pairs = ends.length === 2 ? [ends] : [];
+                }
+                pairs.forEach(([p, q]) => pieces.push({ level, index: step % indexEvery === 0, x1: p.x, y1: p.y, x2: q.x, y2: q.y }));
+            }
+        }
+    }
+    return pieces;
+}
+
+function drawContours(ctx, area, grid) {
+    const { interval, indexEvery, opacity } = terrainAnalysis.contours;
+    const pieces = traceContours(area, grid, interval, indexEvery);
+    if (pieces.length === 0) return;
+    const scale = area.tileWidth / 256;
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = CONTOUR_COLOR;
+    ctx.lineCap = 'round';
+    [false, true].forEach(index => {
+        ctx.lineWidth = (index ? 1.8 : 0.8) * scale;
+        ctx.beginPath();
+        pieces.filter(piece => piece.index === index).forEach(piece => {
+            ctx.moveTo(piece.x1, piece.y1);
+            ctx.lineTo(piece.x2, piece.y2);
+        });
+        ctx.stroke();
+    });
+
+    // Labels along index lines, spread out and kept clear of the texture edges (where they would be cut)
+    const spacing = CONTOUR_LABEL_SPACING_PX * scale;
+    const margin = 24 * scale;
+    const labels = [];
+    ctx.font = `bold ${Math.round(10 * scale)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3 * scale;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillStyle = CONTOUR_COLOR;
+    pieces.forEach(piece => {
+        if (!piece.index) return;
+        const x = (piece.x1 + piece.x2) / 2, y = (piece.y1 + piece.y2) / 2;
+        if (x < margin || y < margin || x > area.width - margin || y > area.height - margin) return;
+        if (labels.some(label => Math.hypot(label.x - x, label.y - y) < spacing)) return;
+        labels.push({ x, y });
+        let angle = Math.atan2(piece.y2 - piece.y1, piece.x2 - piece.x1);
+        if (angle > Math.PI / 2) angle -= Math.PI; // Keep the text upright
+        if (angle < -Math.PI / 2) angle += Math.PI;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.strokeText(`${piece.level} m`, 0, 0);
+        ctx.fillText(`${piece.level} m`, 0, 0);
+        ctx.restore();
+    });
+}
+
+// Terrain texture overlay, see addTerrainTextureOverlay in js/terrainChunks.js
+function drawTerrainAnalysisOverlay(ctx, area) {
+    if (!terrainScene || !terrainAnalysisActive()) return;
+    if (terrainAnalysis.imageryOpacity < 1) {
+        ctx.globalAlpha = 1 - terrainAnalysis.imageryOpacity;
+        ctx.fillStyle = ANALYSIS_PAPER_COLOR;
+        ctx.fillRect(0, 0, area.width, area.height);
+    }
+    const { hypsometric, aspect, slope, contours } = terrainAnalysis;
+    if (!hypsometric.enabled && !aspect.enabled && !slope.enabled && !contours.enabled) return;
+    const grid = sampleOverlayElevations(area, ANALYSIS_SAMPLES);
+    if (hypsometric.enabled) drawHypsometricTint(ctx, area, grid);
+    if (aspect.enabled) drawAspectShading(ctx, area, grid);
+    if (slope.enabled) drawSlopeClasses(ctx, area, grid);
+    if (contours.enabled) drawContours(ctx, area, grid);
+}
+
+addTerrainTextureOverlay(drawTerrainAnalysisOverlay); // Under the hillshade and the heatmap
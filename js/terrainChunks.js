@@ -0,0 +1,463 @@
+// --- Chunked Level-of-Detail Terrain ---
+// The terrain is a quadtree of map tiles. Each node ("chunk") has its own mesh and texture,
+// built from the elevation and imagery tile with the same z/x/y. Every few frames the tree is
+// walked from the roots: chunks close to the camera are replaced by their four children, far
+// ones fall back to their parent. Chunks load lazily and unused ones are disposed.
+// Cracks between neighboring levels are hidden by a skirt hanging down from each chunk edge.
+
+const CHUNK_SEGMENTS = 32;            // Grid resolution of one chunk mesh
+const CHUNK_LOD_FACTOR = 1.6;         // Refine when camera distance < chunk width * factor
+const CHUNK_MAX_ROOT_TILES = 4;       // Roots are chosen so the area spans at most 4x4 tiles
+const CHUNK_MAX_CONCURRENT_LOADS = 6;
+const CHUNK_MAX_LOADED = 400;         // Above this, idle chunks are disposed
+const CHUNK_IDLE_DISPOSE_MS = 20000;  // ...once they have not been displayed for this long
+const CHUNK_UPDATE_INTERVAL_MS = 200;
+
+let terrainChunkTree = null;          // Active tree, replaced on each createTerrain
+const terrainHeightfields = new Map(); // zoom -> heightfield with the decoded tiles of that zoom in use
+const heightfieldTileUsers = new Map(); // "zoom/x_y" -> number of loaded chunks built from the tile
+const trackHeightfieldTiles = new Set(); // "zoom/x_y" of the tiles track placement sampled, kept with the terrain
+const terrainTextureOverlays = [];     // draw(ctx, area) functions, see addTerrainTextureOverlay
+
+// Latitude of a (possibly fractional) tile row
+function tileYToLat(y, z) {
+    return Math.atan(Math.sinh(Math.PI * (1 - 2 * y / Math.pow(2, z)))) * 180 / Math.PI;
+}
+
+function addHeightfieldTile(zoom, tileX, tileY, heights, tileSize) {
+    if (!terrainHeightfields.has(zoom)) terrainHeightfields.set(zoom, createHeightfield(zoom, tileSize));
+    heightfieldAddTile(terrainHeightfields.get(zoom), tileX, tileY, heights);
+}
+
+// Tiles along the tracks stay for as long as the terrain, the track elevations were sampled from them
+function registerHeightfieldTile(zoom, tileX, tileY, heights, tileSize) {
+    trackHeightfieldTiles.add(`${zoom}/${tileX}_${tileY}`);
+    addHeightfieldTile(zoom, tileX, tileY, heights, tileSize);
+}
+
+// Chunk tiles stay while a loaded chunk uses them; coarser ones cover the area once they are gone
+function retainHeightfieldTile(zoom, tileX, tileY, heights, tileSize) {
+    const key = `${zoom}/${tileX}_${tileY}`;
+    heightfieldTileUsers.set(key, (heightfieldTileUsers.get(key) || 0) + 1);
+    addHeightfieldTile(zoom, tileX, tileY, heights, tileSize);
+}
+
+function releaseHeightfieldTile(zoom, tileX, tileY) {
+    const key = `${zoom}/${tileX}_${tileY}`;
+    const users = (heightfieldTileUsers.get(key) || 0) - 1;
+    if (users > 0) {
+        heightfieldTileUsers.set(key, users);
+        return;
+    }
+    heightfieldTileUsers.delete(key);
+    const heightfield = terrainHeightfields.get(zoom);
+    if (heightfield && !trackHeightfieldTiles.has(key)) heightfield.tiles.delete(`${tileX}_${tileY}`);
+}
+
+function clearTerrainHeightfields() {
+    terrainHeightfields.clear();
+    heightfieldTileUsers.clear();
+    trackHeightfieldTiles.clear();
+}
+
+// Elevation in meters from the most detailed heightfield covering the point (0 if none does)
+function sampleTerrainElevation(lat, lon) {
+    const zooms = Array.from(terrainHeightfields.keys()).sort((a, b) => b - a);
+    for (const zoom of zooms) {
+        const heightfield = terrainHeightfields.get(zoom);
+        const tile = lonLatToTile(lon, lat, zoom);
+        if (!heightfield.tiles.has(`${tile.x}_${tile.y}`)) continue;
+        const elevation = sampleElevation(heightfield, lat, lon);
+        if (elevation !== null) return elevation;
+    }
+    return 0;
+}
+
+// Scene y of the terrain surface below a world position (0 when no terrain is loaded)
+function terrainHeightAtWorld(worldX, worldZ) {
+    if (!terrainChunkTree) return 0;
+    const { lat, lon } = unprojectFromWorld(terrainChunkTree.projection, worldX, worldZ);
+    return terrainChunkTree.elevationToY(sampleTerrainElevation(lat, lon));
+}
+
+// Pick the root zoom and root tiles covering the bounds
+function computeChunkRoots(geoBounds, maxZoom) {
+    let zoom = maxZoom;
+    for (; zoom > 0; zoom--) {
+        const nw = lonLatToTile(geoBounds.minLon, geoBounds.maxLat, zoom);
+        const se = lonLatToTile(geoBounds.maxLon, geoBounds.minLat, zoom);
+        if (se.x - nw.x + 1 <= CHUNK_MAX_ROOT_TILES && se.y - nw.y + 1 <= CHUNK_MAX_ROOT_TILES) break;
+    }
+    const nw = lonLatToTile(geoBounds.minLon, geoBounds.maxLat, zoom);
+    const se = lonLatToTile(geoBounds.maxLon, geoBounds.minLat, zoom);
+    const roots = [];
+    for (let y = nw.y; y <= se.y; y++) {
+        for (let x = nw.x; x <= se.x; x++) roots.push({ x, y, z: zoom });
+    }
+    return roots;
+}
+
+function createChunkNode(tree, tile, parent) {
+    const bbox = tileToBoundingBox(tile.x, tile.y, tile.z);
+    const nw = projectToWorld(tree.projection, bbox.north, bbox.west);
+    const se = projectToWorld(tree.projection, bbox.south, bbox.east);
+    return {
+        tree,
+        parent,
+        x: tile.x, y: tile.y, z: tile.z,
+        bbox,
+        worldMin: { x: Math.min(nw.x, se.x), z: Math.min(nw.z, se.z) },
+        worldMax: { x: Math.max(nw.x, se.x), z: Math.max(nw.z, se.z) },
+        minY: 0, maxY: 0,
+        children: null,
+        mesh: null,
+        imagery: null, // Map tile bitmap, kept to redraw the texture when overlays change (retainTileBitmap)
+        heightTile: false, // Whether the chunk holds its own tile in terrainHeightfields (retainHeightfieldTile)
+        state: 'empty', // empty | loading | ready | failed
+        lastDisplayed: 0,
+    };
+}
+
+// --- Chunk Geometry ---
+function buildChunkGeometry(node) {
+    const tree = node.tree;
+    const n = CHUNK_SEGMENTS;
+    const rowLength = n + 1;
+    const gridCount = rowLength * rowLength;
+    const edgeCount = 4 * n; // Perimeter vertices, each gets a skirt copy
+    const positions = new Float32Array((gridCount + edgeCount) * 3);
+    const uvs = new Float32Array((gridCount + edgeCount) * 2);
+    const normals = new Float32Array((gridCount + edgeCount) * 3);
+
+    // Vertices are evenly spaced in tile (Web Mercator) space so they line up with the texture
+    const ownHeightfield = terrainHeightfields.get(node.z);
+    let minY = Infinity, maxY = -Infinity;
+    for (let j = 0; j <= n; j++) {
+        const lat = tileYToLat(node.y + j / n, node.z);
+        for (let i = 0; i <= n; i++) {
+            const lon = node.bbox.west + (i / n) * (node.bbox.east - node.bbox.west);
+            let elevation = ownHeightfield ? sampleElevation(ownHeightfield, lat, lon) : null;
+            if (elevation === null) elevation = sampleTerrainElevation(lat, lon);
+            const world = projectToWorld(tree.projection, lat, lon);
+            const y = tree.elevationToY(elevation);
+            const v = j * rowLength + i;
+            positions.set([world.x, y, world.z], v * 3);
+            uvs.set([i / n, 1 - j / n], v * 2);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    node.minY = minY;
+    node.maxY = maxY;
+
+    // Normals from central differences over the grid, so skirts do not bend edge shading
+    const p = index => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+    for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+            const left = p(j * rowLength + Math.max(i - 1, 0)), right = p(j * rowLength + Math.min(i + 1, n));
+            const up = p(Math.max(j - 1, 0) * rowLength + i), down = p(Math.min(j + 1, n) * rowLength + i);
+            const dx = [right[0] - left[0], right[1] - left[1], right[2] - left[2]];
+            const dz = [down[0] - up[0], down[1] - up[1], down[2] - up[2]];
+            // dz x dx points up for x east / z south
+            const nx = dz[1] * dx[2] - dz[2] * dx[1];
+            const ny = dz[2] * dx[0] - dz[0] * dx[2];
+            const nz = dz[0] * dx[1] - dz[1] * dx[0];
+            const length = Math.hypot(nx, ny, nz) || 1;
+            normals.set([nx / length, ny / length, nz / length], (j * rowLength + i) * 3);
+        }
+    }
+
+    const indices = [];
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const a = j * rowLength + i, b = a + 1, c = a + rowLength, d = c + 1;
+            indices.push(a, c, b, b, c, d);
+        }
+    }
+
+    // Skirt: walk the perimeter clockwise and hang a strip below it
+    const perimeter = [];
+    for (let i = 0; i < n; i++) perimeter.push(i);                                // North edge, west -> east
+    for (let j = 0; j < n; j++) perimeter.push(j * rowLength + n);                // East edge, north -> south
+    for (let i = n; i > 0; i--) perimeter.push(n * rowLength + i);                // South edge, east -> west
+    for (let j = n; j > 0; j--) perimeter.push(j * rowLength);                    // West edge, south -> north
+    const skirtDepth = Math.max((node.worldMax.x - node.worldMin.x) * 0.05, maxY - minY);
+    perimeter.forEach((gridIndex, k) => {
+        const skirtIndex = gridCount + k;
+        positions.set([positions[gridIndex * 3], positions[gridIndex * 3 + 1] - skirtDepth, positions[gridIndex * 3 + 2]], skirtIndex * 3);
+        uvs.set([uvs[gridIndex * 2], uvs[gridIndex * 2 + 1]], skirtIndex * 2);
+        normals.set([normals[gridIndex * 3], normals[gridIndex * 3 + 1], normals[gridIndex * 3 + 2]], skirtIndex * 3);
+        const nextGrid = perimeter[(k + 1) % perimeter.length];
+        const nextSkirt = gridCount + (k + 1) % perimeter.length;
+        indices.push(gridIndex, nextGrid, skirtIndex, nextGrid, nextSkirt, skirtIndex);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+// --- Texture Overlays ---
+// Overlays (e.g. the heatmap in js/heatmap.js) are drawn into the chunk textures over the map
+// tiles by createTerrainTexture. draw(ctx, area) gets the 2D context of the stitched canvas and
+// area: { zoom, minTileX, minTileY, tileWidth, tileHeight, width, height }, where canvas pixel
+// ((tileX - minTileX) * tileWidth, (tileY - minTileY) * tileHeight) is the corner of a tile.
+function addTerrainTextureOverlay(draw) {
+    terrainTextureOverlays.push(draw);
+}
+
+// Elevations (meters) on an n x n grid of sample centers over an overlay area, with a one-sample
+// border so differences can be taken at the edges: at(i, j) for i, j in -1..n. Sample (i, j) is
+// centered on canvas pixel ((i + 0.5) / n * width, (j + 0.5) / n * height); spacingX/spacingY are
+// the distances between samples in meters, at the center of the area.
+function sampleOverlayElevations(area, n) {
+    const tiles = Math.pow(2, area.zoom);
+    const tilesX = area.width / area.tileWidth, tilesY = area.height / area.tileHeight;
+    const elevations = new Float32Array((n + 2) * (n + 2));
+    for (let j = -1; j <= n; j++) {
+        const lat = tileYToLat(area.minTileY + (j + 0.5) / n * tilesY, area.zoom);
+        for (let i = -1; i <= n; i++) {
+            const lon = (area.minTileX + (i + 0.5) / n * tilesX) / tiles * 360 - 180;
+            elevations[(j + 1) * (n + 2) + i + 1] = sampleTerrainElevation(lat, lon);
+        }
+    }
+    const centerLat = tileYToLat(area.minTileY + tilesY / 2, area.zoom);
+    const spacingX = 2 * Math.PI * EARTH_RADIUS_METERS * Math.cos(centerLat * Math.PI / 180) / tiles * tilesX / n;
+    return {
+        n,
+        at: (i, j) => elevations[(j + 1) * (n + 2) + i + 1],
+        spacingX,
+        spacingY: spacingX * tilesY / tilesX,
+    };
+}
+
+function buildChunkTexture(node) {
+    return node.imagery
+        ? createTerrainTexture([node.imagery], [{ x: node.x, y: node.y, z: node.z }], node.x, node.y)
+        : createTerrainTexture([], [], node.x, node.y); // Green fallback
+}
+
+// Redraw the textures of all loaded chunks, after an overlay changed
+function refreshTerrainTextures() {
+    const tree = terrainChunkTree;
+    if (!tree) return;
+    tree.roots.forEach(root => forEachChunk(root, node => {
+        if (!node.mesh || !node.imagery) return;
+        const previous = node.mesh.material.map;
+        node.mesh.material.map = buildChunkTexture(node);
+        node.mesh.material.needsUpdate = true;
+        if (previous) previous.dispose();
+    }));
+}
+
+// Give the loaded chunks a new elevation -> scene y mapping (a new vertical scale). Their
+// geometry is rebuilt from the decoded heightfields; nothing is fetched and the textures are kept.
+function setTerrainElevationToY(elevationToY) {
+    const tree = terrainChunkTree;
+    if (!tree) return;
+    tree.elevationToY = elevationToY;
+    tree.roots.forEach(root => forEachChunk(root, node => {
+        if (!node.mesh) return;
+        node.mesh.geometry.dispose();
+        node.mesh.geometry = buildChunkGeometry(node);
+    }));
+}
+
+// --- Loading and Disposal ---
+async function loadChunk(node) {
+    const tree = node.tree;
+    node.state = 'loading';
+    tree.loadingCount++;
+    try {
+        const { elevation, imagery, token } = tree.tileSources;
+        const [terrainResult, imageResult] = await Promise.allSettled([
+            fetchTerrainTileHeights(node.x, node.y, node.z, elevation, token), // Filled from a parent tile if it fails
+            fetchMapImageTile(node.x, node.y, node.z, imagery, token),
+        ]);
+        if (tree !== terrainChunkTree) return; // A newer terrain replaced this one meanwhile
+
+        if (terrainResult.status === 'fulfilled') {
+            const result = terrainResult.value;
+            if (result.error) recordTerrainGapFill(node.x, node.y, node.z, result);
+            retainHeightfieldTile(node.z, node.x, node.y, result.heights, result.tileSize);
+            node.heightTile = true;
+        } else {
+            console.warn(`Terrain tile ${node.z}/${node.x}/${node.y} unavailable, using coarser data for this chunk.`);
+        }
+
+        node.imagery = imageResult.status === 'fulfilled' ? imageResult.value : null;
+        if (node.imagery) retainTileBitmap(node.imagery);
+        if (!node.imagery) console.warn(`Map tile ${node.z}/${node.x}/${node.y} unavailable (${imageResult.reason}), using the fallback texture.`);
+        const material = new THREE.MeshPhongMaterial({ map: buildChunkTexture(node), shininess: 0 });
+        node.mesh = new THREE.Mesh(buildChunkGeometry(node), material);
+        node.mesh.userData.chunk = { x: node.x, y: node.y, z: node.z };
+        node.mesh.castShadow = true; // Only drawn into the shadow map while shadows are on (js/sunLighting.js)
+        node.mesh.receiveShadow = true;
+        node.state = 'ready';
+        tree.loadedCount++;
+    } catch (error) {
+        console.warn(`Failed to build terrain chunk ${node.z}/${node.x}/${node.y}:`, error);
+        releaseChunkTiles(node);
+        node.state = 'failed';
+    } finally {
+        tree.loadingCount--;
+    }
+}
+
+// Let go of the map bitmap and height tile the chunk was built from, so they can be freed
+function releaseChunkTiles(node) {
+    if (node.imagery) releaseTileBitmap(node.imagery);
+    node.imagery = null;
+    if (node.heightTile) releaseHeightfieldTile(node.z, node.x, node.y);
+    node.heightTile = false;
+}
+
+function disposeChunk(node) {
+    if (!node.mesh) return;
+    if (node.mesh.parent) node.mesh.parent.remove(node.mesh);
+    node.mesh.geometry.dispose();
+    if (node.mesh.material.map) node.mesh.material.map.dispose();
+    node.mesh.material.dispose();
+    node.mesh = null;
+    releaseChunkTiles(node);
+    node.state = 'empty';
+    node.tree.loadedCount--;
+}
+
+function forEachChunk(node, visit) {
+    visit(node);
+    if (node.children) node.children.forEach(child => forEachChunk(child, visit));
+}
+
+function disposeTerrainChunks(tree) {
+    if (!tree) return;
+    tree.roots.forEach(root => forEachChunk(root, disposeChunk));
+    if (tree.group.parent) tree.group.parent.remove(tree.group);
+}
+
+// --- LOD Selection ---
+function chunkCameraDistance(node, cameraPosition) {
+    // Distance from the camera to the chunk's bounding box
+    const dx = Math.max(node.worldMin.x - cameraPosition.x, 0, cameraPosition.x - node.worldMax.x);
+    const dy = Math.max(node.minY - cameraPosition.y, 0, cameraPosition.y - node.maxY);
+    const dz = Math.max(node.worldMin.z - cameraPosition.z, 0, cameraPosition.z - node.worldMax.z);
+    return Math.hypot(dx, dy, dz);
+}
+
+function shouldRefineChunk(node, cameraPosition) {
+    if (node.z >= node.tree.maxZoom) return false;
+    const width = node.worldMax.x - node.worldMin.x;
+    return chunkCameraDistance(node, cameraPosition) < width * CHUNK_LOD_FACTOR;
+}
+
+function selectChunks(node, cameraPosition, selected, wanted) {
+    if (shouldRefineChunk(node, cameraPosition)) {
+        if (!node.children) {
+            node.children = [0, 1].flatMap(dy => [0, 1].map(dx =>
+                createChunkNode(node.tree, { x: node.x * 2 + dx, y: node.y * 2 + dy, z: node.z + 1 }, node)));
+        }
+        // Only swap in children once all four are ready, so no holes appear while loading
+        if (node.children.every(child => child.state === 'ready')) {
+            node.children.forEach(child => selectChunks(child, cameraPosition, selected, wanted));
+            return;
+        }
+        node.children.forEach(child => { if (child.state === 'empty') wanted.push(child); });
+    }
+    if (node.state === 'ready') {
+        selected.push(node);
+        return;
+    }
+    if (node.state === 'empty') wanted.push(node);
+    // A disposed parent that is coarsening again keeps showing its children until it reloads
+    if (node.children && node.children.every(child => child.state === 'ready')) {
+        node.children.forEach(child => selected.push(child));
+    }
+}
+
+function updateTerrainChunks(cameraPosition, now = performance.now()) {
+    const tree = terrainChunkTree;
+    if (!tree || now - tree.lastUpdate < CHUNK_UPDATE_INTERVAL_MS) return;
+    tree.lastUpdate = now;
+
+    const selected = [];
+    const wanted = [];
+    tree.roots.forEach(root => selectChunks(root, cameraPosition, selected, wanted));
+
+    // Swap displayed meshes
+    const selectedSet = new Set(selected);
+    tree.displayed.forEach(node => { if (!selectedSet.has(node) && node.mesh) tree.group.remove(node.mesh); });
+    selected.forEach(node => {
+        node.lastDisplayed = now;
+        if (node.mesh && node.mesh.parent !== tree.group) tree.group.add(node.mesh);
+    });
+    tree.displayed = selected;
+
+    // Load the closest missing chunks first
+    wanted.sort((a, b) => chunkCameraDistance(a, cameraPosition) - chunkCameraDistance(b, cameraPosition));
+    for (const node of wanted) {
+        if (tree.loadingCount >= CHUNK_MAX_CONCURRENT_LOADS) break;
+        if (node.state === 'empty') loadChunk(node);
+    }
+
+    // Dispose chunks that have been idle for a while once too many are loaded
+    if (tree.loadedCount > CHUNK_MAX_LOADED) {
+        tree.roots.forEach(root => forEachChunk(root, node => {
+            if (node.parent && node.mesh && !selectedSet.has(node) && now - node.lastDisplayed > CHUNK_IDLE_DISPOSE_MS) {
+                disposeChunk(node);
+            }
+        }));
+        // Drop subtrees that no longer hold anything
+        tree.roots.forEach(root => forEachChunk(root, node => {
+            if (node.children && node.children.every(child => !child.children && child.state !== 'ready' && child.state !== 'loading')) {
+                node.children = null;
+            }
+        }));
+    }
+}
+
+// Refine the terrain for a camera position and wait until every chunk it needs has loaded.
+// Used when rendering frame by frame (js/recorder.js), where half-loaded terrain must not show.
+async function settleTerrainChunks(cameraPosition, timeoutMs = 15000) {
+    const tree = terrainChunkTree;
+    if (!tree) return;
+    const deadline = performance.now() + timeoutMs;
+    for (;;) {
+        tree.lastUpdate = -Infinity; // Bypass the update throttle
+        updateTerrainChunks(cameraPosition);
+        if (tree.loadingCount === 0 || performance.now() > deadline) return;
+        while (tree.loadingCount > 0 && performance.now() <= deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+}
+
+// Build a new chunk tree and load its roots.
+// options: { geoBounds, maxZoom, tileSources, projection (js/projection.js), elevationToY }
+async function createTerrainChunks(options) {
+    disposeTerrainChunks(terrainChunkTree);
+    const group = new THREE.Group();
+    group.name = 'terrain';
+    const tree = {
+        ...options,
+        group,
+        roots: [],
+        displayed: [],
+        loadingCount: 0,
+        loadedCount: 0,
+        lastUpdate: 0,
+    };
+    terrainChunkTree = tree;
+    tree.roots = computeChunkRoots(options.geoBounds, options.maxZoom).map(tile => createChunkNode(tree, tile, null));
+
+    await Promise.all(tree.roots.map(loadChunk));
+    tree.roots.forEach(root => {
+        if (root.mesh) group.add(root.mesh);
+        root.lastDisplayed = performance.now();
+    });
+    tree.displayed = tree.roots.filter(root => root.state === 'ready');
+    return tree;
+}
@@ -0,0 +1,18 @@
+// --- Terrain Worker ---
+// Samples the heightfield for every mesh vertex and track point off the main thread.
+// Receives a job as described in computeTerrainJob (js/heightfield.js).
+importScripts('projection.js', 'heightfield.js');
+
+self.onmessage = event => {
+    try {
+        const result = computeTerrainJob(event.data, progress => self.postMessage({ type: 'progress', progress }));
+        const transfer = [
+            result.vertexHeights.buffer,
+            ...result.trackPositions.map(p => p.buffer),
+            ...result.trackElevations.map(e => e.buffer),
+        ];
+        self.postMessage({ type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
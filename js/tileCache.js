@@ -0,0 +1,210 @@
+// --- Persistent Tile Cache (IndexedDB) ---
+// Raw tile blobs are stored per provider/zoom/x/y so they survive page reloads.
+// The cache is bounded by a size cap (least recently used tiles are evicted first)
+// and an expiry age after which tiles are downloaded again.
+
+const TILE_CACHE_DB_NAME = 'gpx3d-tile-cache';
+const TILE_CACHE_DB_VERSION = 1;
+const TILE_CACHE_STORE = 'tiles';
+
+const tileCacheSettings = {
+    maxBytes: (parseFloat(localStorage.getItem('tileCacheMaxMB')) || 500) * 1024 * 1024,
+    maxAgeDays: parseFloat(localStorage.getItem('tileCacheMaxAgeDays')) || 30,
+};
+
+let tileCacheDbPromise = null;
+let tileCacheTotalBytes = null; // Lazily computed running total, kept in sync on put/delete
+
+function openTileCacheDB() {
+    if (tileCacheDbPromise) return tileCacheDbPromise;
+    tileCacheDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(TILE_CACHE_DB_NAME, TILE_CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.createObjectStore(TILE_CACHE_STORE, { keyPath: 'key' });
+            store.createIndex('lastAccess', 'lastAccess');
+            store.createIndex('providerId', 'providerId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch(error => {
+        console.warn("Persistent tile cache disabled:", error);
+        return null; // Callers treat a null DB as "no persistent cache"
+    });
+    return tileCacheDbPromise;
+}
+
+// Wrap an IDBRequest or IDBTransaction in a promise
+function idbPromise(requestOrTransaction) {
+    return new Promise((resolve, reject) => {
+        if (requestOrTransaction instanceof IDBTransaction) {
+            requestOrTransaction.oncomplete = () => resolve();
+            requestOrTransaction.onerror = () => reject(requestOrTransaction.error);
+            requestOrTransaction.onabort = () => reject(requestOrTransaction.error);
+        } else {
+            requestOrTransaction.onsuccess = () => resolve(requestOrTransaction.result);
+            requestOrTransaction.onerror = () => reject(requestOrTransaction.error);
+        }
+    });
+}
+
+function tileCacheKey(providerId, zoom, x, y) {
+    return `${providerId}/${zoom}/${x}/${y}`;
+}
+
+// Iterate a cursor, calling visit(cursor) for each record
+function idbForEachCursor(request, visit) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) { resolve(); return; }
+            visit(cursor);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getTileCacheTotalBytes(db) {
+    if (tileCacheTotalBytes !== null) return tileCacheTotalBytes;
+    let total = 0;
+    const tx = db.transaction(TILE_CACHE_STORE, 'readonly');
+    await idbForEachCursor(tx.objectStore(TILE_CACHE_STORE).openCursor(), cursor => { total += cursor.value.bytes; });
+    tileCacheTotalBytes = total;
+    return total;
+}
+
+// Returns the cached Blob, or null if missing or expired
+async function tileCacheGet(providerId, zoom, x, y) {
+    const db = await openTileCacheDB();
+    if (!db) return null;
+    try {
+        const tx = db.transaction(TILE_CACHE_STORE, 'readwrite');
+        const store = tx.objectStore(TILE_CACHE_STORE);
+        const record = await idbPromise(store.get(tileCacheKey(providerId, zoom, x, y)));
+        if (!record) return null;
+
+        const ageDays = (Date.now() - record.createdAt) / 86400000;
+        if (ageDays > tileCacheSettings.maxAgeDays) {
+            store.delete(record.key);
+            if (tileCacheTotalBytes !== null) tileCacheTotalBytes -= record.bytes;
+            return null;
+        }
+        // Touch for LRU bookkeeping
+        record.lastAccess = Date.now();
+        store.put(record);
+        return record.blob;
+    } catch (error) {
+        console.warn("Tile cache read failed:", error);
+        return null;
+    }
+}
+
+async function tileCachePut(providerId, zoom, x, y, blob) {
+    const db = await openTileCacheDB();
+    if (!db) return;
+    try {
+        await getTileCacheTotalBytes(db);
+        const key = tileCacheKey(providerId, zoom, x, y);
+        const tx = db.transaction(TILE_CACHE_STORE, 'readwrite');
+        const store = tx.objectStore(TILE_CACHE_STORE);
+        const existing = await idbPromise(store.get(key));
+        const now = Date.now();
+        store.put({ key, providerId, zoom, x, y, blob, bytes: blob.size, createdAt: now, lastAccess: now });
+        await idbPromise(tx);
+        // A clear that ran while this write was pending reset the total; recount rather than add to null
+        if (tileCacheTotalBytes === null) await getTileCacheTotalBytes(db);
+        else tileCacheTotalBytes += blob.size - (existing ? existing.bytes : 0);
+
+        if (tileCacheTotalBytes > tileCacheSettings.maxBytes) await tileCacheEvict();
+    } catch (error) {
+        // Quota errors and the like should never break visualization
+        console.warn("Tile cache write failed:", error);
+    }
+}
+
+// Drop expired tiles, then least recently used tiles until the cache fits the size cap
+async function tileCacheEvict() {
+    const db = await openTileCacheDB();
+    if (!db) return 0;
+    let total = await getTileCacheTotalBytes(db);
+    const expiryCutoff = Date.now() - tileCacheSettings.maxAgeDays * 86400000;
+    let evicted = 0, evictedBytes = 0;
+
+    const tx = db.transaction(TILE_CACHE_STORE, 'readwrite');
+    const index = tx.objectStore(TILE_CACHE_STORE).index('lastAccess');
+    await idbForEachCursor(index.openCursor(), cursor => {
+        const record = cursor.value;
+        if (total > tileCacheSettings.maxBytes || record.createdAt < expiryCutoff) {
+            cursor.delete();
+            total -= record.bytes;
+            evictedBytes += record.bytes;
+            evicted++;
+        }
+    });
+    await idbPromise(tx);
+    // Writes may have added to the total during the walk, so subtract rather than assign `total`;
+    // a reset from a concurrent clear stays, the next write recounts
+    if (tileCacheTotalBytes !== null) tileCacheTotalBytes -= evictedBytes;
+    return evicted;
+}
+
+// Entry counts and bytes grouped by provider and zoom level
+async function tileCacheStats() {
+    const db = await openTileCacheDB();
+    if (!db) return [];
+    const groups = new Map();
+    const tx = db.transaction(TILE_CACHE_STORE, 'readonly');
+    // cursor.value loads each full record, blob included; only the metadata is kept
+    await idbForEachCursor(tx.objectStore(TILE_CACHE_STORE).openCursor(), cursor => {
+        const { providerId, zoom, bytes } = cursor.value;
+        const groupKey = `${providerId}/${zoom}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, { providerId, zoom, count: 0, bytes: 0 });
+        const group = groups.get(groupKey);
+        group.count++;
+        group.bytes += bytes;
+    });
+    return Array.from(groups.values()).sort((a, b) =>
+        a.providerId.localeCompare(b.providerId) || a.zoom - b.zoom);
+}
+
+// Clear everything, one provider, or one provider's zoom level. Returns the number of tiles removed.
+async function tileCacheClear({ providerId = null, zoom = null } = {}) {
+    const db = await openTileCacheDB();
+    if (!db) return 0;
+    let removed = 0;
+    const tx = db.transaction(TILE_CACHE_STORE, 'readwrite');
+    const store = tx.objectStore(TILE_CACHE_STORE);
+    const request = providerId ? store.index('providerId').openCursor(IDBKeyRange.only(providerId)) : store.openCursor();
+    await idbForEachCursor(request, cursor => {
+        if (zoom === null || cursor.value.zoom === zoom) {
+            cursor.delete();
+            removed++;
+        }
+    });
+    await idbPromise(tx);
+    tileCacheTotalBytes = null; // Recompute on next write
+    return removed;
+}
+
+function setTileCacheLimits(maxMB, maxAgeDays) {
+    if (maxMB > 0) {
+        tileCacheSettings.maxBytes = maxMB * 1024 * 1024;
+        localStorage.setItem('tileCacheMaxMB', maxMB);
+    }
+    if (maxAgeDays > 0) {
+        tileCacheSettings.maxAgeDays = maxAgeDays;
+        localStorage.setItem('tileCacheMaxAgeDays', maxAgeDays);
+    }
+    return tileCacheEvict();
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,170 @@
+// --- Tile Download Scheduler ---
+// Every tile download (terrain and imagery) goes through one queue, so a large terrain does not
+// open hundreds of requests at once. At most tileFetchSettings.maxConcurrent downloads run at a
+// time. Responses that say "try again later" (429 and 5xx) are retried with exponential backoff;
+// other failures are reported to the caller at once.
+//
+// Downloads belong to a run. Starting a new run (a new terrain, or clearing the scene) aborts the
+// queued, running and retrying downloads of the previous one through its AbortController, and
+// starts the progress counts anew. Progress is reported to the listeners registered with
+// onTileFetchProgress as { total, done, failed, retries }; counts go back to zero once all
+// downloads of a batch are done, so lazily loaded chunks start a new batch.
+//
+// A download that failed is not tried again in the same run: asking for its URL again rejects
+// with the same error at once, so reloaded chunks and gap filling do not repeat known 404s.
+
+const TILE_FETCH_MAX_RETRIES = 4;
+const TILE_FETCH_RETRY_BASE_MS = 500;   // First retry after about this long, then doubled
+const TILE_FETCH_RETRY_MAX_MS = 16000;
+const TILE_FETCH_MAX_CONCURRENT = 16;   // Upper bound of the setting
+
+const tileFetchSettings = {
+    maxConcurrent: parseInt(localStorage.getItem('tileMaxConcurrent')) || 6,
+};
+
+class TileFetchError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'TileFetchError';
+        this.status = status;
+    }
+}
+
+const tileFetchQueue = [];  // Tasks waiting for a free download slot, retries first
+let tileFetchActive = 0;
+let tileFetchController = new AbortController();
+let tileFetchProgress = { total: 0, done: 0, failed: 0, retries: 0 };
+let tileFetchFailures = new Map(); // url -> error of a download that failed in the current run
+const tileFetchProgressListeners = [];
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+function tileFetchAbortError() {
+    return new DOMException('Tile download cancelled.', 'AbortError');
+}
+
+// Signal of the current run, for callers that must stop once a newer run has started
+function tileFetchSignal() {
+    return tileFetchController.signal;
+}
+
+// Abort every download of the previous run and start a new one
+function startTileFetchRun() {
+    tileFetchController.abort();
+    tileFetchController = new AbortController();
+    tileFetchProgress = { total: 0, done: 0, failed: 0, retries: 0 };
+    tileFetchFailures = new Map();
+    notifyTileFetchProgress();
+    return tileFetchController.signal;
+}
+
+function onTileFetchProgress(listener) {
+    tileFetchProgressListeners.push(listener);
+}
+
+function notifyTileFetchProgress() {
+    const progress = { ...tileFetchProgress };
+    tileFetchProgressListeners.forEach(listener => listener(progress));
+    if (progress.total > 0 && progress.done === progress.total) {
+        tileFetchProgress = { total: 0, done: 0, failed: 0, retries: 0 };
+    }
+}
+
+function setTileFetchConcurrency(maxConcurrent) {
+    if (!(maxConcurrent >= 1)) return;
+    tileFetchSettings.maxConcurrent = Math.min(Math.round(maxConcurrent), TILE_FETCH_MAX_CONCURRENT);
+    localStorage.setItem('tileMaxConcurrent', tileFetchSettings.maxConcurrent);
+    pumpTileFetchQueue(); // A higher limit starts waiting downloads right away
+}
+
+function isRetryableTileStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Exponential backoff with jitter, or the server's Retry-After (in seconds) when it asks for longer
+function tileFetchRetryDelay(attempt, retryAfter) {
+    const backoff = TILE_FETCH_RETRY_BASE_MS * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+    const requested = parseFloat(retryAfter) * 1000 || 0;
+    return Math.min(Math.max(backoff, requested), TILE_FETCH_RETRY_MAX_MS);
+}
+
+// Download a tile through the queue. Resolves to the response Blob; rejects with a TileFetchError
+// for a failed response, a TypeError for a network error, or an AbortError when the run is cancelled.
+function scheduleTileFetch(url) {
+    const signal = tileFetchController.signal;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(tileFetchAbortError());
+            return;
+        }
+        if (tileFetchFailures.has(url)) {
+            reject(tileFetchFailures.get(url));
+            return;
+        }
+        const task = { url, signal, failures: tileFetchFailures, progress: tileFetchProgress, attempt: 0, retryTimer: null, settled: false, resolve, reject };
+        signal.addEventListener('abort', () => {
+            const index = tileFetchQueue.indexOf(task);
+            if (index >= 0) tileFetchQueue.splice(index, 1);
+            clearTimeout(task.retryTimer);
+            settleTileFetchTask(task, tileFetchAbortError()); // A running download rejects on its own as well
+        }, { once: true });
+        task.progress.total++;
+        notifyTileFetchProgress();
+        tileFetchQueue.push(task);
+        pumpTileFetchQueue();
+    });
+}
+
+function settleTileFetchTask(task, error, blob) {
+    if (task.settled) return;
+    task.settled = true;
+    if (error) task.reject(error);
+    else task.resolve(blob);
+    if (error && !isAbortError(error)) task.failures.set(task.url, error); // Kept by the run the task belongs to
+    if (task.progress !== tileFetchProgress || isAbortError(error)) return; // Counted in a cancelled run
+    task.progress.done++;
+    if (error) task.progress.failed++;
+    notifyTileFetchProgress();
+}
+
+function pumpTileFetchQueue() {
+    while (tileFetchActive < tileFetchSettings.maxConcurrent && tileFetchQueue.length > 0) {
+        runTileFetchTask(tileFetchQueue.shift());
+    }
+}
+
+async function runTileFetchTask(task) {
+    tileFetchActive++;
+    try {
+        const response = await fetch(task.url, { signal: task.signal });
+        if (response.ok) {
+            settleTileFetchTask(task, null, await response.blob());
+        } else if (isRetryableTileStatus(response.status) && task.attempt < TILE_FETCH_MAX_RETRIES) {
+            retryTileFetchTask(task, tileFetchRetryDelay(task.attempt, response.headers.get('Retry-After')));
+        } else {
+            settleTileFetchTask(task, new TileFetchError(`HTTP ${response.status} ${response.statusText}`.trim(), response.status));
+        }
+    } catch (error) {
+        settleTileFetchTask(task, error);
+    } finally {
+        tileFetchActive--;
+        pumpTileFetchQueue();
+    }
+}
+
+// Wait without holding a download slot, then go before the tasks that have not started yet
+function retryTileFetchTask(task, delay) {
+    task.attempt++;
+    if (task.progress === tileFetchProgress) {
+        task.progress.retries++;
+        notifyTileFetchProgress();
+    }
+    task.retryTimer = setTimeout(() => {
+        task.retryTimer = null;
+        if (task.signal.aborted) return;
+        tileFetchQueue.unshift(task);
+        pumpTileFetchQueue();
+    }, delay);
+}
@@ -0,0 +1,278 @@
+// --- Track Editing ---
+// Edits work on the recorded points of layers (js/trackLayers.js) and never change point
+// arrays in place: every edit builds new segment arrays and a new GPX document for the layer,
+// so the previous state is just a set of references. That makes undo/redo a stack of
+// { before, after } layer states. After an edit the changed layers are placed on the terrain
+// again (placeTrackLayers in script.js), which redraws them in 3D.
+//
+// Recorded points are addressed by their index in the flattened list of all segments.
+
+const EDIT_HISTORY_LIMIT = 50;
+
+// entry: { label, changes: [{ layer, before, after }], added: [layers], removed: [layers], activeBefore, activeAfter }
+const trackEditHistory = { undo: [], redo: [] };
+let trackEditBusy = false; // Placing on the terrain is async; edits wait for the previous one
+
+// State of a layer that edits change: { name, document, segments }
+function trackLayerState(layer) {
+    return { name: layer.name, document: layer.document, segments: layer.recordedSegments };
+}
+
+// Only the recorded points change here; placeTrackLayers re-derives the placed segments
+function restoreTrackLayerState(layer, state) {
+    layer.name = state.name;
+    layer.document = state.document;
+    layer.recordedSegments = state.segments;
+}
+
+// A layer's document with new segments: a single-segment route stays a route, anything else is a track
+function trackLayerDocumentWith(layer, segments, name = layer.name, waypoints = layer.document.waypoints) {
+    const item = layer.document.tracks[0] || layer.document.routes[0] || {};
+    const asRoute = layer.document.tracks.length === 0 && segments.length === 1;
+    const fields = { name, desc: item.desc, type: item.type };
+    return {
+        ...layer.document,
+        tracks: asRoute ? [] : [{ ...fields, segments: segments.map(points => ({ points })) }],
+        routes: asRoute ? [{ ...fields, points: segments[0] }] : [],
+        waypoints,
+    };
+}
+
+function editedTrackLayerState(layer, segments, name = layer.name, waypoints) {
+    return { name, document: trackLayerDocumentWith(layer, segments, name, waypoints), segments };
+}
+
+function recordedPointCount(layer) {
+    return layer.recordedSegments.reduce((count, segment) => count + segment.length, 0);
+}
+
+// Distance (m) from the start to every recorded point, in flattened order
+function recordedPointDistances(segments) {
+    const distances = [];
+    let distance = 0, previous = null;
+    segments.forEach(segment => segment.forEach(point => {
+        if (previous) distance += haversineDistance(previous.lat, previous.lon, point.lat, point.lon);
+        distances.push(distance);
+        previous = point;
+    }));
+    return distances;
+}
+
+// --- Edit Operations ---
+// Each takes and returns segments (arrays of points); empty segments are dropped
+
+// Keep the points from flat index `from` to `to` (inclusive)
+function trimTrackSegments(segments, from, to) {
+    let offset = 0;
+    return segments.map(segment => {
+        const kept = segment.slice(Math.max(from - offset, 0), Math.max(to - offset + 1, 0));
+        offset += segment.length;
+        return kept;
+    }).filter(segment => segment.length > 0);
+}
+
+// Two parts that share the point at flat index `at`: it ends the first and (as a copy) starts the second
+function splitTrackSegments(segments, at) {
+    const total = segments.reduce((count, segment) => count + segment.length, 0);
+    const second = trimTrackSegments(segments, at, total - 1);
+    second[0] = [{ ...second[0][0] }, ...second[0].slice(1)]; // Later edits of one part leave the other alone
+    return [trimTrackSegments(segments, 0, at), second];
+}
+
+// Drop points that could only be reached at more than maxSpeed (m/s) from the previous kept point.
+// Points without a time are kept. Returns { segments, removed }.
+function removeSpeedOutliers(segments, maxSpeed) {
+    const impossible = (a, b) => {
+        if (!a.time || !b.time) return false;
+        const seconds = Math.max((b.time - a.time) / 1000, 1); // Timestamps often have one-second resolution
+        return haversineDistance(a.lat, a.lon, b.lat, b.lon) > maxSpeed * seconds;
+    };
+    let removed = 0;
+    const cleaned = segments.map(segment => {
+        const kept = segment.slice(0, 1);
+        for (let i = 1; i < segment.length; i++) {
+            const point = segment[i], last = kept[kept.length - 1], next = segment[i + 1];
+            if (!impossible(last, point)) {
+                kept.push(point);
+            } else if (kept.length === 1 && next && impossible(last, next) && !impossible(point, next)) {
+                kept[0] = point; // The first point of the segment was the spike
+                removed++;
+            } else {
+                removed++;
+            }
+        }
+        return kept;
+    });
+    return { segments: cleaned, removed };
+}
+
+// Triangle-weighted moving average of position and elevation over `pointWindow` points (odd).
+// The ends of each segment stay in place; times and sensor values are kept.
+function smoothTrackSegments(segments, pointWindow) {
+    const radius = Math.floor(pointWindow / 2);
+    return segments.map(segment => segment.map((point, i) => {
+        const reach = Math.min(radius, i, segment.length - 1 - i); // Narrower near the ends, so they do not move
+        if (reach === 0) return point;
+        let lat = 0, lon = 0, ele = 0, weight = 0, eleWeight = 0;
+        for (let k = -reach; k <= reach; k++) {
+            const neighbor = segment[i + k];
+            const w = reach + 1 - Math.abs(k);
+            lat += neighbor.lat * w;
+            lon += neighbor.lon * w;
+            weight += w;
+            if (neighbor.ele !== null && neighbor.ele !== undefined) {
+                ele += neighbor.ele * w;
+                eleWeight += w;
+            }
+        }
+        const hasEle = point.ele !== null && point.ele !== undefined;
+        return { ...point, lat: lat / weight, lon: lon / weight, ele: hasEle ? ele / eleWeight : point.ele };
+    }));
+}
+
+// Douglas-Peucker on the horizontal positions: drop points closer than `tolerance` meters to the
+// simplified line. Iterative, since tracks can have 100k+ points.
+function simplifyTrackSegments(segments, tolerance) {
+    return segments.map(segment => {
+        if (segment.length < 3) return segment;
+        const lat0 = segment[0].lat * Math.PI / 180;
+        const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+        const xs = segment.map(p => (p.lon - segment[0].lon) * metersPerDegree * Math.cos(lat0));
+        const ys = segment.map(p => (p.lat - segment[0].lat) * metersPerDegree);
+        const keep = new Uint8Array(segment.length);
+        keep[0] = keep[segment.length - 1] = 1;
+        const stack = [[0, segment.length - 1]];
+        while (stack.length) {
+            const [first, last] = stack.pop();
+            const dx = xs[last] - xs[first], dy = ys[last] - ys[first];
+            const lengthSq = dx * dx + dy * dy;
+            let farthest = -1, farthestDistance = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                // Distance to the piece from first to last
+                const t = lengthSq > 0 ? Math.min(Math.max(((xs[i] - xs[first]) * dx + (ys[i] - ys[first]) * dy) / lengthSq, 0), 1) : 0;
+                const distance = Math.hypot(xs[i] - xs[first] - t * dx, ys[i] - ys[first] - t * dy);
+                if (distance > farthestDistance) {
+                    farthest = i;
+                    farthestDistance = distance;
+                }
+            }
+            if (farthest < 0) continue;
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+        return segment.filter((point, i) => keep[i]);
+    });
+}
+
+// Layers in recording order when they all have times, otherwise in the given order
+function trackLayersInTimeOrder(layers) {
+    const startTime = layer => {
+        const timed = layer.recordedSegments.flat().find(point => point.time);
+        return timed ? timed.time.getTime() : null;
+    };
+    const starts = new Map(layers.map(layer => [layer, startTime(layer)]));
+    if (layers.some(layer => starts.get(layer) === null)) return layers.slice();
+    return layers.slice().sort((a, b) => starts.get(a) - starts.get(b));
+}
+
+// --- History ---
+// Put one side of an entry into the scene: restore the layer states, add or remove layers, place them again
+async function applyTrackEditSide(entry, side) {
+    const [gone, back] = side === 'after' ? [entry.removed, entry.added] : [entry.added, entry.removed];
+    entry.changes.forEach(change => restoreTrackLayerState(change.layer, change[side]));
+    gone.forEach(removeTrackLayer);
+    await placeTrackLayers([...entry.changes.map(change => change.layer), ...back].filter(layer => !gone.includes(layer)));
+    activeTrackLayer = side === 'after' ? entry.activeAfter : entry.activeBefore;
+    refreshTrackViews();
+}
+
+// Run a change once no other is being placed; returns false when busy
+async function runTrackEdit(run) {
+    if (trackEditBusy) return false;
+    trackEditBusy = true;
+    try {
+        await run();
+    } finally {
+        trackEditBusy = false;
+    }
+    return true;
+}
+
+// Apply a new edit and make it undoable
+async function commitTrackEdit(entry) {
+    return runTrackEdit(async () => {
+        await applyTrackEditSide(entry, 'after');
+        trackEditHistory.undo.push(entry);
+        if (trackEditHistory.undo.length > EDIT_HISTORY_LIMIT) trackEditHistory.undo.shift();
+        trackEditHistory.redo = [];
+    });
+}
+
+async function undoTrackEdit() {
+    const entry = trackEditHistory.undo[trackEditHistory.undo.length - 1];
+    if (!entry) return null;
+    const done = await runTrackEdit(async () => {
+        await applyTrackEditSide(entry, 'before');
+        trackEditHistory.redo.push(trackEditHistory.undo.pop());
+    });
+    return done ? entry : null;
+}
+
+async function redoTrackEdit() {
+    const entry = trackEditHistory.redo[trackEditHistory.redo.length - 1];
+    if (!entry) return null;
+    const done = await runTrackEdit(async () => {
+        await applyTrackEditSide(entry, 'after');
+        trackEditHistory.undo.push(trackEditHistory.redo.pop());
+    });
+    return done ? entry : null;
+}
+
+// The entries refer to the layers in the scene; they are dropped when layers go away otherwise
+function clearTrackEditHistory() {
+    trackEditHistory.undo = [];
+    trackEditHistory.redo = [];
+}
+
+// Entry for an edit that only changes one layer's points
+function trackLayerEdit(label, layer, segments) {
+    return {
+        label,
+        changes: [{ layer, before: trackLayerState(layer), after: editedTrackLayerState(layer, segments) }],
+        added: [],
+        removed: [],
+        activeBefore: activeTrackLayer,
+        activeAfter: layer,
+    };
+}
+
+// Entry splitting a layer at a flat point index: the layer keeps the first part, a new layer gets the rest
+function trackLayerSplitEdit(layer, at) {
+    const [first, second] = splitTrackSegments(layer.recordedSegments, at);
+    const rest = createTrackLayer(`${layer.name} (2)`, null, second);
+    rest.document = trackLayerDocumentWith(layer, second, rest.name, []);
+    return {
+        label: 'Split',
+        changes: [{ layer, before: trackLayerState(layer), after: editedTrackLayerState(layer, first) }],
+        added: [rest],
+        removed: [],
+        activeBefore: activeTrackLayer,
+        activeAfter: layer,
+    };
+}
+
+// Entry merging layers into the first in time order; their segments and waypoints are kept
+function trackLayerMergeEdit(layers) {
+    const ordered = trackLayersInTimeOrder(layers);
+    const [target, ...others] = ordered;
+    const segments = ordered.flatMap(layer => layer.recordedSegments);
+    const waypoints = ordered.flatMap(layer => layer.document.waypoints || []);
+    return {
+        label: 'Merge',
+        changes: [{ layer: target, before: trackLayerState(target), after: editedTrackLayerState(target, segments, target.name, waypoints) }],
+        added: [],
+        removed: others,
+        activeBefore: activeTrackLayer,
+        activeAfter: target,
+    };
+}
@@ -0,0 +1,133 @@
+// --- Track Elevation ---
+// Draping and elevation correction for the visualized track.
+//
+// Draping inserts interpolated points into long segments, so the track is sampled on the DEM
+// about once per terrain pixel and follows ridges and valleys instead of cutting through them.
+// Inserted points carry `interpolated: true` and never reach exported files.
+//
+// Correction compares the elevations recorded in the file (GPS or barometric) with the DEM and
+// rewrites them: replaced by the DEM, shifted by the mean offset, blended with the DEM, or
+// smoothed along the distance. It works on the profile points (js/profileChart.js), which
+// carry both series, and returns new elevations for the caller to store.
+
+const DRAPE_MAX_POINTS = 200000;         // Spacing grows on very long tracks to stay below this
+const DRAPE_TILE_PIXELS = 256;           // Terrain pixels per tile assumed for the spacing
+const ELEVATION_BLEND_WEIGHT = 0.5;      // Default share of the DEM when blending
+const ELEVATION_SMOOTHING_WINDOW_M = 100; // Default smoothing window (full width)
+
+const TRACK_PLACEMENT_MODES = ['drape', 'points', 'recorded'];
+const ELEVATION_CORRECTION_METHODS = ['replace', 'offset', 'blend', 'smooth'];
+
+// Ground size of one terrain pixel at a zoom level and latitude, in meters
+function drapeSpacingMeters(zoom, lat) {
+    return 2 * Math.PI * EARTH_RADIUS_METERS * Math.cos(lat * Math.PI / 180) / (Math.pow(2, zoom) * DRAPE_TILE_PIXELS);
+}
+
+function interpolateTrackValue(a, b, t) {
+    return typeof a === 'number' && typeof b === 'number' ? a + (b - a) * t : null;
+}
+
+// New segment arrays with points inserted wherever neighbours are further apart than maxSpacing.
+// Recorded points are kept as they are (same objects); only the arrays are new.
+function densifyTrackSegments(trackSegments, maxSpacing) {
+    let total = 0;
+    trackSegments.forEach(segment => {
+        for (let i = 1; i < segment.length; i++) total += haversineDistance(segment[i - 1].lat, segment[i - 1].lon, segment[i].lat, segment[i].lon);
+    });
+    const spacing = Math.max(maxSpacing, total / DRAPE_MAX_POINTS);
+
+    return trackSegments.map(segment => {
+        const densified = [];
+        segment.forEach((pt, i) => {
+            if (i > 0) {
+                const prev = segment[i - 1];
+                const steps = Math.ceil(haversineDistance(prev.lat, prev.lon, pt.lat, pt.lon) / spacing);
+                for (let k = 1; k < steps; k++) {
+                    const t = k / steps;
+                    const time = prev.time && pt.time ? new Date(prev.time.getTime() + (pt.time.getTime() - prev.time.getTime()) * t) : null;
+                    const inserted = {
+                        lat: prev.lat + (pt.lat - prev.lat) * t,
+                        lon: prev.lon + (pt.lon - prev.lon) * t, // Close enough to the great circle at these spacings
+                        ele: interpolateTrackValue(prev.ele, pt.ele, t),
+                        time,
+                        interpolated: true,
+                    };
+                    ['hr', 'cad', 'temp', 'power', 'speed'].forEach(field => {
+                        const value = interpolateTrackValue(prev[field], pt[field], t);
+                        if (value !== null) inserted[field] = value;
+                    });
+                    densified.push(inserted);
+                }
+            }
+            densified.push(pt);
+        });
+        return densified;
+    });
+}
+
+// Recorded minus DEM elevation over the recorded points that have both.
+// Returns { count, offset (mean difference), rms, rmsAfterOffset, maxDifference } or null.
+function compareTrackElevations(points) {
+    const differences = [];
+    points.forEach(p => {
+        if (!p.interpolated && p.gpxEle !== null && p.demEle !== null) differences.push(p.gpxEle - p.demEle);
+    });
+    if (differences.length === 0) return null;
+    const offset = differences.reduce((sum, d) => sum + d, 0) / differences.length;
+    let squares = 0, centeredSquares = 0, maxDifference = 0;
+    differences.forEach(d => {
+        squares += d * d;
+        centeredSquares += (d - offset) * (d - offset);
+        if (Math.abs(d) > Math.abs(maxDifference)) maxDifference = d;
+    });
+    return {
+        count: differences.length,
+        offset,
+        rms: Math.sqrt(squares / differences.length),
+        rmsAfterOffset: Math.sqrt(centeredSquares / differences.length), // Noise once the offset is removed
+        maxDifference,
+    };
+}
+
+// Moving average over a distance window, within each segment, skipping missing values
+function smoothTrackElevations(points, elevations, windowM) {
+    const half = windowM / 2;
+    const smoothed = elevations.slice();
+    let a = 0, b = 0, sum = 0, count = 0;
+    for (let i = 0; i < points.length; i++) {
+        // Slide [a, b) to the points of this segment within half a window of point i
+        while (b < points.length && points[b].segment === points[i].segment && points[b].distance - points[i].distance <= half) {
+            if (elevations[b] !== null) { sum += elevations[b]; count++; }
+            b++;
+        }
+        while (a < i && (points[a].segment !== points[i].segment || points[i].distance - points[a].distance > half)) {
+            if (elevations[a] !== null) { sum -= elevations[a]; count--; }
+            a++;
+        }
+        if (elevations[i] !== null && count > 0) smoothed[i] = sum / count;
+    }
+    return smoothed;
+}
+
+// options: { weight (0..1, share of the DEM for 'blend'), windowM (for 'smooth') }
+// Returns one elevation (meters or null) per profile point
+function correctTrackElevations(points, method, options = {}) {
+    if (!ELEVATION_CORRECTION_METHODS.includes(method)) throw new Error(`Unknown elevation correction: ${method}`);
+    const comparison = compareTrackElevations(points);
+    const offset = comparison ? comparison.offset : 0;
+    if (method === 'replace') {
+        return points.map(p => (p.demEle !== null ? p.demEle : p.gpxEle));
+    }
+    if (method === 'offset') {
+        return points.map(p => (p.gpxEle !== null ? p.gpxEle - offset : null));
+    }
+    if (method === 'blend') {
+        const weight = options.weight !== undefined ? options.weight : ELEVATION_BLEND_WEIGHT;
+        return points.map(p => {
+            if (p.gpxEle === null) return p.demEle;
+            if (p.demEle === null) return p.gpxEle - offset;
+            return weight * p.demEle + (1 - weight) * (p.gpxEle - offset); // Offset removed so the two agree on average
+        });
+    }
+    return smoothTrackElevations(points, points.map(p => p.gpxEle), options.windowM || ELEVATION_SMOOTHING_WINDOW_M);
+}
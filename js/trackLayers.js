@@ -0,0 +1,121 @@
+// --- Track Layers ---
+// Every track (or route) in the scene is a layer with its own name, color, visibility and
+// opacity. Files with several <trk> elements give one layer per track. One layer at a time
+// is active: it drives the elevation profile, playback, statistics panel and elevation
+// correction. Placing a layer on the terrain happens in script.js (placeTrackLayers), which
+// fills in placement, profile and statistics.
+//
+// Layer: {
+//   id, name, color ('#rrggbb'), visible, opacity (0..1),
+//   document:         GPX-shaped document holding only this track, for the GPX export
+//   recordedSegments: point arrays as imported
+//   segments:         point arrays as placed (densified when draped)
+//   placement:        { mode, positions, demElevations, elevationToY, trackOffset }
+//   group:            THREE.Group in the scene, holding centerline and styled
+//   centerline:       THREE.Group with one hidden THREE.Line per segment, for picking and bounds
+//   styled:           THREE.Group with what js/trackRenderer.js draws
+//   profile, statistics
+// }
+
+const TRACK_LAYER_COLORS = ['#ff0000', '#1f77b4', '#2ca02c', '#ff7f0e', '#9467bd', '#17becf', '#e377c2', '#8c564b'];
+
+const trackLayers = [];        // In the order they were added
+let activeTrackLayer = null;
+let nextTrackLayerId = 1;
+
+function createTrackLayer(name, document, segments) {
+    const id = nextTrackLayerId++;
+    const group = new THREE.Group();
+    const centerline = new THREE.Group();
+    const styled = new THREE.Group();
+    centerline.visible = false; // Drawn by the styled track instead
+    group.add(centerline, styled);
+    group.name = `track-${id}`;
+    return {
+        id,
+        name,
+        color: TRACK_LAYER_COLORS[(id - 1) % TRACK_LAYER_COLORS.length],
+        visible: true,
+        opacity: 1,
+        document,
+        recordedSegments: segments,
+        segments,
+        placement: null,
+        group,
+        centerline,
+        styled,
+        profile: null,
+        statistics: null,
+    };
+}
+
+// One layer per track and per route of an imported document; waypoints stay with the first one
+function trackLayersFromDocument(gpxDoc, fileName) {
+    const baseName = gpxDoc.metadata.name || fileName.replace(/\.[^.]+$/, '');
+    const parts = [
+        ...gpxDoc.tracks.map(track => ({ track, segments: track.segments.map(segment => segment.points) })),
+        ...gpxDoc.routes.map(route => ({ route, segments: [route.points] })),
+    ].filter(part => part.segments.some(segment => segment.length > 0));
+
+    return parts.map((part, i) => {
+        const item = part.track || part.route;
+        const document = {
+            metadata: gpxDoc.metadata,
+            tracks: part.track ? [part.track] : [],
+            routes: part.route ? [part.route] : [],
+            waypoints: i === 0 ? gpxDoc.waypoints : [],
+        };
+        const name = parts.length === 1 ? (item.name || baseName) : (item.name || `${baseName} (${i + 1})`);
+        return createTrackLayer(name, document, part.segments.filter(segment => segment.length > 0));
+    });
+}
+
+// Latitude/longitude box around the recorded points of some layers, or null when they have none
+function trackLayersBounds(layers) {
+    let bounds = null;
+    layers.forEach(layer => layer.recordedSegments.forEach(segment => segment.forEach(p => {
+        if (!bounds) bounds = { minLat: p.lat, maxLat: p.lat, minLon: p.lon, maxLon: p.lon };
+        bounds.minLat = Math.min(bounds.minLat, p.lat); bounds.maxLat = Math.max(bounds.maxLat, p.lat);
+        bounds.minLon = Math.min(bounds.minLon, p.lon); bounds.maxLon = Math.max(bounds.maxLon, p.lon);
+    })));
+    return bounds;
+}
+
+function geoBoundsContain(outer, inner) {
+    return inner.minLat >= outer.minLat && inner.maxLat <= outer.maxLat && inner.minLon >= outer.minLon && inner.maxLon <= outer.maxLon;
+}
+
+function removeTrackLayer(layer) {
+    const index = trackLayers.indexOf(layer);
+    if (index < 0) return;
+    trackLayers.splice(index, 1);
+    scene.remove(layer.group);
+    disposeObjectTree(layer.group);
+    if (activeTrackLayer === layer) activeTrackLayer = trackLayers[Math.min(index, trackLayers.length - 1)] || null;
+}
+
+function removeAllTrackLayers() {
+    trackLayers.slice().forEach(removeTrackLayer);
+}
+
+function setTrackLayerVisible(layer, visible) {
+    layer.visible = visible;
+    layer.group.visible = visible;
+}
+
+function setTrackLayerOpacity(layer, opacity) {
+    layer.opacity = opacity;
+    layer.styled.traverse(object => {
+        if (!object.material) return;
+        // Curtains keep their own see-through look, scaled by the layer opacity
+        const base = object.userData.baseOpacity !== undefined ? object.userData.baseOpacity : 1;
+        object.material.opacity = base * opacity;
+        object.material.transparent = object.material.opacity < 1;
+        object.material.depthWrite = !object.material.transparent;
+    });
+}
+
+// Visible layers that have been placed on the terrain
+function placedTrackLayers() {
+    return trackLayers.filter(layer => layer.visible && layer.profile);
+}
@@ -0,0 +1,306 @@
+// --- Track Rendering ---
+// Draws every track layer (js/trackLayers.js) in one of several styles, into layer.styled, on
+// top of the thin centerlines in layer.centerline, which stay in the scene (hidden) for picking
+// and bounds. Styles are rebuilt from the layer profiles, so switching style or color never
+// refetches tiles.
+//
+// Styles:
+//   line    - constant screen-space width in pixels (Line2/LineMaterial)
+//   ribbon  - flat band of constant world-space width in meters
+//   tube    - round tube, world-space width in meters
+//   curtain - wall hanging from the track down to the terrain, with a line along its top
+//
+// Colors follow the layer color or a gradient over a per-point attribute (elevation, grade,
+// speed, heart rate, power, cadence) on one scale shared by all layers, with a legend in the
+// corner of the viewer.
+
+const TRACK_TUBE_SIDES = 8;
+const TRACK_ATTRIBUTE_WINDOW_M = 25; // Grade and speed are measured over +-25 m
+const TRACK_RANGE_PERCENTILE = 0.02; // Automatic color ranges ignore the top and bottom 2%
+
+// Color stops, evenly spaced from the low to the high end of the scale
+const TRACK_COLOR_PALETTES = {
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    turbo: ['#30123b', '#4686fb', '#1ae4b6', '#a2fc3c', '#faba39', '#e4460a', '#7a0403'],
+    heat: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+    diverging: ['#2166ac', '#67a9cf', '#f7f7f7', '#ef8a62', '#b2182b'],
+    terrain: ['#4f8a48', '#a3c16a', '#eadb95', '#c49a62', '#8c6547', '#d8d2cc', '#ffffff'], // Hypsometric: lowland green to snow
+};
+
+// value(points, i) returns the attribute at profile point i, or null
+const TRACK_COLOR_ATTRIBUTES = {
+    solid: { label: 'Single color' },
+    elevation: { label: 'Elevation', unit: 'm', palette: 'viridis', value: (points, i) => points[i].ele },
+    grade: { label: 'Grade', unit: '%', palette: 'diverging', symmetric: true, value: (points, i) => windowedTrackRate(points, i, 'ele') },
+    speed: { label: 'Speed', unit: 'km/h', palette: 'turbo', value: (points, i) => {
+        const pace = windowedTrackRate(points, i, 'time'); // Seconds per 100 m
+        return pace > 0 ? 360 / pace : null;
+    } },
+    hr: { label: 'Heart rate', unit: 'bpm', palette: 'heat', value: (points, i) => points[i].hr },
+    power: { label: 'Power', unit: 'W', palette: 'heat', value: (points, i) => points[i].power },
+    cad: { label: 'Cadence', unit: 'rpm', palette: 'viridis', value: (points, i) => points[i].cad },
+};
+
+let trackLegend = null;     // Legend element inside the viewer
+const trackLineMaterials = []; // LineMaterials that need the render resolution
+
+// Change of a point field per distance over a window around point i (x100, so grade is in %).
+// The window always reaches the neighbouring points, however sparse the track.
+function windowedTrackRate(points, i, key) {
+    const segment = points[i].segment;
+    let a = i, b = i;
+    while (a > 0 && points[a - 1].segment === segment && (a === i || points[i].distance - points[a - 1].distance <= TRACK_ATTRIBUTE_WINDOW_M)) a--;
+    while (b < points.length - 1 && points[b + 1].segment === segment && (b === i || points[b + 1].distance - points[i].distance <= TRACK_ATTRIBUTE_WINDOW_M)) b++;
+    if (a === b || points[a][key] === null || points[b][key] === null) return null;
+    const distance = points[b].distance - points[a].distance;
+    return distance > 0 ? (points[b][key] - points[a][key]) / distance * 100 : null;
+}
+
+function trackAttributeValues(profile, attribute) {
+    const definition = TRACK_COLOR_ATTRIBUTES[attribute];
+    return profile.points.map((p, i) => {
+        const value = definition.value(profile.points, i);
+        return value === null || value === undefined || !isFinite(value) ? null : value;
+    });
+}
+
+// Manual min/max when given, otherwise a robust range from the data
+function trackColorRange(values, attribute, settings) {
+    const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const pick = q => sorted[Math.min(sorted.length - 1, Math.floor(q * (sorted.length - 1)))];
+    let min = pick(TRACK_RANGE_PERCENTILE), max = pick(1 - TRACK_RANGE_PERCENTILE);
+    if (TRACK_COLOR_ATTRIBUTES[attribute].symmetric) {
+        max = Math.max(Math.abs(min), Math.abs(max));
+        min = -max;
+    }
+    if (settings.min !== null) min = settings.min;
+    if (settings.max !== null) max = settings.max;
+    if (max <= min) max = min + 1;
+    return { min, max };
+}
+
+function paletteColor(paletteName, t, target) {
+    const stops = TRACK_COLOR_PALETTES[paletteName] || TRACK_COLOR_PALETTES.viridis;
+    const x = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const k = Math.min(Math.floor(x), stops.length - 2);
+    const from = new THREE.Color(stops[k]), to = new THREE.Color(stops[k + 1]);
+    return target.copy(from).lerp(to, x - k);
+}
+
+// Per-point RGB colors of a layer; values is null for a single color
+function buildTrackColors(layer, values, range, settings) {
+    const colors = new Float32Array(layer.profile.points.length * 3);
+    const color = new THREE.Color(layer.color);
+    if (!values) {
+        for (let i = 0; i < layer.profile.points.length; i++) color.toArray(colors, i * 3);
+        return colors;
+    }
+    const missing = new THREE.Color(0x888888);
+    values.forEach((value, i) => {
+        if (value === null || !range) missing.toArray(colors, i * 3);
+        else paletteColor(settings.palette, (value - range.min) / (range.max - range.min), color).toArray(colors, i * 3);
+    });
+    return colors;
+}
+
+// --- Geometry per style ---
+
+// [{ start, end }] profile index ranges of segments with at least two points
+function trackSegmentRanges(profile) {
+    return profile.segmentStarts
+        .map((start, k) => ({ start, end: (k + 1 < profile.segmentStarts.length ? profile.segmentStarts[k + 1] : profile.points.length) - 1 }))
+        .filter(range => range.end > range.start);
+}
+
+// Horizontal unit vector perpendicular to the track at point i (pointing to its right)
+function trackSideVector(points, range, i) {
+    const prev = points[Math.max(i - 1, range.start)].position, next = points[Math.min(i + 1, range.end)].position;
+    const side = new THREE.Vector3(-(next.z - prev.z), 0, next.x - prev.x);
+    return side.lengthSq() > 0 ? side.normalize() : new THREE.Vector3(1, 0, 0);
+}
+
+function buildTrackLine(points, range, colors, widthPx) {
+    const positions = [], lineColors = [];
+    for (let i = range.start; i <= range.end; i++) {
+        positions.push(points[i].position.x, points[i].position.y, points[i].position.z);
+        lineColors.push(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]);
+    }
+    const geometry = new THREE.LineGeometry();
+    geometry.setPositions(positions);
+    geometry.setColors(lineColors);
+    const material = new THREE.LineMaterial({ linewidth: widthPx, vertexColors: true });
+    material.resolution.set(renderer.domElement.width, renderer.domElement.height);
+    trackLineMaterials.push(material);
+    const line = new THREE.Line2(geometry, material);
+    line.computeLineDistances();
+    return line;
+}
+
+function buildTrackRibbon(points, range, colors, halfWidth) {
+    const count = range.end - range.start + 1;
+    const positions = new Float32Array(count * 2 * 3);
+    const vertexColors = new Float32Array(count * 2 * 3);
+    const indices = [];
+    for (let k = 0; k < count; k++) {
+        const i = range.start + k;
+        const side = trackSideVector(points, range, i).multiplyScalar(halfWidth);
+        const p = points[i].position;
+        positions.set([p.x - side.x, p.y, p.z - side.z, p.x + side.x, p.y, p.z + side.z], k * 6);
+        vertexColors.set([colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2], colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]], k * 6);
+        if (k > 0) {
+            const a = (k - 1) * 2, b = a + 1, c = k * 2, d = c + 1;
+            indices.push(a, b, c, b, d, c);
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+    geometry.setIndex(indices);
+    return new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide })); // Lit, so terrain shadows fall on it
+}
+
+function buildTrackTube(points, range, colors, radius) {
+    const count = range.end - range.start + 1;
+    const ring = TRACK_TUBE_SIDES;
+    const positions = new Float32Array(count * ring * 3);
+    const normals = new Float32Array(count * ring * 3);
+    const vertexColors = new Float32Array(count * ring * 3);
+    const indices = [];
+    const up = new THREE.Vector3();
+    for (let k = 0; k < count; k++) {
+        const i = range.start + k;
+        const side = trackSideVector(points, range, i);
+        const prev = points[Math.max(i - 1, range.start)].position, next = points[Math.min(i + 1, range.end)].position;
+        const tangent = next.clone().sub(prev).normalize();
+        up.crossVectors(side, tangent).normalize();
+        if (up.y < 0) up.negate();
+        for (let r = 0; r < ring; r++) {
+            const angle = r / ring * Math.PI * 2;
+            const normal = side.clone().multiplyScalar(Math.cos(angle)).addScaledVector(up, Math.sin(angle));
+            const v = k * ring + r;
+            positions.set([points[i].position.x + normal.x * radius, points[i].position.y + normal.y * radius, points[i].position.z + normal.z * radius], v * 3);
+            normals.set([normal.x, normal.y, normal.z], v * 3);
+            vertexColors.set([colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]], v * 3);
+            if (k > 0) {
+                const a = (k - 1) * ring + r, b = (k - 1) * ring + (r + 1) % ring;
+                const c = k * ring + r, d = k * ring + (r + 1) % ring;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+    geometry.setIndex(indices);
+    return new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({ vertexColors: true, side: THREE.DoubleSide }));
+}
+
+function buildTrackCurtain(points, range, colors) {
+    const count = range.end - range.start + 1;
+    const positions = new Float32Array(count * 2 * 3);
+    const vertexColors = new Float32Array(count * 2 * 3);
+    const indices = [];
+    for (let k = 0; k < count; k++) {
+        const i = range.start + k;
+        const p = points[i].position;
+        const ground = terrainHeightAtWorld(p.x, p.z);
+        positions.set([p.x, p.y, p.z, p.x, Math.min(ground, p.y), p.z], k * 6);
+        vertexColors.set([colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2], colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]], k * 6);
+        if (k > 0) {
+            const a = (k - 1) * 2, b = a + 1, c = k * 2, d = c + 1;
+            indices.push(a, b, c, b, d, c);
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+    geometry.setIndex(indices);
+    const curtain = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true, side: THREE.DoubleSide, transparent: true, opacity: 0.6, depthWrite: false,
+    }));
+    curtain.userData.baseOpacity = 0.6; // Multiplied by the layer opacity
+    return curtain;
+}
+
+// --- Legend ---
+function updateTrackLegend(settings, range) {
+    if (!trackLegend) {
+        trackLegend = document.createElement('div');
+        trackLegend.id = 'trackLegend';
+    }
+    if (trackLegend.parentElement !== viewerDiv) viewerDiv.appendChild(trackLegend); // initThreeJS clears the viewer
+    const attribute = TRACK_COLOR_ATTRIBUTES[settings.colorBy];
+    if (settings.colorBy === 'solid' || !range) {
+        trackLegend.hidden = settings.colorBy === 'solid';
+        trackLegend.textContent = `${attribute.label}: no data in the loaded tracks`;
+        return;
+    }
+    const stops = TRACK_COLOR_PALETTES[settings.palette] || TRACK_COLOR_PALETTES.viridis;
+    const format = value => (Math.abs(range.max - range.min) < 10 ? value.toFixed(1) : Math.round(value));
+    trackLegend.hidden = false;
+    trackLegend.innerHTML = '';
+    const title = document.createElement('div');
+    title.textContent = `${attribute.label} (${attribute.unit})`;
+    const bar = document.createElement('div');
+    bar.className = 'legendBar';
+    bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    const labels = document.createElement('div');
+    labels.className = 'legendLabels';
+    [range.min, (range.min + range.max) / 2, range.max].forEach(value => {
+        const label = document.createElement('span');
+        label.textContent = format(value);
+        labels.appendChild(label);
+    });
+    trackLegend.append(title, bar, labels);
+}
+
+// --- Public ---
+function disposeTrackStyle() {
+    trackLayers.forEach(layer => {
+        disposeObjectTree(layer.styled);
+        layer.styled.clear();
+    });
+    trackLineMaterials.length = 0;
+    if (trackLegend) trackLegend.hidden = true;
+}
+
+// settings: { style, width (px for line, meters otherwise), colorBy, palette, min, max (null = auto) }
+function renderTrackStyle(settings) {
+    disposeTrackStyle();
+    const layers = trackLayers.filter(layer => layer.profile);
+    if (layers.length === 0 || !terrainChunkTree) return;
+    const worldWidth = metersToWorld(terrainChunkTree.projection, settings.width);
+    const values = new Map(layers.map(layer => [layer, settings.colorBy === 'solid' ? null : trackAttributeValues(layer.profile, settings.colorBy)]));
+    const range = settings.colorBy === 'solid' ? null : trackColorRange(layers.flatMap(layer => values.get(layer)), settings.colorBy, settings);
+
+    layers.forEach(layer => {
+        const points = layer.profile.points;
+        const colors = buildTrackColors(layer, values.get(layer), range, settings);
+        trackSegmentRanges(layer.profile).forEach(segmentRange => {
+            if (settings.style === 'ribbon') {
+                layer.styled.add(buildTrackRibbon(points, segmentRange, colors, worldWidth / 2));
+            } else if (settings.style === 'tube') {
+                layer.styled.add(buildTrackTube(points, segmentRange, colors, worldWidth / 2));
+            } else if (settings.style === 'curtain') {
+                layer.styled.add(buildTrackCurtain(points, segmentRange, colors));
+                layer.styled.add(buildTrackLine(points, segmentRange, colors, 2));
+            } else {
+                layer.styled.add(buildTrackLine(points, segmentRange, colors, settings.width));
+            }
+        });
+        setTrackLayerOpacity(layer, layer.opacity);
+        layer.styled.traverse(object => {
+            if (!object.isMesh || object.isLineSegments2) return;
+            object.receiveShadow = true; // Terrain shadows (js/sunLighting.js); only lit materials show them
+            object.castShadow = settings.style === 'tube';
+        });
+    });
+    updateTrackLegend(settings, range);
+}
+
+// LineMaterial widths are in pixels of this resolution; call whenever the render size changes
+function setTrackLineResolution(width, height) {
+    trackLineMaterials.forEach(material => material.resolution.set(width, height));
+}
@@ -0,0 +1,115 @@
+// --- Minimal ZIP Support ---
+// Enough of the ZIP format to read KMZ archives and write simple archives without an extra library.
+// Stored and deflated entries can be read; deflate uses the browser's DecompressionStream.
+// Archives are written uncompressed ("stored"), which suits already-compressed content like PNG.
+
+// Returns [{ name, method, compressedSize, size, offset }] from the central directory
+function readZipDirectory(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    // The End Of Central Directory record sits in the last 22 bytes + up to 64 KB of comment
+    let eocd = -1;
+    for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a ZIP archive (no end of central directory record).');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory.');
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        entries.push({
+            name: decoder.decode(new Uint8Array(arrayBuffer, offset + 46, nameLength)),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            offset: view.getUint32(offset + 42, true), // Local header offset
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Returns the uncompressed bytes of one directory entry as a Uint8Array
+async function readZipEntry(arrayBuffer, entry) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(entry.offset, true) !== 0x04034b50) throw new Error(`Corrupt ZIP local header for ${entry.name}.`);
+    const dataStart = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const compressed = new Uint8Array(arrayBuffer, dataStart, entry.compressedSize);
+
+    if (entry.method === 0) return compressed.slice();
+    if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}.`);
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress ZIP archives.');
+
+    const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// --- Writing ---
+let zipCrcTable = null;
+
+function zipCrc32(bytes) {
+    if (!zipCrcTable) {
+        zipCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            zipCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = zipCrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> Blob of a stored (uncompressed) ZIP archive
+function createZipArchive(files, mimeType = 'application/zip') {
+    if (files.length > 0xffff) throw new Error('ZIP archives hold at most 65535 files.');
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = zipCrc32(file.data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);            // Version needed: 2.0
+        local.setUint16(6, 0x0800, true);        // Flags: UTF-8 names
+        local.setUint16(8, 0, true);             // Method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);            // Version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + file.data.length;
+        if (offset > 0xffffffff) throw new Error('ZIP archive would exceed 4 GB; record fewer or smaller frames.');
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: mimeType });
+}
@@ -1,15 +1,121 @@
 // --- Global Three.js Variables ---
-let scene, camera, renderer, controls, terrainMesh, trackLine;
+let scene, camera, renderer, controls, terrainMesh;
 let ambientLight, directionalLight; // Store light references for dynamic updates
-const TERRAIN_SIZE = 1000; // Arbitrary size for our 3D terrain plane
-let cityMarkers = []; // To store references to city marker objects for easy removal
+const TERRAIN_SIZE = 1000; // World units spanned by the longer side of the terrain (see js/projection.js)
+let trackHoverMarker = null; // Sphere following the point hovered on the profile chart or the track
+let trackHighlight = null; // Lines over the section selected on the profile chart
+let terrainScene = null; // { tileSources, terrainZoom, zScale, placementMode, geoBounds, projection } of the displayed terrain, reused when adding tracks
+const frameClock = new THREE.Clock();
+const frameCallbacks = []; // (deltaSeconds) => void, run before every render, see onFrame
 
 // --- Tile Cache ---
-const terrainTileCache = new Map(); // Cache for terrain-rgb tiles
-const mapImageTileCache = new Map(); // Cache for map image tiles
+// Decoded ImageBitmaps for this page session; raw blobs also persist in IndexedDB (js/tileCache.js).
+// Each cache keeps its most recently used tiles only. Dropped bitmaps are closed, except those a
+// terrain chunk still draws its texture from, which are closed once that chunk is disposed.
+const SESSION_TILE_BITMAPS_MAX = 128; // Per cache; about 32 MB of 256 px tiles
+const SESSION_TILE_HEIGHTS_MAX = 256;
+
+// Map that holds at most maxEntries values, dropping the least recently read or written;
+// onDrop(value) frees a value that was dropped, replaced or deleted
+class SessionTileCache extends Map {
+    constructor(maxEntries, onDrop) {
+        super();
+        this.maxEntries = maxEntries;
+        this.onDrop = onDrop;
+        this.pending = new Map(); // key -> { promise, signal } of a value being loaded, same keys as the cache
+    }
+
+    // Promise of the value for key, from the cache or from loader(); while it loads, other callers
+    // of the same download run (js/tileScheduler.js) get the same promise instead of loading it
+    // again. A load of a cancelled run is not shared, it is about to fail with an AbortError.
+    load(key, loader) {
+        if (super.has(key)) return Promise.resolve(this.get(key));
+        const signal = tileFetchSignal();
+        const loading = this.pending.get(key);
+        if (loading && loading.signal === signal) return loading.promise;
+        const promise = loader()
+            .then(value => {
+                this.set(key, value);
+                return value;
+            })
+            .finally(() => {
+                if (this.pending.get(key) && this.pending.get(key).promise === promise) this.pending.delete(key);
+            });
+        this.pending.set(key, { promise, signal });
+        return promise;
+    }
+
+    get(key) {
+        if (!super.has(key)) return undefined;
+        const value = super.get(key);
+        super.delete(key); // Re-inserted as the most recently used
+        super.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        const previous = super.get(key);
+        super.delete(key);
+        super.set(key, value);
+        if (previous !== undefined && previous !== value && this.onDrop) this.onDrop(previous);
+        while (this.size > this.maxEntries) this.delete(this.keys().next().value);
+        return this;
+    }
+
+    delete(key) {
+        if (!super.has(key)) return false;
+        const value = super.get(key);
+        super.delete(key);
+        if (this.onDrop) this.onDrop(value);
+        return true;
+    }
+
+    clear() {
+        const values = Array.from(this.values());
+        super.clear();
+        this.pending.clear();
+        if (this.onDrop) values.forEach(this.onDrop);
+    }
+}
+
+const tileBitmapUsers = new Map();       // ImageBitmap -> number of terrain chunks drawing from it
+const droppedTileBitmaps = new Set();    // Dropped from a cache while in use, closed with their last user
+
+function retainTileBitmap(bitmap) {
+    tileBitmapUsers.set(bitmap, (tileBitmapUsers.get(bitmap) || 0) + 1);
+}
+
+function releaseTileBitmap(bitmap) {
+    const users = (tileBitmapUsers.get(bitmap) || 0) - 1;
+    if (users > 0) {
+        tileBitmapUsers.set(bitmap, users);
+        return;
+    }
+    tileBitmapUsers.delete(bitmap);
+    if (droppedTileBitmaps.delete(bitmap)) bitmap.close();
+}
+
+function closeTileBitmap(bitmap) {
+    if (tileBitmapUsers.has(bitmap)) droppedTileBitmaps.add(bitmap);
+    else bitmap.close();
+}
+
+const terrainTileCache = new SessionTileCache(SESSION_TILE_BITMAPS_MAX, closeTileBitmap); // Cache for elevation tiles, keyed by provider/zoom/x/y
+const mapImageTileCache = new SessionTileCache(SESSION_TILE_BITMAPS_MAX, closeTileBitmap); // Cache for map image tiles, keyed by provider/zoom/x/y
+const terrainHeightCache = new SessionTileCache(SESSION_TILE_HEIGHTS_MAX); // Decoded Float32Array height grids, same keys as terrainTileCache
 
 // --- DOM Elements ---
 const mapboxTokenInput = document.getElementById('mapboxToken');
+const tokenRow = document.getElementById('tokenRow');
+const elevationProviderSelect = document.getElementById('elevationProvider');
+const imageryProviderSelect = document.getElementById('imageryProvider');
+const customElevationOptions = document.getElementById('customElevationOptions');
+const customElevationUrlInput = document.getElementById('customElevationUrl');
+const customElevationEncodingSelect = document.getElementById('customElevationEncoding');
+const customElevationMaxZoomInput = document.getElementById('customElevationMaxZoom');
+const customImageryOptions = document.getElementById('customImageryOptions');
+const customImageryUrlInput = document.getElementById('customImageryUrl');
+const customImageryMaxZoomInput = document.getElementById('customImageryMaxZoom');
 const gpxFileInput = document.getElementById('gpxFile');
 const zScaleInput = document.getElementById('zScale');
 const terrainZoomInput = document.getElementById('terrainZoom');
@@ -17,20 +123,156 @@ const ambientLightInput = document.getElementById('ambientLight');
 const directionalLightInput = document.getElementById('directionalLight');
 const ambientLightValueSpan = document.getElementById('ambientLightValue');
 const directionalLightValueSpan = document.getElementById('directionalLightValue');
+const lightingModeSelect = document.getElementById('lightingMode');
+const sunOptions = document.getElementById('sunOptions');
+const sunDateInput = document.getElementById('sunDate');
+const sunTimeInput = document.getElementById('sunTime');
+const sunTimeValueSpan = document.getElementById('sunTimeValue');
+const sunTrackStartButton = document.getElementById('sunTrackStartButton');
+const sunFollowPlaybackInput = document.getElementById('sunFollowPlayback');
+const sunReadoutDiv = document.getElementById('sunReadout');
+const shadowsInput = document.getElementById('shadows');
+const hillshadeInput = document.getElementById('hillshade');
+const hillshadeStrengthInput = document.getElementById('hillshadeStrength');
 const trackHeightInput = document.getElementById('trackHeight');
 const trackHeightValueSpan = document.getElementById('trackHeightValue');
+const trackPlacementSelect = document.getElementById('trackPlacement');
 const visualizeButton = document.getElementById('visualizeButton');
+const addTracksButton = document.getElementById('addTracksButton');
+const sessionFileInput = document.getElementById('sessionFile');
+const saveSessionButton = document.getElementById('saveSessionButton');
+const copyViewLinkButton = document.getElementById('copyViewLinkButton');
+const layersPanel = document.getElementById('layersPanel');
+const editPanel = document.getElementById('editPanel');
+const editLayerInfoDiv = document.getElementById('editLayerInfo');
+const editRangeStartInput = document.getElementById('editRangeStart');
+const editRangeEndInput = document.getElementById('editRangeEnd');
+const editRangeInfoDiv = document.getElementById('editRangeInfo');
+const editTrimButton = document.getElementById('editTrimButton');
+const editSplitPointInput = document.getElementById('editSplitPoint');
+const editSplitInfoDiv = document.getElementById('editSplitInfo');
+const editSplitButton = document.getElementById('editSplitButton');
+const editMaxSpeedInput = document.getElementById('editMaxSpeed');
+const editOutliersButton = document.getElementById('editOutliersButton');
+const editSmoothWindowInput = document.getElementById('editSmoothWindow');
+const editSmoothButton = document.getElementById('editSmoothButton');
+const editToleranceInput = document.getElementById('editTolerance');
+const editSimplifyButton = document.getElementById('editSimplifyButton');
+const editMergeButton = document.getElementById('editMergeButton');
+const editUndoButton = document.getElementById('editUndoButton');
+const editRedoButton = document.getElementById('editRedoButton');
+const editExportGpxButton = document.getElementById('editExportGpxButton');
+const layerList = document.getElementById('layerList');
+const measurePanel = document.getElementById('measurePanel');
+const pickModeSelect = document.getElementById('pickMode');
+const clearMeasureButton = document.getElementById('clearMeasureButton');
+const measureResultDiv = document.getElementById('measureResult');
+const pinList = document.getElementById('pinList');
+const poiFilesInput = document.getElementById('poiFiles');
+const poiFadeDistanceInput = document.getElementById('poiFadeDistance');
+const poiFadeDistanceValueSpan = document.getElementById('poiFadeDistanceValue');
+const poiLayerList = document.getElementById('poiLayerList');
+const poiCategoryList = document.getElementById('poiCategoryList');
+const libraryPanel = document.getElementById('libraryPanel');
+const libraryFilesInput = document.getElementById('libraryFiles');
+const libraryFolderInput = document.getElementById('libraryFolder');
+const librarySearchInput = document.getElementById('librarySearch');
+const libraryFromInput = document.getElementById('libraryFrom');
+const libraryToInput = document.getElementById('libraryTo');
+const libraryBoundsInput = document.getElementById('libraryBounds');
+const librarySceneAreaButton = document.getElementById('librarySceneAreaButton');
+const librarySelectAllInput = document.getElementById('librarySelectAll');
+const libraryTable = document.getElementById('libraryTable');
+const libraryTableBody = document.querySelector('#libraryTable tbody');
+const librarySummaryDiv = document.getElementById('librarySummary');
+const libraryOpenButton = document.getElementById('libraryOpenButton');
+const libraryAddButton = document.getElementById('libraryAddButton');
+const libraryDeleteButton = document.getElementById('libraryDeleteButton');
+const libraryHeatmapInput = document.getElementById('libraryHeatmap');
+const heatmapOpacityInput = document.getElementById('heatmapOpacity');
 const clearCacheButton = document.getElementById('clearCacheButton');
+const cachePanel = document.getElementById('cachePanel');
+const cacheMaxMBInput = document.getElementById('cacheMaxMB');
+const cacheMaxAgeDaysInput = document.getElementById('cacheMaxAgeDays');
+const tileMaxConcurrentInput = document.getElementById('tileMaxConcurrent');
+const cacheStatsBody = document.querySelector('#cacheStatsTable tbody');
+const demFilesInput = document.getElementById('demFiles');
+const demTableBody = document.querySelector('#demTable tbody');
+const clearDemsButton = document.getElementById('clearDemsButton');
+const rendererPanel = document.getElementById('rendererPanel');
+const rendererStatsBody = document.querySelector('#rendererStatsTable tbody');
+const elevationPanel = document.getElementById('elevationPanel');
+const elevationComparisonDiv = document.getElementById('elevationComparison');
+const elevationMethodSelect = document.getElementById('elevationMethod');
+const elevationBlendOptions = document.getElementById('elevationBlendOptions');
+const elevationBlendWeightInput = document.getElementById('elevationBlendWeight');
+const elevationSmoothOptions = document.getElementById('elevationSmoothOptions');
+const elevationSmoothWindowInput = document.getElementById('elevationSmoothWindow');
+const applyElevationButton = document.getElementById('applyElevationButton');
+const resetElevationButton = document.getElementById('resetElevationButton');
+const exportGpxButton = document.getElementById('exportGpxButton');
+const statsPanel = document.getElementById('statsPanel');
+const statsSummaryBody = document.querySelector('#statsSummaryTable tbody');
+const statsClimbsHeading = document.getElementById('statsClimbsHeading');
+const statsClimbsBody = document.querySelector('#statsClimbsTable tbody');
+const statsSplitsHeading = document.getElementById('statsSplitsHeading');
+const statsSplitsBody = document.querySelector('#statsSplitsTable tbody');
 const statusDiv = document.getElementById('status');
+const tileProgressDiv = document.getElementById('tileProgress');
+const tileProgressBar = document.getElementById('tileProgressBar');
+const tileProgressLabel = document.getElementById('tileProgressLabel');
+const tileGapWarningDiv = document.getElementById('tileGapWarning');
 const viewerDiv = document.getElementById('viewer');
-
-// --- Sample City Data ---
-const cities = [
-    { name: "Zurich", lat: 47.3769, lon: 8.5417 },
-    { name: "Geneva", lat: 46.2044, lon: 6.1432 },
-    { name: "Bern", lat: 46.9480, lon: 7.4474 },
-    // Add more cities as needed
-];
+const playbackBar = document.getElementById('playbackBar');
+const playButton = document.getElementById('playButton');
+const playbackScrub = document.getElementById('playbackScrub');
+const playbackSpeedSelect = document.getElementById('playbackSpeed');
+const cameraModeSelect = document.getElementById('cameraMode');
+const playbackReadout = document.getElementById('playbackReadout');
+const recordPanel = document.getElementById('recordPanel');
+const recordFormatSelect = document.getElementById('recordFormat');
+const recordResolutionSelect = document.getElementById('recordResolution');
+const recordFpsSelect = document.getElementById('recordFps');
+const recordDurationInput = document.getElementById('recordDuration');
+const recordTitleInput = document.getElementById('recordTitle');
+const recordTitleCardInput = document.getElementById('recordTitleCard');
+const recordStatsOverlayInput = document.getElementById('recordStatsOverlay');
+const recordButton = document.getElementById('recordButton');
+const cancelRecordButton = document.getElementById('cancelRecordButton');
+const exportPanel = document.getElementById('exportPanel');
+const exportGlbButton = document.getElementById('exportGlbButton');
+const exportStlButton = document.getElementById('exportStlButton');
+const export3mfButton = document.getElementById('export3mfButton');
+const printFootprintInput = document.getElementById('printFootprint');
+const printBaseInput = document.getElementById('printBase');
+const printResolutionInput = document.getElementById('printResolution');
+const printTrackStyleSelect = document.getElementById('printTrackStyle');
+const printTrackWidthInput = document.getElementById('printTrackWidth');
+const printTrackDepthInput = document.getElementById('printTrackDepth');
+const trackStyleSelect = document.getElementById('trackStyle');
+const trackWidthInput = document.getElementById('trackWidth');
+const trackWidthUnitSpan = document.getElementById('trackWidthUnit');
+const trackColorBySelect = document.getElementById('trackColorBy');
+const trackPaletteSelect = document.getElementById('trackPalette');
+const trackColorMinInput = document.getElementById('trackColorMin');
+const trackColorMaxInput = document.getElementById('trackColorMax');
+const imageryOpacityInput = document.getElementById('imageryOpacity');
+const hypsometricInput = document.getElementById('hypsometric');
+const hypsometricPaletteSelect = document.getElementById('hypsometricPalette');
+const hypsometricOpacityInput = document.getElementById('hypsometricOpacity');
+const aspectInput = document.getElementById('aspect');
+const aspectOpacityInput = document.getElementById('aspectOpacity');
+const slopeClassesInput = document.getElementById('slopeClasses');
+const slopeThresholdsInput = document.getElementById('slopeThresholds');
+const slopeOpacityInput = document.getElementById('slopeOpacity');
+const contoursInput = document.getElementById('contours');
+const contourIntervalInput = document.getElementById('contourInterval');
+const contourIndexEveryInput = document.getElementById('contourIndexEvery');
+const contourOpacityInput = document.getElementById('contourOpacity');
+const analysisLegendDiv = document.getElementById('analysisLegend');
+const profilePanel = document.getElementById('profilePanel');
+const profileCanvas = document.getElementById('profileCanvas');
+const profileInfoDiv = document.getElementById('profileInfo');
 
 // --- Initialization ---
 function initThreeJS() {
@@ -53,8 +295,9 @@ function initThreeJS() {
     ambientLight = new THREE.AmbientLight(0xffffff, parseFloat(ambientLightInput.value));
     scene.add(ambientLight);
     directionalLight = new THREE.DirectionalLight(0xffffff, parseFloat(directionalLightInput.value));
-    directionalLight.position.set(TERRAIN_SIZE, TERRAIN_SIZE, TERRAIN_SIZE);
-    scene.add(directionalLight);
+    scene.add(directionalLight, directionalLight.target); // Placed by applyLighting (js/sunLighting.js)
+    setShadowsEnabled(lighting.shadows);
+    applyLighting();
 
     // Controls
     controls = new THREE.OrbitControls(camera, renderer.domElement);
@@ -63,6 +306,17 @@ function initThreeJS() {
     controls.screenSpacePanning = false;
     controls.maxPolarAngle = Math.PI / 2.1; // Don't look from below ground
 
+    // Hovering the track highlights the matching spot on the elevation profile
+    renderer.domElement.addEventListener('mousemove', onViewerMouseMove);
+    renderer.domElement.addEventListener('mouseleave', () => {
+        if (trackProfile) setProfileHover(null);
+        hoverPointer = null;
+        showHoverReadout(null);
+    });
+    // Clicks inspect the track, measure or drop pins (see pickModeSelect)
+    renderer.domElement.addEventListener('pointerdown', event => { pointerDownAt = { x: event.clientX, y: event.clientY }; });
+    renderer.domElement.addEventListener('pointerup', onViewerClick);
+
     // Axes Helper (for debugging)
     // const axesHelper = new THREE.AxesHelper(TERRAIN_SIZE / 2);
     // scene.add(axesHelper);
@@ -70,9 +324,18 @@ function initThreeJS() {
     animate();
 }
 
+// Register a function to run every frame, e.g. to animate objects or drive the camera
+function onFrame(callback) {
+    frameCallbacks.push(callback);
+}
+
 function animate() {
     requestAnimationFrame(animate);
+    if (recorderState.active) return; // The recorder renders its own frames
+    const delta = Math.min(frameClock.getDelta(), 0.1); // Avoid jumps after the tab was hidden
+    frameCallbacks.forEach(callback => callback(delta));
     controls.update();
+    updateTerrainChunks(camera.position); // Refine/coarsen terrain chunks for the new view
     renderer.render(scene, camera);
 }
 
@@ -137,6 +400,18 @@ function makeTextSprite(message, parameters) {
     return sprite;  
 }
 
+// --- Utility function to save a Blob as a file ---
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+}
+
 // --- GPX and Terrain Logic ---
 
 // Convert Lat, Lon to Tile numbers
@@ -167,349 +442,226 @@ function tileToBoundingBox(x, y, z) {
 }
 
 
-// Decode Mapbox Terrain-RGB
-function decodeTerrainRGB(r, g, b) {
-    return -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
-}
+// Bitmap of a tile from a session cache, else from the persistent cache of earlier sessions, else
+// downloaded through the queue (js/tileScheduler.js). Callers asking for a tile that is still
+// loading share its download.
+function loadTileBitmap(cache, tileX, tileY, zoom, provider, token) {
+    const cacheKey = `${provider.id}/${zoom}/${tileX}/${tileY}`;
+    return cache.load(cacheKey, async () => {
+        const storedBlob = await tileCacheGet(provider.id, zoom, tileX, tileY);
+        if (storedBlob) return createImageBitmap(storedBlob);
 
-async function fetchTerrainTile(tileX, tileY, zoom, token) {
-    const cacheKey = `${zoom}_${tileX}_${tileY}`;
-    
-    // Check cache first
-    if (terrainTileCache.has(cacheKey)) {
-        statusDiv.textContent = `Using cached terrain tile ${tileX},${tileY} (zoom ${zoom})...`;
-        return terrainTileCache.get(cacheKey);
-    }
-    
-    // Not in cache, fetch from Mapbox
-    const url = `https://api.mapbox.com/v4/mapbox.terrain-rgb/${zoom}/${tileX}/${tileY}.pngraw?access_token=${token}`;
-    statusDiv.textContent = `Downloading terrain tile ${tileX},${tileY} (zoom ${zoom})...`;
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Failed to fetch tile ${tileX},${tileY}: ${response.statusText}`);
-        const blob = await response.blob();
+        const url = buildTileUrl(provider, tileX, tileY, zoom, token);
+        const blob = await scheduleTileFetch(url);
         const imageBitmap = await createImageBitmap(blob);
-        
-        // Store in cache for future use
-        terrainTileCache.set(cacheKey, imageBitmap);
-        
+        tileCachePut(provider.id, zoom, tileX, tileY, blob); // Not awaited, persisting must not slow rendering
         return imageBitmap;
-    } catch (error) {
-        console.error("Error fetching tile:", error);
-        statusDiv.textContent = `Error fetching tile: ${error.message}`;
-        throw error;
-    }
+    });
 }
 
-function getElevationFromImageData(imageData, u, v) { // u,v are 0-1 normalized coords on tile
-    const x = Math.floor(u * (imageData.width -1));
-    const y = Math.floor(v * (imageData.height -1));
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(imageData, 0, 0);
-    const pixel = ctx.getImageData(x, y, 1, 1).data;
-    return decodeTerrainRGB(pixel[0], pixel[1], pixel[2]);
+// Elevation tile from the elevation provider
+function fetchTerrainTile(tileX, tileY, zoom, provider, token) {
+    return loadTileBitmap(terrainTileCache, tileX, tileY, zoom, provider, token);
 }
 
-async function fetchMapImageTile(tileX, tileY, zoom, token) {
-    const cacheKey = `${zoom}_${tileX}_${tileY}`;
-    
-    // Check cache first
-    if (mapImageTileCache.has(cacheKey)) {
-        statusDiv.textContent = `Using cached map tile ${tileX},${tileY} (zoom ${zoom})...`;
-        return mapImageTileCache.get(cacheKey);
-    }
-    
-    // Not in cache, fetch from Mapbox
-    // Example for Mapbox Streets. Replace with your preferred tile provider if needed.
-    const url = `https://api.mapbox.com/styles/v1/mapbox/streets-v11/tiles/256/${zoom}/${tileX}/${tileY}?access_token=${token}`;
-    // const url = `https://a.tile.openstreetmap.org/${zoom}/${tileX}/${tileY}.png`; // OpenStreetMap Example (no token needed)
-    statusDiv.textContent = `Downloading map tile ${tileX},${tileY} (zoom ${zoom})...`;
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Failed to fetch map image tile ${tileX},${tileY}: ${response.statusText}`);
-        const blob = await response.blob();
-        const imageBitmap = await createImageBitmap(blob);
-        
-        // Store in cache for future use
-        mapImageTileCache.set(cacheKey, imageBitmap);
-        
-        return imageBitmap;
-    } catch (error) {
-        console.error("Error fetching map image tile:", error);
-        statusDiv.textContent = `Error fetching map image tile: ${error.message}`;
-        throw error; // Or handle more gracefully, e.g., return a placeholder
+// Decoded height grid for a terrain tile, decoding the bitmap only the first time it is needed
+function getTerrainTileHeights(provider, tileX, tileY, zoom, imageBitmap) {
+    const cacheKey = `${provider.id}/${zoom}/${tileX}/${tileY}`;
+    if (!terrainHeightCache.has(cacheKey)) {
+        terrainHeightCache.set(cacheKey, decodeTerrainTile(imageBitmap, provider.decode));
     }
+    return terrainHeightCache.get(cacheKey);
 }
 
-// Helper function to get elevation at a specific Lat, Lon using the fetched terrain-rgb tiles
-function getElevationAtLatLon(lat, lon, fetchedTerrainRGBTileData, terrainGeoBounds, zScale) {
-    let elevation = 0;
-    let foundTileForCoord = false;
-
-    for (const data of fetchedTerrainRGBTileData) { // data is {tileInfo, img}
-        const tileBbox = tileToBoundingBox(data.tileInfo.x, data.tileInfo.y, data.tileInfo.z);
+// Map image tile from the imagery provider (see js/providers.js for the registry)
+function fetchMapImageTile(tileX, tileY, zoom, provider, token) {
+    return loadTileBitmap(mapImageTileCache, tileX, tileY, zoom, provider, token);
+}
 
-        if (lat <= tileBbox.north && lat >= tileBbox.south && lon >= tileBbox.west && lon <= tileBbox.east) {
-            const u_tile = (lon - tileBbox.west) / (tileBbox.east - tileBbox.west);
-            const v_tile = (tileBbox.north - lat) / (tileBbox.north - tileBbox.south); // v is 0 at North, 1 at South
-            elevation = getElevationFromImageData(data.img, u_tile, v_tile);
-            foundTileForCoord = true;
-            break;
+// --- Terrain Gap Filling ---
+// A terrain tile that cannot be downloaded would leave a flat hole at sea level. It is filled
+// from the closest parent tile that can be loaded instead: the part of the parent covering it,
+// upsampled to the full tile size. The substitutions of the current terrain are listed below
+// the status line.
+const TERRAIN_GAP_FILL_MAX_LEVELS = 4; // How many zoom levels up to look for a parent tile
+let terrainGapFills = []; // [{ x, y, z, sourceZoom, reason }]
+
+// Heights of a terrain tile from the elevation provider: { heights, tileSize, sourceZoom, error }.
+// Past the provider's last zoom level its most detailed tile is upsampled. sourceZoom is lower
+// than zoom then, or when the tile was filled from a parent, in which case error tells why the
+// tile itself failed.
+async function fetchProviderTileHeights(tileX, tileY, zoom, provider, token) {
+    const signal = tileFetchSignal();
+    const firstLevel = Math.max(zoom - provider.maxZoom, 0);
+    let error = null;
+    for (let levels = firstLevel; levels <= firstLevel + TERRAIN_GAP_FILL_MAX_LEVELS && zoom - levels >= 0; levels++) {
+        if (signal.aborted) throw tileFetchAbortError();
+        const sourceX = tileX >> levels, sourceY = tileY >> levels, sourceZoom = zoom - levels;
+        let bitmap;
+        try {
+            bitmap = await fetchTerrainTile(sourceX, sourceY, sourceZoom, provider, token);
+        } catch (fetchError) {
+            if (isAbortError(fetchError)) throw fetchError;
+            if (!error) error = fetchError;
+            continue;
         }
+        const sourceHeights = getTerrainTileHeights(provider, sourceX, sourceY, sourceZoom, bitmap);
+        const heights = levels === 0 ? sourceHeights : upsampleTileHeights(sourceHeights, bitmap.width, levels, tileX - (sourceX << levels), tileY - (sourceY << levels));
+        return { heights, tileSize: bitmap.width, sourceZoom, error };
     }
-    // if (!foundTileForCoord) {
-    //     console.warn(`Coordinate ${lat.toFixed(5)},${lon.toFixed(5)} outside fetched terrain-rgb tile coverage. Using 0 elevation.`);
-    // }
-    return elevation * zScale;
+    throw error;
 }
 
-async function createTerrain(gpxPoints, mapboxToken, terrainZoom, zScale) {
-    if (gpxPoints.length === 0) {
-        statusDiv.textContent = "No GPX points to visualize.";
-        return null;
-    }
-
-    // 1. Calculate Bounding Box of GPX track
-    let minLatGPX = gpxPoints[0].lat, maxLatGPX = gpxPoints[0].lat;
-    let minLonGPX = gpxPoints[0].lon, maxLonGPX = gpxPoints[0].lon;
-    gpxPoints.forEach(p => {
-        minLatGPX = Math.min(minLatGPX, p.lat); maxLatGPX = Math.max(maxLatGPX, p.lat);
-        minLonGPX = Math.min(minLonGPX, p.lon); maxLonGPX = Math.max(maxLonGPX, p.lon);
-    });
-
-    // Add a small buffer to the GPX bounding box to ensure terrain extends slightly beyond the track.
-    // The buffer size might need adjustment based on zoom level or track scale.
-    // For zoom 12, 0.01 degrees is roughly 1km. Let's use a smaller buffer.
-    const latBuffer = (maxLatGPX - minLatGPX) * 0.05; // 5% buffer
-    const lonBuffer = (maxLonGPX - minLonGPX) * 0.05; // 5% buffer
-    minLatGPX -= latBuffer; maxLatGPX += latBuffer;
-    minLonGPX -= lonBuffer; maxLonGPX += lonBuffer;
-
-
-    statusDiv.textContent = `GPX Bounds (buffered): Lat(${minLatGPX.toFixed(4)} to ${maxLatGPX.toFixed(4)}), Lon(${minLonGPX.toFixed(4)} to ${maxLonGPX.toFixed(4)})`;
+// Heights of a terrain tile, from the local DEM files (js/localDem.js) where they cover it and
+// from the elevation provider elsewhere. Same result as fetchProviderTileHeights.
+async function fetchTerrainTileHeights(tileX, tileY, zoom, provider, token) {
+    const local = localDemTileHeights(tileX, tileY, zoom, provider.tileSize);
+    if (!local) return fetchProviderTileHeights(tileX, tileY, zoom, provider, token);
+    if (local.missing === 0) return { heights: local.heights, tileSize: provider.tileSize, sourceZoom: zoom, error: null }; // Nothing to download
 
-    // 2. Determine ALL tiles needed to cover the GPX bounding box
-    const topLeftTileGPX = lonLatToTile(minLonGPX, maxLatGPX, terrainZoom); // NW corner of GPX bbox
-    const bottomRightTileGPX = lonLatToTile(maxLonGPX, minLatGPX, terrainZoom); // SE corner of GPX bbox
-
-    const tilesToFetch = [];
-    // Tile X increases L to R, Tile Y increases Top to Bottom (North to South)
-    const startTileX = topLeftTileGPX.x;
-    const endTileX = bottomRightTileGPX.x;
-    const startTileY = topLeftTileGPX.y; // Y for maxLat (North)
-    const endTileY = bottomRightTileGPX.y; // Y for minLat (South)
-
-    // Cap the number of tiles to prevent excessive requests (e.g., if zoom is too low for a vast GPX)
-    // Max 10x10 grid for this example, adjust as needed.
-    const MAX_TILES_DIM = 10;
-    let numTilesX = Math.abs(endTileX - startTileX) + 1;
-    let numTilesY = Math.abs(endTileY - startTileY) + 1;
-
-    let finalStartTileX = startTileX;
-    let finalEndTileX = endTileX;
-    let finalStartTileY = startTileY;
-    let finalEndTileY = endTileY;
-
-    if (numTilesX > MAX_TILES_DIM || numTilesY > MAX_TILES_DIM) {
-        statusDiv.textContent = `Warning: GPX track spans ${numTilesX}x${numTilesY} tiles at zoom ${terrainZoom}. Clamping to approx ${MAX_TILES_DIM}x${MAX_TILES_DIM} around center.`;
-        const centerLon = (minLonGPX + maxLonGPX) / 2;
-        const centerLat = (minLatGPX + maxLatGPX) / 2;
-        const centralTile = lonLatToTile(centerLon, centerLat, terrainZoom);
-        
-        const halfDim = Math.floor(MAX_TILES_DIM / 2);
-        finalStartTileX = centralTile.x - halfDim;
-        finalEndTileX = centralTile.x + halfDim;
-        finalStartTileY = centralTile.y - halfDim;
-        finalEndTileY = centralTile.y + halfDim;
-        
-        numTilesX = MAX_TILES_DIM; // Update for status
-        numTilesY = MAX_TILES_DIM;
-    }
-    
-    // Iterate ensuring Y goes from smaller index (North) to larger (South)
-    // and X goes from smaller index (West) to larger (East)
-    for (let ty = Math.min(finalStartTileY, finalEndTileY); ty <= Math.max(finalStartTileY, finalEndTileY); ty++) {
-        for (let tx = Math.min(finalStartTileX, finalEndTileX); tx <= Math.max(finalStartTileX, finalEndTileX); tx++) {
-            tilesToFetch.push({ x: tx, y: ty, z: terrainZoom });
-        }
+    let remote;
+    try {
+        remote = await fetchProviderTileHeights(tileX, tileY, zoom, provider, token);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`Terrain tile ${zoom}/${tileX}/${tileY} failed (${error.message}), its part outside the local DEMs is left at sea level.`);
+        remote = { heights: new Float32Array(local.heights.length), tileSize: provider.tileSize, sourceZoom: zoom, error: null };
     }
+    const { heights } = remote.tileSize === provider.tileSize ? local : localDemTileHeights(tileX, tileY, zoom, remote.tileSize);
+    return { ...remote, heights: heights.map((h, i) => Number.isNaN(h) ? remote.heights[i] : h) };
+}
 
+function recordTerrainGapFill(tileX, tileY, zoom, result) {
+    if (terrainGapFills.some(fill => fill.x === tileX && fill.y === tileY && fill.z === zoom)) return; // Placed again, e.g. for added tracks
+    const reason = result.error ? result.error.message : 'unavailable';
+    terrainGapFills.push({ x: tileX, y: tileY, z: zoom, sourceZoom: result.sourceZoom, reason });
+    console.warn(`Terrain tile ${zoom}/${tileX}/${tileY} failed (${reason}), filled from zoom ${result.sourceZoom}.`);
+    renderTerrainGapWarning();
+}
 
-    if (tilesToFetch.length === 0) {
-        statusDiv.textContent = "Could not determine any tiles for the GPX track area.";
-        return null;
-    }
-    statusDiv.textContent = `Identified ${tilesToFetch.length} tiles (${numTilesX}x${numTilesY} effective) to fetch.`;
+function clearTerrainGapFills() {
+    terrainGapFills = [];
+    renderTerrainGapWarning();
+}
 
+function renderTerrainGapWarning() {
+    tileGapWarningDiv.hidden = terrainGapFills.length === 0;
+    if (terrainGapFills.length === 0) return;
+    const listed = terrainGapFills.slice(0, 10).map(fill => `${fill.z}/${fill.x}/${fill.y} from zoom ${fill.sourceZoom} (${fill.reason})`);
+    const more = terrainGapFills.length > listed.length ? `, and ${terrainGapFills.length - listed.length} more` : '';
+    tileGapWarningDiv.textContent = `Warning: ${terrainGapFills.length} terrain tile(s) could not be downloaded and were filled with coarser elevation data: ${listed.join('; ')}${more}.`;
+}
 
-    // 3. Calculate overall geographic bounds of the CHOSEN set of tiles
-    let minActualTileX = Infinity, maxActualTileX = -Infinity;
-    let minActualTileY = Infinity, maxActualTileY = -Infinity;
-    tilesToFetch.forEach(t => {
-        minActualTileX = Math.min(minActualTileX, t.x);
-        maxActualTileX = Math.max(maxActualTileX, t.x);
-        minActualTileY = Math.min(minActualTileY, t.y);
-        maxActualTileY = Math.max(maxActualTileY, t.y);
+// Fetch the full-detail terrain tiles under some track points into the shared heightfield store,
+// along the tracks only (not the whole bounding box), so long routes get accurate track
+// elevations without downloading the area around them. Returns the tiles for a terrain job.
+async function loadTrackCorridorTiles(points) {
+    const { tileSources, terrainZoom } = terrainScene;
+    const corridorTiles = new Map();
+    points.forEach(p => {
+        const tile = lonLatToTile(p.lon, p.lat, terrainZoom);
+        corridorTiles.set(`${tile.x}_${tile.y}`, tile);
     });
+    statusDiv.textContent = `Fetching ${corridorTiles.size} terrain tiles along the track (zoom ${terrainZoom})...`;
 
-    const nwCornerOfTileGridBox = tileToBoundingBox(minActualTileX, minActualTileY, terrainZoom);
-    const seCornerOfTileGridBox = tileToBoundingBox(maxActualTileX, maxActualTileY, terrainZoom); // This is NW of (maxActualTileX, maxActualTileY)
-
-    const terrainGeoBounds = {
-        minLat: seCornerOfTileGridBox.south, // Use South of the SE-most tile
-        maxLat: nwCornerOfTileGridBox.north, // Use North of the NW-most tile
-        minLon: nwCornerOfTileGridBox.west,  // Use West of the NW-most tile
-        maxLon: seCornerOfTileGridBox.east,  // Use East of the SE-most tile
-    };
-    console.log("Calculated Terrain Geo Bounds for chosen tiles:", terrainGeoBounds);
-
-
-    // 4. Fetch tile image data (parallel fetching)
-    const tileImagePromises = tilesToFetch.map(tile =>
-        fetchTerrainTile(tile.x, tile.y, tile.z, mapboxToken)
-            .then(imgBitmap => ({ tileInfo: tile, img: imgBitmap })) // Keep tile info with image
-            .catch(error => {
-                console.warn(`Failed to fetch terrain-rgb tile ${tile.x},${tile.y}. Error: ${error}. Skipping.`);
-                return null; // Allow Promise.all to succeed even if some tiles fail
-            })
-    );
-
-    const mapImagePromises = tilesToFetch.map(tile =>
-        fetchMapImageTile(tile.x, tile.y, tile.z, mapboxToken) // Using same zoom and token for map images
-            .then(imgBitmap => ({ tileInfo: tile, img: imgBitmap }))
+    const signal = tileFetchSignal();
+    const results = await Promise.all(Array.from(corridorTiles.values()).map(tile =>
+        fetchTerrainTileHeights(tile.x, tile.y, tile.z, tileSources.elevation, tileSources.token)
+            .then(result => ({ tile, result }))
             .catch(error => {
-                console.warn(`Failed to fetch map image tile ${tile.x},${tile.y}. Error: ${error}. Skipping.`);
-                return null; 
+                if (isAbortError(error)) throw error;
+                console.warn(`Failed to fetch terrain tile ${tile.z}/${tile.x}/${tile.y} or any parent of it. Error: ${error}. Skipping.`);
+                return null; // The other tiles can still place most of the track
             })
-    );
-
-    const fetchedTerrainRGBTileData = (await Promise.all(tileImagePromises)).filter(Boolean); // Filter out nulls from failed fetches
-    const fetchedMapImageTileData = (await Promise.all(mapImagePromises)).filter(Boolean);
-
-    if (fetchedTerrainRGBTileData.length === 0) {
-        statusDiv.textContent = "No terrain-rgb tiles successfully fetched. Cannot create terrain.";
-        return null;
-    }
-    if (fetchedMapImageTileData.length === 0) {
-        statusDiv.textContent = "No map image tiles successfully fetched. Using elevation data for texture, but it might look odd.";
-        // Fallback or alternative texture could be used here if desired
-    }
-    
-    // Show cache statistics
-    const terrainCacheCount = terrainTileCache.size;
-    const mapCacheCount = mapImageTileCache.size;
-    statusDiv.textContent = `Processed ${fetchedTerrainRGBTileData.length} terrain tiles and ${fetchedMapImageTileData.length} map tiles. Cache: ${terrainCacheCount} terrain + ${mapCacheCount} map tiles. Creating mesh...`;
-
-
-    // 5. Create Terrain Mesh
-    const segments = 127; // Resolution of the terrain plane
-    const geometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, segments, segments);
-    geometry.rotateX(-Math.PI / 2);
-
-    const positions = geometry.attributes.position;
-
-    for (let i = 0; i < positions.count; i++) {
-        const worldX = positions.getX(i);
-        const worldZ = positions.getZ(i); // Corresponds to 3D Z axis, which maps to latitude direction
-
-        // Convert plane vertex (relative to TERRAIN_SIZE) to normalized 0-1 coordinates within terrainGeoBounds
-        const normXPlane = (worldX + TERRAIN_SIZE / 2) / TERRAIN_SIZE; // 0 at left edge, 1 at right
-        const normZPlane = (worldZ + TERRAIN_SIZE / 2) / TERRAIN_SIZE; // 0 at 'bottom' edge, 1 at 'top' (mapping to latitude)
-
-        // Convert normalized plane coords to actual Lat/Lon
-        const lon = terrainGeoBounds.minLon + normXPlane * (terrainGeoBounds.maxLon - terrainGeoBounds.minLon);
-        // Latitude: plane's positive Z maps to decreasing latitude (North to South)
-        const lat = terrainGeoBounds.maxLat - normZPlane * (terrainGeoBounds.maxLat - terrainGeoBounds.minLat);
-
-        let elevation = 0;
-        let foundTileForVertex = false;
-        for (const data of fetchedTerrainRGBTileData) { // data is {tileInfo, img} - USE TERRAIN RGB FOR ELEVATION
-            const tileBbox = tileToBoundingBox(data.tileInfo.x, data.tileInfo.y, data.tileInfo.z);
-
-            if (lat <= tileBbox.north && lat >= tileBbox.south && lon >= tileBbox.west && lon <= tileBbox.east) {
-                const u_tile = (lon - tileBbox.west) / (tileBbox.east - tileBbox.west);
-                const v_tile = (tileBbox.north - lat) / (tileBbox.north - tileBbox.south); // v is 0 at North, 1 at South
-                elevation = getElevationFromImageData(data.img, u_tile, v_tile);
-                foundTileForVertex = true;
-                break;
-            }
-        }
-        // if (!foundTileForVertex) {
-        //     console.warn(`Vertex at ${lat.toFixed(5)},${lon.toFixed(5)} outside fetched tile bounds. Using 0 elevation.`);
-        // }
-        positions.setY(i, elevation * zScale);
+    ));
+    if (signal.aborted) throw tileFetchAbortError(); // A newer terrain started meanwhile
+    const fetched = results.filter(Boolean);
+    if (fetched.length === 0) {
+        throw new Error("No terrain tiles successfully fetched. Cannot place the track.");
     }
-    positions.needsUpdate = true;
-    geometry.computeVertexNormals();
 
-    if (terrainMesh) scene.remove(terrainMesh);
-    const material = new THREE.MeshPhongMaterial({
-        map: createTerrainTexture(
-            fetchedMapImageTileData.map(d => d.img),      // Array of ImageBitmaps from map images
-            fetchedMapImageTileData.map(d => d.tileInfo), // Corresponding array of {x,y,z} tile objects
-            minActualTileX,                       // Min X tile index of the fetched grid
-            minActualTileY                        // Min Y tile index of the fetched grid
-        ),
-        shininess: 0,
-        // wireframe: true // Useful for debugging terrain
+    // Register the track tiles (filled ones included) in the shared heightfield store
+    const tileSize = fetched[0].result.tileSize;
+    const tiles = fetched.map(({ tile, result }) => {
+        if (result.error) recordTerrainGapFill(tile.x, tile.y, tile.z, result);
+        registerHeightfieldTile(terrainZoom, tile.x, tile.y, result.heights, tileSize);
+        return { x: tile.x, y: tile.y, heights: result.heights };
     });
-    terrainMesh = new THREE.Mesh(geometry, material);
-    scene.add(terrainMesh);
-
-    // --- Create Track ---
-    const trackPoints3D = [];
-    for (const pt of gpxPoints) {
-        const normXTrack = (pt.lon - terrainGeoBounds.minLon) / (terrainGeoBounds.maxLon - terrainGeoBounds.minLon);
-        const normZTrack = (terrainGeoBounds.maxLat - pt.lat) / (terrainGeoBounds.maxLat - terrainGeoBounds.minLat);
-
-        const worldX = (normXTrack - 0.5) * TERRAIN_SIZE;
-        const worldZ = (normZTrack - 0.5) * TERRAIN_SIZE;
-
-        let elevation = 0;
-        let foundTileForTrackPt = false;
-        for (const data of fetchedTerrainRGBTileData) { // data is {tileInfo, img} - USE TERRAIN RGB FOR ELEVATION
-            const tileBbox = tileToBoundingBox(data.tileInfo.x, data.tileInfo.y, data.tileInfo.z);
-            if (pt.lat <= tileBbox.north && pt.lat >= tileBbox.south && pt.lon >= tileBbox.west && pt.lon <= tileBbox.east) {
-                const u_tile = (pt.lon - tileBbox.west) / (tileBbox.east - tileBbox.west);
-                const v_tile = (tileBbox.north - pt.lat) / (tileBbox.north - tileBbox.south);
-                elevation = getElevationFromImageData(data.img, u_tile, v_tile);
-                foundTileForTrackPt = true;
-                break;
-            }
-        }
-        // if (!foundTileForTrackPt && (normXTrack >= 0 && normXTrack <=1 && normZTrack >=0 && normZTrack <=1)) {
-            // GPX point is within terrainGeoBounds but no specific tile found for it (e.g. tile fetch failed, or at exact seam)
-            // console.warn(`GPX point ${pt.lat.toFixed(5)},${pt.lon.toFixed(5)} could not get elevation from specific tile. Using 0.`);
-        // } else if (!foundTileForTrackPt) {
-            // GPX point is outside terrainGeoBounds entirely
-            // console.warn(`GPX point ${pt.lat.toFixed(5)},${pt.lon.toFixed(5)} is outside overall terrain bounds. Using 0 elevation.`);
-        // }
-
+    return { tiles, tileSize };
+}
 
-        trackPoints3D.push(new THREE.Vector3(worldX, elevation * zScale + parseFloat(trackHeightInput.value) * zScale, worldZ));
-    }
+// Sample the tracks of some layers on the terrain (in a worker), then build their centerlines,
+// profiles and statistics. Layers not yet in the scene are added to it.
+async function placeTrackLayers(layers) {
+    const { projection, zScale, terrainZoom, placementMode, geoBounds } = terrainScene;
+    // Draping samples the terrain about once per terrain pixel, also between sparse recorded points
+    const spacing = drapeSpacingMeters(terrainZoom, (geoBounds.minLat + geoBounds.maxLat) / 2);
+    layers.forEach(layer => {
+        layer.segments = placementMode === 'drape' ? densifyTrackSegments(layer.recordedSegments, spacing) : layer.recordedSegments;
+    });
+    const segments = layers.flatMap(layer => layer.segments);
+    const { tiles, tileSize } = await loadTrackCorridorTiles(segments.flat()); // Including the points inserted for draping
+
+    const trackOffset = elevationToWorldY(projection, parseFloat(trackHeightInput.value), zScale); // Meters above ground, exaggerated like the relief
+    const jobResult = await runTerrainJob({
+        zoom: terrainZoom,
+        tileSize,
+        tiles,
+        projection,
+        zScale,
+        trackOffset,
+        vertexPositions: new Float32Array(0), // Chunk meshes are sampled per chunk as they load
+        trackSegments: segments.map(segment => Float64Array.from(segment.flatMap(pt => [pt.lat, pt.lon]))),
+        trackFileElevations: placementMode === 'recorded' ? segments.map(segment => Float32Array.from(segment, pt => recordedElevationOrNaN(pt))) : null,
+    }, progress => {
+        statusDiv.textContent = `Placing track... ${Math.round(progress.done / progress.total * 100)}%`;
+    });
 
-    if (trackLine) scene.remove(trackLine);
-    const trackGeometry = new THREE.BufferGeometry().setFromPoints(trackPoints3D);
-    const trackMaterial = new THREE.LineBasicMaterial({ color: 0xff0000, linewidth: 5 }); // Increased linewidth
-    // For thicker lines that respect pixel width better (requires including Line2.js, LineMaterial.js, LineSegmentsGeometry.js)
-    // const trackGeometry = new THREE.LineSegmentsGeometry().setPositions( trackPoints3D.flatMap(p => [p.x, p.y, p.z]) );
-    // const trackMaterial = new THREE.LineMaterial({ color: 0xff0000, linewidth: 0.005, worldUnits: false }); // linewidth in screen units
-    // trackMaterial.resolution.set(viewerDiv.clientWidth, viewerDiv.clientHeight);
-    trackLine = new THREE.Line(trackGeometry, trackMaterial);
-    scene.add(trackLine);
+    // One job for all layers; every layer takes its share of the segments
+    let first = 0;
+    layers.forEach(layer => {
+        const count = layer.segments.length;
+        layer.placement = {
+            mode: placementMode,
+            positions: jobResult.trackPositions.slice(first, first + count), // Shared with the centerline geometries
+            demElevations: jobResult.trackElevations.slice(first, first + count),
+            elevationToY: elevation => elevationToWorldY(projection, elevation, zScale),
+            trackOffset,
+        };
+        first += count;
+        buildTrackLayerCenterline(layer);
+        updateTrackLayerData(layer);
+        if (!trackLayers.includes(layer)) trackLayers.push(layer);
+        if (!layer.group.parent) scene.add(layer.group);
+    });
+}
 
-    // Add City Markers
-    console.log("Calling addCityMarkers with cities:", cities, "and terrainGeoBounds:", terrainGeoBounds);
-    addCityMarkers(cities, terrainGeoBounds, zScale, fetchedTerrainRGBTileData);
+// Thin centerlines used for picking and bounds; what is drawn is the styled track (js/trackRenderer.js).
+// One line per segment so gaps between segments are not drawn across the terrain.
+function buildTrackLayerCenterline(layer) {
+    disposeObjectTree(layer.centerline);
+    layer.centerline.clear();
+    const trackMaterial = new THREE.LineBasicMaterial({ color: layer.color });
+    layer.placement.positions.forEach((segmentPositions, segmentIndex) => {
+        const trackGeometry = new THREE.BufferGeometry();
+        trackGeometry.setAttribute('position', new THREE.BufferAttribute(segmentPositions, 3));
+        const segmentLine = new THREE.Line(trackGeometry, trackMaterial);
+        segmentLine.userData.segmentIndex = segmentIndex; // Maps raycast hits back to profile points
+        layer.centerline.add(segmentLine);
+    });
+}
 
-    statusDiv.textContent = "Terrain and track visualized!";
+// Profile and statistics from the file elevations and the DEM samples
+function updateTrackLayerData(layer) {
+    const { positions, demElevations } = layer.placement;
+    layer.profile = buildTrackProfile(layer.segments, positions, demElevations);
+    layer.statistics = computeTrackStatistics(layer.segments, demElevations);
+}
 
-    if (trackPoints3D.length > 0) {
-        const boundingBox = new THREE.Box3().setFromObject(trackLine); // Get bounding box of the track
+function frameTrackLayers(layers) {
+    const boundingBox = new THREE.Box3();
+    layers.forEach(layer => boundingBox.expandByObject(layer.centerline)); // Get bounding box of the tracks
+    if (!boundingBox.isEmpty()) {
         const center = new THREE.Vector3();
         boundingBox.getCenter(center);
         controls.target.copy(center);
@@ -528,69 +680,94 @@ async function createTerrain(gpxPoints, mapboxToken, terrainZoom, zScale) {
         camera.position.set(0, TERRAIN_SIZE / 2, TERRAIN_SIZE);
     }
     controls.update();
-
-    return { terrainMesh, trackLine };
 }
 
-function addCityMarkers(cityData, terrainGeoBounds, zScale, fetchedTerrainRGBTileData) {
-    // Clear existing city markers
-    cityMarkers.forEach(markerSet => {
-        if (markerSet.mesh) scene.remove(markerSet.mesh);
-        if (markerSet.label) scene.remove(markerSet.label);
-    });
-    cityMarkers = [];
-    console.log("addCityMarkers: Cleared old markers. Processing cities:", cityData);
-    console.log("addCityMarkers: Terrain Geo Bounds:", JSON.parse(JSON.stringify(terrainGeoBounds)));
-    console.log("addCityMarkers: Z-Scale:", zScale);
-
-    const markerHeight = 10 * zScale; // Make marker height relative to zScale
-    const markerRadius = 2 * zScale;
-
-    cityData.forEach(city => {
-        console.log(`addCityMarkers: Processing city: ${city.name} (Lat: ${city.lat}, Lon: ${city.lon})`);
-
-        // Convert city Lat/Lon to normalized coordinates within the terrainGeoBounds
-        const normXCity = (city.lon - terrainGeoBounds.minLon) / (terrainGeoBounds.maxLon - terrainGeoBounds.minLon);
-        const normZCity = (terrainGeoBounds.maxLat - city.lat) / (terrainGeoBounds.maxLat - terrainGeoBounds.minLat);
-        console.log(`addCityMarkers: City ${city.name} - Normalized Coords: X=${normXCity.toFixed(3)}, Z=${normZCity.toFixed(3)}`);
-
-        // Check if the city is within the current terrain bounds
-        if (normXCity < 0 || normXCity > 1 || normZCity < 0 || normZCity > 1) {
-            console.log(`addCityMarkers: City ${city.name} is OUTSIDE the current terrain bounds. Skipping.`);
-            return; // Skip this city
-        }
+// Builds the terrain around all given layers and places them on it. layers come from
+// trackLayersFromDocument (or are already in the scene), tileSources is { elevation, imagery, token },
+// placementMode one of TRACK_PLACEMENT_MODES.
+async function createTerrain(layers, tileSources, terrainZoom, zScale, placementMode = 'points') {
+    const { elevation: elevationProvider, imagery: imageryProvider } = tileSources;
 
-        // Convert normalized coords to world 3D coordinates
-        const worldX = (normXCity - 0.5) * TERRAIN_SIZE;
-        const worldZ = (normZCity - 0.5) * TERRAIN_SIZE;
-        console.log(`addCityMarkers: City ${city.name} - World Coords: X=${worldX.toFixed(2)}, Z=${worldZ.toFixed(2)}`);
-
-        // Get elevation for the city
-        // Pass zScale as 1.0 to get raw elevation, then apply the overall zScale for final positioning
-        const cityRawElevation = getElevationAtLatLon(city.lat, city.lon, fetchedTerrainRGBTileData, terrainGeoBounds, 1.0); 
-        const markerBaseY = cityRawElevation * zScale; // Apply zScale here for final position
-        console.log(`addCityMarkers: City ${city.name} - Raw Elevation=${cityRawElevation.toFixed(2)}, Marker Base Y=${markerBaseY.toFixed(2)}`);
-
-        // Create Marker Mesh (e.g., a cone or cylinder)
-        const geometry = new THREE.ConeGeometry(markerRadius, markerHeight, 8);
-        const material = new THREE.MeshBasicMaterial({ color: 0xff00ff }); // Bright pink
-        const markerMesh = new THREE.Mesh(geometry, material);
-        
-        // Position the marker: Tip of the cone pointing up, base on the terrain surface
-        markerMesh.position.set(worldX, markerBaseY + markerHeight / 2, worldZ);
-        markerMesh.rotation.x = 0; // Cones point up Y by default
+    // 1. Calculate Bounding Box of all tracks
+    const trackBounds = trackLayersBounds(layers);
+    if (!trackBounds) {
+        statusDiv.textContent = "No GPX points to visualize.";
+        return null;
+    }
+    let { minLat: minLatGPX, maxLat: maxLatGPX, minLon: minLonGPX, maxLon: maxLonGPX } = trackBounds;
+
+    // Add a small buffer to the GPX bounding box to ensure terrain extends slightly beyond the track.
+    // The buffer size might need adjustment based on zoom level or track scale.
+    // For zoom 12, 0.01 degrees is roughly 1km. Let's use a smaller buffer.
+    const latBuffer = (maxLatGPX - minLatGPX) * 0.05; // 5% buffer
+    const lonBuffer = (maxLonGPX - minLonGPX) * 0.05; // 5% buffer
+    minLatGPX -= latBuffer; maxLatGPX += latBuffer;
+    minLonGPX -= lonBuffer; maxLonGPX += lonBuffer;
 
-        scene.add(markerMesh);
 
-        // Create Label Sprite
-        const label = makeTextSprite(city.name, { fontsize: 24, borderColor: {r:0,g:0,b:0,a:1}, backgroundColor: {r:255,g:255,b:255,a:0.8} });
-        label.position.set(worldX, markerBaseY + markerHeight + 15 * zScale, worldZ); // Position label above marker
-        scene.add(label);
-        
-        cityMarkers.push({ mesh: markerMesh, label: label, name: city.name });
-        console.log(`addCityMarkers: Added marker and label for ${city.name} to scene.`);
+    statusDiv.textContent = `GPX Bounds (buffered): Lat(${minLatGPX.toFixed(4)} to ${maxLatGPX.toFixed(4)}), Lon(${minLonGPX.toFixed(4)} to ${maxLonGPX.toFixed(4)})`;
+
+    const terrainGeoBounds = { minLat: minLatGPX, maxLat: maxLatGPX, minLon: minLonGPX, maxLon: maxLonGPX };
+    // Terrain, tracks and markers all go through this projection, in true ground proportions
+    const projection = createLocalProjection(terrainGeoBounds, TERRAIN_SIZE);
+
+    // 2. Start from an empty heightfield store, cancelling the downloads of the previous terrain
+    const signal = startTileFetchRun();
+    clearTerrainGapFills();
+    disposeTerrainChunks(terrainChunkTree); // Stop the previous terrain from registering its tiles
+    terrainChunkTree = null;
+    clearTerrainHeightfields(); // May hold another provider's heights from a previous run
+    if (terrainMesh) scene.remove(terrainMesh);
+    terrainMesh = null;
+    terrainScene = { tileSources, terrainZoom, zScale, placementMode, geoBounds: terrainGeoBounds, projection };
+
+    // 3. Fetch the tiles along the tracks and sample the track points in a worker
+    await placeTrackLayers(layers);
+
+    // 4. Build the chunked terrain: coarse root chunks now, finer ones as the camera approaches
+    statusDiv.textContent = "Loading terrain chunks...";
+    const chunkTree = await createTerrainChunks({
+        geoBounds: terrainGeoBounds,
+        maxZoom: terrainZoom,
+        tileSources,
+        projection,
+        elevationToY: elevation => elevationToWorldY(projection, elevation, zScale),
     });
-    console.log("addCityMarkers: Finished processing. Final cityMarkers count:", cityMarkers.length, cityMarkers.map(cm => cm.name));
+    if (signal.aborted) throw tileFetchAbortError(); // A newer terrain replaced this one meanwhile
+    terrainMesh = chunkTree.group; // A THREE.Group whose children are the displayed chunk meshes
+    scene.add(terrainMesh);
+
+    exportPanel.hidden = false;
+    layersPanel.hidden = false;
+    editPanel.hidden = false;
+    refreshTrackViews(); // Also draws the POIs inside the new terrain
+    updateTerrainElevationRange(); // Redraws the elevation tint for the new terrain
+    renderAnalysisLegend();
+    applyLighting(); // Fits the shadow camera to the new terrain
+    renderSunReadout();
+    renderPinMarkers();
+    renderPinList();
+    clearMeasurement(); // Its points may lie outside the new terrain
+    renderMeasurement();
+    measurePanel.hidden = false;
+
+    const usedDems = localDemsInBounds(terrainGeoBounds);
+    const attributions = [usedDems.length ? `Elevation: ${usedDems.map(dem => dem.name).join(', ')}` : '', elevationProvider.attribution, imageryProvider.attribution].filter(Boolean);
+    const areaKm = `${(projection.widthMeters / 1000).toFixed(1)} x ${(projection.heightMeters / 1000).toFixed(1)} km`;
+    const trackSummary = trackLayers.length === 1
+        ? `Track: ${formatTrackSummary(trackLayers[0].statistics)}`
+        : `${trackLayers.length} tracks`;
+    statusDiv.textContent = `Terrain and track visualized! ${trackSummary}. Area: ${areaKm}, ${chunkTree.roots.length} root chunks at zoom ${chunkTree.roots[0].z}, refining to zoom ${terrainZoom} as you zoom in.` +
+        (attributions.length ? ` (${attributions.join(' | ')})` : '') +
+        (terrainGapFills.length ? ` ${terrainGapFills.length} missing terrain tile(s) were filled from coarser zoom levels, see the warning below.` : '');
+    if (cachePanel.open) refreshCachePanel();
+
+    frameTrackLayers(trackLayers);
+    if (pendingSessionView) { // From an opened session or a shared link, once its route is loaded
+        if (!applySessionView(pendingSessionView.view) && pendingSessionView.view) statusDiv.textContent += ' The shared view is outside this terrain.';
+        pendingSessionView = null;
+    }
+    return { terrainMesh, layers };
 }
 
 // Modified createTerrainTexture to use minCanvasTileX/Y for proper stitching
@@ -641,6 +818,19 @@ function createTerrainTexture(tileImageBitmaps, // Array of ImageBitmaps
         
         masterCtx.drawImage(img, canvasX, canvasY);
     }
+
+    // Overlays such as the activity heatmap, see addTerrainTextureOverlay
+    const overlayArea = {
+        zoom: tileInfos[0].z,
+        minTileX: minCanvasTileX, minTileY: minCanvasTileY,
+        tileWidth, tileHeight,
+        width: masterCanvas.width, height: masterCanvas.height,
+    };
+    terrainTextureOverlays.forEach(draw => {
+        masterCtx.save();
+        draw(masterCtx, overlayArea);
+        masterCtx.restore();
+    });
     
     const texture = new THREE.CanvasTexture(masterCanvas);
     texture.needsUpdate = true;
@@ -661,120 +851,1772 @@ function createTerrainTexture(tileImageBitmaps, // Array of ImageBitmaps
 }
 
 
-// --- Event Listeners ---
-visualizeButton.addEventListener('click', async () => {
-    const token = mapboxTokenInput.value.trim();
-    const file = gpxFileInput.files[0];
+// --- Tile Provider Selection ---
+function populateProviderSelect(select, kind, customId) {
+    select.innerHTML = '';
+    listTileProviders(kind)
+        .filter(provider => provider.id !== customId)
+        .forEach(provider => select.add(new Option(provider.name, provider.id)));
+    select.add(new Option('Custom XYZ server...', customId));
+}
+
+// Re-register the custom providers from the UI fields and return the current selection
+function getSelectedTileSources() {
+    registerCustomProviders({
+        elevationUrl: customElevationUrlInput.value.trim(),
+        elevationEncoding: customElevationEncodingSelect.value,
+        elevationMaxZoom: parseInt(customElevationMaxZoomInput.value),
+        imageryUrl: customImageryUrlInput.value.trim(),
+        imageryMaxZoom: parseInt(customImageryMaxZoomInput.value),
+    });
+    const elevationId = elevationProviderSelect.value;
+    const imageryId = imageryProviderSelect.value;
+    return {
+        elevation: tileProviders.elevation.get(elevationId) || null,
+        imagery: tileProviders.imagery.get(imageryId) || null,
+        token: mapboxTokenInput.value.trim(),
+    };
+}
+
+// Only show the custom template fields and the token field when they are relevant
+function updateProviderUI() {
+    customElevationOptions.hidden = elevationProviderSelect.value !== 'custom-elevation';
+    customImageryOptions.hidden = imageryProviderSelect.value !== 'custom-imagery';
+    const { elevation, imagery } = getSelectedTileSources();
+    tokenRow.hidden = !((elevation && elevation.requiresToken) || (imagery && imagery.requiresToken));
+}
+
+// Check the terrain inputs; returns { tileSources, zScale, terrainZoom } or null after reporting the problem
+function readTerrainSettings() {
+    const tileSources = getSelectedTileSources();
     const zScale = parseFloat(zScaleInput.value);
     const terrainZoomLevel = parseInt(terrainZoomInput.value);
 
-    if (!token) {
-        statusDiv.textContent = "Please enter a Mapbox Access Token.";
-        return;
+    if (!tileSources.elevation) {
+        statusDiv.textContent = "Please enter a URL template for the custom elevation server.";
+        return null;
     }
-    if (!file) {
-        statusDiv.textContent = "Please select a GPX file.";
-        return;
+    if (!tileSources.imagery) {
+        statusDiv.textContent = "Please enter a URL template for the custom imagery server.";
+        return null;
+    }
+    const needsToken = [tileSources.elevation, tileSources.imagery].filter(p => p.requiresToken);
+    if (needsToken.length > 0 && !tileSources.token) {
+        statusDiv.textContent = `Please enter an access token (required by ${needsToken.map(p => p.name).join(', ')}).`;
+        return null;
     }
     if (isNaN(zScale) || zScale <= 0) {
         statusDiv.textContent = "Please enter a valid Z-scale.";
-        return;
+        return null;
     }
-    if (isNaN(terrainZoomLevel) || terrainZoomLevel < 10 || terrainZoomLevel > 15) {
-        statusDiv.textContent = "Please enter a terrain zoom level between 10 and 15.";
-        return;
+    // Local DEMs can be finer than the elevation tiles; past the provider's last level its
+    // tiles are upsampled where no local DEM covers the area
+    const maxZoom = localDems.length > 0 ? LOCAL_DEM_MAX_TERRAIN_ZOOM : 15;
+    if (isNaN(terrainZoomLevel) || terrainZoomLevel < 10 || terrainZoomLevel > maxZoom) {
+        statusDiv.textContent = `Please enter a terrain zoom level between 10 and ${maxZoom}.`;
+        return null;
+    }
+    const providerMaxZoom = localDems.length > 0 ? tileSources.imagery.maxZoom : Math.min(tileSources.elevation.maxZoom, tileSources.imagery.maxZoom);
+    if (terrainZoomLevel > providerMaxZoom) {
+        statusDiv.textContent = `The selected tile sources only go up to zoom ${providerMaxZoom}.`;
+        return null;
     }
+    return { tileSources, zScale, terrainZoom: terrainZoomLevel };
+}
 
+// Import the selected files into track layers (one per track or route). Returns { layers, warnings }.
+async function importTrackLayers(files) {
+    const layers = [], warnings = [];
+    for (const file of files) {
+        const gpxDoc = await importActivityFile(file); // GPX, TCX, FIT, KML/KMZ or GeoJSON, normalized to the GPX document shape
+        const formatName = gpxDoc.format.toUpperCase();
+        gpxDoc.diagnostics.forEach(d => console.warn(`${file.name}: ${formatName} ${d.level}: ${d.message}`));
+        const fileLayers = trackLayersFromDocument(gpxDoc, file.name);
+        if (fileLayers.length === 0) {
+            warnings.push(`${file.name}: ${formatName} file contains no track or route points.` +
+                (gpxDoc.diagnostics.length ? ` ${gpxDoc.diagnostics[0].message}` : ''));
+        } else if (gpxDoc.diagnostics.length > 0) {
+            warnings.push(`${file.name}: ${gpxDoc.diagnostics.length} ${formatName} warning(s), see console (first: ${gpxDoc.diagnostics[0].message})`);
+        }
+        layers.push(...fileLayers);
+    }
+    return { layers, warnings };
+}
 
-    statusDiv.textContent = "Processing...";
-    visualizeButton.disabled = true;
+function clearScene() {
+    startTileFetchRun(); // Downloads for the old terrain are no longer needed
+    clearTerrainGapFills();
+    disposeTerrainChunks(terrainChunkTree); // Also takes the terrain out of the scene
+    terrainChunkTree = null;
+    terrainMesh = null;
+    releaseTerrainMemory();
+    removeAllTrackLayers();
+    clearTrackEditHistory();
+    showTrackHoverMarker(null);
+    highlightTrackRange(null);
+    unloadPlayback();
+    cameraModeSelect.value = 'free';
+    setPlaybackCameraMode('free');
+    clearPOIMarkers();
+}
 
-    // Clear previous scene objects
-    if (scene) {
-        if (terrainMesh) scene.remove(terrainMesh);
-        if (trackLine) scene.remove(trackLine);
-        // Clear old city markers
-        cityMarkers.forEach(markerSet => {
-            if (markerSet.mesh) scene.remove(markerSet.mesh);
-            if (markerSet.label) scene.remove(markerSet.label);
-        });
-        cityMarkers = [];
-    } else {
-        initThreeJS(); // Initialize only if not already done
+// Visualize files (by default the selected ones) in a new scene, or add them as layers to the
+// current one. Added tracks inside the current terrain are only sampled; otherwise the terrain
+// is rebuilt around all tracks, which keeps the loaded layers and their styling.
+// Returns true when the tracks are shown.
+async function visualizeFiles(addToScene, files = Array.from(gpxFileInput.files)) {
+    if (files.length === 0) {
+        statusDiv.textContent = "Please select an activity file (GPX, TCX, FIT, KML/KMZ or GeoJSON).";
+        return;
     }
+    const adding = addToScene && terrainScene && terrainChunkTree;
+    const settings = adding ? null : readTerrainSettings();
+    if (!adding && !settings) return;
 
+    statusDiv.textContent = "Processing...";
+    visualizeButton.disabled = true;
+    addTracksButton.disabled = true;
 
     try {
-        const gpxString = await file.text();
-        const gpxPoints = parseGPX(gpxString);
-
-        if (gpxPoints.length === 0) {
-            statusDiv.textContent = "GPX file contains no track points or is invalid.";
-            visualizeButton.disabled = false;
+        const { layers, warnings } = await importTrackLayers(files);
+        if (layers.length === 0) {
+            statusDiv.textContent = warnings.join(' ');
             return;
         }
 
-        await createTerrain(gpxPoints, token, terrainZoomLevel, zScale);
+        if (!scene) {
+            initThreeJS(); // Initialize only if not already done
+        } else if (!adding) {
+            clearScene(); // Clear previous scene objects
+        }
+
+        if (!adding) {
+            activeTrackLayer = layers[0];
+            if (!pendingSessionView || !pendingSessionView.keepSunDate) setSunDateFromTrack(); // Before the terrain chunks bake their hillshade
+            updateLighting(false);
+            await createTerrain(layers, settings.tileSources, settings.terrainZoom, settings.zScale, trackPlacementSelect.value);
+        } else if (geoBoundsContain(terrainScene.geoBounds, trackLayersBounds(layers))) {
+            await placeTrackLayers(layers);
+            activeTrackLayer = layers[0];
+            refreshTrackViews();
+            statusDiv.textContent = `Added ${layers.length} track(s).`;
+        } else {
+            activeTrackLayer = layers[0];
+            const { tileSources, terrainZoom, zScale, placementMode } = terrainScene;
+            await createTerrain([...trackLayers, ...layers], tileSources, terrainZoom, zScale, placementMode);
+            statusDiv.textContent = `Added ${layers.length} track(s); the terrain was extended to cover them. ${statusDiv.textContent}`;
+        }
+        recordTitleInput.value = activeTrackLayer.name;
+        if (warnings.length > 0) statusDiv.textContent += ` ${warnings.join(' ')}`;
+        return true;
 
     } catch (error) {
+        if (isAbortError(error)) return; // Replaced by a newer visualization, which reports its own status
         console.error("Visualization error:", error);
         statusDiv.textContent = `Error: ${error.message}`;
     } finally {
         visualizeButton.disabled = false;
+        addTracksButton.disabled = false;
     }
-});
+}
+
+// --- Event Listeners ---
+visualizeButton.addEventListener('click', () => visualizeFiles(false));
+addTracksButton.addEventListener('click', () => visualizeFiles(true));
 
-window.addEventListener('resize', () => {
+function resizeViewer() {
     if (camera && renderer) {
         camera.aspect = viewerDiv.clientWidth / viewerDiv.clientHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(viewerDiv.clientWidth, viewerDiv.clientHeight);
+        setTrackLineResolution(renderer.domElement.width, renderer.domElement.height);
     }
-});
+    drawProfileChart();
+}
 
-// --- Light Control Event Listeners ---
-ambientLightInput.addEventListener('input', () => {
-    const value = parseFloat(ambientLightInput.value);
-    ambientLightValueSpan.textContent = value.toFixed(2);
-    if (ambientLight) {
-        ambientLight.intensity = value;
+window.addEventListener('resize', resizeViewer);
+
+// --- Elevation Profile Linking ---
+function showTrackHoverMarker(point) {
+    if (!point) {
+        if (trackHoverMarker) trackHoverMarker.visible = false;
+        return;
     }
-});
+    if (!trackHoverMarker) {
+        trackHoverMarker = new THREE.Mesh(
+            new THREE.SphereGeometry(TERRAIN_SIZE / 200, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffd700 })
+        );
+        scene.add(trackHoverMarker);
+    }
+    trackHoverMarker.position.copy(point.position);
+    trackHoverMarker.visible = true;
+}
 
-directionalLightInput.addEventListener('input', () => {
-    const value = parseFloat(directionalLightInput.value);
-    directionalLightValueSpan.textContent = value.toFixed(2);
-    if (directionalLight) {
-        directionalLight.intensity = value;
+// Draw the selected profile range over the track, one line per segment it spans
+function highlightTrackRange(selection) {
+    if (trackHighlight) {
+        scene.remove(trackHighlight);
+        disposeObjectTree(trackHighlight);
+        trackHighlight = null;
     }
-});
+    if (!selection) return;
+    trackHighlight = new THREE.Group();
+    trackHighlight.userData.selection = selection; // Drawn again when the track moves (js/sceneManager.js)
+    const material = new THREE.LineBasicMaterial({ color: 0xffd700, depthTest: false });
+    let run = [];
+    const flush = () => {
+        if (run.length > 1) trackHighlight.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(run), material));
+        run = [];
+    };
+    for (let i = selection.start; i <= selection.end; i++) {
+        const point = trackProfile.points[i];
+        if (i > selection.start && point.segment !== trackProfile.points[i - 1].segment) flush();
+        run.push(point.position);
+    }
+    flush();
+    trackHighlight.renderOrder = 1; // Drawn over the red track
+    scene.add(trackHighlight);
+}
 
-trackHeightInput.addEventListener('input', () => {
-    const value = parseFloat(trackHeightInput.value);
-    trackHeightValueSpan.textContent = value;
-});
+function onViewerMouseMove(event) {
+    const pointer = viewerPointer(event);
+    hoverPointer = pointer; // The terrain is picked once per frame, in updateHoverReadout
+    if (!activeTrackLayer || !activeTrackLayer.visible || !trackProfile) return;
+    const pick = pickTrackPoint(pointer, [activeTrackLayer]);
+    setProfileHover(pick ? pick.index : null);
+}
 
-// --- Cache Management ---
-clearCacheButton.addEventListener('click', () => {
-    const terrainCount = terrainTileCache.size;
-    const mapCount = mapImageTileCache.size;
-    
-    terrainTileCache.clear();
-    mapImageTileCache.clear();
-    
-    statusDiv.textContent = `Cache cleared! Removed ${terrainCount} terrain tiles and ${mapCount} map tiles.`;
-    
-    // Clear the message after a few seconds
-    setTimeout(() => {
-        if (statusDiv.textContent.includes('Cache cleared!')) {
-            statusDiv.textContent = "Ready. Enter token, select GPX, and click Visualize.";
+// --- Picking and Measurement ---
+let hoverPointer = null;  // Last pointer position over the viewer, not yet picked
+let pointerDownAt = null; // Tells clicks from orbit drags
+let pickReadout = null;   // Overlay in the viewer: position under the cursor and the clicked track point
+
+function ensurePickReadout() {
+    if (!pickReadout) {
+        pickReadout = document.createElement('div');
+        pickReadout.id = 'pickReadout';
+        pickReadout.innerHTML = '<div class="hoverReadout"></div><table class="pickDetails"></table>';
+        pickReadout.hidden = true;
+    }
+    if (pickReadout.parentElement !== viewerDiv) viewerDiv.appendChild(pickReadout); // initThreeJS clears the viewer
+    return pickReadout;
+}
+
+function updatePickReadoutVisibility() {
+    pickReadout.hidden = !pickReadout.querySelector('.hoverReadout').textContent && pickReadout.querySelector('.pickDetails').rows.length === 0;
+}
+
+function showHoverReadout(pick) {
+    ensurePickReadout().querySelector('.hoverReadout').textContent = pick
+        ? `${formatLatLon(pick.lat, pick.lon)} · ${Math.round(pick.elevation)} m`
+        : '';
+    updatePickReadoutVisibility();
+}
+
+// Label/value rows of the clicked track point or POI, or null to clear them
+function showPickDetails(rows) {
+    const table = ensurePickReadout().querySelector('.pickDetails');
+    table.innerHTML = '';
+    (rows || []).forEach(([label, value]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
+    });
+    updatePickReadoutVisibility();
+}
+
+function updateHoverReadout() {
+    if (!hoverPointer || !terrainMesh) return;
+    showHoverReadout(pickTerrain(hoverPointer));
+    hoverPointer = null;
+}
+onFrame(updateHoverReadout);
+onFrame(updatePOILabels);
+
+function onViewerClick(event) {
+    if (event.button !== 0 || !pointerDownAt || Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > 4) return;
+    const pointer = viewerPointer(event);
+    const mode = pickModeSelect.value;
+    if (mode === 'inspect') {
+        const poiMarker = pickPOI(pointer);
+        if (poiMarker) {
+            showPickDetails(describePOI(poiMarker));
+            return;
         }
-    }, 3000);
-});
+        const pick = pickTrackPoint(pointer, placedTrackLayers());
+        showPickDetails(pick ? describeTrackPoint(pick.layer, pick.index) : null);
+        if (pick && pick.layer === activeTrackLayer) setProfileHover(pick.index);
+        return;
+    }
+    const terrainPick = pickTerrain(pointer);
+    if (!terrainPick) return;
+    if (mode === 'measure') {
+        addMeasurementPoint(terrainPick);
+        renderMeasurement();
+    } else {
+        const defaultName = `Pin ${pins.length + 1}`;
+        const name = prompt('Pin name:', defaultName);
+        if (name === null) return;
+        addPin(name.trim() || defaultName, terrainPick.lat, terrainPick.lon, terrainPick.elevation);
+        renderPinList();
+    }
+}
 
-// --- Initial call if needed or auto-load something ---
-// initThreeJS(); // Or call it on first visualize
-mapboxTokenInput.value = localStorage.getItem('mapboxToken') || ''; // Persist token
-mapboxTokenInput.addEventListener('change', () => localStorage.setItem('mapboxToken', mapboxTokenInput.value));
+function formatMeasureDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+}
+
+function renderMeasurement() {
+    measureResultDiv.innerHTML = '';
+    if (measurement.points.length < 2) {
+        if (pickModeSelect.value === 'measure') {
+            measureResultDiv.textContent = measurement.points.length ? 'Click the next point.' : 'Click points on the terrain to measure between them.';
+        }
+        return;
+    }
+    const result = measurementResult();
+    const table = document.createElement('table');
+    table.className = 'statsTable';
+    const addRow = (cells, header = false) => {
+        const row = table.insertRow();
+        cells.forEach(text => {
+            const cell = document.createElement(header ? 'th' : 'td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+    };
+    addRow(['Leg', 'Straight', 'Along Surface', 'Elevation', 'Slope'], true);
+    result.legs.forEach((leg, i) => addRow([
+        i + 1,
+        formatMeasureDistance(leg.straight),
+        formatMeasureDistance(leg.surface),
+        `${leg.rise >= 0 ? '+' : ''}${Math.round(leg.rise)} m`,
+        leg.slope !== null ? `${leg.slope.toFixed(1)} % (${(Math.atan(leg.slope / 100) * 180 / Math.PI).toFixed(1)}°)` : '–',
+    ]));
+    if (result.legs.length > 1) {
+        addRow(['Total', formatMeasureDistance(result.straight), formatMeasureDistance(result.surface),
+            `+${Math.round(result.ascent)} / -${Math.round(result.descent)} m`, '']);
+    }
+    measureResultDiv.appendChild(table);
+}
+
+// Center the view on a pin, keeping the camera offset
+function focusPin(pin) {
+    const target = pinScenePosition(pin);
+    camera.position.add(target.clone().sub(controls.target));
+    controls.target.copy(target);
+    controls.update();
+}
+
+function renderPinList() {
+    pinList.innerHTML = '';
+    pins.forEach(pin => {
+        const row = document.createElement('li');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.size = 16;
+        nameInput.value = pin.name;
+        nameInput.title = 'Pin name';
+        nameInput.addEventListener('change', () => {
+            renamePin(pin, nameInput.value.trim() || pin.name);
+            nameInput.value = pin.name;
+        });
+        const position = document.createElement('span');
+        position.className = 'pinPosition';
+        position.textContent = `${formatLatLon(pin.lat, pin.lon)}, ${Math.round(pin.elevation)} m`;
+        const goButton = document.createElement('button');
+        goButton.textContent = 'Go';
+        goButton.disabled = !scene || !pinInTerrain(pin);
+        goButton.title = goButton.disabled ? 'Outside the current terrain' : 'Center the view on this pin';
+        goButton.addEventListener('click', () => focusPin(pin));
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            removePin(pin);
+            renderPinList();
+        });
+        row.append(nameInput, position, goButton, removeButton);
+        pinList.appendChild(row);
+    });
+}
+
+pickModeSelect.addEventListener('change', () => {
+    viewerDiv.classList.toggle('picking', pickModeSelect.value !== 'inspect');
+    renderMeasurement();
+});
+clearMeasureButton.addEventListener('click', () => {
+    clearMeasurement();
+    renderMeasurement();
+});
+renderPinList();
+
+// --- Playback Controls ---
+playback.onUpdate = sample => {
+    if (lighting.mode === 'sun' && sunFollowPlaybackInput.checked && sample.clockTime) {
+        showSunDate(sample.clockTime);
+        lighting.date = sample.clockTime; // Light and shadows only; the hillshade is redrawn on the next lighting change
+        applyLighting();
+        renderSunReadout();
+    }
+    playButton.textContent = playback.playing ? 'Pause' : 'Play';
+    playbackScrub.value = playback.timeline.duration > 0 ? Math.round(sample.time / playback.timeline.duration * 1000) : 0;
+    const timeText = sample.clockTime
+        ? `${sample.clockTime.toLocaleTimeString()} (+${formatDuration(sample.time)})`
+        : `${formatDuration(sample.time)} at ${formatSpeed(PLAYBACK_CONSTANT_SPEED_MS)}`;
+    playbackReadout.textContent = `${timeText} · ${(sample.distance / 1000).toFixed(2)} km · ` +
+        (sample.elevation !== null ? `${Math.round(sample.elevation)} m · ` : '') +
+        formatSpeed(sample.speed);
+};
+onFrame(updatePlayback);
+
+playButton.addEventListener('click', () => {
+    setPlaybackPlaying(!playback.playing);
+    playButton.textContent = playback.playing ? 'Pause' : 'Play';
+});
+playbackScrub.addEventListener('input', () => {
+    if (playback.timeline) seekPlayback(playbackScrub.value / 1000 * playback.timeline.duration);
+});
+playbackSpeedSelect.addEventListener('change', () => {
+    playback.speed = parseFloat(playbackSpeedSelect.value);
+});
+cameraModeSelect.addEventListener('change', () => setPlaybackCameraMode(cameraModeSelect.value));
+
+// --- Recording ---
+recordButton.addEventListener('click', async () => {
+    const [width, height] = recordResolutionSelect.value.split('x').map(Number);
+    const fps = parseInt(recordFpsSelect.value);
+    const duration = parseFloat(recordDurationInput.value);
+    const format = recordFormatSelect.value;
+    if (isNaN(duration) || duration <= 0) {
+        statusDiv.textContent = "Please enter a valid clip length.";
+        return;
+    }
+    const summaryElevation = trackStatistics && (trackStatistics.elevation.gpx || trackStatistics.elevation.dem);
+    const subtitle = trackStatistics
+        ? `${(trackStatistics.distance / 1000).toFixed(1)} km` + (summaryElevation ? `  ·  +${Math.round(summaryElevation.ascent)} m` : '') +
+          (trackStatistics.time ? `  ·  ${trackStatistics.time.startTime.toLocaleDateString()}` : '')
+        : '';
+
+    recordButton.disabled = true;
+    cancelRecordButton.disabled = false;
+    visualizeButton.disabled = true; // Rebuilding the scene mid-recording would break the clip
+    try {
+        const blob = await recordPlayback({
+            format, width, height, fps, duration,
+            title: recordTitleInput.value.trim(),
+            subtitle,
+            titleCard: recordTitleCardInput.checked,
+            statsOverlay: recordStatsOverlayInput.checked,
+            onProgress: fraction => {
+                statusDiv.textContent = `Recording ${format === 'png' ? 'PNG frames' : 'video'}... ${Math.round(fraction * 100)}%`;
+            },
+        });
+        const baseName = (recordTitleInput.value.trim() || 'track').replace(/[^\w.-]+/g, '_');
+        downloadBlob(blob, `${baseName}_${width}x${height}_${fps}fps.${format === 'png' ? 'zip' : 'webm'}`);
+        statusDiv.textContent = `Recording saved (${formatBytes(blob.size)}).`;
+    } catch (error) {
+        if (error instanceof RecordingCancelledError) {
+            statusDiv.textContent = "Recording cancelled.";
+        } else {
+            console.error("Recording error:", error);
+            statusDiv.textContent = `Recording failed: ${error.message}`;
+        }
+    } finally {
+        recordButton.disabled = false;
+        cancelRecordButton.disabled = true;
+        visualizeButton.disabled = false;
+    }
+});
+cancelRecordButton.addEventListener('click', cancelRecording);
+
+// --- Track Style ---
+const TRACK_DEFAULT_WIDTHS = { px: 4, m: 15 };
+
+function readTrackStyleSettings() {
+    const colorBy = trackColorBySelect.value;
+    const optionalNumber = input => (input.value.trim() === '' || isNaN(parseFloat(input.value)) ? null : parseFloat(input.value));
+    return {
+        style: trackStyleSelect.value,
+        width: parseFloat(trackWidthInput.value) > 0 ? parseFloat(trackWidthInput.value) : TRACK_DEFAULT_WIDTHS[trackWidthUnitSpan.textContent],
+        colorBy,
+        palette: trackPaletteSelect.value === 'auto' && colorBy !== 'solid' ? TRACK_COLOR_ATTRIBUTES[colorBy].palette : trackPaletteSelect.value,
+        min: optionalNumber(trackColorMinInput),
+        max: optionalNumber(trackColorMaxInput),
+    };
+}
+
+function updateTrackWidthUnit() {
+    const unit = trackStyleSelect.value === 'line' ? 'px' : 'm';
+    trackWidthInput.disabled = trackStyleSelect.value === 'curtain';
+    if (trackWidthUnitSpan.textContent !== unit) trackWidthInput.value = TRACK_DEFAULT_WIDTHS[unit];
+    trackWidthUnitSpan.textContent = unit;
+}
+
+// Styles are rebuilt from the loaded profile, without fetching any tiles
+[trackStyleSelect, trackWidthInput, trackColorBySelect, trackPaletteSelect, trackColorMinInput, trackColorMaxInput].forEach(input => {
+    const stored = localStorage.getItem(input.id);
+    if (stored !== null) input.value = stored;
+    input.addEventListener('change', () => {
+        if (input === trackStyleSelect) updateTrackWidthUnit();
+        if (input === trackColorBySelect) trackColorMinInput.value = trackColorMaxInput.value = ''; // Ranges are per attribute
+        [trackStyleSelect, trackWidthInput, trackColorBySelect, trackPaletteSelect, trackColorMinInput, trackColorMaxInput]
+            .forEach(i => localStorage.setItem(i.id, i.value));
+        if (scene) renderTrackStyle(readTrackStyleSettings());
+    });
+});
+trackWidthUnitSpan.textContent = trackStyleSelect.value === 'line' ? 'px' : 'm';
+trackWidthInput.disabled = trackStyleSelect.value === 'curtain';
+
+// --- Track Layers ---
+function formatTrackSummary(stats) {
+    const summaryElevation = stats.elevation.gpx || stats.elevation.dem;
+    return `${(stats.distance / 1000).toFixed(1)} km` +
+        (summaryElevation ? `, +${Math.round(summaryElevation.ascent)} m` : '') +
+        (stats.time ? `, ${formatDuration(stats.time.movingTime)} moving` : '');
+}
+
+function activateTrackLayer(layer) {
+    activeTrackLayer = layer;
+    recordTitleInput.value = layer.name;
+    showActiveTrackLayer();
+}
+
+// One row per layer: active, color, visibility, opacity, name, summary statistics, remove
+function renderTrackLayerList() {
+    layerList.innerHTML = '';
+    trackLayers.forEach(layer => {
+        const row = document.createElement('li');
+        const makeInput = (type, title, properties) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.title = title;
+            Object.assign(input, properties);
+            row.appendChild(input);
+            return input;
+        };
+
+        const activeInput = makeInput('radio', 'Show in the profile, playback and statistics', { name: 'activeLayer', checked: layer === activeTrackLayer });
+        activeInput.addEventListener('change', () => activateTrackLayer(layer));
+        const colorInput = makeInput('color', 'Track color', { value: layer.color });
+        colorInput.addEventListener('change', () => {
+            layer.color = colorInput.value;
+            layer.centerline.children.forEach(line => line.material.color.set(layer.color)); // All segments share one material
+            renderTrackStyle(readTrackStyleSettings());
+        });
+        const visibleInput = makeInput('checkbox', 'Visible', { checked: layer.visible });
+        visibleInput.addEventListener('change', () => {
+            setTrackLayerVisible(layer, visibleInput.checked);
+            if (layer === activeTrackLayer && !layer.visible) setProfileHover(null);
+        });
+        const opacityInput = makeInput('range', 'Opacity', { min: 0.1, max: 1, step: 0.05, value: layer.opacity });
+        opacityInput.addEventListener('input', () => setTrackLayerOpacity(layer, parseFloat(opacityInput.value)));
+        const nameInput = makeInput('text', 'Name', { value: layer.name, size: 20 });
+        nameInput.addEventListener('change', () => {
+            layer.name = nameInput.value.trim() || layer.name;
+            nameInput.value = layer.name;
+            if (layer === activeTrackLayer) recordTitleInput.value = layer.name;
+        });
+
+        const summary = document.createElement('span');
+        summary.className = 'layerSummary';
+        summary.textContent = layer.statistics ? formatTrackSummary(layer.statistics) : '';
+        row.appendChild(summary);
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            removeTrackLayer(layer); // Picks another active layer when needed
+            clearTrackEditHistory();
+            if (activeTrackLayer) recordTitleInput.value = activeTrackLayer.name;
+            refreshTrackViews(); // The shared color scale may change
+        });
+        row.appendChild(removeButton);
+        layerList.appendChild(row);
+    });
+}
+
+// --- Track Editing ---
+// The sliders address the recorded points of the active layer (js/trackEditor.js)
+let editedSegments = null;      // Recorded segments the sliders were set up for
+let editPointDistances = [];    // Distance from the start to every recorded point
+let editProfileIndex = new Map(); // Recorded point -> profile index of the active layer, for the previews
+
+function describeEditPoint(index) {
+    const point = activeTrackLayer.recordedSegments.flat()[index];
+    return `point ${index + 1}` + (point.time ? ` at ${point.time.toLocaleTimeString()}` : '') +
+        `, ${(editPointDistances[index] / 1000).toFixed(2)} km`;
+}
+
+function renderEditPanel() {
+    const layer = activeTrackLayer;
+    const { undo, redo } = trackEditHistory;
+    editUndoButton.disabled = undo.length === 0;
+    editUndoButton.textContent = undo.length ? `Undo ${undo[undo.length - 1].label}` : 'Undo';
+    editRedoButton.disabled = redo.length === 0;
+    editRedoButton.textContent = redo.length ? `Redo ${redo[redo.length - 1].label}` : 'Redo';
+    editMergeButton.disabled = placedTrackLayers().length < 2;
+    editPanel.querySelectorAll('input, #editTrimButton, #editSplitButton, #editOutliersButton, #editSmoothButton, #editSimplifyButton, #editExportGpxButton')
+        .forEach(control => { control.disabled = !layer; });
+    if (!layer) {
+        editLayerInfoDiv.textContent = 'Visualize a track to edit it.';
+        editRangeInfoDiv.textContent = editSplitInfoDiv.textContent = '';
+        return;
+    }
+
+    const count = recordedPointCount(layer);
+    editLayerInfoDiv.textContent = `Editing "${layer.name}": ${count} recorded points in ${layer.recordedSegments.length} segment(s).`;
+    if (editedSegments !== layer.recordedSegments) { // Another layer, or the points changed
+        editedSegments = layer.recordedSegments;
+        editPointDistances = recordedPointDistances(layer.recordedSegments);
+        [editRangeStartInput, editRangeEndInput, editSplitPointInput].forEach(input => { input.max = count - 1; });
+        editRangeStartInput.value = 0;
+        editRangeEndInput.value = count - 1;
+        editSplitPointInput.value = Math.floor((count - 1) / 2);
+    }
+    editProfileIndex = new Map();
+    if (layer.profile) layer.profile.points.forEach((p, k) => editProfileIndex.set(layer.segments[p.segment][p.index], k));
+    renderEditSelection(false);
+}
+
+// Describe the slider positions; with preview, also show them on the track
+function renderEditSelection(preview) {
+    const from = Math.min(parseInt(editRangeStartInput.value), parseInt(editRangeEndInput.value));
+    const to = Math.max(parseInt(editRangeStartInput.value), parseInt(editRangeEndInput.value));
+    const split = parseInt(editSplitPointInput.value);
+    editRangeInfoDiv.textContent = `Keep ${describeEditPoint(from)} to ${describeEditPoint(to)} (${to - from + 1} points).`;
+    editSplitInfoDiv.textContent = `Split at ${describeEditPoint(split)}.`;
+    if (!preview || !trackProfile) return;
+    const points = activeTrackLayer.recordedSegments.flat();
+    highlightTrackRange({ start: editProfileIndex.get(points[from]), end: editProfileIndex.get(points[to]) });
+    const splitIndex = editProfileIndex.get(points[split]);
+    showTrackHoverMarker(splitIndex !== undefined ? trackProfile.points[splitIndex] : null);
+}
+
+// The history and possibly the active layer changed
+function showTrackEditResult(message) {
+    if (activeTrackLayer) recordTitleInput.value = activeTrackLayer.name;
+    renderEditPanel();
+    statusDiv.textContent = message;
+}
+
+// Apply an edit entry from js/trackEditor.js and report the result
+async function runTrackEditCommand(entry, message) {
+    statusDiv.textContent = `${entry.label}...`;
+    try {
+        if (!await commitTrackEdit(entry)) {
+            statusDiv.textContent = 'The previous edit is still being placed on the terrain.';
+            return;
+        }
+        showTrackEditResult(message);
+    } catch (error) {
+        console.error("Track edit failed:", error);
+        statusDiv.textContent = `Error: ${error.message}`;
+    }
+}
+
+async function stepTrackEditHistory(step, verb) {
+    try {
+        const entry = await step();
+        if (entry) showTrackEditResult(`${verb} ${entry.label}.`);
+    } catch (error) {
+        console.error(`${verb} failed:`, error);
+        statusDiv.textContent = `Error: ${error.message}`;
+    }
+}
+
+[editRangeStartInput, editRangeEndInput, editSplitPointInput].forEach(input => {
+    input.addEventListener('input', () => renderEditSelection(true));
+});
+
+editTrimButton.addEventListener('click', () => {
+    const from = Math.min(parseInt(editRangeStartInput.value), parseInt(editRangeEndInput.value));
+    const to = Math.max(parseInt(editRangeStartInput.value), parseInt(editRangeEndInput.value));
+    if (to - from < 1) {
+        statusDiv.textContent = 'Keep at least two points.';
+        return;
+    }
+    const segments = trimTrackSegments(activeTrackLayer.recordedSegments, from, to);
+    runTrackEditCommand(trackLayerEdit('Trim', activeTrackLayer, segments), `Trimmed to ${to - from + 1} points.`);
+});
+
+editSplitButton.addEventListener('click', () => {
+    const at = parseInt(editSplitPointInput.value);
+    if (at < 1 || at > recordedPointCount(activeTrackLayer) - 2) {
+        statusDiv.textContent = 'Split between the first and the last point, so both parts keep at least two points.';
+        return;
+    }
+    const entry = trackLayerSplitEdit(activeTrackLayer, at);
+    runTrackEditCommand(entry, `Split into "${activeTrackLayer.name}" and "${entry.added[0].name}".`);
+});
+
+editOutliersButton.addEventListener('click', () => {
+    const maxSpeed = parseFloat(editMaxSpeedInput.value);
+    if (!(maxSpeed > 0)) return;
+    const { segments, removed } = removeSpeedOutliers(activeTrackLayer.recordedSegments, maxSpeed / 3.6);
+    if (removed === 0) {
+        statusDiv.textContent = `No points imply more than ${maxSpeed} km/h${activeTrackLayer.recordedSegments.flat().some(p => p.time) ? '' : ' (the track has no times)'}.`;
+        return;
+    }
+    runTrackEditCommand(trackLayerEdit('Outlier Removal', activeTrackLayer, segments), `Removed ${removed} point(s) faster than ${maxSpeed} km/h.`);
+});
+
+editSmoothButton.addEventListener('click', () => {
+    const pointWindow = Math.max(Math.round(parseFloat(editSmoothWindowInput.value)) | 1, 3); // Odd
+    const segments = smoothTrackSegments(activeTrackLayer.recordedSegments, pointWindow);
+    runTrackEditCommand(trackLayerEdit('Smoothing', activeTrackLayer, segments), `Smoothed over ${pointWindow} points.`);
+});
+
+editSimplifyButton.addEventListener('click', () => {
+    const tolerance = parseFloat(editToleranceInput.value);
+    if (!(tolerance > 0)) return;
+    const before = recordedPointCount(activeTrackLayer);
+    const segments = simplifyTrackSegments(activeTrackLayer.recordedSegments, tolerance);
+    const after = segments.reduce((count, segment) => count + segment.length, 0);
+    if (after === before) {
+        statusDiv.textContent = `Every point is more than ${tolerance} m off the simplified line; nothing removed.`;
+        return;
+    }
+    runTrackEditCommand(trackLayerEdit('Simplification', activeTrackLayer, segments), `Simplified from ${before} to ${after} points.`);
+});
+
+editMergeButton.addEventListener('click', () => {
+    const layers = placedTrackLayers();
+    if (layers.length < 2) return;
+    const entry = trackLayerMergeEdit(layers);
+    runTrackEditCommand(entry, `Merged ${layers.length} layers into "${entry.activeAfter.name}".`);
+});
+
+editUndoButton.addEventListener('click', () => stepTrackEditHistory(undoTrackEdit, 'Undid'));
+editRedoButton.addEventListener('click', () => stepTrackEditHistory(redoTrackEdit, 'Redid'));
+editExportGpxButton.addEventListener('click', exportActiveTrackGPX);
+
+// --- Points of Interest ---
+// One row per POI layer (visibility, name, count, remove), then the categories in use as toggles
+function renderPOIPanel() {
+    poiLayerList.innerHTML = '';
+    allPOILayers().forEach(layer => {
+        if (layer === trackWaypointLayer && layer.pois.length === 0) return;
+        const row = document.createElement('li');
+        const visibleInput = document.createElement('input');
+        visibleInput.type = 'checkbox';
+        visibleInput.checked = layer.visible;
+        visibleInput.title = 'Visible';
+        visibleInput.addEventListener('change', () => {
+            layer.visible = visibleInput.checked;
+            renderPOIMarkers();
+        });
+        const name = document.createElement('span');
+        name.className = 'layerSummary';
+        name.textContent = `${layer.name} (${layer.pois.length})`;
+        row.append(visibleInput, name);
+        if (layer !== trackWaypointLayer) {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                poiLayers.splice(poiLayers.indexOf(layer), 1);
+                renderPOIMarkers();
+                renderPOIPanel();
+            });
+            row.appendChild(removeButton);
+        }
+        poiLayerList.appendChild(row);
+    });
+
+    poiCategoryList.innerHTML = '';
+    const counts = new Map();
+    allPOILayers().forEach(layer => layer.pois.forEach(poi => counts.set(poi.category, (counts.get(poi.category) || 0) + 1)));
+    POI_CATEGORIES.filter(category => counts.has(category.key)).forEach(category => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !poiSettings.hiddenCategories.has(category.key);
+        input.addEventListener('change', () => {
+            if (input.checked) poiSettings.hiddenCategories.delete(category.key);
+            else poiSettings.hiddenCategories.add(category.key);
+            renderPOIMarkers();
+        });
+        const glyph = document.createElement('span');
+        glyph.className = 'poiGlyph';
+        glyph.style.backgroundColor = category.color;
+        glyph.textContent = category.glyph;
+        label.append(input, glyph, `${category.label} (${counts.get(category.key)})`);
+        poiCategoryList.appendChild(label);
+    });
+}
+
+poiFilesInput.addEventListener('change', async () => {
+    const files = Array.from(poiFilesInput.files);
+    const messages = [];
+    for (const file of files) {
+        try {
+            const layer = await importPOIFile(file);
+            poiLayers.push(layer);
+            const outside = terrainScene ? layer.pois.filter(poi => !poiInTerrain(poi)).length : 0;
+            messages.push(`${file.name}: ${layer.pois.length} POIs` + (outside ? `, ${outside} outside the terrain` : '') + '.');
+        } catch (error) {
+            console.warn(`Could not import POIs from ${file.name}:`, error);
+            messages.push(`${file.name}: ${error.message}`);
+        }
+    }
+    poiFilesInput.value = ''; // The same file can be imported again after removing it
+    renderPOIMarkers();
+    renderPOIPanel();
+    statusDiv.textContent = messages.join(' ');
+});
+
+poiFadeDistanceInput.addEventListener('input', () => {
+    poiSettings.fadeDistance = parseFloat(poiFadeDistanceInput.value) * 1000;
+    poiFadeDistanceValueSpan.textContent = poiFadeDistanceInput.value;
+    poiLabelViewKey = ''; // Lay the labels out again
+});
+poiSettings.fadeDistance = parseFloat(poiFadeDistanceInput.value) * 1000;
+
+// --- Sessions ---
+let pendingSessionView = null; // { view, keepSunDate } applied by the next createTerrain
+
+// Apply settings and a view from a session or link. The view waits for the next terrain when
+// there is none, or when the caller is about to build one.
+function applySharedView(shared, waitForTerrain = false) {
+    applySessionSettings(shared.settings);
+    pendingSessionView = { view: shared.view, keepSunDate: 'sunDate' in shared.settings && lightingModeSelect.value === 'sun' };
+    if (!waitForTerrain && terrainScene && applySessionView(shared.view)) pendingSessionView = null;
+}
+
+async function openSession(session) {
+    applySharedView(session, session.tracks.length > 0);
+    setPins(session.pins);
+    renderPinList();
+    poiLayers.splice(0, poiLayers.length, ...session.poiLayers.map(layer => createPOILayer(layer.name, layer.pois, layer.visible !== false)));
+    trackWaypointLayer.visible = session.trackWaypointsVisible;
+    poiSettings.hiddenCategories = new Set(session.hiddenPOICategories);
+
+    if (session.tracks.length === 0) {
+        renderPOIMarkers();
+        renderPOIPanel();
+        statusDiv.textContent = `Session opened (no tracks).` + (pendingSessionView && pendingSessionView.view ? ' The view is shown once its route is visualized.' : '');
+        return;
+    }
+    const files = session.tracks.map((track, i) => new File([track.gpx], `${track.name || `Track ${i + 1}`}.gpx`, { type: 'application/gpx+xml' }));
+    if (!(await visualizeFiles(false, files))) return; // visualizeFiles reported the problem
+
+    // Every saved track is one GPX document, which gives exactly one layer
+    trackLayers.forEach((layer, i) => {
+        const saved = session.tracks[i];
+        layer.name = saved.name || layer.name;
+        if (saved.color) layer.color = saved.color;
+        layer.centerline.children.forEach(line => line.material.color.set(layer.color));
+        if (saved.opacity > 0) layer.opacity = saved.opacity; // Applied when the style is rendered
+        setTrackLayerVisible(layer, saved.visible !== false);
+        if (saved.active) activeTrackLayer = layer;
+    });
+    recordTitleInput.value = activeTrackLayer.name;
+    refreshTrackViews();
+    statusDiv.textContent = `Session opened: ${trackLayers.length} track(s). ${statusDiv.textContent}`;
+}
+
+saveSessionButton.addEventListener('click', () => {
+    const session = createSession();
+    downloadBlob(new Blob([JSON.stringify(session, null, 1)], { type: 'application/json' }), `${exportFileBaseName()}.session.json`);
+    statusDiv.textContent = `Session saved with ${session.tracks.length} track(s). The access token is not included.`;
+});
+
+sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files[0];
+    sessionFileInput.value = ''; // The same file can be opened again
+    if (!file) return;
+    try {
+        await openSession(parseSession(await file.text()));
+    } catch (error) {
+        console.warn(`Could not open the session ${file.name}:`, error);
+        statusDiv.textContent = `Could not open the session: ${error.message}`;
+    }
+});
+
+copyViewLinkButton.addEventListener('click', async () => {
+    const hash = sessionToHash(createSession());
+    history.replaceState(null, '', hash); // No hashchange event, the view is already shown
+    try {
+        await navigator.clipboard.writeText(location.href);
+        statusDiv.textContent = 'Link to this view copied. It opens the same framing once the route is loaded.';
+    } catch (error) {
+        statusDiv.textContent = `Link to this view (copy it from the address bar): ${location.href}`;
+    }
+});
+
+function applyURLHash() {
+    const shared = sessionFromHash(location.hash);
+    if (!shared) return;
+    applySharedView(shared);
+    statusDiv.textContent = pendingSessionView && pendingSessionView.view
+        ? 'Shared view settings applied. Load the route and visualize it to see the shared view.'
+        : 'Shared view applied.';
+}
+
+window.addEventListener('hashchange', applyURLHash);
+
+// --- Activity Library ---
+let libraryActivities = [];           // All stored records (js/activityLibrary.js)
+const librarySelection = new Set();   // Ids of the selected records
+const librarySort = { key: 'startTime', descending: true };
+
+// "S, W, N, E" in degrees; null when empty or invalid
+function parseLibraryBounds(text) {
+    if (!text.trim()) return null;
+    const [minLat, minLon, maxLat, maxLon] = text.split(',').map(parseFloat);
+    if ([minLat, minLon, maxLat, maxLon].some(isNaN) || minLat > maxLat || minLon > maxLon) {
+        statusDiv.textContent = 'Library area: enter south, west, north, east in degrees, e.g. 46.5, 7.5, 46.8, 8.1.';
+        return null;
+    }
+    return { minLat, minLon, maxLat, maxLon };
+}
+
+function listedLibraryActivities() {
+    const day = value => (value ? new Date(`${value}T00:00:00`).getTime() : null); // Local midnight
+    const filter = {
+        text: librarySearchInput.value,
+        from: day(libraryFromInput.value),
+        to: libraryToInput.value ? day(libraryToInput.value) + 86400000 - 1 : null, // Through the end of the day
+        bounds: parseLibraryBounds(libraryBoundsInput.value),
+    };
+    const { key, descending } = librarySort;
+    return filterLibraryActivities(libraryActivities, filter).sort((a, b) => {
+        if (a[key] === null || b[key] === null) return (a[key] === null) - (b[key] === null); // Missing values last
+        const order = key === 'name' ? a.name.localeCompare(b.name) : a[key] - b[key];
+        return descending ? -order : order;
+    });
+}
+
+function selectedLibraryActivities() {
+    return libraryActivities.filter(record => librarySelection.has(record.id));
+}
+
+function renderLibraryTable() {
+    const listed = listedLibraryActivities();
+    libraryTableBody.innerHTML = '';
+    listed.forEach(record => {
+        const row = libraryTableBody.insertRow();
+        const selectInput = document.createElement('input');
+        selectInput.type = 'checkbox';
+        selectInput.checked = librarySelection.has(record.id);
+        selectInput.addEventListener('change', () => {
+            if (selectInput.checked) librarySelection.add(record.id);
+            else librarySelection.delete(record.id);
+            renderLibraryTable();
+            updateHeatmap();
+        });
+        row.insertCell().appendChild(selectInput);
+        [
+            record.startTime !== null ? new Date(record.startTime).toLocaleDateString() : '—',
+            record.name,
+            `${(record.distance / 1000).toFixed(1)} km`,
+            record.ascent !== null ? `${Math.round(record.ascent)} m` : '—',
+        ].forEach(value => { row.insertCell().textContent = value; });
+        row.title = `${record.fileName} (${record.format.toUpperCase()}, ${record.pointCount} points)`;
+    });
+    if (listed.length === 0) {
+        const cell = libraryTableBody.insertRow().insertCell();
+        cell.colSpan = 5;
+        cell.textContent = libraryActivities.length ? 'No activities match the filter.' : 'The library is empty.';
+    }
+    libraryTable.querySelectorAll('th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === librarySort.key);
+        th.classList.toggle('descending', th.dataset.sort === librarySort.key && librarySort.descending);
+    });
+
+    librarySelectAllInput.checked = listed.length > 0 && listed.every(record => librarySelection.has(record.id));
+    const selected = selectedLibraryActivities();
+    const selectedKm = selected.reduce((sum, record) => sum + record.distance, 0) / 1000;
+    librarySummaryDiv.textContent = `${listed.length} of ${libraryActivities.length} activities listed, ` +
+        `${selected.length} selected` + (selected.length ? ` (${selectedKm.toFixed(1)} km)` : '') + '.';
+    [libraryOpenButton, libraryAddButton, libraryDeleteButton].forEach(button => { button.disabled = selected.length === 0; });
+}
+
+async function refreshLibrary() {
+    try {
+        libraryActivities = await libraryListActivities();
+    } catch (error) {
+        console.warn("Activity library unavailable:", error);
+        librarySummaryDiv.textContent = `The activity library is unavailable: ${error.message}`;
+        return;
+    }
+    const ids = new Set(libraryActivities.map(record => record.id));
+    Array.from(librarySelection).forEach(id => { if (!ids.has(id)) librarySelection.delete(id); });
+    renderLibraryTable();
+    updateHeatmap();
+}
+
+// Draw the heatmap of the selected activities into the terrain, or remove it
+function updateHeatmap() {
+    if (!libraryHeatmapInput.checked && !heatmap) return;
+    setHeatmapActivities(libraryHeatmapInput.checked ? selectedLibraryActivities() : null, parseFloat(heatmapOpacityInput.value));
+}
+
+async function importIntoLibrary(files) {
+    const supported = files.filter(file => ACTIVITY_FILE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension)));
+    if (supported.length === 0) {
+        statusDiv.textContent = `No activity files found (${ACTIVITY_FILE_EXTENSIONS.join(', ')}).`;
+        return;
+    }
+    statusDiv.textContent = `Importing ${supported.length} activity files...`;
+    try {
+        const result = await libraryAddFiles(supported, (done, total) => {
+            statusDiv.textContent = `Importing activity files... ${done}/${total}`;
+        });
+        result.failed.forEach(failure => console.warn(`Library import of ${failure.fileName} failed: ${failure.message}`));
+        statusDiv.textContent = `Library: added ${result.added} activities` +
+            (result.duplicates ? `, skipped ${result.duplicates} already in the library` : '') +
+            (result.failed.length ? `, ${result.failed.length} could not be read (first: ${result.failed[0].fileName}: ${result.failed[0].message})` : '') + '.';
+    } catch (error) {
+        console.error("Library import error:", error);
+        statusDiv.textContent = `Error: ${error.message}`;
+    }
+    libraryPanel.open = true;
+    await refreshLibrary();
+}
+
+// Files of a drop, including the contents of dropped folders
+async function droppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop data is still accessible
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files);
+
+    const files = [];
+    const visit = async entry => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            for (;;) { // readEntries returns the folder in batches until an empty one
+                const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (batch.length === 0) break;
+                for (const child of batch) await visit(child);
+            }
+        }
+    };
+    for (const entry of entries) await visit(entry);
+    return files;
+}
+
+[libraryFilesInput, libraryFolderInput].forEach(input => input.addEventListener('change', async () => {
+    await importIntoLibrary(Array.from(input.files));
+    input.value = ''; // Importing the same files again later still fires change
+}));
+viewerDiv.addEventListener('dragover', event => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    viewerDiv.classList.add('dropTarget');
+});
+viewerDiv.addEventListener('dragleave', () => viewerDiv.classList.remove('dropTarget'));
+viewerDiv.addEventListener('drop', async event => {
+    event.preventDefault();
+    viewerDiv.classList.remove('dropTarget');
+    importIntoLibrary(await droppedFiles(event.dataTransfer));
+});
+
+libraryPanel.addEventListener('toggle', () => { if (libraryPanel.open) refreshLibrary(); });
+[librarySearchInput, libraryFromInput, libraryToInput, libraryBoundsInput].forEach(input => input.addEventListener('input', renderLibraryTable));
+librarySceneAreaButton.addEventListener('click', () => {
+    if (!terrainScene) {
+        statusDiv.textContent = 'Visualize a track first to use its area.';
+        return;
+    }
+    const { minLat, minLon, maxLat, maxLon } = terrainScene.geoBounds;
+    libraryBoundsInput.value = [minLat, minLon, maxLat, maxLon].map(value => value.toFixed(4)).join(', ');
+    renderLibraryTable();
+});
+libraryTable.querySelectorAll('th[data-sort]').forEach(th => th.addEventListener('click', () => {
+    librarySort.descending = librarySort.key === th.dataset.sort ? !librarySort.descending : th.dataset.sort !== 'name';
+    librarySort.key = th.dataset.sort;
+    renderLibraryTable();
+}));
+librarySelectAllInput.addEventListener('change', () => {
+    listedLibraryActivities().forEach(record => {
+        if (librarySelectAllInput.checked) librarySelection.add(record.id);
+        else librarySelection.delete(record.id);
+    });
+    renderLibraryTable();
+    updateHeatmap();
+});
+libraryOpenButton.addEventListener('click', () => visualizeFiles(false, selectedLibraryActivities().map(libraryActivityFile)));
+libraryAddButton.addEventListener('click', () => visualizeFiles(true, selectedLibraryActivities().map(libraryActivityFile)));
+libraryDeleteButton.addEventListener('click', async () => {
+    const selected = selectedLibraryActivities();
+    if (!confirm(`Delete ${selected.length} activities from the library?`)) return;
+    await libraryDeleteActivities(selected.map(record => record.id));
+    statusDiv.textContent = `Deleted ${selected.length} activities from the library.`;
+    await refreshLibrary();
+});
+libraryHeatmapInput.addEventListener('change', () => {
+    if (libraryHeatmapInput.checked && !terrainChunkTree) {
+        statusDiv.textContent = 'The heatmap is drawn on the terrain: visualize a track or open activities from the library.';
+    }
+    updateHeatmap();
+});
+heatmapOpacityInput.addEventListener('change', () => setHeatmapOpacity(parseFloat(heatmapOpacityInput.value)));
+
+// --- 3D Model Export ---
+function exportFileBaseName() {
+    return (recordTitleInput.value.trim() || 'track').replace(/[^\w.-]+/g, '_');
+}
+
+exportGlbButton.addEventListener('click', async () => {
+    statusDiv.textContent = "Exporting glTF...";
+    try {
+        const blob = await exportSceneGLB();
+        downloadBlob(blob, `${exportFileBaseName()}.glb`);
+        statusDiv.textContent = `glTF exported (${formatBytes(blob.size)}). It contains the terrain chunks currently displayed.`;
+    } catch (error) {
+        console.error("glTF export error:", error);
+        statusDiv.textContent = `glTF export failed: ${error.message}`;
+    }
+});
+
+function exportPrintModel(format) {
+    const options = {
+        footprintMm: parseFloat(printFootprintInput.value),
+        baseMm: parseFloat(printBaseInput.value),
+        resolution: parseInt(printResolutionInput.value),
+        trackStyle: printTrackStyleSelect.value,
+        trackWidthMm: parseFloat(printTrackWidthInput.value),
+        trackDepthMm: parseFloat(printTrackDepthInput.value),
+    };
+    if ([options.footprintMm, options.baseMm, options.resolution, options.trackWidthMm, options.trackDepthMm].some(value => isNaN(value) || value <= 0)) {
+        statusDiv.textContent = "Please enter positive print dimensions.";
+        return;
+    }
+    try {
+        const mesh = buildPrintMesh(options);
+        const blob = format === 'stl' ? printMeshToSTL(mesh) : printMeshTo3MF(mesh);
+        downloadBlob(blob, `${exportFileBaseName()}_${Math.round(options.footprintMm)}mm.${format}`);
+        statusDiv.textContent = `${format.toUpperCase()} exported: ${mesh.size.x.toFixed(0)} x ${mesh.size.y.toFixed(0)} x ${mesh.size.z.toFixed(1)} mm, ` +
+            `${mesh.indices.length / 3} triangles (${formatBytes(blob.size)}).`;
+    } catch (error) {
+        console.error("Print export error:", error);
+        statusDiv.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+exportStlButton.addEventListener('click', () => exportPrintModel('stl'));
+export3mfButton.addEventListener('click', () => exportPrintModel('3mf'));
+
+initProfileChart(profileCanvas, profileInfoDiv, {
+    onHover: showTrackHoverMarker,
+    onSelect: highlightTrackRange,
+});
+
+// --- Light Control Event Listeners ---
+ambientLightInput.addEventListener('input', () => {
+    const value = parseFloat(ambientLightInput.value);
+    ambientLightValueSpan.textContent = value.toFixed(2);
+    if (ambientLight) {
+        ambientLight.intensity = value;
+    }
+});
+
+directionalLightInput.addEventListener('input', () => {
+    const value = parseFloat(directionalLightInput.value);
+    directionalLightValueSpan.textContent = value.toFixed(2);
+    lighting.intensity = value; // Scaled down when the sun is low
+    applyLighting();
+});
+
+// --- Sun Lighting ---
+// Dates and times are entered and shown in the browser's time zone
+function readSunDate() {
+    if (!sunDateInput.value) return null;
+    const date = new Date(`${sunDateInput.value}T00:00:00`);
+    date.setMinutes(parseInt(sunTimeInput.value));
+    return date;
+}
+
+function showSunDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    sunDateInput.value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    sunTimeInput.value = date.getHours() * 60 + date.getMinutes();
+    sunTimeValueSpan.textContent = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function renderSunReadout() {
+    const sun = currentSunPosition();
+    if (!sun) {
+        sunReadoutDiv.textContent = lighting.mode === 'sun' ? 'The sun position is shown once a track is visualized.' : '';
+        return;
+    }
+    const compass = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(sun.azimuth / 45) % 8];
+    sunReadoutDiv.textContent = sun.altitude > 0
+        ? `Sun at ${Math.round(sun.azimuth)}° (${compass}), ${sun.altitude.toFixed(1)}° above the horizon.`
+        : `The sun is below the horizon (${sun.altitude.toFixed(1)}°).`;
+}
+
+// Apply the lighting inputs; the hillshade is baked into the textures, so redraw them only when asked
+function updateLighting(redrawHillshade) {
+    lighting.mode = lightingModeSelect.value;
+    lighting.date = readSunDate();
+    lighting.hillshade = hillshadeInput.checked;
+    lighting.hillshadeStrength = parseFloat(hillshadeStrengthInput.value);
+    sunOptions.hidden = lighting.mode !== 'sun';
+    applyLighting();
+    renderSunReadout();
+    if (redrawHillshade) refreshTerrainTextures();
+}
+
+// The start of a track (by default the active one), or today at noon when it has no times
+function setSunDateFromTrack(layer = activeTrackLayer) {
+    const timed = layer ? layer.recordedSegments.flat().find(pt => pt.time) : null;
+    if (timed) {
+        showSunDate(timed.time);
+    } else if (!sunDateInput.value) {
+        const noon = new Date();
+        noon.setHours(12, 0, 0, 0);
+        showSunDate(noon);
+    }
+}
+
+lightingModeSelect.addEventListener('change', () => updateLighting(lighting.hillshade));
+sunDateInput.addEventListener('change', () => updateLighting(lighting.hillshade));
+sunTimeInput.addEventListener('input', () => {
+    showSunDate(readSunDate() || new Date());
+    updateLighting(false); // The light moves while dragging; the hillshade follows on release
+});
+sunTimeInput.addEventListener('change', () => updateLighting(lighting.hillshade));
+sunTrackStartButton.addEventListener('click', () => {
+    setSunDateFromTrack();
+    updateLighting(lighting.hillshade);
+});
+shadowsInput.addEventListener('change', () => setShadowsEnabled(shadowsInput.checked));
+hillshadeInput.addEventListener('change', () => updateLighting(true));
+hillshadeStrengthInput.addEventListener('change', () => updateLighting(true));
+
+// Lighting choices persist like the track style; the date comes from each track
+[lightingModeSelect, shadowsInput, hillshadeInput, hillshadeStrengthInput].forEach(input => {
+    const property = input.type === 'checkbox' ? 'checked' : 'value';
+    const stored = localStorage.getItem(input.id);
+    if (stored !== null) input[property] = input.type === 'checkbox' ? stored === 'true' : stored;
+    input.addEventListener('change', () => localStorage.setItem(input.id, input[property]));
+});
+lighting.intensity = parseFloat(directionalLightInput.value);
+lighting.shadows = shadowsInput.checked;
+setSunDateFromTrack();
+updateLighting(false);
+
+// --- Terrain Analysis ---
+const analysisInputs = [imageryOpacityInput, hypsometricInput, hypsometricPaletteSelect, hypsometricOpacityInput, aspectInput, aspectOpacityInput,
+    slopeClassesInput, slopeThresholdsInput, slopeOpacityInput, contoursInput, contourIntervalInput, contourIndexEveryInput, contourOpacityInput];
+
+function renderAnalysisLegend() {
+    analysisLegendDiv.textContent = '';
+    const row = (color, text) => {
+        const div = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'legendSwatch';
+        swatch.style.background = color;
+        div.append(swatch, text);
+        analysisLegendDiv.appendChild(div);
+    };
+    const { hypsometric, aspect, slope } = terrainAnalysis;
+    const range = terrainAnalysis.elevationRange;
+    if (hypsometric.enabled && range) {
+        const stops = TRACK_COLOR_PALETTES[hypsometric.palette];
+        row(`linear-gradient(to right, ${stops.join(', ')})`, `${Math.round(range.min)} m to ${Math.round(range.max)} m`);
+    }
+    if (aspect.enabled) {
+        ['N', 'E', 'S', 'W'].forEach((name, k) => row(`hsl(${k * 90}, 80%, 50%)`, `Facing ${name}`));
+    }
+    if (slope.enabled) {
+        slope.thresholds.forEach((threshold, k) => {
+            const next = slope.thresholds[k + 1];
+            row(slopeClassColor(k), next !== undefined ? `${threshold}° to ${next}°` : `${threshold}° and steeper`);
+        });
+    }
+}
+
+// Read the inputs into terrainAnalysis and redraw the chunk textures
+function updateTerrainAnalysis() {
+    const positive = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return value > 0 ? value : fallback;
+    };
+    const thresholds = slopeThresholdsInput.value.split(/[\s,;]+/).map(parseFloat)
+        .filter(value => isFinite(value) && value > 0 && value < 90).sort((a, b) => a - b);
+    Object.assign(terrainAnalysis, {
+        imageryOpacity: parseFloat(imageryOpacityInput.value),
+        hypsometric: { enabled: hypsometricInput.checked, opacity: parseFloat(hypsometricOpacityInput.value), palette: hypsometricPaletteSelect.value },
+        aspect: { enabled: aspectInput.checked, opacity: parseFloat(aspectOpacityInput.value) },
+        slope: { enabled: slopeClassesInput.checked, opacity: parseFloat(slopeOpacityInput.value), thresholds: thresholds.filter((value, k) => value !== thresholds[k - 1]) },
+        contours: {
+            enabled: contoursInput.checked,
+            opacity: parseFloat(contourOpacityInput.value),
+            interval: positive(contourIntervalInput, 50),
+            indexEvery: Math.max(Math.round(positive(contourIndexEveryInput, 5)), 2),
+        },
+    });
+    renderAnalysisLegend();
+    refreshTerrainTextures();
+}
+
+// Persisted like the track style
+analysisInputs.forEach(input => {
+    const property = input.type === 'checkbox' ? 'checked' : 'value';
+    const stored = localStorage.getItem(input.id);
+    if (stored !== null) input[property] = input.type === 'checkbox' ? stored === 'true' : stored;
+    input.addEventListener('change', () => {
+        localStorage.setItem(input.id, input[property]);
+        updateTerrainAnalysis();
+    });
+});
+updateTerrainAnalysis();
+
+// --- Vertical Scale and Track Height ---
+// Applied to the displayed scene in place (js/sceneManager.js); new terrains use them too
+trackHeightInput.addEventListener('input', () => {
+    const value = parseFloat(trackHeightInput.value);
+    trackHeightValueSpan.textContent = value;
+    requestSceneUpdate({ trackHeight: value });
+});
+
+zScaleInput.addEventListener('change', () => {
+    const zScale = parseFloat(zScaleInput.value);
+    if (!(zScale > 0)) {
+        statusDiv.textContent = "Please enter a valid Z-scale.";
+        return;
+    }
+    requestSceneUpdate({ zScale });
+});
+onFrame(applySceneUpdates);
+
+// --- Track Elevation ---
+function recordedElevationOrNaN(pt) {
+    return pt.ele !== null && pt.ele !== undefined ? pt.ele : NaN;
+}
+
+// Redraw all layers and show the active one in the profile, playback, statistics and layer list
+function refreshTrackViews() {
+    renderTrackStyle(readTrackStyleSettings());
+    showActiveTrackLayer();
+    renderTrackLayerList();
+    renderPOIMarkers(); // Track waypoints come and go with the layers
+    renderPOIPanel();
+}
+
+function showActiveTrackLayer() {
+    const layer = activeTrackLayer;
+    highlightTrackRange(null);
+    showTrackHoverMarker(null);
+    profilePanel.hidden = !layer;
+    resizeViewer(); // The viewer lost or regained the panel's height
+    showTrackProfile(layer ? layer.profile : null);
+    if (layer) {
+        loadPlayback(layer.profile);
+    } else {
+        unloadPlayback();
+    }
+    trackStatistics = layer ? layer.statistics : null;
+    if (layer) renderStatsPanel(trackStatistics);
+    statsPanel.hidden = !layer;
+    elevationPanel.hidden = !layer;
+    if (layer) renderElevationComparison();
+    playbackBar.hidden = !playback.timeline;
+    recordPanel.hidden = !playback.timeline;
+    resizeViewer(); // Again for the playback bar
+    renderEditPanel();
+}
+
+function renderElevationComparison() {
+    const comparison = compareTrackElevations(activeTrackLayer.profile.points);
+    if (!comparison) {
+        elevationComparisonDiv.textContent = "The file has no recorded elevations to compare with the terrain.";
+        return;
+    }
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} m`;
+    elevationComparisonDiv.textContent = `Recorded minus terrain elevation over ${comparison.count} points: ` +
+        `mean offset ${signed(comparison.offset)}, RMS error ${comparison.rms.toFixed(1)} m ` +
+        `(${comparison.rmsAfterOffset.toFixed(1)} m once the offset is removed), largest difference ${signed(comparison.maxDifference)}.`;
+}
+
+// elevations: one value per profile point of the layer. Returns its recorded segments with new
+// point objects where the elevation changed, for an undoable edit (js/trackEditor.js); points
+// inserted for draping are left out, placing the edited layer derives them again.
+function correctedTrackSegments(layer, elevations) {
+    const corrected = new Map();
+    layer.profile.points.forEach((p, i) => corrected.set(layer.segments[p.segment][p.index], elevations[i]));
+    return layer.recordedSegments.map(segment => segment.map(pt => (corrected.has(pt) && corrected.get(pt) !== pt.ele ? { ...pt, ele: corrected.get(pt) } : pt)));
+}
+
+function updateElevationMethodUI() {
+    elevationBlendOptions.hidden = elevationMethodSelect.value !== 'blend';
+    elevationSmoothOptions.hidden = elevationMethodSelect.value !== 'smooth';
+}
+
+elevationMethodSelect.addEventListener('change', updateElevationMethodUI);
+updateElevationMethodUI();
+
+applyElevationButton.addEventListener('click', () => {
+    if (!activeTrackLayer) return;
+    const method = elevationMethodSelect.value;
+    const weight = parseFloat(elevationBlendWeightInput.value) / 100;
+    const windowM = parseFloat(elevationSmoothWindowInput.value);
+    if ((method === 'blend' && !(weight >= 0 && weight <= 1)) || (method === 'smooth' && !(windowM > 0))) {
+        statusDiv.textContent = "Please enter a blend share between 0 and 100% and a positive smoothing window.";
+        return;
+    }
+    if (method !== 'replace' && !trackProfile.points.some(p => p.gpxEle !== null)) {
+        statusDiv.textContent = "The file has no recorded elevations; only replacing them with the terrain is possible.";
+        return;
+    }
+    const segments = correctedTrackSegments(activeTrackLayer, correctTrackElevations(trackProfile.points, method, { weight, windowM }));
+    runTrackEditCommand(trackLayerEdit('Elevation Correction', activeTrackLayer, segments),
+        `Elevations corrected (${elevationMethodSelect.selectedOptions[0].textContent.toLowerCase()}). Download the GPX to keep them.`);
+});
+
+// Undoes the elevation corrections at the top of the edit history
+resetElevationButton.addEventListener('click', async () => {
+    if (!activeTrackLayer) return;
+    const lastEdit = () => trackEditHistory.undo[trackEditHistory.undo.length - 1];
+    if (!lastEdit() || lastEdit().label !== 'Elevation Correction') {
+        statusDiv.textContent = "The last edit is not an elevation correction; use Undo in \"Edit Track\" to step back further.";
+        return;
+    }
+    try {
+        while (lastEdit() && lastEdit().label === 'Elevation Correction') {
+            if (!await undoTrackEdit()) {
+                statusDiv.textContent = 'The previous edit is still being placed on the terrain.';
+                return;
+            }
+        }
+        showTrackEditResult("Recorded elevations restored.");
+    } catch (error) {
+        console.error("Undo failed:", error);
+        statusDiv.textContent = `Error: ${error.message}`;
+    }
+});
+
+function exportActiveTrackGPX() {
+    if (!activeTrackLayer) return;
+    downloadBlob(new Blob([serializeGPX(activeTrackLayer.document)], { type: 'application/gpx+xml' }), `${exportFileBaseName()}.gpx`);
+    statusDiv.textContent = "GPX exported with the current elevations.";
+}
+
+exportGpxButton.addEventListener('click', exportActiveTrackGPX);
+
+// --- Statistics Panel ---
+function renderStatsPanel(stats) {
+    const { gpx, dem } = stats.elevation;
+    const meters = value => (value === null || value === undefined ? '–' : `${Math.round(value)} m`);
+    const percent = value => (value === null || value === undefined ? '–' : `${value.toFixed(1)}%`);
+    const vam = value => (value === null || value === undefined ? '–' : `${Math.round(value)} m/h`);
+    const both = (format, key) => [gpx ? format(gpx[key]) : '–', dem ? format(dem[key]) : '–'];
+
+    const rows = [
+        ['Distance', `${(stats.distance / 1000).toFixed(2)} km`],
+        ['Ascent', ...both(meters, 'ascent')],
+        ['Descent', ...both(meters, 'descent')],
+        ['Min elevation', ...both(meters, 'minElevation')],
+        ['Max elevation', ...both(meters, 'maxElevation')],
+        ['Average grade', ...both(percent, 'averageGrade')],
+        ['Max grade', ...both(percent, 'maxGrade')],
+        ['Steepest descent', ...both(percent, 'minGrade')],
+    ];
+    if (stats.time) {
+        rows.push(
+            ['Start', stats.time.startTime.toLocaleString()],
+            ['Elapsed time', formatDuration(stats.time.elapsedTime)],
+            ['Moving time', formatDuration(stats.time.movingTime)],
+            ['Average speed', formatSpeed(stats.time.averageSpeed)],
+            ['Max speed', formatSpeed(stats.time.maxSpeed)],
+            ['VAM (climbs)', ...both(vam, 'vam')],
+        );
+    }
+    statsSummaryBody.innerHTML = '';
+    rows.forEach(([label, ...values]) => {
+        const row = statsSummaryBody.insertRow();
+        row.insertCell().textContent = label;
+        values.forEach(value => {
+            const cell = row.insertCell();
+            cell.textContent = value;
+            if (values.length === 1) cell.colSpan = 2; // Same for both elevation sources
+        });
+    });
+
+    // Splits and climbs from the file elevations when present, else from the terrain
+    const source = gpx || dem;
+    const sourceName = gpx ? 'file elevation' : 'terrain elevation';
+    statsClimbsBody.innerHTML = '';
+    statsSplitsBody.innerHTML = '';
+    statsClimbsHeading.textContent = `Climbs (${sourceName})`;
+    statsSplitsHeading.textContent = `Splits (${sourceName})`;
+    if (source) {
+        source.climbs.forEach(climb => {
+            const row = statsClimbsBody.insertRow();
+            [
+                climb.category,
+                `${(climb.startDistance / 1000).toFixed(1)} km`,
+                `${(climb.length / 1000).toFixed(2)} km`,
+                meters(climb.gain),
+                percent(climb.grade),
+                formatDuration(climb.duration),
+                vam(climb.vam),
+            ].forEach(value => { row.insertCell().textContent = value; });
+        });
+        source.splits.forEach(split => {
+            const row = statsSplitsBody.insertRow();
+            [
+                split.number,
+                `${(split.length / 1000).toFixed(2)} km`,
+                meters(split.ascent),
+                meters(split.descent),
+                percent(split.grade),
+                formatDuration(split.duration),
+                formatSpeed(split.speed),
+            ].forEach(value => { row.insertCell().textContent = value; });
+        });
+    }
+    if (statsClimbsBody.rows.length === 0) {
+        const cell = statsClimbsBody.insertRow().insertCell();
+        cell.colSpan = 7;
+        cell.textContent = 'No categorized climbs.';
+    }
+    statsPanel.hidden = false;
+}
+
+// --- Local Elevation Data ---
+function renderLocalDemList() {
+    demTableBody.innerHTML = '';
+    if (localDems.length === 0) {
+        const cell = demTableBody.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'No local DEMs; elevation comes from the tile source.';
+        return;
+    }
+    localDems.forEach(dem => {
+        const row = demTableBody.insertRow();
+        row.insertCell().textContent = dem.name;
+        row.insertCell().textContent = dem.format;
+        row.insertCell().textContent = dem.crs.name;
+        row.insertCell().textContent = `${dem.resolutionMeters < 10 ? dem.resolutionMeters.toFixed(1) : Math.round(dem.resolutionMeters)} m`;
+        row.insertCell().textContent = `${dem.width} x ${dem.height}`;
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            removeLocalDem(dem);
+            localDemsChanged(`Removed ${dem.name}.`);
+        });
+        row.insertCell().appendChild(removeButton);
+    });
+}
+
+// Show the new list and rebuild the displayed terrain, whose tiles were resampled from the old one
+async function localDemsChanged(message) {
+    renderLocalDemList();
+    statusDiv.textContent = message;
+    if (!terrainScene || trackLayers.length === 0) return;
+    const { tileSources, terrainZoom, zScale, placementMode } = terrainScene;
+    try {
+        await createTerrain(trackLayers, tileSources, terrainZoom, zScale, placementMode);
+        statusDiv.textContent = `${message} ${statusDiv.textContent}`;
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("Terrain rebuild error:", error);
+        statusDiv.textContent = `${message} Error rebuilding the terrain: ${error.message}`;
+    }
+}
+
+demFilesInput.addEventListener('change', async () => {
+    const files = Array.from(demFilesInput.files);
+    demFilesInput.value = ''; // Selecting the same files again reloads them
+    if (files.length === 0) return;
+    statusDiv.textContent = `Reading ${files.length} DEM file(s)...`;
+    const { dems, errors } = await readLocalDemFiles(files);
+    errors.forEach(error => console.warn(`Local DEM: ${error}`));
+    addLocalDems(dems);
+    const message = (dems.length ? `Loaded ${dems.length} local DEM(s): ${dems.map(dem => dem.name).join(', ')}.` : 'No local DEM loaded.') +
+        (errors.length ? ` Skipped: ${errors.join(' ')}` : '');
+    if (dems.length === 0) {
+        statusDiv.textContent = message;
+        return;
+    }
+    await localDemsChanged(message);
+});
+
+clearDemsButton.addEventListener('click', () => {
+    if (localDems.length === 0) return;
+    clearLocalDems();
+    localDemsChanged('Removed all local DEMs.');
+});
+
+renderLocalDemList();
+
+// --- Cache Management ---
+// Drop session bitmaps and height grids matching a provider (and optionally a zoom level); null clears everything.
+// The heightfields of the terrain on screen are not a download cache and stay until the scene is cleared.
+function clearSessionTileCaches(providerId, zoom) {
+    let removed = 0;
+    [terrainTileCache, mapImageTileCache, terrainHeightCache].forEach(cache => {
+        for (const key of Array.from(cache.keys())) {
+            const [keyProvider, keyZoom] = key.split('/');
+            if ((providerId === null || keyProvider === providerId) && (zoom === null || parseInt(keyZoom) === zoom)) {
+                cache.delete(key);
+                if (cache !== terrainHeightCache) removed++; // Decoded grids mirror terrain tiles, count tiles once
+            }
+        }
+    });
+    return removed;
+}
+
+function providerDisplayName(providerId) {
+    const provider = tileProviders.elevation.get(providerId) || tileProviders.imagery.get(providerId);
+    return provider ? provider.name : providerId;
+}
+
+function makeCacheClearButton(label, providerId, zoom) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', () => clearTileCache(providerId, zoom));
+    return button;
+}
+
+async function refreshCachePanel() {
+    const stats = await tileCacheStats();
+    cacheStatsBody.innerHTML = '';
+    if (stats.length === 0) {
+        const row = cacheStatsBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 5;
+        cell.textContent = 'No stored tiles.';
+        return;
+    }
+
+    const providerIds = [...new Set(stats.map(s => s.providerId))];
+    providerIds.forEach(providerId => {
+        const groups = stats.filter(s => s.providerId === providerId);
+        const totalRow = cacheStatsBody.insertRow();
+        totalRow.className = 'providerTotal';
+        totalRow.insertCell().textContent = providerDisplayName(providerId);
+        totalRow.insertCell().textContent = 'all';
+        totalRow.insertCell().textContent = groups.reduce((sum, g) => sum + g.count, 0);
+        totalRow.insertCell().textContent = formatBytes(groups.reduce((sum, g) => sum + g.bytes, 0));
+        totalRow.insertCell().appendChild(makeCacheClearButton('Clear provider', providerId, null));
+
+        groups.forEach(group => {
+            const row = cacheStatsBody.insertRow();
+            row.insertCell();
+            row.insertCell().textContent = group.zoom;
+            row.insertCell().textContent = group.count;
+            row.insertCell().textContent = formatBytes(group.bytes);
+            row.insertCell().appendChild(makeCacheClearButton('Clear zoom', providerId, group.zoom));
+        });
+    });
+}
+
+async function clearTileCache(providerId = null, zoom = null) {
+    const sessionCount = clearSessionTileCaches(providerId, zoom);
+    const storedCount = await tileCacheClear({ providerId, zoom });
+    const scope = providerId ? `${providerDisplayName(providerId)}${zoom !== null ? ` zoom ${zoom}` : ''}` : 'all providers';
+
+    statusDiv.textContent = `Cache cleared! Removed ${storedCount} stored and ${sessionCount} in-memory tiles (${scope}).`;
+    refreshCachePanel();
+
+    // Clear the message after a few seconds
+    setTimeout(() => {
+        if (statusDiv.textContent.includes('Cache cleared!')) {
+            statusDiv.textContent = "Ready. Enter token, select GPX, and click Visualize.";
+        }
+    }, 3000);
+}
+
+clearCacheButton.addEventListener('click', () => clearTileCache());
+cachePanel.addEventListener('toggle', () => { if (cachePanel.open) refreshCachePanel(); });
+
+cacheMaxMBInput.value = tileCacheSettings.maxBytes / (1024 * 1024);
+cacheMaxAgeDaysInput.value = tileCacheSettings.maxAgeDays;
+[cacheMaxMBInput, cacheMaxAgeDaysInput].forEach(input => input.addEventListener('change', async () => {
+    const evicted = await setTileCacheLimits(parseFloat(cacheMaxMBInput.value), parseFloat(cacheMaxAgeDaysInput.value));
+    if (evicted > 0) statusDiv.textContent = `Evicted ${evicted} tiles to fit the new cache limits.`;
+    refreshCachePanel();
+}));
+
+tileMaxConcurrentInput.value = tileFetchSettings.maxConcurrent;
+tileMaxConcurrentInput.addEventListener('change', () => {
+    setTileFetchConcurrency(parseInt(tileMaxConcurrentInput.value));
+    tileMaxConcurrentInput.value = tileFetchSettings.maxConcurrent; // Clamped to the allowed range
+});
+
+// --- Tile Download Progress ---
+// One bar for all queued downloads (js/tileScheduler.js), hidden while nothing is downloading
+function renderTileProgress(progress) {
+    const { total, done, failed, retries } = progress;
+    tileProgressDiv.hidden = total === 0 || done === total;
+    if (tileProgressDiv.hidden) return;
+    tileProgressBar.max = total;
+    tileProgressBar.value = done;
+    tileProgressLabel.textContent = `Downloading tiles: ${done} of ${total}` +
+        (retries ? `, ${retries} retried` : '') + (failed ? `, ${failed} failed` : '');
+}
+
+onTileFetchProgress(renderTileProgress);
+
+// --- Renderer Memory ---
+const RENDERER_STATS_INTERVAL_MS = 1000;
+let rendererStatsUpdatedAt = 0;
+
+function renderRendererStats() {
+    const stats = rendererMemoryStats();
+    rendererStatsBody.innerHTML = '';
+    if (!stats) {
+        rendererStatsBody.insertRow().insertCell().textContent = 'Shown once a track is visualized.';
+        return;
+    }
+    [
+        ['Geometries', stats.geometries],
+        ['Textures', stats.textures],
+        ['Shader programs', stats.programs],
+        ['Draw calls (last frame)', stats.drawCalls],
+        ['Triangles (last frame)', stats.triangles.toLocaleString()],
+        ['Loaded terrain chunks', stats.terrainChunks],
+        ['Elevation tiles in use', stats.heightfieldTiles],
+        ['Cached tile bitmaps', stats.tileBitmaps],
+        ['Cached height grids', stats.heightGrids],
+    ].forEach(([label, value]) => {
+        const row = rendererStatsBody.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
+    });
+}
+
+// Refreshed while the panel is open
+rendererPanel.addEventListener('toggle', () => { if (rendererPanel.open) renderRendererStats(); });
+onFrame(() => {
+    const now = performance.now();
+    if (!rendererPanel.open || now - rendererStatsUpdatedAt < RENDERER_STATS_INTERVAL_MS) return;
+    rendererStatsUpdatedAt = now;
+    renderRendererStats();
+});
+
+// --- Initial call if needed or auto-load something ---
+// initThreeJS(); // Or call it on first visualize
+mapboxTokenInput.value = localStorage.getItem('mapboxToken') || ''; // Persist token
+mapboxTokenInput.addEventListener('change', () => localStorage.setItem('mapboxToken', mapboxTokenInput.value));
+
+// Persist provider choice and custom templates the same way as the token
+populateProviderSelect(elevationProviderSelect, 'elevation', 'custom-elevation');
+populateProviderSelect(imageryProviderSelect, 'imagery', 'custom-imagery');
+[
+    elevationProviderSelect, imageryProviderSelect,
+    customElevationUrlInput, customElevationEncodingSelect, customElevationMaxZoomInput,
+    customImageryUrlInput, customImageryMaxZoomInput,
+].forEach(input => {
+    const stored = localStorage.getItem(input.id);
+    if (stored !== null) input.value = stored;
+    input.addEventListener('change', () => {
+        localStorage.setItem(input.id, input.value);
+        updateProviderUI();
+    });
+});
+if (!elevationProviderSelect.value) elevationProviderSelect.selectedIndex = 0;
+if (!imageryProviderSelect.value) imageryProviderSelect.selectedIndex = 0;
+updateProviderUI();
 
-statusDiv.textContent = "Ready. Enter token, select GPX, and click Visualize.";
\ No newline at end of file
+statusDiv.textContent = "Ready. Enter token, select GPX, and click Visualize.";
+applyURLHash(); // After the stored settings and the ready message, both of which a shared link overrides
\ No newline at end of file